@@ -0,0 +1,61 @@
+/* ========================================
+   NEURAAL INTERFACE - CHAT PROVIDER
+   ======================================== */
+
+/**
+ * Common interface for everything that can answer in the chat panel.
+ * A provider turns the conversation so far into a stream of events:
+ *   { type: 'text', text }      a chunk of the reply
+ *   { type: 'action', action }  a globe action, e.g. { type: 'flyTo', lat, lon }
+ * The stream ends when the reply is complete. Providers must stop promptly
+ * when the abort signal fires.
+ */
+export class ChatProvider {
+  /**
+   * @param {string} name - Unique provider name
+   * @param {Object} options - Provider options
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = options;
+  }
+
+  /**
+   * @param {Array<Object>} messages - { role, content } history, oldest first, ending with the user's message
+   * @param {Object} context - { signal: AbortSignal }
+   * @returns {AsyncIterable<Object>} Reply events
+   */
+  stream(messages, context) {
+    throw new Error(`${this.constructor.name} does not implement stream()`);
+  }
+
+  /**
+   * @returns {string} One-line description for provider lists
+   */
+  describe() {
+    return this.name;
+  }
+}
+
+/**
+ * @param {number} ms - Delay
+ * @param {AbortSignal} signal - Cancels the wait
+ * @returns {Promise<void>} Resolves after the delay, rejects with an AbortError on abort
+ */
+export function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new DOMException('Aborted', 'AbortError'));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new DOMException('Aborted', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
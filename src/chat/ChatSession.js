@@ -0,0 +1,189 @@
+/* ========================================
+   NEURAAL INTERFACE - CHAT SESSION
+   ======================================== */
+
+import { AppConfig } from '../config/AppConfig.js';
+import { executeGlobeAction } from './GlobeActions.js';
+
+/**
+ * Runs the conversation: sends the history to the active provider, streams
+ * the reply into the store and carries out the globe actions it contains.
+ * One reply streams at a time; sending again cancels the one in flight.
+ */
+export class ChatSession {
+  /**
+   * @param {ChatStore} store - Message store
+   * @param {Array<ChatProvider>} providers - Available providers; the first is active unless AppConfig.chat.provider names another
+   */
+  constructor(store, providers = []) {
+    this.config = AppConfig.chat;
+    this.store = store;
+    this.providers = new Map();
+    this.provider = null;
+    this.controller = null;
+    this.autoRunActions = this.config.autoRunActions;
+
+    providers.forEach(provider => this.registerProvider(provider));
+    if (this.providers.has(this.config.provider)) this.setProvider(this.config.provider);
+  }
+
+  /**
+   * @param {ChatProvider} provider - Provider to offer
+   */
+  registerProvider(provider) {
+    if (!provider || typeof provider.stream !== 'function' || !provider.name) {
+      throw new Error('Chat provider needs a name and a stream() method');
+    }
+    this.providers.set(provider.name, provider);
+    if (!this.provider) this.provider = provider;
+  }
+
+  /**
+   * @param {string} name - Registered provider
+   */
+  setProvider(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown chat provider: ${name}`);
+    }
+    this.provider = provider;
+    console.log(`💬 Chat provider: ${provider.describe()}`);
+  }
+
+  /**
+   * @returns {Array<Object>} { name, description, active }
+   */
+  listProviders() {
+    return Array.from(this.providers.values(), provider => ({
+      name: provider.name,
+      description: provider.describe(),
+      active: provider === this.provider
+    }));
+  }
+
+  /**
+   * @returns {boolean} Whether a reply is streaming
+   */
+  isBusy() {
+    return this.controller !== null;
+  }
+
+  /**
+   * Send a user message and stream the reply
+   * @param {string} text - User message
+   * @returns {Promise<Object>} The finished assistant message
+   */
+  async send(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new Error('Chat message must be a non-empty string');
+    }
+    if (!this.provider) {
+      throw new Error('No chat provider registered');
+    }
+
+    this.cancel();
+    this.store.add({ role: 'user', content: text.trim() });
+    const history = this.history();
+    const controller = new AbortController();
+    this.controller = controller;
+    const reply = this.store.add({ role: 'assistant', status: 'streaming', provider: this.provider.name });
+
+    let failure = null;
+    try {
+      for await (const event of this.provider.stream(history, { signal: controller.signal })) {
+        if (controller.signal.aborted) break;
+        if (event.type === 'text') {
+          this.store.append(reply.id, event.text);
+        } else if (event.type === 'action') {
+          await this.handleAction(reply.id, event.action);
+        }
+      }
+    } catch (error) {
+      failure = error;
+    }
+
+    // Settle the message after releasing the session so listeners see it idle
+    if (this.controller === controller) this.controller = null;
+    if (controller.signal.aborted || (failure && failure.name === 'AbortError')) {
+      this.store.update(reply.id, { status: 'cancelled' });
+    } else if (failure) {
+      console.warn('⚠️ Chat reply failed:', failure.message);
+      this.store.update(reply.id, { status: 'error', error: failure.message });
+    } else {
+      this.store.update(reply.id, { status: 'done' });
+    }
+    return this.store.get(reply.id);
+  }
+
+  /**
+   * Stop the reply that is streaming, if any
+   * @returns {boolean} Whether a reply was cancelled
+   */
+  cancel() {
+    if (!this.controller) return false;
+    this.controller.abort();
+    this.controller = null;
+    return true;
+  }
+
+  /**
+   * Conversation sent to the provider: settled messages, newest last,
+   * capped at AppConfig.chat.historyLimit
+   */
+  history() {
+    return this.store.list()
+      .filter(message => message.role !== 'system' && message.status === 'done' && message.content)
+      .slice(-this.config.historyLimit);
+  }
+
+  async handleAction(messageId, action) {
+    if (!this.autoRunActions) {
+      this.store.addAction(messageId, { action, status: 'pending', message: 'Not run' });
+      return;
+    }
+    this.store.addAction(messageId, await this.execute(action));
+  }
+
+  /**
+   * Run a globe action
+   * @param {Object} action - { type, ...fields }
+   * @returns {Promise<Object>} { action, status: 'done'|'error', message }
+   */
+  async execute(action) {
+    try {
+      const message = await executeGlobeAction(action);
+      console.log(`💬 Globe action: ${message}`);
+      return { action, status: 'done', message };
+    } catch (error) {
+      console.warn('⚠️ Globe action failed:', error.message);
+      return { action, status: 'error', message: error.message };
+    }
+  }
+
+  /**
+   * Run (again) an action a reply carried
+   * @param {string} messageId - Assistant message
+   * @param {number} index - Position in the message's actions
+   * @returns {Promise<Object>} The new action record
+   */
+  async rerunAction(messageId, index) {
+    const message = this.store.get(messageId);
+    const record = message.actions[index];
+    if (!record) {
+      throw new Error(`Message ${messageId} has no action ${index}`);
+    }
+
+    const result = await this.execute(record.action);
+    const actions = [...message.actions];
+    actions[index] = result;
+    this.store.update(messageId, { actions });
+    return result;
+  }
+
+  /**
+   * @param {boolean} enabled - Run globe actions as replies arrive
+   */
+  setAutoRunActions(enabled) {
+    this.autoRunActions = Boolean(enabled);
+  }
+}
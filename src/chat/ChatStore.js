@@ -0,0 +1,177 @@
+/* ========================================
+   NEURAAL INTERFACE - CHAT STORE
+   ======================================== */
+
+import { AppConfig } from '../config/AppConfig.js';
+import { downloadText, readJSON, writeJSON } from '../utils/Helpers.js';
+
+let messageSequence = 0;
+
+/**
+ * The conversation: an ordered list of messages
+ *   { id, role: 'user'|'assistant'|'system', content, actions, status, provider, createdAt }
+ * where status is 'streaming', 'done', 'error' or 'cancelled' and actions are
+ * { action, status: 'done'|'error', message } records of the globe actions a
+ * reply carried. The transcript is kept in sessionStorage, so it survives
+ * reloads but not a new tab, and can be exported as JSON or Markdown.
+ */
+export class ChatStore {
+  /**
+   * @param {Object} options - { storage }; a Storage or its window name (see getStorage)
+   */
+  constructor({ storage = 'sessionStorage' } = {}) {
+    this.config = AppConfig.chat;
+    this.storage = storage;
+    this.messages = [];
+    this.listeners = new Set();
+    this.restore();
+  }
+
+  /**
+   * @param {Function} listener - Called with (event, message) for 'add', 'update' and 'clear'
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit(event, message = null) {
+    this.listeners.forEach(listener => listener(event, message));
+  }
+
+  /**
+   * @param {Object} fields - { role, content, status, provider }
+   * @returns {Object} The stored message
+   */
+  add({ role, content = '', status = 'done', provider = null }) {
+    if (!['user', 'assistant', 'system'].includes(role)) {
+      throw new Error(`Unknown chat role: ${role}`);
+    }
+
+    messageSequence += 1;
+    const message = {
+      id: `${Date.now().toString(36)}-${messageSequence}`,
+      role,
+      content,
+      actions: [],
+      status,
+      provider,
+      createdAt: new Date().toISOString()
+    };
+    this.messages.push(message);
+    this.messages.splice(0, this.messages.length - this.config.maxMessages);
+    this.emit('add', message);
+    this.persist();
+    return message;
+  }
+
+  /**
+   * @param {string} id - Message id
+   * @param {Object} changes - Fields to overwrite
+   * @returns {Object} The updated message
+   */
+  update(id, changes) {
+    const message = this.get(id);
+    Object.assign(message, changes);
+    this.emit('update', message);
+    // Streaming replies change on every chunk; they are saved once they settle
+    if (message.status !== 'streaming') this.persist();
+    return message;
+  }
+
+  /**
+   * @param {string} id - Message id
+   * @param {string} text - Chunk to append to the content
+   */
+  append(id, text) {
+    const message = this.get(id);
+    this.update(id, { content: message.content + text });
+  }
+
+  /**
+   * @param {string} id - Message id
+   * @param {Object} record - { action, status, message }
+   */
+  addAction(id, record) {
+    const message = this.get(id);
+    this.update(id, { actions: [...message.actions, record] });
+  }
+
+  get(id) {
+    const message = this.messages.find(item => item.id === id);
+    if (!message) {
+      throw new Error(`Unknown chat message: ${id}`);
+    }
+    return message;
+  }
+
+  /**
+   * @returns {Array<Object>} Messages, oldest first
+   */
+  list() {
+    return [...this.messages];
+  }
+
+  clear() {
+    this.messages = [];
+    this.emit('clear');
+    this.persist();
+  }
+
+  /**
+   * @returns {string} Transcript as a JSON document
+   */
+  exportJSON() {
+    return JSON.stringify({
+      format: 'neuraal-chat',
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      messages: this.messages
+    }, null, 2);
+  }
+
+  /**
+   * @returns {string} Transcript as readable Markdown
+   */
+  exportMarkdown() {
+    const lines = ['# NEURAAL chat transcript', ''];
+    this.messages.forEach((message) => {
+      lines.push(`**${message.role}** · ${message.createdAt}${message.status === 'done' ? '' : ` (${message.status})`}`, '');
+      lines.push(message.content || '_(no text)_', '');
+      message.actions.forEach(({ action, status }) => lines.push(`- action \`${JSON.stringify(action)}\`: ${status}`));
+      if (message.actions.length > 0) lines.push('');
+    });
+    return lines.join('\n');
+  }
+
+  /**
+   * Offer the transcript as a file download
+   * @param {string} format - 'json' or 'markdown'
+   */
+  download(format = 'json') {
+    if (format !== 'json' && format !== 'markdown') {
+      throw new Error(`Unknown transcript format: ${format}`);
+    }
+
+    if (format === 'json') {
+      downloadText(this.exportJSON(), 'neuraal-chat.json', 'application/json');
+    } else {
+      downloadText(this.exportMarkdown(), 'neuraal-chat.md', 'text/markdown');
+    }
+  }
+
+  persist() {
+    writeJSON(this.storage, this.config.storageKey, this.messages);
+  }
+
+  restore() {
+    const stored = readJSON(this.storage, this.config.storageKey);
+    if (!Array.isArray(stored)) return;
+
+    this.messages = stored
+      .filter(message => message && typeof message.id === 'string' && typeof message.content === 'string')
+      // A reply that was still streaming when the page went away will not finish
+      .map(message => ({ actions: [], ...message, status: message.status === 'streaming' ? 'cancelled' : message.status }));
+  }
+}
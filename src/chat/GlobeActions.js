@@ -0,0 +1,119 @@
+/* ========================================
+   NEURAAL INTERFACE - GLOBE ACTIONS
+   ======================================== */
+
+import { AppConfig } from '../config/AppConfig.js';
+import { destinationPoint } from '../utils/Geodesy.js';
+import { facade } from '../utils/Helpers.js';
+
+const HIGHLIGHT_LAYER = 'chat-highlight';
+const CIRCLE_SEGMENTS = 64;
+
+function requireNumber(action, field, min = -Infinity, max = Infinity) {
+  const value = action[field];
+  if (!Number.isFinite(value) || value < min || value > max) {
+    throw new Error(`${action.type} needs ${field} between ${min} and ${max}, got ${value}`);
+  }
+  return value;
+}
+
+/**
+ * @param {number} lat - Centre latitude
+ * @param {number} lon - Centre longitude
+ * @param {number} radiusKm - Circle radius on the ground
+ * @returns {Object} GeoJSON Polygon approximating the circle
+ */
+function circlePolygon(lat, lon, radiusKm) {
+  const ring = [];
+  for (let i = 0; i <= CIRCLE_SEGMENTS; i++) {
+    const point = destinationPoint(lat, lon, (i % CIRCLE_SEGMENTS) * (360 / CIRCLE_SEGMENTS), radiusKm);
+    ring.push([point.lon, point.lat]);
+  }
+  return { type: 'Polygon', coordinates: [ring] };
+}
+
+/**
+ * What a chat reply may ask the globe to do. Each handler checks its
+ * fields, acts through the public window.earth* APIs and returns (or
+ * resolves to) a short description of what happened.
+ *   flyTo           { lat, lon, altitude?, label? }
+ *   home            {}
+ *   highlight       { lat, lon, radiusKm?, label? } or { geometry, label? } (GeoJSON geometry)
+ *   clearHighlight  {}
+ *   set             { setting, value } (a settings panel key)
+ *   preset          { name }
+ */
+export const GLOBE_ACTIONS = {
+  flyTo(action) {
+    const lat = requireNumber(action, 'lat', -90, 90);
+    const lon = requireNumber(action, 'lon', -180, 180);
+    const altitude = action.altitude === undefined ? undefined : requireNumber(action, 'altitude', 0);
+    facade('earthCamera').flyTo({ lat, lon, altitude });
+    return `Flying to ${action.label || `${lat}, ${lon}`}`;
+  },
+
+  home() {
+    facade('earthCamera').home();
+    return 'Flying home';
+  },
+
+  async highlight(action) {
+    let geometry = action.geometry;
+    if (!geometry) {
+      const lat = requireNumber(action, 'lat', -90, 90);
+      const lon = requireNumber(action, 'lon', -180, 180);
+      const radiusKm = action.radiusKm === undefined
+        ? AppConfig.chat.highlightRadiusKm
+        : requireNumber(action, 'radiusKm', 1, 5000);
+      geometry = circlePolygon(lat, lon, radiusKm);
+    } else if (!['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+      throw new Error(`highlight geometry must be a Polygon or MultiPolygon, got ${geometry.type}`);
+    }
+
+    const layers = facade('earthLayers');
+    layers.remove(HIGHLIGHT_LAYER);
+    await layers.loadGeoJSON(HIGHLIGHT_LAYER, {
+      type: 'Feature',
+      properties: { name: action.label || '' },
+      geometry
+    }, { style: AppConfig.chat.highlightStyle });
+    return `Highlighted ${action.label || 'region'}`;
+  },
+
+  clearHighlight() {
+    return facade('earthLayers').remove(HIGHLIGHT_LAYER) ? 'Highlight cleared' : 'Nothing highlighted';
+  },
+
+  set(action) {
+    if (typeof action.setting !== 'string') {
+      throw new Error('set needs a setting name');
+    }
+    const value = requireNumber(action, 'value');
+    const applied = facade('earthSettings').set(action.setting, value);
+    return `${action.setting} = ${applied}`;
+  },
+
+  preset(action) {
+    if (typeof action.name !== 'string') {
+      throw new Error('preset needs a name');
+    }
+    facade('earthPresets').load(action.name);
+    return `Preset ${action.name} loaded`;
+  }
+};
+
+/**
+ * Run one globe action
+ * @param {Object} action - { type, ...fields }
+ * @returns {Promise<string>} What happened
+ */
+export async function executeGlobeAction(action) {
+  if (!action || typeof action !== 'object') {
+    throw new Error('Globe action must be an object');
+  }
+  const handler = Object.prototype.hasOwnProperty.call(GLOBE_ACTIONS, action.type) ? GLOBE_ACTIONS[action.type] : null;
+  if (!handler) {
+    throw new Error(`Unknown globe action: ${action.type}`);
+  }
+  return handler(action);
+}
@@ -0,0 +1,139 @@
+/* ========================================
+   NEURAAL INTERFACE - MOCK CHAT PROVIDER
+   ======================================== */
+
+import { AppConfig } from '../config/AppConfig.js';
+import { ChatProvider, wait } from './ChatProvider.js';
+
+/**
+ * Places the mock understands by name, with a highlight radius that
+ * roughly covers them
+ */
+const PLACES = {
+  paris: { lat: 48.8566, lon: 2.3522, radiusKm: 60 },
+  london: { lat: 51.5074, lon: -0.1278, radiusKm: 60 },
+  'new york': { lat: 40.7128, lon: -74.006, radiusKm: 80 },
+  tokyo: { lat: 35.6762, lon: 139.6503, radiusKm: 80 },
+  sydney: { lat: -33.8688, lon: 151.2093, radiusKm: 80 },
+  cairo: { lat: 30.0444, lon: 31.2357, radiusKm: 60 },
+  'rio de janeiro': { lat: -22.9068, lon: -43.1729, radiusKm: 60 },
+  moscow: { lat: 55.7558, lon: 37.6173, radiusKm: 80 },
+  nairobi: { lat: -1.2921, lon: 36.8219, radiusKm: 60 },
+  'mount everest': { lat: 27.9881, lon: 86.925, radiusKm: 50 },
+  sahara: { lat: 23.4162, lon: 25.6628, radiusKm: 1500 },
+  amazon: { lat: -3.4653, lon: -62.2159, radiusKm: 1200 },
+  himalayas: { lat: 28.5983, lon: 83.9311, radiusKm: 800 },
+  antarctica: { lat: -82.8628, lon: 135, radiusKm: 2000 },
+  greenland: { lat: 71.7069, lon: -42.6043, radiusKm: 1000 }
+};
+
+const PRESET_NAMES = ['dramatic', 'realistic', 'minimal', 'performance'];
+
+const HELP_TEXT = 'I run locally and understand a few requests: "fly to Tokyo", "highlight the Sahara", '
+  + '"go to 48.85, 2.35", "clear the highlight", "go home", "brighter" or "darker", and '
+  + '"use the realistic preset". Known places: ' + Object.keys(PLACES).join(', ') + '.';
+
+/**
+ * @param {string} text - Lower-cased user message
+ * @returns {Object|null} { name, lat, lon, radiusKm } of the first known place mentioned
+ */
+function findPlace(text) {
+  const name = Object.keys(PLACES).find(place => text.includes(place));
+  return name ? { name: name.replace(/\b\w/g, letter => letter.toUpperCase()), ...PLACES[name] } : null;
+}
+
+/**
+ * @param {string} key - Settings panel key
+ * @param {number} fallback - Value when the settings API is unavailable
+ * @returns {number} Current value
+ */
+function currentSetting(key, fallback) {
+  const value = window.earthSettings ? window.earthSettings.get(key) : undefined;
+  return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Rule-based stand-in for a language model. It needs no server, answers
+ * by pattern matching on the last user message and streams its reply word
+ * by word so the panel behaves as it would with a real backend.
+ */
+export class MockProvider extends ChatProvider {
+  /**
+   * @param {Object} options - { delay }: ms between streamed words
+   */
+  constructor(options = {}) {
+    super('mock', { delay: AppConfig.chat.mockDelay, ...options });
+  }
+
+  describe() {
+    return 'mock: local rule-based replies, no server needed';
+  }
+
+  /**
+   * @param {string} message - User message
+   * @returns {Object} { text, actions }
+   */
+  reply(message) {
+    const text = message.toLowerCase();
+    const place = findPlace(text);
+    const coordinates = text.match(/(-?\d+(?:\.\d+)?)\s*[, ]\s*(-?\d+(?:\.\d+)?)/);
+    const preset = PRESET_NAMES.find(name => text.includes(name));
+
+    if (/\b(help|what can you do)\b/.test(text)) {
+      return { text: HELP_TEXT, actions: [] };
+    }
+    if (/\bclear\b.*\bhighlight/.test(text)) {
+      return { text: 'Highlight cleared.', actions: [{ type: 'clearHighlight' }] };
+    }
+    if (/\b(highlight|mark|outline)\b/.test(text)) {
+      if (!place) return { text: `I don't know that place yet. ${HELP_TEXT}`, actions: [] };
+      return {
+        text: `Highlighting ${place.name} and flying there.`,
+        actions: [
+          { type: 'highlight', lat: place.lat, lon: place.lon, radiusKm: place.radiusKm, label: place.name },
+          { type: 'flyTo', lat: place.lat, lon: place.lon, label: place.name }
+        ]
+      };
+    }
+    if (/\b(home|reset view|zoom out)\b/.test(text)) {
+      return { text: 'Heading back to the cosmic view.', actions: [{ type: 'home' }] };
+    }
+    if (place) {
+      return {
+        text: `Flying to ${place.name} (${place.lat.toFixed(2)}, ${place.lon.toFixed(2)}).`,
+        actions: [{ type: 'flyTo', lat: place.lat, lon: place.lon, label: place.name }]
+      };
+    }
+    if (coordinates) {
+      const lat = Number(coordinates[1]);
+      const lon = Number(coordinates[2]);
+      if (Math.abs(lat) <= 90 && Math.abs(lon) <= 180) {
+        return { text: `Flying to ${lat}, ${lon}.`, actions: [{ type: 'flyTo', lat, lon }] };
+      }
+    }
+    if (/\b(brighter|darker)\b/.test(text)) {
+      const step = text.includes('brighter') ? 0.2 : -0.2;
+      const value = Number((currentSetting('brightness', 1.5) + step).toFixed(2));
+      return { text: `Setting brightness to ${value}.`, actions: [{ type: 'set', setting: 'brightness', value }] };
+    }
+    if (preset) {
+      return { text: `Switching to the ${preset} preset.`, actions: [{ type: 'preset', name: preset }] };
+    }
+
+    return { text: `I'm the offline mock, so I only know a few tricks. ${HELP_TEXT}`, actions: [] };
+  }
+
+  async *stream(messages, { signal } = {}) {
+    const last = [...messages].reverse().find(message => message.role === 'user');
+    const { text, actions } = this.reply(last ? last.content : '');
+
+    const words = text.split(/(?<=\s)/);
+    for (const word of words) {
+      await wait(this.options.delay, signal);
+      yield { type: 'text', text: word };
+    }
+    for (const action of actions) {
+      yield { type: 'action', action };
+    }
+  }
+}
@@ -0,0 +1,114 @@
+/* ========================================
+   NEURAAL INTERFACE - SSE CHAT PROVIDER
+   ======================================== */
+
+import { AppConfig } from '../config/AppConfig.js';
+import { ChatProvider } from './ChatProvider.js';
+
+/**
+ * @param {string} block - One server-sent event (lines up to a blank line)
+ * @returns {Object} { event, data }
+ */
+function parseEventBlock(block) {
+  let event = 'message';
+  const data = [];
+  block.split(/\r?\n/).forEach((line) => {
+    if (!line || line.startsWith(':')) return; // Comments keep the connection alive
+    const separator = line.indexOf(':');
+    const field = separator < 0 ? line : line.slice(0, separator);
+    const value = separator < 0 ? '' : line.slice(separator + 1).replace(/^ /, '');
+    if (field === 'event') event = value;
+    else if (field === 'data') data.push(value);
+  });
+  return { event, data: data.join('\n') };
+}
+
+/**
+ * Streams replies from any HTTP server speaking server-sent events.
+ * The provider POSTs { messages: [{ role, content }] } as JSON and reads
+ * the response as an event stream. Each event's data is either JSON,
+ *   { "type": "text", "text": "..." } or { "type": "action", "action": { ... } },
+ * or plain text, which is treated as a text chunk. An `event: action` line
+ * marks the data as a bare action object, and `[DONE]` or an `event: done`
+ * ends the reply.
+ */
+export class SSEProvider extends ChatProvider {
+  /**
+   * @param {Object} options - { url, headers, name }
+   */
+  constructor({ url = AppConfig.chat.sse.url, headers = {}, name = 'sse' } = {}) {
+    super(name, { url, headers });
+  }
+
+  describe() {
+    return `${this.name}: server-sent events from ${this.options.url}`;
+  }
+
+  async *stream(messages, { signal } = {}) {
+    const response = await fetch(this.options.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'text/event-stream',
+        ...this.options.headers
+      },
+      body: JSON.stringify({ messages: messages.map(({ role, content }) => ({ role, content })) }),
+      signal
+    });
+    if (!response.ok || !response.body) {
+      throw new Error(`Chat server request failed: ${response.status} ${this.options.url}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+        const blocks = buffer.split(/\r?\n\r?\n/);
+        buffer = done ? '' : blocks.pop();
+        for (const block of blocks) {
+          const { event, data } = parseEventBlock(block);
+          if (event === 'done' || data === '[DONE]') return;
+          const parsed = this.toEvent(event, data);
+          if (parsed) yield parsed;
+        }
+        if (done) return;
+      }
+    } finally {
+      reader.cancel().catch(() => {});
+    }
+  }
+
+  /**
+   * @param {string} event - SSE event name
+   * @param {string} data - Event data
+   * @returns {Object|null} Provider event, or null if there is nothing to show
+   */
+  toEvent(event, data) {
+    if (!data) return null;
+
+    let payload;
+    try {
+      payload = JSON.parse(data);
+    } catch (error) {
+      return event === 'action' ? null : { type: 'text', text: data };
+    }
+
+    // Numbers, booleans, null and JSON strings are plain text that happened to parse
+    if (!payload || typeof payload !== 'object') {
+      if (event === 'action') return null;
+      return { type: 'text', text: typeof payload === 'string' ? payload : data };
+    }
+
+    if (event === 'action') return { type: 'action', action: payload };
+    if (payload.type === 'text' && typeof payload.text === 'string') return payload;
+    if (payload.type === 'action' && payload.action) return { type: 'action', action: payload.action };
+    if (payload.type === 'error') {
+      throw new Error(`Chat server error: ${payload.message || 'unknown'}`);
+    }
+    return null;
+  }
+}
@@ -31,6 +31,170 @@ export const AppConfig = {
       radius: 0.9,
       intensity: 0.3,
       strength: 0.0
+    },
+    elevationScale: 0.8, // Matches the base displacement in calculateEnhancedTerrain
+    terrainTypes: ['ocean', 'mountain', 'forest', 'plains', 'desert', 'tundra', 'canyon'] // classifyEnhancedTerrain order
+  },
+  
+  // Camera flights (flyTo)
+  camera: {
+    easing: 'easeInOutCubic',
+    minDuration: 1200, // ms for a short hop
+    maxDuration: 4000, // ms for a flight to the antipode
+    arcHeight: 0.6, // Extra altitude at mid-flight for a half-globe trip, in globe radii
+    minAltitude: 0.3 // Closest approach to the undisplaced surface, in scene units
+  },
+  
+  // Shareable view links in the URL hash
+  permalink: {
+    debounce: 800 // ms of quiet before the hash (and history) is updated
+  },
+  
+  // Visual presets and session restore (localStorage)
+  presets: {
+    storageKey: 'neuraal.presets',
+    sessionKey: 'neuraal.session',
+    autoRestoreKey: 'neuraal.presets.autoRestore',
+    restoreSession: true, // Reapply the last visit's settings on load
+    sessionDebounce: 1000 // ms of quiet before the session is saved
+  },
+  
+  // Settings panel
+  controlPanel: {
+    collapsed: true, // Start folded away
+    syncInterval: 200 // ms between readout refreshes while open
+  },
+  
+  // Command console in the chat panel
+  console: {
+    historyKey: 'neuraal.console.history',
+    historySize: 100, // Commands kept for Up/Down
+    scrollback: 200 // Result lines kept on screen
+  },
+  
+  // Chat panel (transcripts are kept in sessionStorage)
+  chat: {
+    provider: 'mock', // Active provider on load
+    storageKey: 'neuraal.chat.transcript',
+    maxMessages: 200, // Oldest messages are dropped beyond this
+    historyLimit: 20, // Messages sent to the provider with each request
+    autoRunActions: true, // Carry out globe actions as replies arrive
+    mockDelay: 35, // ms between words streamed by the mock provider
+    highlightRadiusKm: 300, // Highlight size when an action gives no radius
+    highlightStyle: { stroke: '#00ff41', strokeWidth: 2, fill: '#00ff41', fillOpacity: 0.2 },
+    sse: {
+      url: 'http://localhost:8787/chat' // Any local server that streams server-sent events
+    }
+  },
+  
+  // Metrics panel widgets (layout changes are kept in localStorage)
+  dashboard: {
+    storageKey: 'neuraal.dashboard',
+    interval: 250, // ms between metric samples
+    historySize: 60, // Samples a sparkline keeps
+    layout: [
+      { id: 'progress', type: 'progress', metric: 'assets.progress', label: 'TERMINAL PROCESS PROGRESSION' },
+      { id: 'lat', type: 'readout', metric: 'hover.lat', label: 'Lat' },
+      { id: 'lon', type: 'readout', metric: 'hover.lon', label: 'Long' },
+      { id: 'region', type: 'readout', metric: 'hover.region', label: 'Region' },
+      { id: 'fps', type: 'sparkline', metric: 'fps' },
+      { id: 'lod', type: 'gauge', metric: 'lod.vertices' },
+      { id: 'renderer', type: 'table', metrics: ['render.calls', 'render.triangles', 'layers.entities', 'cache.hitRate'], label: 'Renderer' }
+    ]
+  },
+  
+  // Keyboard shortcuts (rebinds are kept in localStorage)
+  shortcuts: {
+    storageKey: 'neuraal.shortcuts',
+    sequenceTimeout: 1000 // ms allowed between the keys of a sequence such as "g h"
+  },
+  
+  // GPU picking against the displaced point cloud
+  picking: {
+    windowSize: 15, // Pixels read back around the cursor
+    fallbackThreshold: 0.5 // Raycast threshold in point spacings when float targets are unavailable
+  },
+  
+  // Overlay layer settings
+  layers: {
+    altitude: 0.02, // Lift above the displaced terrain
+    maxSegmentDegrees: 2, // Great-circle tessellation step
+    occluderScale: 0.995 // Depth-only sphere that hides the far side
+  },
+  
+  // Live data streams drawn as markers
+  streams: {
+    bufferSize: 1000, // Messages a source holds before dropping the oldest
+    maxPerFrame: 200, // Messages applied to the globe per frame
+    ttl: 15000, // ms without an update before an entity leaves the globe
+    moveDuration: 800, // ms an entity takes to glide to a new position (0 jumps)
+    replayTick: 50, // ms between replay clock checks
+    reconnect: {
+      baseDelay: 1000,
+      maxDelay: 30000,
+      factor: 2,
+      jitter: 0.3, // Up to this fraction is added at random so clients spread out
+      maxAttempts: Infinity
+    },
+    marker: {
+      size: 7,
+      domain: [0, 1], // Value range mapped onto the palette
+      palette: 'heat'
+    },
+    autoStart: [], // Stream definitions connected when the interface starts
+    demo: {
+      id: 'demo-flights',
+      type: 'replay',
+      url: '/streams/demo-flights.ndjson',
+      speed: 600, // Ten recorded minutes per second
+      loop: true,
+      schema: { id: 'flight', lat: 'position.lat', lon: 'position.lon', value: 'speed', timestamp: 'time' },
+      marker: { domain: [380, 520] }
+    }
+  },
+  
+  // Atmospheric scattering shell
+  atmosphere: {
+    enabled: true,
+    quality: 'medium',
+    thickness: 0.35, // World units above the globe radius
+    dayColor: '#4d9fff',
+    sunsetColor: '#ff7a3d',
+    intensity: 1.4,
+    falloff: 2.5, // Higher values hug the limb more tightly
+    qualities: {
+      low: { segments: 32, discHaze: 0.0, mie: 0.0 },
+      medium: { segments: 64, discHaze: 1.0, mie: 0.0 },
+      high: { segments: 128, discHaze: 1.0, mie: 0.6 }
+    }
+  },
+  
+  // Animated cloud shell
+  clouds: {
+    enabled: false,
+    quality: 'medium',
+    texture: '/clouds.png', // Equirectangular cloud map (white = cloud); the shell stays hidden until it loads
+    altitude: 0.12,
+    opacity: 0.85,
+    driftSpeed: 0.004, // Texture revolutions per second relative to the surface
+    qualities: {
+      low: { segments: 48, anisotropy: 1 },
+      medium: { segments: 96, anisotropy: 4 },
+      high: { segments: 160, anisotropy: 8 }
+    }
+  },
+  
+  // False-colour elevation mode
+  falseColor: {
+    enabled: false,
+    palette: 'rainbow',
+    shading: 0.5, // How much terrain lighting shows through the ramp
+    rainbowImage: '/04_rainbow1k.jpg', // Blue-to-red bands from the centre to the left edge
+    palettes: {
+      rainbow: { label: 'Rainbow', domain: 'range' },
+      viridis: { label: 'Viridis', domain: 'range' },
+      terrain: { label: 'Hypsometric', domain: 'range' },
+      diverging: { label: 'Bathymetry', domain: 'symmetric' } // Centred on sea level
     }
   },
   
@@ -49,6 +213,15 @@ export const AppConfig = {
     timeIncrement: 0.015
   },
   
+  // Error reports and safe mode
+  errors: {
+    maxErrors: 5, // Errors tolerated before safe mode
+    maxReports: 50, // Oldest reports are dropped beyond this
+    maxActions: 20, // Recent user actions attached to each report
+    refreshThreshold: 10, // Errors before a page refresh is suggested
+    noticeDuration: 8000 // ms a notification stays on screen
+  },
+  
   // Development settings
   debug: {
     enabled: false,
@@ -58,11 +231,21 @@ export const AppConfig = {
   
   // Asset paths
   assets: {
+    loading: {
+      retries: 2, // Extra attempts per URL after a temporary failure
+      backoff: { baseDelay: 500, maxDelay: 4000, factor: 2, jitter: 0.2 },
+      noticeDuration: 4000, // ms the loading screen lists stand-ins before fading out
+      fallbacks: { // Asset key -> URLs (or data: URIs) tried after the primary one
+        colorMap: ['/fallbacks/earthmap-lowres.png'], // 128×64 copies of the 1k maps
+        elevationMap: ['/fallbacks/earthbump-lowres.png']
+      }
+    },
     textures: {
       star: '/circle.png',
       colorMap: '/earthmap1k.jpg',
       elevationMap: '/earthbump1k.jpg',
-      alphaMap: '/earthspec1k.jpg'
+      alphaMap: '/earthspec1k.jpg',
+      nightMap: '/03_earthlights1k.jpg'
     }
   }
 };
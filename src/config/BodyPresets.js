@@ -0,0 +1,80 @@
+/* ========================================
+   NEURAAL INTERFACE - BODY PRESETS
+   ======================================== */
+
+import { AppConfig } from './AppConfig.js';
+
+/**
+ * Terrain settings the Earth shader was tuned for; other bodies start from
+ * these and override what differs.
+ */
+const EARTH_TERRAIN = {
+  diversity: 1.0,
+  snowLine: 0.7,
+  oceanDepth: 1.0,
+  forestDensity: 1.0,
+  desertDunes: 1.0,
+  mountainSharpness: 1.0,
+  waterEffect: 0.3
+};
+
+/**
+ * Built-in bodies. `radius` is the display radius in scene units; textures
+ * are URLs, or null for roles a body has no map for (they get a solid
+ * fill). Mars and the Moon ship procedural 512×256 stand-ins under
+ * static/bodies/, so they work out of the box; real imagery can replace
+ * them when switching (file picker, drag-and-drop or API).
+ * `elevation` says what the elevation map's 0-1 range encodes.
+ */
+export const BODY_PRESETS = [
+  {
+    id: 'earth',
+    name: 'Earth',
+    radius: AppConfig.globe.radius,
+    textures: {
+      colorMap: AppConfig.assets.textures.colorMap,
+      elevationMap: AppConfig.assets.textures.elevationMap,
+      alphaMap: AppConfig.assets.textures.alphaMap,
+      nightMap: AppConfig.assets.textures.nightMap
+    },
+    terrain: EARTH_TERRAIN,
+    cityLights: 1.2,
+    atmosphere: { enabled: true, dayColor: AppConfig.atmosphere.dayColor },
+    elevation: { min: 0, max: 8848, units: 'm' } // Bump map is land only; the sea floor reads as 0
+  },
+  {
+    id: 'earth-spectral',
+    name: 'Earth (spectral)',
+    radius: AppConfig.globe.radius,
+    textures: {
+      colorMap: '/04_rainbow1k.jpg',
+      elevationMap: AppConfig.assets.textures.elevationMap,
+      alphaMap: AppConfig.assets.textures.alphaMap,
+      nightMap: AppConfig.assets.textures.nightMap
+    },
+    terrain: { ...EARTH_TERRAIN, waterEffect: 0.0 },
+    cityLights: 1.2,
+    atmosphere: { enabled: true, dayColor: AppConfig.atmosphere.dayColor },
+    elevation: { min: 0, max: 8848, units: 'm' }
+  },
+  {
+    id: 'mars',
+    name: 'Mars',
+    radius: 2.4,
+    textures: { colorMap: '/bodies/mars-color.png', elevationMap: '/bodies/mars-elevation.png', alphaMap: null, nightMap: null },
+    terrain: { ...EARTH_TERRAIN, snowLine: 0.95, oceanDepth: 0.0, forestDensity: 0.0, desertDunes: 1.0, waterEffect: 0.0 },
+    cityLights: 0.0,
+    atmosphere: { enabled: true, dayColor: '#d9a066' },
+    elevation: { min: -8200, max: 21229, units: 'm' } // MOLA range
+  },
+  {
+    id: 'moon',
+    name: 'Moon',
+    radius: 2.1,
+    textures: { colorMap: '/bodies/moon-color.png', elevationMap: '/bodies/moon-elevation.png', alphaMap: null, nightMap: null },
+    terrain: { ...EARTH_TERRAIN, diversity: 0.2, snowLine: 1.0, oceanDepth: 0.0, forestDensity: 0.0, desertDunes: 0.0, waterEffect: 0.0 },
+    cityLights: 0.0,
+    atmosphere: { enabled: false, dayColor: AppConfig.atmosphere.dayColor },
+    elevation: { min: -9130, max: 10786, units: 'm' } // LOLA range
+  }
+];
@@ -0,0 +1,43 @@
+/* ========================================
+   NEURAAL INTERFACE - CONTROL SCHEMA
+   ======================================== */
+
+/**
+ * Parameters shown in the settings panel, in display order.
+ * `uniform` binds a parameter to the earth material; parameters without
+ * one are app settings the host page reads and writes by `key`.
+ * Defaults match createEarthMesh.
+ */
+export const CONTROL_SCHEMA = [
+  // Terrain shape
+  { key: 'terrainDiversity', uniform: 'uTerrainDiversity', label: 'Diversity', group: 'Terrain', min: 0, max: 2, step: 0.05, default: 1.0 },
+  { key: 'terrainAnimation', uniform: 'uTerrainAnimation', label: 'Animation', group: 'Terrain', min: 0, max: 1, step: 0.05, default: 1.0 },
+  { key: 'terrainDensity', uniform: 'uTerrainDensity', label: 'Density', group: 'Terrain', min: 0.25, max: 3, step: 0.05, default: 1.0 },
+  { key: 'detailLevel', uniform: 'uDetailLevel', label: 'Detail', group: 'Terrain', min: 0, max: 1, step: 0.05, default: 1.0 },
+  { key: 'simplifyTerrain', uniform: 'uSimplifyTerrain', label: 'Simplify', group: 'Terrain', min: 0, max: 1, step: 0.05, default: 0.0 },
+  { key: 'mountainSharpness', uniform: 'uMountainSharpness', label: 'Mountains', group: 'Terrain', min: 0, max: 2, step: 0.05, default: 1.0 },
+
+  // Surface cover
+  { key: 'snowLine', uniform: 'uSnowLine', label: 'Snow line', group: 'Surface', min: 0, max: 1, step: 0.01, default: 0.7 },
+  { key: 'oceanDepth', uniform: 'uOceanDepth', label: 'Ocean depth', group: 'Surface', min: 0, max: 2, step: 0.05, default: 1.0 },
+  { key: 'forestDensity', uniform: 'uForestDensity', label: 'Forests', group: 'Surface', min: 0, max: 2, step: 0.05, default: 1.0 },
+  { key: 'desertDunes', uniform: 'uDesertDunes', label: 'Dunes', group: 'Surface', min: 0, max: 2, step: 0.05, default: 1.0 },
+  { key: 'waterEffect', uniform: 'uWaterEffect', label: 'Water shimmer', group: 'Surface', min: 0, max: 1, step: 0.05, default: 0.3 },
+
+  // Lighting
+  { key: 'ambientLight', uniform: 'uAmbientLight', label: 'Ambient', group: 'Lighting', min: 0, max: 1.5, step: 0.05, default: 0.7 },
+  { key: 'directionalLight', uniform: 'uDirectionalLight', label: 'Sunlight', group: 'Lighting', min: 0, max: 2, step: 0.05, default: 1.0 },
+  { key: 'nightBlend', uniform: 'uNightBlend', label: 'Night side', group: 'Lighting', min: 0, max: 1, step: 0.05, default: 1.0 },
+  { key: 'terminatorWidth', uniform: 'uTerminatorWidth', label: 'Twilight', group: 'Lighting', min: 0.01, max: 0.5, step: 0.01, default: 0.1 },
+  { key: 'cityLights', uniform: 'uCityLights', label: 'City lights', group: 'Lighting', min: 0, max: 3, step: 0.1, default: 1.2 },
+
+  // Colour grading
+  { key: 'brightness', uniform: 'uBrightness', label: 'Brightness', group: 'Colour', min: 0.5, max: 3, step: 0.05, default: 1.5 },
+  { key: 'contrast', uniform: 'uContrast', label: 'Contrast', group: 'Colour', min: 0.5, max: 2.5, step: 0.05, default: 1.4 },
+  { key: 'saturation', uniform: 'uSaturation', label: 'Saturation', group: 'Colour', min: 0, max: 2.5, step: 0.05, default: 1.3 },
+
+  // Points and hover interaction
+  { key: 'pointSize', uniform: 'uSize', label: 'Point size', group: 'Interaction', min: 0.2, max: 4, step: 0.1, default: 1.2 },
+  { key: 'bulgeRadius', label: 'Bulge radius', group: 'Interaction', min: 0.1, max: 2, step: 0.05, default: 0.9 },
+  { key: 'bulgeIntensity', label: 'Bulge intensity', group: 'Interaction', min: 0, max: 1, step: 0.05, default: 0.3 }
+];
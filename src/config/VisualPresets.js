@@ -0,0 +1,121 @@
+/* ========================================
+   NEURAAL INTERFACE - VISUAL PRESETS
+   ======================================== */
+
+/**
+ * Every user-tunable uniform of the earth material, keyed by the short
+ * name used in permalinks. Uniforms driven every frame or by other systems
+ * (time, mouse, bulge, LOD level, regions, false colour, probes, sun) are
+ * not settings and are left out.
+ */
+export const TUNABLE_UNIFORMS = {
+  sz: 'uSize',
+  we: 'uWaterEffect',
+  td: 'uTerrainDiversity',
+  ta: 'uTerrainAnimation',
+  sl: 'uSnowLine',
+  od: 'uOceanDepth',
+  fd: 'uForestDensity',
+  dd: 'uDesertDunes',
+  ms: 'uMountainSharpness',
+  dl: 'uDetailLevel',
+  tn: 'uTerrainDensity',
+  al: 'uAmbientLight',
+  dir: 'uDirectionalLight',
+  ct: 'uContrast',
+  br: 'uBrightness',
+  sat: 'uSaturation',
+  nb: 'uNightBlend',
+  tw: 'uTerminatorWidth',
+  cl: 'uCityLights',
+  st: 'uSimplifyTerrain'
+};
+
+/**
+ * Built-in looks. A preset only sets the uniforms it lists, so the
+ * built-ins leave each body's own terrain settings (snow line, oceans,
+ * forests...) alone. `lod` is 'auto' or a fixed vertex count and
+ * `animation.rotation` is the globe's auto rotation.
+ */
+export const BUILT_IN_PRESETS = [
+  {
+    name: 'dramatic',
+    uniforms: {
+      uTerrainDiversity: 1.0,
+      uTerrainAnimation: 1.0,
+      uDetailLevel: 1.0,
+      uTerrainDensity: 1.0,
+      uSimplifyTerrain: 0.0,
+      uSize: 1.2,
+      uBrightness: 1.5,
+      uContrast: 1.4,
+      uSaturation: 1.3,
+      uAmbientLight: 0.7,
+      uDirectionalLight: 1.0,
+      uNightBlend: 1.0,
+      uTerminatorWidth: 0.1
+    },
+    lod: 'auto',
+    animation: { rotation: true }
+  },
+  {
+    name: 'realistic',
+    uniforms: {
+      uTerrainDiversity: 0.3,
+      uTerrainAnimation: 0.0,
+      uDetailLevel: 1.0,
+      uTerrainDensity: 1.0,
+      uSimplifyTerrain: 0.0,
+      uSize: 1.2,
+      uBrightness: 1.0,
+      uContrast: 1.0,
+      uSaturation: 1.0,
+      uAmbientLight: 0.35,
+      uDirectionalLight: 1.0,
+      uNightBlend: 1.0,
+      uTerminatorWidth: 0.06
+    },
+    lod: 'auto',
+    animation: { rotation: true }
+  },
+  {
+    name: 'minimal',
+    uniforms: {
+      uTerrainDiversity: 0.0,
+      uTerrainAnimation: 0.0,
+      uDetailLevel: 0.5,
+      uTerrainDensity: 0.75,
+      uSimplifyTerrain: 0.5,
+      uSize: 1.0,
+      uBrightness: 1.2,
+      uContrast: 1.1,
+      uSaturation: 0.6,
+      uAmbientLight: 0.8,
+      uDirectionalLight: 0.4,
+      uNightBlend: 0.0,
+      uTerminatorWidth: 0.1
+    },
+    lod: 'auto',
+    animation: { rotation: false }
+  },
+  {
+    name: 'performance',
+    uniforms: {
+      uTerrainDiversity: 0.5,
+      uTerrainAnimation: 0.0,
+      uDetailLevel: 0.5,
+      uTerrainDensity: 1.0,
+      uSimplifyTerrain: 1.0,
+      uSize: 1.4, // Bigger points make up for the sparser mesh
+      uBrightness: 1.4,
+      uContrast: 1.3,
+      uSaturation: 1.2,
+      uAmbientLight: 0.7,
+      uDirectionalLight: 1.0,
+      uNightBlend: 1.0,
+      uTerminatorWidth: 0.1
+    },
+    lod: 100,
+    animation: { rotation: true }
+  }
+];
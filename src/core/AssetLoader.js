@@ -0,0 +1,229 @@
+/* ========================================
+   NEURAAL INTERFACE - ASSET LOADER
+   ======================================== */
+
+import * as THREE from 'three';
+import { AppConfig } from '../config/AppConfig.js';
+import { backoffDelay } from '../utils/Helpers.js';
+
+/**
+ * Asset states, in the order a load moves through them. The last four
+ * are settled: loaded (from the primary URL), fallback (from a fallback
+ * URL), placeholder (generated) and failed (nothing to show).
+ */
+export const ASSET_STATES = ['loading', 'retrying', 'loaded', 'fallback', 'placeholder', 'failed'];
+const SETTLED_STATES = new Set(['loaded', 'fallback', 'placeholder', 'failed']);
+
+/**
+ * Missing files, refused requests and undecodable images will not fix
+ * themselves; network errors, timeouts and server errors might
+ * @param {Error} error - Load failure
+ * @returns {boolean} Whether retrying is pointless
+ */
+function isPermanent(error) {
+  if (error.permanent) return true;
+  const status = error.response ? error.response.status : NaN;
+  return Number.isFinite(status) && status < 500 && status !== 408 && status !== 429;
+}
+
+/**
+ * @param {Blob} blob - Downloaded file
+ * @param {string} url - Where it came from, for the error message
+ * @returns {Promise<HTMLImageElement>} Decoded image
+ */
+function decodeImage(blob, url) {
+  return new Promise((resolve, reject) => {
+    const objectURL = URL.createObjectURL(blob);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(objectURL);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(objectURL);
+      const error = new Error(`${url} is not a readable image`);
+      error.permanent = true;
+      reject(error);
+    };
+    image.src = objectURL;
+  });
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Loads textures through a THREE.LoadingManager with per-asset progress.
+ * Each asset is tried at its URL, retried with backoff while the failure
+ * looks temporary, then tried at each fallback URL (an embedded data: URI
+ * works too) and finally replaced by a generated placeholder, so one bad
+ * file never takes the others down with it. Subscribers hear about every
+ * byte-progress and state change.
+ */
+export class AssetLoader {
+  /**
+   * @param {Object} options - { retries, backoff }, over AppConfig.assets.loading
+   */
+  constructor(options = {}) {
+    this.options = {
+      ...AppConfig.assets.loading,
+      ...options,
+      backoff: { ...AppConfig.assets.loading.backoff, ...options.backoff }
+    };
+    this.manager = new THREE.LoadingManager();
+    this.fileLoader = new THREE.FileLoader(this.manager).setResponseType('blob');
+    this.assets = new Map();
+    this.requests = new Map(); // key -> { url, options }, kept for reload()
+    this.listeners = new Set();
+    this.items = { loaded: 0, total: 0 };
+
+    this.manager.onProgress = (url, loaded, total) => {
+      this.items = { loaded, total };
+      this.emit();
+    };
+  }
+
+  /**
+   * Load a texture, falling back step by step
+   * @param {string} key - Asset id (also how progress reports it)
+   * @param {string} url - Primary location
+   * @param {Object} options - { label, fallbacks: URLs to try next, validate: texture => void (throws when unusable),
+   *   placeholder: () => THREE.Texture }
+   * @returns {Promise<THREE.Texture>} The texture; rejects only when there is no placeholder
+   */
+  async loadTexture(key, url, options = {}) {
+    const { label = key, fallbacks = [], validate = null, placeholder = null } = options;
+    const asset = { key, label, url, source: url, state: 'loading', attempts: 0, fraction: 0, error: null };
+    this.assets.set(key, asset);
+    this.requests.set(key, { url, options });
+    this.emit();
+
+    const sources = [url, ...fallbacks].filter(Boolean);
+    for (let index = 0; index < sources.length; index++) {
+      asset.source = sources[index];
+      try {
+        const texture = await this.fetchTexture(asset, validate);
+        this.settle(asset, index === 0 ? 'loaded' : 'fallback');
+        return texture;
+      } catch (error) {
+        asset.error = error.message;
+        console.warn(`⚠️ Could not load ${label} from ${asset.source}:`, error.message);
+      }
+    }
+
+    if (!placeholder) {
+      this.settle(asset, 'failed');
+      throw new Error(`Could not load ${label}: ${asset.error || 'no source'}`);
+    }
+    asset.source = 'generated';
+    this.settle(asset, 'placeholder');
+    return placeholder();
+  }
+
+  /**
+   * Try the asset's current source until it works, fails for good or runs out of retries
+   * @param {Object} asset - Progress record
+   * @param {Function|null} validate - Texture check
+   * @returns {Promise<THREE.Texture>} Texture
+   */
+  async fetchTexture(asset, validate) {
+    for (let retry = 0; ; retry++) {
+      asset.attempts++;
+      asset.fraction = 0;
+      try {
+        const blob = await this.fetchBlob(asset);
+        const texture = new THREE.Texture(await decodeImage(blob, asset.source));
+        texture.needsUpdate = true;
+        if (validate) {
+          try {
+            validate(texture);
+          } catch (error) {
+            texture.dispose();
+            error.permanent = true;
+            throw error;
+          }
+        }
+        return texture;
+      } catch (error) {
+        if (isPermanent(error) || retry >= this.options.retries) throw error;
+
+        const delay = backoffDelay(retry, this.options.backoff);
+        console.warn(`⚠️ ${asset.label} failed (${error.message}), retrying in ${delay}ms`);
+        asset.state = 'retrying';
+        asset.error = error.message;
+        this.emit();
+        await wait(delay);
+        asset.state = 'loading';
+        this.emit();
+      }
+    }
+  }
+
+  fetchBlob(asset) {
+    return new Promise((resolve, reject) => {
+      this.fileLoader.load(asset.source, resolve, (event) => {
+        if (!event.lengthComputable) return;
+        asset.fraction = event.loaded / event.total;
+        this.emit();
+      }, reject);
+    });
+  }
+
+  settle(asset, state) {
+    asset.state = state;
+    asset.fraction = 1;
+    if (state === 'loaded') asset.error = null;
+    this.emit();
+  }
+
+  /**
+   * Load an asset again with the options it was first requested with
+   * @param {string} key - Asset id
+   * @returns {Promise<THREE.Texture>} Texture
+   */
+  reload(key) {
+    const request = this.requests.get(key);
+    if (!request) {
+      throw new Error(`Unknown asset: ${key}`);
+    }
+    return this.loadTexture(key, request.url, request.options);
+  }
+
+  /**
+   * @returns {Object} { fraction, done, items: { loaded, total }, assets: [{ key, label, url, source, state, attempts, fraction, error }] }
+   */
+  getProgress() {
+    const assets = Array.from(this.assets.values(), asset => ({ ...asset }));
+    const fraction = assets.length > 0
+      ? assets.reduce((sum, asset) => sum + (SETTLED_STATES.has(asset.state) ? 1 : asset.fraction), 0) / assets.length
+      : 0;
+    return {
+      fraction,
+      done: assets.length > 0 && assets.every(asset => SETTLED_STATES.has(asset.state)),
+      items: { ...this.items },
+      assets
+    };
+  }
+
+  /**
+   * @param {Function} callback - Receives getProgress() after every change
+   * @returns {Function} Unsubscribe function
+   */
+  onProgress(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  emit() {
+    if (this.listeners.size === 0) return;
+    const progress = this.getProgress();
+    this.listeners.forEach((callback) => {
+      try {
+        callback(progress);
+      } catch (error) {
+        console.error('❌ Asset progress listener failed:', error);
+      }
+    });
+  }
+}
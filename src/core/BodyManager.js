@@ -0,0 +1,319 @@
+/* ========================================
+   NEURAAL INTERFACE - BODY MANAGER
+   ======================================== */
+
+import { AppConfig } from '../config/AppConfig.js';
+import { BODY_PRESETS } from '../config/BodyPresets.js';
+import { ImageSampler } from '../utils/ImageSampler.js';
+import { TEXTURE_ROLES, classifyTextureFile, loadTextureSet } from '../utils/TextureSets.js';
+
+// Body terrain settings and the globe uniforms they drive
+const TERRAIN_UNIFORMS = {
+  diversity: 'uTerrainDiversity',
+  snowLine: 'uSnowLine',
+  oceanDepth: 'uOceanDepth',
+  forestDensity: 'uForestDensity',
+  desertDunes: 'uDesertDunes',
+  mountainSharpness: 'uMountainSharpness',
+  waterEffect: 'uWaterEffect'
+};
+
+const TEXTURE_UNIFORMS = {
+  colorMap: 'uColorMap',
+  elevationMap: 'uElevationMap',
+  alphaMap: 'uAlphaMap',
+  nightMap: 'uNightMap'
+};
+
+/**
+ * Registry of planetary bodies and the texture set currently on the globe.
+ * A body's display radius is applied as a uniform scale on the globe group,
+ * so overlay layers, shells and picking keep working in Earth-sized local
+ * coordinates.
+ */
+export class BodyManager {
+  /**
+   * @param {THREE.Object3D} group - Rotating globe group
+   * @param {LayerManager} layerManager - Overlay layers (for the elevation sampler)
+   */
+  constructor(group, layerManager) {
+    this.group = group;
+    this.layerManager = layerManager;
+    this.bodies = new Map();
+    this.currentId = null;
+    this.textures = null;
+    this.uniforms = null;
+    this.atmosphere = null;
+    this.falseColor = null;
+    this.terrain = null;
+    this.maxTextureSize = undefined;
+    this.switching = null;
+
+    BODY_PRESETS.forEach(preset => this.register(preset));
+  }
+
+  /**
+   * Add or replace a body
+   * @param {Object} preset - { id, name, radius, textures, terrain, cityLights, atmosphere, elevation }
+   * @returns {Object} Normalised body definition
+   */
+  register(preset) {
+    if (!preset || typeof preset.id !== 'string' || preset.id === '') {
+      throw new Error('Body preset needs a string id');
+    }
+
+    const radius = preset.radius ?? AppConfig.globe.radius;
+    if (!Number.isFinite(radius) || radius <= 0) {
+      throw new Error(`Body "${preset.id}" has an invalid radius: ${preset.radius}`);
+    }
+
+    const base = this.bodies.get('earth') || BODY_PRESETS[0];
+    const body = {
+      id: preset.id,
+      name: preset.name || preset.id,
+      radius,
+      textures: { ...preset.textures },
+      terrain: { ...base.terrain, ...preset.terrain },
+      cityLights: preset.cityLights ?? 0.0,
+      atmosphere: { ...base.atmosphere, ...preset.atmosphere },
+      elevation: { ...base.elevation, ...preset.elevation }
+    };
+
+    this.bodies.set(body.id, body);
+    return body;
+  }
+
+  /**
+   * @param {string} id - Body id
+   * @returns {Object} Body definition
+   */
+  get(id) {
+    const body = this.bodies.get(id);
+    if (!body) {
+      throw new Error(`Unknown body: ${id}`);
+    }
+    return body;
+  }
+
+  /**
+   * @returns {Array<Object>} { id, name, radius, current, hasImagery } per body
+   */
+  list() {
+    return Array.from(this.bodies.values()).map(body => ({
+      id: body.id,
+      name: body.name,
+      radius: body.radius,
+      current: body.id === this.currentId,
+      hasImagery: Boolean(body.textures.colorMap)
+    }));
+  }
+
+  /**
+   * @returns {Object|null} Body currently on the globe
+   */
+  get current() {
+    return this.currentId ? this.bodies.get(this.currentId) : null;
+  }
+
+  /**
+   * Take over the globe material once it exists
+   * @param {Object} uniforms - Earth ShaderMaterial uniforms
+   * @param {Object} textures - Textures already bound to those uniforms (extra keys are ignored)
+   * @param {Object} options - { bodyId, atmosphere, falseColor, terrain, maxTextureSize }
+   */
+  attach(uniforms, textures, { bodyId = 'earth', atmosphere = null, falseColor = null, terrain = null, maxTextureSize } = {}) {
+    this.uniforms = uniforms;
+    this.textures = {};
+    Object.keys(TEXTURE_ROLES).forEach(role => {
+      this.textures[role] = textures[role];
+    });
+    this.atmosphere = atmosphere;
+    this.falseColor = falseColor;
+    this.terrain = terrain;
+    this.maxTextureSize = maxTextureSize;
+    this.currentId = bodyId;
+    this.applySettings(this.get(bodyId));
+  }
+
+  /**
+   * Switch the globe to another body
+   * @param {string} id - Body id
+   * @param {Object} textureOverrides - Per-role sources (URL, File or Texture) replacing the preset's
+   * @returns {Promise<Object>} The body now on the globe
+   */
+  async switchTo(id, textureOverrides = {}) {
+    if (!this.uniforms) {
+      throw new Error('Globe is not ready for body switching yet');
+    }
+
+    const body = this.get(id);
+    const sources = { ...body.textures, ...textureOverrides };
+    if (!sources.colorMap) {
+      throw new Error(`Body "${body.name}" ships without imagery; supply at least a colour map`);
+    }
+
+    // Latest request wins if switches overlap
+    const request = loadTextureSet(sources, { maxSize: this.maxTextureSize });
+    this.switching = request;
+    const textures = await request;
+    if (this.switching !== request) {
+      Object.values(textures).forEach(texture => texture.dispose());
+      return this.current;
+    }
+    this.switching = null;
+
+    const previous = this.textures;
+    this.applyTextures(textures);
+    this.currentId = body.id;
+    this.applySettings(body);
+
+    if (previous) {
+      Object.values(previous).forEach(texture => texture.dispose());
+    }
+
+    console.log(`🪐 Switched to ${body.name}`);
+    return body;
+  }
+
+  /**
+   * Bind a loaded texture set to the globe and the layer sampler
+   * @param {Object} textures - Textures keyed by role
+   */
+  applyTextures(textures) {
+    Object.entries(TEXTURE_UNIFORMS).forEach(([role, uniform]) => {
+      if (this.uniforms[uniform]) {
+        this.uniforms[uniform].value = textures[role];
+      }
+    });
+
+    this.textures = textures;
+    if (typeof window !== 'undefined' && window.textures) {
+      Object.assign(window.textures, textures);
+    }
+
+    const elevation = textures.elevationMap;
+    this.layerManager.setElevationSampler(elevation.userData.fill ? null : ImageSampler.fromTexture(elevation));
+    if (this.terrain) {
+      this.terrain.setTextures(textures);
+    }
+  }
+
+  /**
+   * Apply radius, terrain and lighting settings for a body
+   * @param {Object} body - Body definition
+   */
+  applySettings(body) {
+    this.group.scale.setScalar(body.radius / AppConfig.globe.radius);
+
+    Object.entries(TERRAIN_UNIFORMS).forEach(([key, uniform]) => {
+      if (this.uniforms[uniform] && body.terrain[key] !== undefined) {
+        this.uniforms[uniform].value = body.terrain[key];
+      }
+    });
+
+    if (this.uniforms.uCityLights) {
+      this.uniforms.uCityLights.value = body.cityLights;
+    }
+
+    if (this.atmosphere) {
+      this.atmosphere.setEnabled(body.atmosphere.enabled);
+      this.atmosphere.uniforms.uDayColor.value.set(body.atmosphere.dayColor);
+    }
+
+    if (this.falseColor) {
+      this.falseColor.setElevationRange(body.elevation);
+    }
+  }
+
+  /**
+   * Build a body from user-supplied images and switch to it.
+   * Files are sorted into roles by name (bump/elevation, spec/ocean/mask,
+   * night/lights); anything else becomes the colour map.
+   * @param {FileList|Array<File>} files - Equirectangular images
+   * @param {Object} options - { id, name, radius } for the new body
+   * @returns {Promise<Object>} The new body
+   */
+  async loadFiles(files, { id = 'custom', name = 'Custom body', radius } = {}) {
+    const sources = {};
+    Array.from(files).forEach(file => {
+      const role = classifyTextureFile(file.name);
+      if (sources[role]) {
+        throw new Error(`More than one ${TEXTURE_ROLES[role].label} supplied (${sources[role].name}, ${file.name})`);
+      }
+      sources[role] = file;
+    });
+
+    const template = this.current || this.get('earth');
+    this.register({
+      ...template,
+      id,
+      name,
+      radius: radius ?? template.radius,
+      textures: { colorMap: null, elevationMap: null, alphaMap: null, nightMap: null }
+    });
+
+    return this.switchTo(id, sources);
+  }
+
+  /**
+   * Accept image files dropped onto an element
+   * @param {HTMLElement} element - Drop target
+   * @param {Object} options - Passed to loadFiles
+   * @returns {Function} Unbind function
+   */
+  bindDropTarget(element, options = {}) {
+    const onDragOver = (event) => {
+      if (!event.dataTransfer || !Array.from(event.dataTransfer.types).includes('Files')) return;
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'copy';
+    };
+
+    const onDrop = (event) => {
+      if (!event.dataTransfer || event.dataTransfer.files.length === 0) return;
+      event.preventDefault();
+      this.loadFiles(event.dataTransfer.files, options)
+        .catch(error => console.error('❌ Texture drop rejected:', error.message));
+    };
+
+    element.addEventListener('dragover', onDragOver);
+    element.addEventListener('drop', onDrop);
+
+    return () => {
+      element.removeEventListener('dragover', onDragOver);
+      element.removeEventListener('drop', onDrop);
+    };
+  }
+
+  /**
+   * Open a file picker for equirectangular images
+   * @param {Object} options - Passed to loadFiles
+   * @returns {Promise<Object|null>} The new body, or null if nothing was picked
+   */
+  openFilePicker(options = {}) {
+    return new Promise((resolve, reject) => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = 'image/*';
+      input.multiple = true;
+      input.addEventListener('change', () => {
+        if (input.files.length === 0) {
+          resolve(null);
+          return;
+        }
+        this.loadFiles(input.files, options).then(resolve, reject);
+      });
+      input.click();
+    });
+  }
+
+  /**
+   * @returns {Object} { body, radius, bodies }
+   */
+  getState() {
+    return {
+      body: this.currentId,
+      radius: this.current ? this.current.radius : null,
+      bodies: this.list()
+    };
+  }
+}
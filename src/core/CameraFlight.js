@@ -0,0 +1,323 @@
+/* ========================================
+   NEURAAL INTERFACE - CAMERA FLIGHT
+   ======================================== */
+
+import * as THREE from 'three';
+import { AppConfig } from '../config/AppConfig.js';
+import { latLonToVector3, vector3ToLatLon, greatCircleDistance, interpolateGreatCircle, normalizeLongitude } from '../utils/Geodesy.js';
+import { clamp, degToRad, radToDeg, lerp, resolveEasing } from '../utils/Helpers.js';
+
+const TARGET_EPSILON = 1e-4;
+
+/**
+ * Flies the camera to a place on the globe.
+ * A camera pose is described in the globe's frame as the point looked at
+ * (lat/lon), the height above it, a heading (compass direction of the view)
+ * and a tilt away from straight down. Flights interpolate those along the
+ * great circle between start and end and lift the camera in mid-flight so
+ * long trips pull back to show the globe. The group's auto rotation is held
+ * while flying and stays held at the destination until the user grabs the
+ * controls, so the place stays in view.
+ */
+export class CameraFlight {
+  /**
+   * @param {THREE.PerspectiveCamera} camera - Active camera
+   * @param {OrbitControls} controls - Orbit controls driving the camera
+   * @param {THREE.Object3D} group - Rotating globe group (its local frame is the globe frame)
+   */
+  constructor(camera, controls, group) {
+    this.config = AppConfig.camera;
+    this.camera = camera;
+    this.controls = controls;
+    this.group = group;
+    this.flight = null;
+    this.rotationHeld = false;
+    this.autoRotate = true;
+
+    this.center = new THREE.Vector3();
+    this.surface = new THREE.Vector3();
+    this.up = new THREE.Vector3();
+    this.north = new THREE.Vector3();
+    this.east = new THREE.Vector3();
+    this.offset = new THREE.Vector3();
+
+    this.onControlsStart = () => {
+      this.cancel('interrupted');
+      this.rotationHeld = false;
+    };
+    controls.addEventListener('start', this.onControlsStart);
+  }
+
+  /**
+   * @returns {number} Radius of the undisplaced globe in world units
+   */
+  getSurfaceRadius() {
+    return AppConfig.globe.radius * this.group.scale.x;
+  }
+
+  /**
+   * Place the local east/north/up frame of a location in world space
+   */
+  updateFrame(lat, lon) {
+    this.group.updateMatrixWorld();
+    this.group.getWorldPosition(this.center);
+    this.group.localToWorld(latLonToVector3(lat, lon, AppConfig.globe.radius, this.surface));
+    this.up.subVectors(this.surface, this.center).normalize();
+
+    // d/dlat of latLonToVector3, defined at the poles too
+    const latRad = degToRad(lat);
+    const lonRad = degToRad(lon);
+    this.north.set(
+      -Math.sin(latRad) * Math.cos(lonRad),
+      Math.cos(latRad),
+      Math.sin(latRad) * Math.sin(lonRad)
+    ).transformDirection(this.group.matrixWorld);
+    this.east.crossVectors(this.north, this.up);
+  }
+
+  /**
+   * Describe where the camera currently is as a pose
+   * @returns {Object} { lat, lon, altitude, heading, tilt }
+   */
+  getPose() {
+    this.group.updateMatrixWorld();
+    this.group.getWorldPosition(this.center);
+    const target = this.controls.target;
+
+    if (target.distanceTo(this.center) < TARGET_EPSILON) {
+      const { lat, lon } = vector3ToLatLon(this.group.worldToLocal(this.camera.position.clone()));
+      return {
+        lat,
+        lon,
+        altitude: this.camera.position.distanceTo(this.center) - this.getSurfaceRadius(),
+        heading: 0,
+        tilt: 0
+      };
+    }
+
+    const { lat, lon } = vector3ToLatLon(this.group.worldToLocal(target.clone()));
+    this.updateFrame(lat, lon);
+    this.offset.subVectors(this.camera.position, target);
+    const altitude = this.offset.length();
+    const vertical = this.offset.dot(this.up);
+    const heading = radToDeg(Math.atan2(-this.offset.dot(this.east), -this.offset.dot(this.north)));
+
+    return {
+      lat,
+      lon,
+      altitude,
+      heading: (heading + 360) % 360,
+      tilt: radToDeg(Math.acos(clamp(vertical / altitude, -1, 1)))
+    };
+  }
+
+  /**
+   * Put the camera at a pose. Straight-down views orbit the globe centre;
+   * tilted views orbit the point looked at.
+   */
+  applyPose({ lat, lon, altitude, heading, tilt }) {
+    this.updateFrame(lat, lon);
+
+    const headingRad = degToRad(heading);
+    const tiltRad = degToRad(tilt);
+    this.offset.copy(this.north).multiplyScalar(Math.cos(headingRad))
+      .addScaledVector(this.east, Math.sin(headingRad))
+      .multiplyScalar(-Math.sin(tiltRad))
+      .addScaledVector(this.up, Math.cos(tiltRad));
+
+    this.camera.position.copy(this.surface).addScaledVector(this.offset, altitude);
+    this.controls.target.copy(tilt > 0 ? this.surface : this.center);
+    this.camera.lookAt(this.controls.target);
+  }
+
+  /**
+   * Animate the camera to a location
+   * @param {Object} options - { lat, lon, altitude, heading, tilt, duration, easing }
+   *   altitude is in scene units above the undisplaced surface (defaults to the current height),
+   *   heading in degrees clockwise from north, tilt in degrees from straight down (0-89),
+   *   duration in ms (defaults to a length scaled by distance), easing a key of EASINGS or a function
+   * @returns {Promise<Object>} Resolves with { status: 'arrived' } or { status: 'cancelled', reason };
+   *   rejects on invalid arguments
+   */
+  flyTo({ lat, lon, altitude, heading = 0, tilt = 0, duration, easing = this.config.easing } = {}) {
+    if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+      return Promise.reject(new Error(`flyTo latitude must be between -90 and 90, got ${lat}`));
+    }
+    if (!Number.isFinite(lon)) {
+      return Promise.reject(new Error(`flyTo longitude must be a number, got ${lon}`));
+    }
+    if (!Number.isFinite(tilt) || tilt < 0 || tilt >= 90) {
+      return Promise.reject(new Error(`flyTo tilt must be in [0, 90), got ${tilt}`));
+    }
+    if (altitude !== undefined && (!Number.isFinite(altitude) || altitude < 0)) {
+      return Promise.reject(new Error(`flyTo altitude must be a non-negative number, got ${altitude}`));
+    }
+    if (duration !== undefined && (!Number.isFinite(duration) || duration < 0)) {
+      return Promise.reject(new Error(`flyTo duration must be a non-negative number of ms, got ${duration}`));
+    }
+    let ease;
+    try {
+      ease = resolveEasing(easing);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    this.cancel('superseded');
+    this.flushDamping();
+
+    const from = this.getPose();
+    const to = {
+      lat,
+      lon: normalizeLongitude(lon),
+      altitude: Math.max(this.config.minAltitude, altitude ?? from.altitude),
+      heading: ((heading % 360) + 360) % 360,
+      tilt
+    };
+    if (from.tilt === 0) from.heading = to.heading; // A straight-down view has no heading of its own
+
+    if (greatCircleDistance(from.lat, from.lon, to.lat, to.lon, 1) > Math.PI - 1e-6) {
+      from.lon += 1e-3; // Antipodes have no unique great circle; pick one
+    }
+    const arc = greatCircleDistance(from.lat, from.lon, to.lat, to.lon, 1);
+    const span = arc / Math.PI;
+
+    this.rotationHeld = true;
+
+    return new Promise((resolve) => {
+      this.flight = {
+        from,
+        to,
+        ease,
+        lift: this.config.arcHeight * this.getSurfaceRadius() * span,
+        duration: duration ?? lerp(this.config.minDuration, this.config.maxDuration, span),
+        startTime: null,
+        resolve
+      };
+
+      if (this.flight.duration <= 0) {
+        this.finish();
+      }
+    });
+  }
+
+  /**
+   * Return to the default cosmic view over whatever is currently facing it
+   * @param {Object} options - Extra flyTo options (e.g. { duration: 0 })
+   * @returns {Promise<Object>} Flight result; auto rotation resumes on arrival
+   */
+  home(options = {}) {
+    const [x, y, z] = AppConfig.globe.defaultPosition;
+    this.group.updateMatrixWorld();
+    const position = new THREE.Vector3(x, y, z);
+    const { lat, lon } = vector3ToLatLon(this.group.worldToLocal(position.clone()));
+    const altitude = position.distanceTo(this.group.getWorldPosition(this.center)) - this.getSurfaceRadius();
+
+    return this.flyTo({ lat, lon, altitude, ...options }).then((result) => {
+      if (result.status === 'arrived') this.rotationHeld = false;
+      return result;
+    });
+  }
+
+  /**
+   * OrbitControls keeps rotating and zooming for a while after the user lets
+   * go. Apply what is left in one step so it does not pull the camera off
+   * the flight path.
+   */
+  flushDamping() {
+    if (!this.controls.enableDamping) return;
+    this.controls.enableDamping = false;
+    this.controls.update();
+    this.controls.enableDamping = true;
+  }
+
+  /**
+   * Advance the current flight; call before controls.update()
+   * @param {number} now - Frame timestamp in ms
+   */
+  update(now) {
+    const flight = this.flight;
+    if (!flight) return;
+
+    if (flight.startTime === null) flight.startTime = now;
+    const progress = clamp((now - flight.startTime) / flight.duration, 0, 1);
+    if (progress >= 1) {
+      this.finish();
+      return;
+    }
+
+    const { from, to } = flight;
+    const t = flight.ease(progress);
+    const { lat, lon } = interpolateGreatCircle(from.lat, from.lon, to.lat, to.lon, t);
+    const headingDelta = ((to.heading - from.heading + 540) % 360) - 180;
+
+    this.applyPose({
+      lat,
+      lon,
+      altitude: lerp(from.altitude, to.altitude, t) + flight.lift * Math.sin(Math.PI * t),
+      heading: from.heading + headingDelta * t,
+      tilt: lerp(from.tilt, to.tilt, t)
+    });
+  }
+
+  finish() {
+    const flight = this.flight;
+    this.flight = null;
+    this.applyPose(flight.to);
+    this.controls.update();
+    flight.resolve({ status: 'arrived' });
+  }
+
+  /**
+   * Stop the current flight where it is
+   * @param {string} reason - Reported to the flight's promise
+   * @returns {boolean} Whether a flight was cancelled
+   */
+  cancel(reason = 'cancelled') {
+    const flight = this.flight;
+    if (!flight) return false;
+
+    this.flight = null;
+    flight.resolve({ status: 'cancelled', reason });
+    return true;
+  }
+
+  /**
+   * @returns {boolean} Whether the group should skip its auto rotation this frame
+   */
+  isRotationHeld() {
+    return !this.autoRotate || this.rotationHeld;
+  }
+
+  /**
+   * Switch the group's auto rotation on or off altogether
+   * @param {boolean} enabled - Whether the globe turns by itself
+   */
+  setAutoRotate(enabled) {
+    this.autoRotate = Boolean(enabled);
+  }
+
+  /**
+   * Let the group rotate again without touching the controls
+   */
+  resumeRotation() {
+    this.rotationHeld = false;
+  }
+
+  /**
+   * @returns {Object} { flying, autoRotate, rotationHeld, pose, destination }
+   */
+  getState() {
+    return {
+      flying: Boolean(this.flight),
+      autoRotate: this.autoRotate,
+      rotationHeld: this.rotationHeld,
+      pose: this.getPose(),
+      destination: this.flight ? { ...this.flight.to } : null
+    };
+  }
+
+  dispose() {
+    this.cancel('disposed');
+    this.controls.removeEventListener('start', this.onControlsStart);
+  }
+}
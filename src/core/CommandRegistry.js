@@ -0,0 +1,293 @@
+/* ========================================
+   NEURAAL INTERFACE - COMMAND REGISTRY
+   ======================================== */
+
+/**
+ * @param {string} message - What is wrong
+ * @param {Object} token - Offending token ({ start, end }), if any
+ * @returns {Error} Error carrying the character range to highlight
+ */
+function commandError(message, token = null) {
+  const error = new Error(message);
+  if (token) error.range = { start: token.start, end: token.end };
+  return error;
+}
+
+/**
+ * Split a command line into words. Double or single quotes keep spaces in
+ * a word and a backslash escapes the next character.
+ * @param {string} text - Command line
+ * @returns {Array<Object>} { value, start, end } per word, with character offsets into text
+ */
+export function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    let value = '';
+    let quote = null;
+    while (i < text.length && (quote || !/\s/.test(text[i]))) {
+      const char = text[i];
+      if (char === '\\' && i + 1 < text.length) {
+        value += text[i + 1];
+        i += 2;
+        continue;
+      }
+      if (quote && char === quote) quote = null;
+      else if (!quote && (char === '"' || char === "'")) quote = char;
+      else value += char;
+      i++;
+    }
+    if (quote) {
+      throw commandError(`Missing closing ${quote}`, { start, end: text.length });
+    }
+    tokens.push({ value, start, end: i });
+  }
+
+  return tokens;
+}
+
+/**
+ * @param {Object} arg - Argument spec
+ * @returns {Array<string>} Allowed or suggested values
+ */
+function argValues(arg) {
+  const values = typeof arg.values === 'function' ? arg.values() : arg.values;
+  return Array.isArray(values) ? values.map(String) : [];
+}
+
+/**
+ * @param {Object} arg - Argument spec
+ * @param {Object} token - Word to convert
+ * @returns {*} Converted value
+ */
+function convertArg(arg, token) {
+  const { value } = token;
+  switch (arg.type) {
+    case 'number':
+    case 'integer': {
+      const number = Number(value);
+      if (value === '' || !Number.isFinite(number)) {
+        throw commandError(`${arg.name} must be a number, got "${value}"`, token);
+      }
+      if (arg.type === 'integer' && !Number.isInteger(number)) {
+        throw commandError(`${arg.name} must be a whole number, got "${value}"`, token);
+      }
+      if ((arg.min !== undefined && number < arg.min) || (arg.max !== undefined && number > arg.max)) {
+        throw commandError(`${arg.name} must be between ${arg.min ?? '-∞'} and ${arg.max ?? '∞'}, got ${number}`, token);
+      }
+      return number;
+    }
+    case 'enum': {
+      const values = argValues(arg);
+      if (!values.includes(value)) {
+        throw commandError(`${arg.name} must be one of ${values.join(', ')}; got "${value}"`, token);
+      }
+      return value;
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * @param {Object} spec - Command or subcommand
+ * @param {string} prefix - Words leading up to it
+ * @returns {string} Usage line, e.g. "goto <lat> <lon> [altitude]"
+ */
+export function formatUsage(spec, prefix = '') {
+  const name = `${prefix}${spec.name}`;
+  if (spec.subcommands) {
+    return `${name} <${spec.subcommands.map(sub => sub.name).join('|')}>`;
+  }
+  const args = (spec.args || []).map(arg => (arg.optional ? `[${arg.name}]` : `<${arg.name}>`));
+  return [name, ...args].join(' ');
+}
+
+/**
+ * Named commands for the console. A command is
+ *   { name, description, args: [{ name, type, min, max, values, optional }], run(args) }
+ * or { name, description, subcommands: [...] } with the same shape per
+ * subcommand. Argument types are 'string' (default), 'number', 'integer'
+ * and 'enum' (one of `values`, an array or a function returning one);
+ * `values` on other types only feeds tab completion.
+ */
+export class CommandRegistry {
+  constructor() {
+    this.commands = new Map();
+  }
+
+  /**
+   * @param {Object} command - Command spec
+   * @returns {Object} The registered command
+   */
+  register(command) {
+    if (!command || typeof command.name !== 'string' || !/^[a-z][\w-]*$/.test(command.name)) {
+      throw new Error('Command name must be a lowercase word');
+    }
+    if (this.commands.has(command.name)) {
+      throw new Error(`Command "${command.name}" is already registered`);
+    }
+    const runnable = command.subcommands
+      ? command.subcommands.every(sub => typeof sub.run === 'function')
+      : typeof command.run === 'function';
+    if (!runnable) {
+      throw new Error(`Command "${command.name}" needs a run function`);
+    }
+
+    this.commands.set(command.name, command);
+    return command;
+  }
+
+  /**
+   * @param {string} name - Command name
+   * @returns {boolean} Whether a command was removed
+   */
+  unregister(name) {
+    return this.commands.delete(name);
+  }
+
+  /**
+   * @returns {Array<Object>} { name, description, usage } per command
+   */
+  list() {
+    return Array.from(this.commands.values(), command => ({
+      name: command.name,
+      description: command.description,
+      usage: formatUsage(command)
+    }));
+  }
+
+  /**
+   * @param {string} name - Command name
+   * @returns {Object|undefined} Command spec
+   */
+  get(name) {
+    return this.commands.get(name);
+  }
+
+  /**
+   * Resolve a command line to a runnable spec and converted arguments
+   * @param {string} text - Command line
+   * @returns {Object|null} { spec, args, usage }, or null for a blank line
+   */
+  parse(text) {
+    const tokens = tokenize(text);
+    if (tokens.length === 0) return null;
+
+    const [nameToken, ...rest] = tokens;
+    const command = this.commands.get(nameToken.value.toLowerCase());
+    if (!command) {
+      throw commandError(`Unknown command "${nameToken.value}"; type help for a list`, nameToken);
+    }
+
+    let spec = command;
+    let argTokens = rest;
+    let prefix = '';
+    if (command.subcommands) {
+      const [subToken, ...subRest] = rest;
+      const choices = command.subcommands.map(sub => sub.name).join(', ');
+      if (!subToken) {
+        throw commandError(`${command.name} needs one of: ${choices}`, { start: nameToken.end, end: nameToken.end });
+      }
+      spec = command.subcommands.find(sub => sub.name === subToken.value.toLowerCase());
+      if (!spec) {
+        throw commandError(`Unknown ${command.name} action "${subToken.value}"; expected ${choices}`, subToken);
+      }
+      argTokens = subRest;
+      prefix = `${command.name} `;
+    }
+
+    const usage = formatUsage(spec, prefix);
+    const specArgs = spec.args || [];
+    if (argTokens.length > specArgs.length) {
+      throw commandError(`Too many arguments; usage: ${usage}`, argTokens[specArgs.length]);
+    }
+
+    const args = {};
+    specArgs.forEach((arg, i) => {
+      const token = argTokens[i];
+      if (!token) {
+        if (!arg.optional) {
+          const end = tokens[tokens.length - 1].end;
+          throw commandError(`Missing ${arg.name}; usage: ${usage}`, { start: end, end });
+        }
+        return;
+      }
+      args[arg.name] = convertArg(arg, token);
+    });
+
+    return { spec, args, usage };
+  }
+
+  /**
+   * Check a command line without running it
+   * @param {string} text - Command line
+   * @returns {Object} { valid, message, range }
+   */
+  validate(text) {
+    try {
+      this.parse(text);
+      return { valid: true, message: '', range: null };
+    } catch (error) {
+      return { valid: false, message: error.message, range: error.range || null };
+    }
+  }
+
+  /**
+   * Parse and run a command line
+   * @param {string} text - Command line
+   * @returns {Promise<*>} Whatever the command returns (usually a message)
+   */
+  async execute(text) {
+    const parsed = this.parse(text);
+    if (!parsed) return undefined;
+    return parsed.spec.run(parsed.args);
+  }
+
+  /**
+   * Tab completion for the word under the end of the line
+   * @param {string} text - Command line typed so far
+   * @returns {Object} { start, candidates }: replace text from start with a candidate
+   */
+  complete(text) {
+    let tokens;
+    try {
+      tokens = tokenize(text);
+    } catch (error) {
+      return { start: text.length, candidates: [] };
+    }
+
+    // A trailing space means a new, empty word is being started
+    const startsWord = tokens.length === 0 || /\s$/.test(text);
+    const current = startsWord ? { value: '', start: text.length } : tokens[tokens.length - 1];
+    const previous = startsWord ? tokens : tokens.slice(0, -1);
+    const match = options => options.filter(option => option.startsWith(current.value)).sort();
+
+    if (previous.length === 0) {
+      return { start: current.start, candidates: match(Array.from(this.commands.keys())) };
+    }
+
+    const command = this.commands.get(previous[0].value.toLowerCase());
+    if (!command) return { start: current.start, candidates: [] };
+
+    let spec = command;
+    let argIndex = previous.length - 1;
+    if (command.subcommands) {
+      if (previous.length === 1) {
+        return { start: current.start, candidates: match(command.subcommands.map(sub => sub.name)) };
+      }
+      spec = command.subcommands.find(sub => sub.name === previous[1].value.toLowerCase());
+      argIndex = previous.length - 2;
+    }
+
+    const arg = spec && spec.args ? spec.args[argIndex] : null;
+    return { start: current.start, candidates: arg ? match(argValues(arg)) : [] };
+  }
+}
@@ -0,0 +1,156 @@
+/* ========================================
+   NEURAAL INTERFACE - CONTEXT LOSS HANDLER
+   ======================================== */
+
+import * as THREE from 'three';
+
+/**
+ * Keeps the globe alive across a lost WebGL context.
+ * On loss the default is prevented (so the browser may restore the
+ * context), the caller pauses its frame loop and an overlay covers the
+ * canvas. On restore the renderer has fresh GL state but every scene
+ * object is untouched, so materials are recompiled and textures uploaded
+ * again from the data they still hold; the caller then rebuilds whatever
+ * else lived only on the GPU and resumes with the same camera, uniforms
+ * and layers.
+ */
+export class ContextLossHandler {
+  /**
+   * @param {THREE.WebGLRenderer} renderer - Active renderer
+   * @param {THREE.Scene} scene - Scene whose materials and textures are rebuilt
+   * @param {Object} options - { overlay, onLost, onRestored }; overlay is optional, callbacks take no arguments
+   */
+  constructor(renderer, scene, { overlay = null, onLost = null, onRestored = null } = {}) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.overlay = overlay;
+    this.onLost = onLost;
+    this.onRestored = onRestored;
+    this.lost = false;
+    this.losses = 0;
+    this.lostAt = null;
+    this.lastOutage = null; // ms the last loss lasted
+    this.clearColor = new THREE.Color();
+    this.clearAlpha = 1;
+
+    // Looked up now: getExtension returns null once the context is gone
+    this.extension = renderer.getContext().getExtension('WEBGL_lose_context');
+
+    if (overlay) {
+      overlay.innerHTML = `
+        <div class="context-overlay-box" role="alert">
+          <div class="context-overlay-title">SIGNAL LOST</div>
+          <div class="context-overlay-text">Graphics context dropped. Restoring renderer…</div>
+        </div>
+      `;
+    }
+
+    this.handleLost = this.handleLost.bind(this);
+    this.handleRestored = this.handleRestored.bind(this);
+    renderer.domElement.addEventListener('webglcontextlost', this.handleLost, false);
+    renderer.domElement.addEventListener('webglcontextrestored', this.handleRestored, false);
+  }
+
+  handleLost(event) {
+    event.preventDefault(); // Without this the browser never restores the context
+    if (this.lost) return;
+    this.lost = true;
+    this.losses++;
+    this.lostAt = performance.now();
+    // The renderer resets its clear colour when it rebuilds its GL state
+    this.renderer.getClearColor(this.clearColor);
+    this.clearAlpha = this.renderer.getClearAlpha();
+    console.warn('⚠️ WebGL context lost, pausing the globe');
+
+    if (this.overlay) this.overlay.hidden = false;
+    this.notify(this.onLost, 'lost');
+  }
+
+  handleRestored() {
+    if (!this.lost) return;
+    this.lost = false;
+    this.lastOutage = performance.now() - this.lostAt;
+    this.lostAt = null;
+
+    this.renderer.setClearColor(this.clearColor, this.clearAlpha);
+    this.rebuildScene();
+    this.notify(this.onRestored, 'restored');
+    if (this.overlay) this.overlay.hidden = true;
+    console.log(`✅ WebGL context restored after ${Math.round(this.lastOutage)}ms`);
+  }
+
+  /**
+   * Mark every material and texture in the scene for upload to the new context.
+   * Render target textures are skipped: they have no data to upload and their
+   * owners redraw them.
+   */
+  rebuildScene() {
+    const materials = new Set();
+    this.scene.traverse((object) => {
+      if (!object.material) return;
+      (Array.isArray(object.material) ? object.material : [object.material]).forEach(material => materials.add(material));
+    });
+
+    materials.forEach((material) => {
+      material.needsUpdate = true;
+      const values = [
+        ...Object.values(material),
+        ...Object.values(material.uniforms || {}).map(uniform => uniform && uniform.value)
+      ];
+      values.forEach((value) => {
+        if (value && value.isTexture && !value.isRenderTargetTexture && value.image) {
+          value.needsUpdate = true;
+        }
+      });
+    });
+  }
+
+  notify(callback, phase) {
+    if (!callback) return;
+    try {
+      callback();
+    } catch (error) {
+      console.error(`❌ Context ${phase} handler failed:`, error);
+    }
+  }
+
+  /**
+   * Debug hook: drop the context through WEBGL_lose_context
+   */
+  loseContext() {
+    if (!this.extension) {
+      throw new Error('WEBGL_lose_context is not available in this browser');
+    }
+    if (this.lost) return;
+    this.extension.loseContext();
+  }
+
+  /**
+   * Debug hook: bring back a context dropped by loseContext()
+   */
+  restoreContext() {
+    if (!this.extension) {
+      throw new Error('WEBGL_lose_context is not available in this browser');
+    }
+    if (!this.lost) return;
+    this.extension.restoreContext();
+  }
+
+  /**
+   * @returns {Object} { lost, losses, lostFor, lastOutage, canSimulate }, durations in ms
+   */
+  describe() {
+    return {
+      lost: this.lost,
+      losses: this.losses,
+      lostFor: this.lost ? performance.now() - this.lostAt : 0,
+      lastOutage: this.lastOutage,
+      canSimulate: Boolean(this.extension)
+    };
+  }
+
+  dispose() {
+    this.renderer.domElement.removeEventListener('webglcontextlost', this.handleLost, false);
+    this.renderer.domElement.removeEventListener('webglcontextrestored', this.handleRestored, false);
+  }
+}
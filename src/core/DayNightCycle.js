@@ -0,0 +1,105 @@
+/* ========================================
+   NEURAAL INTERFACE - DAY/NIGHT CYCLE
+   ======================================== */
+
+import { sunDirection, subsolarPoint } from '../utils/SolarPosition.js';
+
+const LIVE_UPDATE_INTERVAL = 1000; // ms between sun updates while following the clock
+
+/**
+ * Keeps the globe's sun direction in step with a UTC date.
+ * In live mode the date follows the system clock; otherwise it stays fixed
+ * at whatever was passed to setDate.
+ */
+export class DayNightCycle {
+  constructor() {
+    this.date = new Date();
+    this.live = true;
+    this.lastUpdate = 0;
+    this.direction = sunDirection(this.date);
+    this.targets = new Set();
+  }
+
+  /**
+   * Drive a material's uSunDirection uniform
+   * @param {Object} uniforms - Uniforms containing uSunDirection
+   */
+  attach(uniforms) {
+    if (!uniforms || !uniforms.uSunDirection) return;
+    this.targets.add(uniforms);
+    uniforms.uSunDirection.value.copy(this.direction);
+  }
+
+  /**
+   * @param {Object} uniforms - Previously attached uniforms
+   */
+  detach(uniforms) {
+    this.targets.delete(uniforms);
+  }
+
+  /**
+   * Show the Earth at a fixed moment
+   * @param {Date|string|number} date - Anything the Date constructor accepts
+   */
+  setDate(date) {
+    const parsed = date instanceof Date ? new Date(date.getTime()) : new Date(date);
+    if (Number.isNaN(parsed.getTime())) {
+      throw new Error(`Invalid date: ${date}`);
+    }
+
+    this.date = parsed;
+    this.live = false;
+    this.apply();
+    console.log(`☀️ Sun set for ${this.date.toISOString()}`);
+  }
+
+  /**
+   * Follow the system clock ("Earth at this moment")
+   * @param {boolean} live - Whether to follow the clock
+   */
+  setLive(live = true) {
+    this.live = live;
+    if (live) {
+      this.date = new Date();
+      this.apply();
+    }
+  }
+
+  /**
+   * @returns {Date} Date currently shown
+   */
+  getDate() {
+    return new Date(this.date.getTime());
+  }
+
+  /**
+   * @returns {Object} { date, live, subsolar: { lat, lon } }
+   */
+  getState() {
+    return {
+      date: this.date.toISOString(),
+      live: this.live,
+      subsolar: subsolarPoint(this.date)
+    };
+  }
+
+  /**
+   * Recompute the sun direction and push it to every attached material
+   */
+  apply() {
+    sunDirection(this.date, this.direction);
+    this.targets.forEach(uniforms => uniforms.uSunDirection.value.copy(this.direction));
+  }
+
+  /**
+   * Per-frame update; only does work in live mode once a second
+   * @param {number} now - performance.now() timestamp
+   */
+  update(now = performance.now()) {
+    if (!this.live || now - this.lastUpdate < LIVE_UPDATE_INTERVAL) return;
+    this.lastUpdate = now;
+    this.date = new Date();
+    this.apply();
+  }
+}
+
@@ -0,0 +1,167 @@
+/* ========================================
+   NEURAAL INTERFACE - FALSE-COLOUR ELEVATION
+   ======================================== */
+
+import * as THREE from 'three';
+import { AppConfig } from '../config/AppConfig.js';
+import { PALETTES, createRampTexture, paletteFromImage } from '../utils/ColorScale.js';
+
+/**
+ * Replaces the photographic colour map with a colour ramp over the
+ * elevation texture. The ramp is a one-row texture the globe shader looks
+ * up after terrain classification and lighting, so both keep working.
+ */
+export class FalseColorMode {
+  /**
+   * @param {ElevationLegend} legend - Legend kept in step with the ramp
+   */
+  constructor(legend) {
+    this.config = AppConfig.falseColor;
+    this.legend = legend;
+    this.enabled = this.config.enabled;
+    this.palette = this.config.palette;
+    this.colors = { ...PALETTES };
+    this.elevation = { min: 0, max: 1, units: '' };
+    this.domainOverride = null;
+    this.ramp = null;
+    this.uniforms = null;
+  }
+
+  /**
+   * Drive the globe material's false-colour uniforms
+   * @param {Object} uniforms - Earth ShaderMaterial uniforms
+   */
+  attach(uniforms) {
+    this.uniforms = uniforms;
+    this.rebuildRamp();
+    this.apply();
+  }
+
+  /**
+   * Derive the rainbow ramp from the bundled gradient image
+   * @param {string} url - Gradient image; blue at the centre, red at the left edge
+   * @returns {Promise<Array<string>>} Extracted colours
+   */
+  loadRainbow(url = this.config.rainbowImage) {
+    return new Promise((resolve, reject) => {
+      new THREE.ImageLoader().load(
+        url,
+        (image) => {
+          this.colors.rainbow = paletteFromImage(image, { from: 0.5, to: 0 });
+          if (this.palette === 'rainbow') this.rebuildRamp();
+          resolve(this.colors.rainbow);
+        },
+        undefined,
+        () => reject(new Error(`Failed to load rainbow palette image ${url}`))
+      );
+    });
+  }
+
+  /**
+   * @param {boolean} enabled - Show false colour instead of imagery
+   */
+  setEnabled(enabled) {
+    this.enabled = Boolean(enabled);
+    this.apply();
+    console.log(`🌈 False-colour elevation: ${this.enabled ? `ON (${this.palette})` : 'OFF'}`);
+  }
+
+  /**
+   * @param {string} palette - One of AppConfig.falseColor.palettes
+   */
+  setPalette(palette) {
+    if (!this.config.palettes[palette]) {
+      throw new Error(`Unknown false-colour palette: ${palette}`);
+    }
+
+    this.palette = palette;
+    this.domainOverride = null;
+    this.rebuildRamp();
+    this.apply();
+  }
+
+  /**
+   * Pin the ramp to a value range instead of the palette default
+   * @param {Array<number>|null} domain - [min, max] in elevation units, or null to reset
+   */
+  setDomain(domain) {
+    if (domain !== null && !(Array.isArray(domain) && domain.length === 2 && domain[0] !== domain[1])) {
+      throw new Error('False-colour domain must be [min, max] with min !== max');
+    }
+
+    this.domainOverride = domain ? [Number(domain[0]), Number(domain[1])] : null;
+    this.apply();
+  }
+
+  /**
+   * Describe what the current body's elevation map encodes
+   * @param {Object} elevation - { min, max, units }
+   */
+  setElevationRange({ min, max, units = 'm' }) {
+    this.elevation = { min, max, units };
+    this.apply();
+  }
+
+  /**
+   * @returns {Array<number>} Value range the ramp spans
+   */
+  getDomain() {
+    if (this.domainOverride) return this.domainOverride;
+
+    const { min, max } = this.elevation;
+    if (this.config.palettes[this.palette].domain === 'symmetric') {
+      const extent = Math.max(Math.abs(min), Math.abs(max));
+      return [-extent, extent];
+    }
+    return [min, max];
+  }
+
+  rebuildRamp() {
+    if (this.ramp) this.ramp.dispose();
+    this.ramp = createRampTexture(this.colors[this.palette]);
+    if (this.uniforms) {
+      this.uniforms.uFalseColorRamp.value = this.ramp;
+    }
+  }
+
+  /**
+   * Push the current state to the shader and the legend
+   */
+  apply() {
+    const domain = this.getDomain();
+
+    if (this.uniforms) {
+      this.uniforms.uFalseColor.value = this.enabled ? 1.0 : 0.0;
+      this.uniforms.uFalseColorShading.value = this.config.shading;
+      this.uniforms.uElevationRange.value.set(this.elevation.min, this.elevation.max);
+      this.uniforms.uFalseColorDomain.value.set(domain[0], domain[1]);
+    }
+
+    if (!this.legend) return;
+    if (!this.enabled) {
+      this.legend.hide();
+      return;
+    }
+
+    this.legend.render({
+      title: `Elevation · ${this.config.palettes[this.palette].label}`,
+      colors: this.colors[this.palette],
+      domain,
+      units: this.elevation.units
+    });
+    this.legend.show();
+  }
+
+  /**
+   * @returns {Object} { enabled, palette, domain, units, palettes }
+   */
+  getState() {
+    return {
+      enabled: this.enabled,
+      palette: this.palette,
+      domain: this.getDomain(),
+      units: this.elevation.units,
+      palettes: Object.keys(this.config.palettes)
+    };
+  }
+}
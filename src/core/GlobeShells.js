@@ -0,0 +1,285 @@
+/* ========================================
+   NEURAAL INTERFACE - GLOBE SHELLS
+   ======================================== */
+
+import * as THREE from 'three';
+import { AppConfig } from '../config/AppConfig.js';
+import { GLOBE_RADIUS } from '../utils/Geodesy.js';
+import atmosphereVertexShader from './shaders/atmosphereVertex.glsl';
+import atmosphereFragmentShader from './shaders/atmosphereFragment.glsl';
+import cloudVertexShader from './shaders/cloudVertex.glsl';
+import cloudFragmentShader from './shaders/cloudFragment.glsl';
+
+/**
+ * A transparent sphere wrapped around the globe.
+ * Subclasses supply the material; the shell handles toggling, quality
+ * presets and geometry rebuilds. Materials output premultiplied alpha so
+ * the shells blend over the transparent clear colour without dark fringes.
+ */
+class GlobeShell {
+  /**
+   * @param {THREE.Object3D} parent - Rotating globe group
+   * @param {string} name - Shell name used in logs and errors
+   * @param {Object} config - Shell section of AppConfig
+   * @param {number} radius - Shell radius
+   */
+  constructor(parent, name, config, radius) {
+    this.name = name;
+    this.config = config;
+    this.radius = radius;
+    this.quality = config.quality;
+    this.enabled = config.enabled;
+
+    this.material = this.createMaterial();
+    this.mesh = new THREE.Mesh(this.createGeometry(), this.material);
+    this.mesh.name = name;
+    this.mesh.visible = this.enabled;
+    parent.add(this.mesh);
+  }
+
+  get uniforms() {
+    return this.material.uniforms;
+  }
+
+  /**
+   * @returns {Object} Settings for the current quality level
+   */
+  get settings() {
+    return this.config.qualities[this.quality];
+  }
+
+  /**
+   * @returns {THREE.ShaderMaterial} Shell material
+   */
+  createMaterial() {
+    throw new Error(`${this.name} must implement createMaterial()`);
+  }
+
+  createGeometry() {
+    const { segments } = this.settings;
+    return new THREE.SphereGeometry(this.radius, segments, Math.max(8, segments / 2));
+  }
+
+  /**
+   * @param {boolean} enabled - Show or hide the shell
+   */
+  setEnabled(enabled) {
+    this.enabled = Boolean(enabled);
+    this.mesh.visible = this.enabled;
+    console.log(`🌫️ ${this.name}: ${this.enabled ? 'ON' : 'OFF'}`);
+  }
+
+  /**
+   * @param {string} quality - One of the keys in config.qualities
+   */
+  setQuality(quality) {
+    if (!this.config.qualities[quality]) {
+      throw new Error(`Unknown ${this.name} quality: ${quality}`);
+    }
+
+    this.quality = quality;
+    this.mesh.geometry.dispose();
+    this.mesh.geometry = this.createGeometry();
+    this.applyQuality();
+    console.log(`🌫️ ${this.name} quality: ${quality}`);
+  }
+
+  /**
+   * Push quality-dependent settings into the material
+   */
+  applyQuality() {}
+
+  /**
+   * @param {number} deltaTime - Seconds since the last frame
+   */
+  update(deltaTime) {}
+
+  /**
+   * @returns {Object} { enabled, quality }
+   */
+  getState() {
+    return { enabled: this.enabled, quality: this.quality };
+  }
+
+  dispose() {
+    this.mesh.removeFromParent();
+    this.mesh.geometry.dispose();
+    this.material.dispose();
+  }
+}
+
+/**
+ * Rim glow that brightens on the day side and warms along the terminator.
+ * The shell is a front-facing sphere; optical depth is computed per
+ * fragment, so segment count only affects the smoothness of the outline.
+ */
+export class AtmosphereShell extends GlobeShell {
+  /**
+   * @param {THREE.Object3D} parent - Rotating globe group
+   * @param {Object} options - { radius }
+   */
+  constructor(parent, { radius = GLOBE_RADIUS } = {}) {
+    const config = AppConfig.atmosphere;
+    super(parent, 'atmosphere', config, radius + config.thickness);
+    this.mesh.renderOrder = 2; // After clouds and overlay layers
+    this.applyQuality();
+  }
+
+  createMaterial() {
+    const config = this.config;
+
+    return new THREE.ShaderMaterial({
+      uniforms: {
+        uSunDirection: { value: new THREE.Vector3(1, 1, 0.5).normalize() },
+        uDayColor: { value: new THREE.Color(config.dayColor) },
+        uSunsetColor: { value: new THREE.Color(config.sunsetColor) },
+        uIntensity: { value: config.intensity },
+        uFalloff: { value: config.falloff },
+        uInnerRadius: { value: this.radius - config.thickness },
+        uOuterRadius: { value: this.radius },
+        uDiscHaze: { value: 1.0 },
+        uMieStrength: { value: 0.0 }
+      },
+      vertexShader: atmosphereVertexShader,
+      fragmentShader: atmosphereFragmentShader,
+      transparent: true,
+      premultipliedAlpha: true,
+      depthWrite: false
+    });
+  }
+
+  applyQuality() {
+    const { discHaze, mie } = this.settings;
+    this.uniforms.uDiscHaze.value = discHaze;
+    this.uniforms.uMieStrength.value = mie;
+  }
+
+  /**
+   * @param {number} intensity - Glow multiplier
+   */
+  setIntensity(intensity) {
+    this.uniforms.uIntensity.value = Math.max(0, intensity);
+  }
+}
+
+/**
+ * Cloud cover on a sphere just above the surface. The texture drifts in
+ * longitude on its own clock, independent of the globe's rotation.
+ */
+export class CloudShell extends GlobeShell {
+  /**
+   * @param {THREE.Object3D} parent - Rotating globe group
+   * @param {Object} options - { radius, renderer }
+   */
+  constructor(parent, { radius = GLOBE_RADIUS, renderer = null } = {}) {
+    const config = AppConfig.clouds;
+    super(parent, 'clouds', config, radius + config.altitude);
+    this.renderer = renderer;
+    this.texture = null;
+    this.driftSpeed = config.driftSpeed;
+    this.mesh.renderOrder = 1;
+    this.mesh.visible = false; // Until a texture is loaded
+
+    if (config.texture) {
+      this.load(config.texture).catch(() => {});
+    }
+  }
+
+  createMaterial() {
+    return new THREE.ShaderMaterial({
+      uniforms: {
+        uSunDirection: { value: new THREE.Vector3(1, 1, 0.5).normalize() },
+        uCloudMap: { value: null },
+        uOpacity: { value: this.config.opacity },
+        uDrift: { value: 0.0 }
+      },
+      vertexShader: cloudVertexShader,
+      fragmentShader: cloudFragmentShader,
+      transparent: true,
+      premultipliedAlpha: true,
+      depthWrite: false
+    });
+  }
+
+  /**
+   * Load a cloud map
+   * @param {string} url - Equirectangular cloud texture (white = cloud)
+   * @returns {Promise<THREE.Texture>} Loaded texture
+   */
+  load(url) {
+    return new Promise((resolve, reject) => {
+      new THREE.TextureLoader().load(
+        url,
+        (texture) => {
+          this.setTexture(texture);
+          console.log(`☁️ Cloud map loaded: ${url}`);
+          resolve(texture);
+        },
+        undefined,
+        (error) => {
+          console.error('❌ Cloud map loading error:', error);
+          reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * @param {THREE.Texture} texture - Cloud map
+   */
+  setTexture(texture) {
+    if (this.texture && this.texture !== texture) {
+      this.texture.dispose();
+    }
+
+    texture.wrapS = THREE.RepeatWrapping;
+    this.texture = texture;
+    this.uniforms.uCloudMap.value = texture;
+    this.applyQuality();
+    this.mesh.visible = this.enabled;
+  }
+
+  setEnabled(enabled) {
+    super.setEnabled(enabled);
+    if (this.enabled && !this.texture) {
+      console.warn('⚠️ Clouds enabled without a cloud map; call load(url) to show them');
+      this.mesh.visible = false;
+    }
+  }
+
+  applyQuality() {
+    if (!this.texture) return;
+
+    const maxAnisotropy = this.renderer ? this.renderer.capabilities.getMaxAnisotropy() : 1;
+    this.texture.anisotropy = Math.min(this.settings.anisotropy, maxAnisotropy);
+    this.texture.needsUpdate = true;
+  }
+
+  /**
+   * @param {number} opacity - 0 to 1
+   */
+  setOpacity(opacity) {
+    this.uniforms.uOpacity.value = Math.min(1, Math.max(0, opacity));
+  }
+
+  /**
+   * @param {number} speed - Texture revolutions per second relative to the surface
+   */
+  setDriftSpeed(speed) {
+    this.driftSpeed = speed;
+  }
+
+  update(deltaTime) {
+    if (!this.mesh.visible) return;
+    this.uniforms.uDrift.value = (this.uniforms.uDrift.value + this.driftSpeed * deltaTime) % 1;
+  }
+
+  getState() {
+    return { ...super.getState(), loaded: Boolean(this.texture) };
+  }
+
+  dispose() {
+    super.dispose();
+    if (this.texture) this.texture.dispose();
+  }
+}
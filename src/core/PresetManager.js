@@ -0,0 +1,310 @@
+/* ========================================
+   NEURAAL INTERFACE - PRESET MANAGER
+   ======================================== */
+
+import { AppConfig } from '../config/AppConfig.js';
+import { BUILT_IN_PRESETS, TUNABLE_UNIFORMS } from '../config/VisualPresets.js';
+import { debounce, downloadText, readJSON, writeJSON } from '../utils/Helpers.js';
+
+const EXPORT_FORMAT = 'neuraal-presets';
+const EXPORT_VERSION = 1;
+const UNIFORM_NAMES = Object.values(TUNABLE_UNIFORMS);
+
+/**
+ * Named snapshots of the globe's look: every tunable uniform, the LOD mode
+ * and the auto rotation toggle. Built-in presets are read-only; user
+ * presets live in localStorage and travel as JSON files. The current
+ * settings are also kept as a "last session" entry that can be restored
+ * on the next visit.
+ */
+export class PresetManager {
+  /**
+   * @param {Object} systems - { lodManager, cameraFlight, storage }; storage is a Storage or its
+   *   window name, looked up on use (an in-memory map stands in where storage is blocked)
+   */
+  constructor({ lodManager, cameraFlight, storage = 'localStorage' }) {
+    this.config = AppConfig.presets;
+    this.lodManager = lodManager;
+    this.cameraFlight = cameraFlight;
+    this.storage = storage;
+    this.uniforms = null;
+    this.builtIns = new Map(BUILT_IN_PRESETS.map(preset => [preset.name, preset]));
+    this.presets = new Map();
+    this.autoRestore = this.config.restoreSession;
+
+    const stored = this.read(this.config.storageKey);
+    if (Array.isArray(stored)) {
+      stored.forEach((raw) => {
+        const preset = this.validate(raw);
+        if (preset) this.presets.set(preset.name, preset);
+      });
+    }
+    const autoRestore = this.read(this.config.autoRestoreKey);
+    if (typeof autoRestore === 'boolean') this.autoRestore = autoRestore;
+
+    this.scheduleSessionSave = debounce(() => this.saveSession(), this.config.sessionDebounce);
+  }
+
+  /**
+   * @param {Object} uniforms - Earth ShaderMaterial uniforms
+   */
+  attach(uniforms) {
+    this.uniforms = uniforms;
+  }
+
+  /**
+   * @returns {Array<Object>} { name, builtIn } for every preset
+   */
+  list() {
+    return [
+      ...Array.from(this.builtIns.keys(), name => ({ name, builtIn: true })),
+      ...Array.from(this.presets.keys(), name => ({ name, builtIn: false }))
+    ];
+  }
+
+  /**
+   * @param {string} name - Preset name
+   * @returns {Object|undefined} Preset
+   */
+  get(name) {
+    return this.builtIns.get(name) || this.presets.get(name);
+  }
+
+  /**
+   * Snapshot the current settings
+   * @param {string} name - Name for the snapshot
+   * @returns {Object} { name, uniforms, lod, animation }
+   */
+  capture(name) {
+    if (!this.uniforms) {
+      throw new Error('Presets are unavailable until the globe material exists');
+    }
+
+    const uniforms = {};
+    UNIFORM_NAMES.forEach((uniform) => {
+      if (this.uniforms[uniform]) uniforms[uniform] = this.uniforms[uniform].value;
+    });
+
+    return {
+      name,
+      uniforms,
+      lod: this.lodManager.mode,
+      animation: { rotation: this.cameraFlight.autoRotate }
+    };
+  }
+
+  /**
+   * Apply a preset object
+   * @param {Object} preset - { uniforms, lod, animation }
+   */
+  apply(preset) {
+    if (!this.uniforms) {
+      throw new Error('Presets are unavailable until the globe material exists');
+    }
+
+    Object.entries(preset.uniforms).forEach(([uniform, value]) => {
+      if (this.uniforms[uniform]) this.uniforms[uniform].value = value;
+    });
+    this.lodManager.setMode(preset.lod);
+    this.cameraFlight.setAutoRotate(preset.animation.rotation);
+  }
+
+  /**
+   * Apply a preset by name
+   * @param {string} name - Built-in or saved preset
+   * @returns {Object} The applied preset
+   */
+  load(name) {
+    const preset = this.get(name);
+    if (!preset) {
+      throw new Error(`Unknown preset: ${name}`);
+    }
+
+    this.apply(preset);
+    this.scheduleSessionSave();
+    console.log(`🎨 Preset loaded: ${name}`);
+    return preset;
+  }
+
+  /**
+   * Save the current settings under a name
+   * @param {string} name - Preset name; built-in names are reserved
+   * @returns {Object} The saved preset
+   */
+  save(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error('Preset name must be a non-empty string');
+    }
+    if (this.builtIns.has(name.trim())) {
+      throw new Error(`Preset "${name}" is built in and cannot be overwritten`);
+    }
+
+    const preset = this.capture(name.trim());
+    this.presets.set(preset.name, preset);
+    this.persist();
+    console.log(`💾 Preset saved: ${preset.name}`);
+    return preset;
+  }
+
+  /**
+   * @param {string} name - Saved preset
+   * @returns {boolean} Whether a preset was removed
+   */
+  remove(name) {
+    if (this.builtIns.has(name)) {
+      throw new Error(`Preset "${name}" is built in and cannot be removed`);
+    }
+
+    const removed = this.presets.delete(name);
+    if (removed) this.persist();
+    return removed;
+  }
+
+  /**
+   * @param {Array<string>} names - Presets to export (defaults to every saved preset)
+   * @returns {string} JSON document
+   */
+  exportJSON(names = Array.from(this.presets.keys())) {
+    const presets = names.map((name) => {
+      const preset = this.get(name);
+      if (!preset) {
+        throw new Error(`Unknown preset: ${name}`);
+      }
+      return preset;
+    });
+
+    return JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, presets }, null, 2);
+  }
+
+  /**
+   * Offer the exported presets as a file download
+   * @param {string} filename - Download name
+   * @param {Array<string>} names - Presets to export
+   */
+  download(filename = 'neuraal-presets.json', names = undefined) {
+    downloadText(this.exportJSON(names), filename, 'application/json');
+  }
+
+  /**
+   * Add presets from an exported JSON document. Invalid entries and
+   * entries named like a built-in are skipped with a warning.
+   * @param {string} text - JSON document from exportJSON
+   * @returns {Array<string>} Names of the imported presets
+   */
+  importJSON(text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Preset file is not valid JSON: ${error.message}`);
+    }
+    if (!parsed || parsed.format !== EXPORT_FORMAT || !Array.isArray(parsed.presets)) {
+      throw new Error(`Preset file must be a ${EXPORT_FORMAT} document`);
+    }
+
+    const imported = [];
+    parsed.presets.forEach((raw) => {
+      const preset = this.validate(raw);
+      if (!preset) return;
+      if (this.builtIns.has(preset.name)) {
+        console.warn(`⚠️ Skipping imported preset "${preset.name}": the name is built in`);
+        return;
+      }
+      this.presets.set(preset.name, preset);
+      imported.push(preset.name);
+    });
+
+    this.persist();
+    console.log(`📥 Imported ${imported.length} preset(s)`);
+    return imported;
+  }
+
+  /**
+   * @param {File|Blob} file - Exported preset file
+   * @returns {Promise<Array<string>>} Names of the imported presets
+   */
+  importFile(file) {
+    return file.text().then(text => this.importJSON(text));
+  }
+
+  /**
+   * Check and normalise a stored or imported preset
+   * @param {Object} raw - Untrusted preset
+   * @returns {Object|null} Preset, or null (with a warning) if unusable
+   */
+  validate(raw) {
+    if (!raw || typeof raw.name !== 'string' || !raw.name.trim() || typeof raw.uniforms !== 'object' || raw.uniforms === null) {
+      console.warn('⚠️ Ignoring malformed preset', raw);
+      return null;
+    }
+
+    const uniforms = {};
+    Object.entries(raw.uniforms).forEach(([uniform, value]) => {
+      if (!UNIFORM_NAMES.includes(uniform)) {
+        console.warn(`⚠️ Preset "${raw.name}": ignoring unknown uniform ${uniform}`);
+      } else if (!Number.isFinite(value)) {
+        console.warn(`⚠️ Preset "${raw.name}": ignoring invalid value for ${uniform}`);
+      } else {
+        uniforms[uniform] = value;
+      }
+    });
+
+    let lod = raw.lod === undefined ? 'auto' : raw.lod;
+    if (lod !== 'auto' && !this.lodManager.lodLevels.some(level => level.vertices === lod)) {
+      console.warn(`⚠️ Preset "${raw.name}": unknown LOD mode ${lod}, using auto`);
+      lod = 'auto';
+    }
+
+    const rotation = raw.animation && typeof raw.animation.rotation === 'boolean' ? raw.animation.rotation : true;
+    return { name: raw.name.trim(), uniforms, lod, animation: { rotation } };
+  }
+
+  /**
+   * Remember the current settings for the next visit
+   */
+  saveSession() {
+    if (!this.uniforms) return;
+    this.write(this.config.sessionKey, this.capture('session'));
+  }
+
+  /**
+   * Bring back the settings of the last visit
+   * @returns {boolean} Whether a session was restored
+   */
+  restoreSession() {
+    const stored = this.read(this.config.sessionKey);
+    const preset = stored ? this.validate(stored) : null;
+    if (!preset) return false;
+
+    this.apply(preset);
+    console.log('🎨 Previous session settings restored');
+    return true;
+  }
+
+  /**
+   * @param {boolean} enabled - Restore the last session on load
+   */
+  setAutoRestore(enabled) {
+    this.autoRestore = Boolean(enabled);
+    this.write(this.config.autoRestoreKey, this.autoRestore);
+  }
+
+  persist() {
+    this.write(this.config.storageKey, Array.from(this.presets.values()));
+  }
+
+  read(key) {
+    return readJSON(this.storage, key);
+  }
+
+  write(key, value) {
+    writeJSON(this.storage, key, value);
+  }
+
+  /**
+   * @returns {Object} { presets, autoRestore }
+   */
+  getState() {
+    return { presets: this.list(), autoRestore: this.autoRestore };
+  }
+}
@@ -0,0 +1,393 @@
+/* ========================================
+   NEURAAL INTERFACE - SHORTCUT REGISTRY
+   ======================================== */
+
+import { AppConfig } from '../config/AppConfig.js';
+import { readJSON, writeJSON } from '../utils/Helpers.js';
+
+/**
+ * Modifiers in the order they are written in a binding
+ */
+const MODIFIERS = ['ctrl', 'alt', 'shift', 'meta'];
+
+const ALIASES = {
+  control: 'ctrl',
+  option: 'alt',
+  cmd: 'meta',
+  command: 'meta',
+  esc: 'escape',
+  ' ': 'space',
+  spacebar: 'space',
+  plus: '+'
+};
+
+const IGNORED_KEYS = ['control', 'alt', 'shift', 'meta', 'altgraph', 'capslock', 'dead', 'unidentified'];
+
+/**
+ * Shift is already part of shifted symbols ("?" rather than "shift+/"), so
+ * it only counts for letters and named keys
+ * @param {string} key - Canonical key name
+ * @returns {boolean} Whether a shift+key binding can fire
+ */
+function shiftMatters(key) {
+  return key.length > 1 || key.toUpperCase() !== key.toLowerCase();
+}
+
+/**
+ * @param {string} chord - One key press, e.g. "ctrl+shift+k"
+ * @returns {string} Canonical chord
+ */
+function normalizeChord(chord) {
+  // A trailing "+" is the plus key itself ("+", "ctrl++"); drop it and the separator before it
+  let parts = chord.split('+');
+  if (chord.endsWith('+')) {
+    let modifiers = chord.slice(0, -1);
+    if (modifiers.endsWith('+')) modifiers = modifiers.slice(0, -1);
+    parts = modifiers ? [...modifiers.split('+'), '+'] : ['+'];
+  }
+  const names = parts.map(part => part.trim().toLowerCase()).map(part => ALIASES[part] || part);
+  const key = names.pop();
+  if (!key || MODIFIERS.includes(key)) {
+    throw new Error(`Shortcut "${chord}" has no key`);
+  }
+
+  names.forEach((name) => {
+    if (!name) {
+      throw new Error(`Shortcut "${chord}" has an empty part`);
+    }
+    if (!MODIFIERS.includes(name)) {
+      throw new Error(`Unknown modifier "${name}" in shortcut "${chord}"`);
+    }
+  });
+  if (names.includes('shift') && !shiftMatters(key)) {
+    throw new Error(`Shortcut "${chord}" never fires: shift is part of the character, so bind the character it types (e.g. "?", not "shift+/")`);
+  }
+  return [...MODIFIERS.filter(modifier => names.includes(modifier)), key].join('+');
+}
+
+/**
+ * @param {string} keys - Binding such as "h", "shift+h", "?" or a sequence "g h"
+ * @returns {string} Canonical binding (chords separated by single spaces)
+ */
+export function normalizeKeys(keys) {
+  if (typeof keys !== 'string' || !keys.trim()) {
+    throw new Error('Shortcut must be a non-empty string');
+  }
+  return keys.trim().split(/\s+/).map(normalizeChord).join(' ');
+}
+
+/**
+ * @param {KeyboardEvent} event - Key press
+ * @returns {string|null} Canonical chord, or null for a bare modifier
+ */
+export function chordFromEvent(event) {
+  const raw = event.key === ' ' ? 'space' : event.key.toLowerCase();
+  if (IGNORED_KEYS.includes(raw)) return null;
+
+  const key = ALIASES[raw] || raw;
+  const modifiers = {
+    ctrl: event.ctrlKey,
+    alt: event.altKey,
+    shift: event.shiftKey && shiftMatters(key),
+    meta: event.metaKey
+  };
+  return [...MODIFIERS.filter(modifier => modifiers[modifier]), key].join('+');
+}
+
+/**
+ * @param {string} keys - Canonical binding
+ * @returns {string} Display form, e.g. "Ctrl+Shift+K" or "G then H"
+ */
+export function formatKeys(keys) {
+  return keys.split(' ')
+    .map(chord => chord.split(/\+(?!$)/).map(part => (part.length === 1 ? part.toUpperCase() : part[0].toUpperCase() + part.slice(1))).join('+'))
+    .join(' then ');
+}
+
+/**
+ * @param {EventTarget} target - Event target
+ * @returns {boolean} Whether the target accepts typing
+ */
+function isEditable(target) {
+  if (!target || !target.tagName) return false;
+  if (target.isContentEditable) return true;
+  if (target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+  return target.tagName === 'INPUT' && !['button', 'checkbox', 'radio', 'range', 'reset', 'submit'].includes(target.type);
+}
+
+/**
+ * Two bindings clash when one is the other or starts the other: a
+ * sequence "g h" cannot coexist with a plain "g".
+ */
+function overlaps(a, b) {
+  const shorter = a.length <= b.length ? a : b;
+  const longer = shorter === a ? b : a;
+  return longer === shorter || longer.startsWith(`${shorter} `);
+}
+
+/**
+ * Keyboard shortcuts as named actions. Features register an action with a
+ * description and default keys; users can rebind them, and rebinds are kept
+ * in localStorage. Keys typed into inputs, text areas and editable elements
+ * never trigger shortcuts.
+ */
+export class ShortcutRegistry {
+  /**
+   * @param {Object} options - { storage, onAction(action, event) }; storage is a Storage or its window
+   *   name (see getStorage)
+   */
+  constructor({ storage = 'localStorage', onAction = null } = {}) {
+    this.config = AppConfig.shortcuts;
+    this.storage = storage;
+    this.onAction = onAction;
+    this.actions = new Map();
+    this.overrides = this.read();
+    this.pending = '';
+    this.pendingTimer = null;
+    this.target = null;
+    this.enabled = true;
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+
+  /**
+   * Add an action
+   * @param {Object} action - { id, description, group, keys: string|Array<string>, handler(event) }
+   * @returns {Object} The registered action
+   */
+  register({ id, description, group = 'General', keys = [], handler }) {
+    if (typeof id !== 'string' || !id) {
+      throw new Error('Shortcut action needs an id');
+    }
+    if (this.actions.has(id)) {
+      throw new Error(`Shortcut action "${id}" is already registered`);
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Shortcut action "${id}" needs a handler`);
+    }
+
+    const defaultKeys = (Array.isArray(keys) ? keys : [keys]).map(normalizeKeys);
+    const action = { id, description, group, defaultKeys, keys: [], handler };
+    this.actions.set(id, action);
+
+    this.wantedKeys(action).forEach((binding) => {
+      const conflict = this.findConflict(binding, id);
+      if (conflict) {
+        console.warn(`⚠️ Shortcut ${formatKeys(binding)} for "${id}" is taken by "${conflict.id}"; leaving it unbound`);
+      } else {
+        action.keys.push(binding);
+      }
+    });
+    return action;
+  }
+
+  /**
+   * @param {string} id - Action id
+   * @returns {boolean} Whether an action was removed
+   */
+  unregister(id) {
+    return this.actions.delete(id);
+  }
+
+  /**
+   * @param {string} binding - Canonical binding
+   * @param {string} exceptId - Action to leave out of the check
+   * @returns {Object|null} Action the binding clashes with
+   */
+  findConflict(binding, exceptId = null) {
+    for (const action of this.actions.values()) {
+      if (action.id !== exceptId && action.keys.some(keys => overlaps(keys, binding))) return action;
+    }
+    return null;
+  }
+
+  /**
+   * Keys an action should have: the user's binding, else its defaults
+   * @param {Object} action - Registered action
+   * @returns {Array<string>} Canonical bindings
+   */
+  wantedKeys(action) {
+    if (!this.overrides[action.id]) return action.defaultKeys;
+    try {
+      return this.overrides[action.id].map(normalizeKeys);
+    } catch (error) {
+      console.warn(`⚠️ Ignoring saved shortcut for "${action.id}":`, error.message);
+      return action.defaultKeys;
+    }
+  }
+
+  /**
+   * Bindings left out because another action already had the keys
+   * @returns {Array<Object>} { id, keys, usedBy }
+   */
+  getConflicts() {
+    const conflicts = [];
+    this.actions.forEach((action) => {
+      this.wantedKeys(action)
+        .filter(binding => !action.keys.includes(binding))
+        .forEach((binding) => {
+          const conflict = this.findConflict(binding, action.id);
+          if (conflict) conflicts.push({ id: action.id, keys: binding, usedBy: conflict.id });
+        });
+    });
+    return conflicts;
+  }
+
+  /**
+   * Give an action new keys and remember them
+   * @param {string} id - Action id
+   * @param {string|Array<string>} keys - New binding(s); an empty array unbinds the action
+   * @returns {Array<string>} The canonical bindings
+   */
+  rebind(id, keys) {
+    const action = this.getAction(id);
+    const bindings = (Array.isArray(keys) ? keys : [keys]).map(normalizeKeys);
+
+    bindings.forEach((binding, i) => {
+      const conflict = this.findConflict(binding, id);
+      if (conflict) {
+        throw new Error(`Shortcut ${formatKeys(binding)} clashes with the keys for "${conflict.description || conflict.id}"`);
+      }
+      if (bindings.some((other, j) => j !== i && overlaps(other, binding))) {
+        throw new Error(`Shortcuts for "${id}" overlap each other`);
+      }
+    });
+
+    action.keys = bindings;
+    this.overrides[id] = bindings;
+    this.persist();
+    console.log(`⌨️ ${action.description || id}: ${bindings.length > 0 ? bindings.map(formatKeys).join(', ') : 'unbound'}`);
+    return bindings;
+  }
+
+  /**
+   * Put an action (or every action) back on its default keys
+   * @param {string} id - Action id; omit to reset everything
+   */
+  reset(id = null) {
+    const ids = id === null ? Array.from(this.actions.keys()) : [this.getAction(id).id];
+    ids.forEach((actionId) => {
+      delete this.overrides[actionId];
+      this.actions.get(actionId).keys = [];
+    });
+    // Defaults taken by another action in the meantime stay unbound
+    ids.forEach((actionId) => {
+      const action = this.actions.get(actionId);
+      action.defaultKeys.forEach((binding) => {
+        if (!this.findConflict(binding, actionId)) action.keys.push(binding);
+      });
+    });
+    this.persist();
+  }
+
+  getAction(id) {
+    const action = this.actions.get(id);
+    if (!action) {
+      throw new Error(`Unknown shortcut action: ${id}`);
+    }
+    return action;
+  }
+
+  /**
+   * @returns {Array<Object>} { id, description, group, keys, defaultKeys } in registration order
+   */
+  list() {
+    return Array.from(this.actions.values(), ({ id, description, group, keys, defaultKeys }) => ({
+      id, description, group, keys: [...keys], defaultKeys: [...defaultKeys]
+    }));
+  }
+
+  /**
+   * Run an action directly
+   * @param {string} id - Action id
+   * @param {Event} event - Triggering event, if any
+   */
+  trigger(id, event = null) {
+    const action = this.getAction(id);
+    action.handler(event);
+    if (this.onAction) this.onAction(action, event);
+  }
+
+  /**
+   * Start listening for key presses
+   * @param {EventTarget} target - Where to listen (defaults to window)
+   */
+  attach(target = window) {
+    this.detach();
+    this.target = target;
+    target.addEventListener('keydown', this.handleKeyDown);
+  }
+
+  detach() {
+    if (this.target) this.target.removeEventListener('keydown', this.handleKeyDown);
+    this.target = null;
+    this.clearPending();
+  }
+
+  /**
+   * @param {boolean} enabled - Pause or resume shortcuts (e.g. while rebinding)
+   */
+  setEnabled(enabled) {
+    this.enabled = Boolean(enabled);
+    this.clearPending();
+  }
+
+  handleKeyDown(event) {
+    if (!this.enabled || event.defaultPrevented || event.repeat || isEditable(event.target)) return;
+
+    const chord = chordFromEvent(event);
+    if (!chord) return;
+
+    // Continue a sequence if this press extends one, otherwise start afresh
+    const candidates = this.pending ? [`${this.pending} ${chord}`, chord] : [chord];
+    for (const keys of candidates) {
+      const match = this.match(keys);
+      if (match.action) {
+        this.clearPending();
+        event.preventDefault();
+        this.trigger(match.action.id, event);
+        return;
+      }
+      if (match.partial) {
+        this.setPending(keys);
+        event.preventDefault();
+        return;
+      }
+    }
+    this.clearPending();
+  }
+
+  /**
+   * @param {string} keys - Canonical binding typed so far
+   * @returns {Object} { action, partial }: the bound action, or whether a longer binding starts with the keys
+   */
+  match(keys) {
+    let partial = false;
+    for (const action of this.actions.values()) {
+      if (action.keys.includes(keys)) return { action, partial: false };
+      if (action.keys.some(binding => binding.startsWith(`${keys} `))) partial = true;
+    }
+    return { action: null, partial };
+  }
+
+  setPending(keys) {
+    this.clearPending();
+    this.pending = keys;
+    this.pendingTimer = setTimeout(() => this.clearPending(), this.config.sequenceTimeout);
+  }
+
+  clearPending() {
+    clearTimeout(this.pendingTimer);
+    this.pending = '';
+    this.pendingTimer = null;
+  }
+
+  read() {
+    const stored = readJSON(this.storage, this.config.storageKey);
+    return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+  }
+
+  persist() {
+    writeJSON(this.storage, this.config.storageKey, this.overrides);
+  }
+}
@@ -0,0 +1,306 @@
+/* ========================================
+   NEURAAL INTERFACE - TERRAIN PICKER
+   ======================================== */
+
+import * as THREE from 'three';
+import { AppConfig } from '../config/AppConfig.js';
+import { latLonToUV, latLonToVector3, uvToLatLon } from '../utils/Geodesy.js';
+import terrainPickFragmentShader from './shaders/terrainPickFragment.glsl';
+
+const EMPTY = 0;
+
+/**
+ * Picks against what the globe actually renders.
+ * The earth points are drawn again with the same vertex shader and uniforms
+ * into a small float target around the cursor; each pixel records the
+ * displaced position plus the vertex id and terrain type, and the pixel
+ * nearest the cursor wins. The window is read back asynchronously with at
+ * most one readback in flight, so hovering never stalls on the GPU. Where
+ * float targets are unavailable it falls back to a Points raycast with a
+ * threshold matched to the point spacing.
+ */
+export class TerrainPicker {
+  /**
+   * @param {THREE.WebGLRenderer} renderer - Active renderer
+   * @param {Object} options - { context, windowSize }; context is the shared layer context (for its elevation sampler)
+   */
+  constructor(renderer, { context = null, windowSize = AppConfig.picking.windowSize } = {}) {
+    this.renderer = renderer;
+    this.context = context;
+    this.windowSize = windowSize | 1; // Odd, so the cursor sits on the centre pixel
+    this.pickMaterial = null;
+    this.sourceMaterial = null;
+    this.raycaster = new THREE.Raycaster();
+    this.drawingBufferSize = new THREE.Vector2();
+    this.clearColor = new THREE.Color();
+    this.buffer = new Float32Array(this.windowSize * this.windowSize * 4);
+    this.readbackPending = false;
+    this.probeCamera = new THREE.Camera();
+
+    this.gpuAvailable = renderer.extensions.has('EXT_color_buffer_float');
+    this.target = this.gpuAvailable
+      ? new THREE.WebGLRenderTarget(this.windowSize, this.windowSize, {
+        type: THREE.FloatType,
+        format: THREE.RGBAFormat,
+        minFilter: THREE.NearestFilter,
+        magFilter: THREE.NearestFilter,
+        depthBuffer: true
+      })
+      : null;
+  }
+
+  /**
+   * Picking material sharing the globe material's shader and uniforms
+   * @param {THREE.Points} globe - Earth points
+   * @returns {THREE.ShaderMaterial|null} Pick material
+   */
+  getPickMaterial(globe) {
+    const material = globe.material;
+    if (!material.isShaderMaterial) return null;
+
+    if (this.sourceMaterial !== material) {
+      if (this.pickMaterial) this.pickMaterial.dispose();
+      this.pickMaterial = new THREE.ShaderMaterial({
+        uniforms: material.uniforms,
+        vertexShader: material.vertexShader,
+        fragmentShader: terrainPickFragmentShader
+      });
+      this.sourceMaterial = material;
+    }
+
+    return this.pickMaterial;
+  }
+
+  /**
+   * Find the rendered globe point nearest to a screen position
+   * @param {THREE.Vector2} ndc - Pointer in normalised device coordinates
+   * @param {THREE.Camera} camera - Active camera
+   * @param {THREE.Points} globe - Earth points
+   * @returns {Promise<Object|null>|null} Resolves with { index, lat, lon, elevation, terrainType, terrainName,
+   *   point, localPoint, screen } or null on a miss; null instead of a promise when the pick is dropped
+   *   because the previous readback is still in flight
+   */
+  pick(ndc, camera, globe) {
+    if (!globe || Math.abs(ndc.x) > 1 || Math.abs(ndc.y) > 1) return Promise.resolve(null);
+
+    const material = this.gpuAvailable ? this.getPickMaterial(globe) : null;
+    if (material && this.readbackPending) return null;
+
+    const hit = material ? this.pickGPU(ndc, camera, globe, material) : Promise.resolve(this.pickRaycast(ndc, camera, globe));
+    return hit.then(result => (result ? this.describe(result.index, result.localPoint, result.terrainType, camera, globe) : null));
+  }
+
+  /**
+   * Render the pick window and start reading it back
+   * @returns {Promise<Object|null>} { index, terrainType, localPoint } of the nearest covered pixel
+   */
+  pickGPU(ndc, camera, globe, material) {
+    const renderer = this.renderer;
+    const size = this.windowSize;
+    const half = (size - 1) / 2;
+    renderer.getDrawingBufferSize(this.drawingBufferSize);
+    const { x: width, y: height } = this.drawingBufferSize;
+
+    // Window in drawing-buffer pixels, so gl_PointSize matches the screen
+    const centerX = Math.round((ndc.x * 0.5 + 0.5) * width);
+    const centerY = Math.round((0.5 - ndc.y * 0.5) * height);
+
+    const originalMaterial = globe.material;
+    const previousTarget = renderer.getRenderTarget();
+    const previousAlpha = renderer.getClearAlpha();
+    renderer.getClearColor(this.clearColor);
+
+    camera.setViewOffset(width, height, centerX - half, centerY - half, size, size);
+    globe.material = material;
+    renderer.setRenderTarget(this.target);
+    renderer.setClearColor(0x000000, EMPTY);
+    renderer.clear();
+    renderer.render(globe, camera);
+
+    renderer.setRenderTarget(previousTarget);
+    renderer.setClearColor(this.clearColor, previousAlpha);
+    globe.material = originalMaterial;
+    camera.clearViewOffset();
+
+    this.readbackPending = true;
+    return renderer.readRenderTargetPixelsAsync(this.target, 0, 0, size, size, this.buffer)
+      .then(() => this.nearestCovered())
+      .catch((error) => {
+        console.warn('⚠️ Pick readback failed:', error.message);
+        return null;
+      })
+      .finally(() => { this.readbackPending = false; });
+  }
+
+  /**
+   * Nearest covered pixel to the centre of the read-back window (rows are bottom-up)
+   */
+  nearestCovered() {
+    const size = this.windowSize;
+    const half = (size - 1) / 2;
+    let best = -1;
+    let bestDistance = Infinity;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const offset = (y * size + x) * 4;
+        if (this.buffer[offset + 3] <= EMPTY) continue;
+
+        const distance = (x - half) ** 2 + (y - half) ** 2;
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = offset;
+        }
+      }
+    }
+
+    if (best < 0) return null;
+
+    const code = Math.round(this.buffer[best + 3]);
+    return {
+      index: Math.floor(code / 8) - 1,
+      terrainType: code % 8,
+      localPoint: new THREE.Vector3(this.buffer[best], this.buffer[best + 1], this.buffer[best + 2])
+    };
+  }
+
+  /**
+   * Raycast fallback against the undisplaced vertices
+   */
+  pickRaycast(ndc, camera, globe) {
+    const parameters = globe.geometry.parameters || {};
+    const segments = parameters.widthSegments || 100;
+    const radius = parameters.radius || AppConfig.globe.radius;
+    this.raycaster.params.Points.threshold = (2 * Math.PI * radius / segments) * AppConfig.picking.fallbackThreshold;
+    this.raycaster.setFromCamera(ndc, camera);
+
+    const hit = this.raycaster.intersectObject(globe)[0];
+    if (!hit) return null;
+
+    return {
+      index: hit.index,
+      terrainType: -1,
+      localPoint: new THREE.Vector3().fromBufferAttribute(globe.geometry.getAttribute('position'), hit.index)
+    };
+  }
+
+  /**
+   * Build the pick result for a vertex
+   */
+  describe(index, localPoint, terrainType, camera, globe) {
+    const uv = globe.geometry.getAttribute('uv');
+    if (!uv || index < 0 || index >= uv.count) return null;
+
+    const u = uv.getX(index);
+    const v = uv.getY(index);
+    const { lat, lon } = uvToLatLon(u, v);
+    const point = globe.localToWorld(localPoint.clone());
+    const sampler = this.context && this.context.elevationSampler;
+
+    const projected = point.clone().project(camera);
+    const canvas = this.renderer.domElement;
+    const rect = canvas.getBoundingClientRect();
+
+    return {
+      index,
+      lat,
+      lon,
+      elevation: sampler ? sampler.sample(u, v) : null,
+      terrainType,
+      terrainName: AppConfig.globe.terrainTypes[terrainType] || null,
+      point,
+      localPoint,
+      screen: {
+        x: rect.left + (projected.x * 0.5 + 0.5) * rect.width,
+        y: rect.top + (0.5 - projected.y * 0.5) * rect.height
+      }
+    };
+  }
+
+  /**
+   * Run arbitrary locations through the globe's vertex shader and read back
+   * what it computed. The bulge is switched off for the pass so the result
+   * is the terrain alone.
+   * @param {Array<Object>} locations - { lat, lon } per probe
+   * @param {THREE.Points} globe - Earth points (for the shader and uniforms)
+   * @param {Object} overrides - Uniform values to use for this pass only, e.g. { uTerrainDiversity: 0 }
+   * @returns {Array<Object|null>|null} { terrainType, displacement, localPoint } per location, or null without GPU support
+   */
+  probe(locations, globe, overrides = {}) {
+    const material = this.gpuAvailable && globe ? this.getPickMaterial(globe) : null;
+    if (!material || locations.length === 0) return null;
+
+    const grid = Math.ceil(Math.sqrt(locations.length));
+    const radius = (globe.geometry.parameters && globe.geometry.parameters.radius) || AppConfig.globe.radius;
+    const positions = new Float32Array(locations.length * 3);
+    const uvs = new Float32Array(locations.length * 2);
+    const vertex = new THREE.Vector3();
+
+    locations.forEach(({ lat, lon }, i) => {
+      latLonToVector3(lat, lon, radius, vertex).toArray(positions, i * 3);
+      const { u, v } = latLonToUV(lat, lon);
+      uvs[i * 2] = u;
+      uvs[i * 2 + 1] = v;
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(positions.map(value => value / radius), 3));
+    geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+
+    const points = new THREE.Points(geometry, material);
+    points.frustumCulled = false;
+
+    const target = new THREE.WebGLRenderTarget(grid, grid, {
+      type: THREE.FloatType,
+      format: THREE.RGBAFormat,
+      minFilter: THREE.NearestFilter,
+      magFilter: THREE.NearestFilter,
+      depthBuffer: false
+    });
+    const buffer = new Float32Array(grid * grid * 4);
+
+    const uniforms = material.uniforms;
+    const passValues = { ...overrides, uBulgeStrength: 0, uProbeGrid: grid };
+    const previousValues = {};
+    Object.keys(passValues).forEach(name => {
+      previousValues[name] = uniforms[name].value;
+      uniforms[name].value = passValues[name];
+    });
+    const renderer = this.renderer;
+    const previousTarget = renderer.getRenderTarget();
+    const previousAlpha = renderer.getClearAlpha();
+    renderer.getClearColor(this.clearColor);
+
+    renderer.setRenderTarget(target);
+    renderer.setClearColor(0x000000, EMPTY);
+    renderer.clear();
+    renderer.render(points, this.probeCamera);
+    renderer.readRenderTargetPixels(target, 0, 0, grid, grid, buffer);
+
+    renderer.setRenderTarget(previousTarget);
+    renderer.setClearColor(this.clearColor, previousAlpha);
+    Object.keys(previousValues).forEach(name => {
+      uniforms[name].value = previousValues[name];
+    });
+    geometry.dispose();
+    target.dispose();
+
+    return locations.map((location, i) => {
+      const offset = i * 4;
+      if (buffer[offset + 3] <= EMPTY) return null;
+
+      const localPoint = new THREE.Vector3(buffer[offset], buffer[offset + 1], buffer[offset + 2]);
+      return {
+        ...location,
+        terrainType: Math.round(buffer[offset + 3]) % 8,
+        displacement: localPoint.length() - radius,
+        localPoint
+      };
+    });
+  }
+
+  dispose() {
+    if (this.target) this.target.dispose();
+    if (this.pickMaterial) this.pickMaterial.dispose();
+  }
+}
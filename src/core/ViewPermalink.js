@@ -0,0 +1,310 @@
+/* ========================================
+   NEURAAL INTERFACE - VIEW PERMALINK
+   ======================================== */
+
+import { AppConfig } from '../config/AppConfig.js';
+import { TUNABLE_UNIFORMS } from '../config/VisualPresets.js';
+import { debounce } from '../utils/Helpers.js';
+
+/**
+ * Globe shells listed alongside overlay layers under these ids
+ */
+const SHELL_IDS = ['atmosphere', 'clouds'];
+
+const TWO_PI = Math.PI * 2;
+
+/**
+ * @param {number} value - Number to write
+ * @param {number} digits - Decimal places kept
+ * @returns {string} Shortest form of the rounded value
+ */
+function formatNumber(value, digits) {
+  return String(Number(value.toFixed(digits)));
+}
+
+/**
+ * @param {string} text - Comma-separated numbers
+ * @param {number} count - Expected number of values
+ * @returns {Array<number>|null} Values, or null if malformed
+ */
+function parseNumbers(text, count) {
+  const values = text.split(',').map(Number);
+  return values.length === count && values.every(Number.isFinite) ? values : null;
+}
+
+/**
+ * Keeps the URL hash in step with what is on screen, so a link reproduces
+ * the view: camera pose, globe orientation, shader settings, LOD mode and
+ * which layers are shown. The hash looks like
+ *   #cam=lat,lon,alt,heading,tilt&rot=x,y,z&lod=auto&u=br:1.6,ct:1.2&layers=cities,!routes
+ * Shader settings are only written when they differ from the values the
+ * material started with. Unknown or invalid entries are skipped with a
+ * warning.
+ */
+export class ViewPermalink {
+  /**
+   * @param {Object} systems - { cameraFlight, group, lodManager, layerManager, shells: { atmosphere, clouds } }
+   */
+  constructor({ cameraFlight, group, lodManager, layerManager, shells = {} }) {
+    this.config = AppConfig.permalink;
+    this.cameraFlight = cameraFlight;
+    this.group = group;
+    this.lodManager = lodManager;
+    this.layerManager = layerManager;
+    this.shells = shells;
+    this.uniforms = null;
+    this.defaults = {};
+    this.pendingUniforms = null;
+    this.restoredCamera = false;
+    this.restoredView = false; // The page was opened from a link
+    this.replaceNext = false;
+    this.bound = false;
+
+    this.scheduleUpdate = debounce(() => this.write(), this.config.debounce);
+  }
+
+  /**
+   * Start reading and writing shader settings
+   * @param {Object} uniforms - Earth ShaderMaterial uniforms
+   */
+  attach(uniforms) {
+    this.uniforms = uniforms;
+    this.defaults = {};
+    Object.entries(TUNABLE_UNIFORMS).forEach(([key, name]) => {
+      if (uniforms[name]) this.defaults[key] = uniforms[name].value;
+    });
+
+    if (this.pendingUniforms) {
+      this.applyUniforms(this.pendingUniforms);
+      this.pendingUniforms = null;
+    }
+    this.scheduleUpdate();
+  }
+
+  /**
+   * Follow navigation and browser history (back/forward and edited hashes)
+   * @param {OrbitControls} controls - Orbit controls; their change events mark the view as dirty
+   */
+  bind(controls) {
+    if (this.bound) return;
+    this.bound = true;
+
+    controls.addEventListener('change', this.scheduleUpdate);
+    window.addEventListener('popstate', () => this.restore(window.location.hash, { animate: true }));
+  }
+
+  /**
+   * @returns {string} Hash for the current view, without the leading '#'
+   */
+  serialize() {
+    const parts = [];
+    const pose = this.cameraFlight.getPose();
+    parts.push(`cam=${[
+      formatNumber(pose.lat, 4),
+      formatNumber(pose.lon, 4),
+      formatNumber(pose.altitude, 3),
+      formatNumber(pose.tilt > 0 ? pose.heading : 0, 1),
+      formatNumber(pose.tilt, 1)
+    ].join(',')}`);
+
+    const { x, y, z } = this.group.rotation;
+    parts.push(`rot=${[x, y, z].map(angle => formatNumber(((angle % TWO_PI) + TWO_PI) % TWO_PI, 4)).join(',')}`);
+    parts.push(`lod=${this.lodManager.mode}`);
+
+    if (this.uniforms) {
+      const changed = Object.entries(TUNABLE_UNIFORMS)
+        .filter(([key, name]) => this.uniforms[name] && key in this.defaults)
+        .map(([key, name]) => [key, formatNumber(this.uniforms[name].value, 3)])
+        .filter(([key, value]) => value !== formatNumber(this.defaults[key], 3))
+        .map(([key, value]) => `${key}:${value}`);
+      if (changed.length > 0) parts.push(`u=${changed.join(',')}`);
+    }
+
+    // Layers a link asked for that have not been loaded yet stay in the link
+    const visibility = new Map(this.layerManager.pendingVisibility);
+    this.layerManager.list().forEach(({ id, visible }) => visibility.set(id, visible));
+    const layers = Array.from(visibility, ([id, visible]) => (visible ? '' : '!') + encodeURIComponent(id));
+    SHELL_IDS.forEach((id) => {
+      const shell = this.shells[id];
+      if (shell && shell.enabled !== AppConfig[id].enabled) {
+        layers.push((shell.enabled ? '' : '!') + id);
+      }
+    });
+    if (layers.length > 0) parts.push(`layers=${layers.join(',')}`);
+
+    return parts.join('&');
+  }
+
+  /**
+   * Read a hash into a view description, dropping anything unusable
+   * @param {string} hash - URL hash, with or without the leading '#'
+   * @returns {Object} { camera, rotation, lod, uniforms, layers }; absent entries are null
+   */
+  parse(hash) {
+    const state = { camera: null, rotation: null, lod: null, uniforms: null, layers: null };
+    const text = hash.replace(/^#/, '');
+    if (!text) return state;
+
+    text.split('&').forEach((entry) => {
+      const separator = entry.indexOf('=');
+      const key = separator < 0 ? entry : entry.slice(0, separator);
+      const value = separator < 0 ? '' : entry.slice(separator + 1);
+
+      switch (key) {
+        case 'cam':
+          state.camera = this.parseCamera(value);
+          break;
+        case 'rot': {
+          const rotation = parseNumbers(value, 3);
+          if (rotation) state.rotation = rotation;
+          else warn(`invalid globe rotation "${value}"`);
+          break;
+        }
+        case 'lod':
+          state.lod = this.parseLOD(value);
+          break;
+        case 'u':
+          state.uniforms = this.parseUniforms(value);
+          break;
+        case 'layers':
+          state.layers = this.parseLayers(value);
+          break;
+        default:
+          warn(`unknown parameter "${key}"`);
+      }
+    });
+
+    return state;
+  }
+
+  parseCamera(value) {
+    const values = parseNumbers(value, 5);
+    if (!values) {
+      warn(`invalid camera "${value}"`);
+      return null;
+    }
+
+    const [lat, lon, altitude, heading, tilt] = values;
+    if (lat < -90 || lat > 90 || altitude <= 0 || tilt < 0 || tilt >= 90) {
+      warn(`camera out of range "${value}"`);
+      return null;
+    }
+    return { lat, lon, altitude, heading, tilt };
+  }
+
+  parseLOD(value) {
+    const mode = value === 'auto' ? value : Number(value);
+    if (mode !== 'auto' && !this.lodManager.lodLevels.some(level => level.vertices === mode)) {
+      warn(`unknown LOD mode "${value}"`);
+      return null;
+    }
+    return mode;
+  }
+
+  parseLayers(value) {
+    const layers = [];
+    value.split(',').filter(Boolean).forEach((item) => {
+      try {
+        layers.push({ id: decodeURIComponent(item.replace(/^!/, '')), visible: !item.startsWith('!') });
+      } catch (error) {
+        warn(`malformed layer id "${item}"`);
+      }
+    });
+    return layers;
+  }
+
+  parseUniforms(value) {
+    const uniforms = {};
+    value.split(',').filter(Boolean).forEach((item) => {
+      const [key, number] = item.split(':');
+      const parsed = Number(number);
+      if (!TUNABLE_UNIFORMS[key]) {
+        warn(`unknown shader setting "${key}"`);
+      } else if (number === undefined || !Number.isFinite(parsed)) {
+        warn(`invalid value for shader setting "${key}"`);
+      } else {
+        uniforms[key] = parsed;
+      }
+    });
+    return uniforms;
+  }
+
+  /**
+   * Apply the view in a hash
+   * @param {string} hash - URL hash (defaults to the page's)
+   * @param {Object} options - { animate }: fly to the camera pose instead of jumping
+   * @returns {Object} The parsed state
+   */
+  restore(hash = window.location.hash, { animate = false } = {}) {
+    const state = this.parse(hash);
+    this.replaceNext = true; // Settling back into the restored view is not a new history entry
+
+    if (state.rotation) {
+      this.group.rotation.set(...state.rotation);
+    }
+    if (state.camera) {
+      this.cameraFlight.flyTo({ ...state.camera, duration: animate ? undefined : 0 })
+        .catch(error => warn(`camera (${error.message})`));
+      this.restoredCamera = true;
+    }
+    if (state.lod !== null) {
+      this.lodManager.setMode(state.lod);
+    }
+    if (state.uniforms) {
+      if (this.uniforms) this.applyUniforms(state.uniforms);
+      else this.pendingUniforms = state.uniforms;
+    }
+    if (state.layers) {
+      state.layers.forEach(({ id, visible }) => {
+        if (SHELL_IDS.includes(id) && this.shells[id]) this.shells[id].setEnabled(visible);
+        else this.layerManager.setVisible(id, visible);
+      });
+    }
+
+    if (hash.replace(/^#/, '')) {
+      this.restoredView = true;
+      console.log('🔗 View restored from permalink');
+    }
+    return state;
+  }
+
+  applyUniforms(values) {
+    Object.entries(values).forEach(([key, value]) => {
+      const uniform = this.uniforms[TUNABLE_UNIFORMS[key]];
+      if (uniform) uniform.value = value;
+    });
+  }
+
+  /**
+   * Write the current view to the URL if it changed
+   */
+  write() {
+    if (!this.uniforms) return; // Shader settings in the link are not applied yet
+
+    const hash = `#${this.serialize()}`;
+    if (hash === window.location.hash) {
+      this.replaceNext = false;
+      return;
+    }
+
+    if (this.replaceNext) {
+      window.history.replaceState(null, '', hash);
+      this.replaceNext = false;
+    } else {
+      window.history.pushState(null, '', hash);
+    }
+  }
+
+  /**
+   * @returns {string} Absolute link to the current view
+   */
+  getURL() {
+    const url = new URL(window.location.href);
+    url.hash = this.serialize();
+    return url.toString();
+  }
+}
+
+function warn(message) {
+  console.warn(`⚠️ Permalink: ignoring ${message}`);
+}
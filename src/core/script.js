@@ -8,8 +8,43 @@ import vertexShader from "./shaders/vertex.glsl";
 import fragmentShader from "./shaders/fragment.glsl";
 import enhancedVertexShader from "./shaders/enhancedVertex.glsl";
 import enhancedFragmentShader from "./shaders/enhancedFragment.glsl";
+import { AppConfig } from "../config/AppConfig.js";
+import { TEXTURE_ROLES, configureTexture, createPlaceholderTexture, createStarSprite, loadTextureSet, validateEquirectangular } from "../utils/TextureSets.js";
+import { AssetLoader } from "./AssetLoader.js";
+import { ContextLossHandler } from "./ContextLossHandler.js";
+import { LoadingScreen } from "../interface/LoadingScreen.js";
+import { ImageSampler } from "../utils/ImageSampler.js";
+import { LayerManager } from "../layers/LayerManager.js";
+import { GeoJSONLayer } from "../layers/GeoJSONLayer.js";
+import { MarkerLayer } from "../layers/MarkerLayer.js";
+import { ArcLayer } from "../layers/ArcLayer.js";
+import { HeatmapLayer } from "../layers/HeatmapLayer.js";
+import { ChoroplethLayer } from "../layers/ChoroplethLayer.js";
+import { StreamManager } from "../streams/StreamManager.js";
+import { MetricRegistry } from "../dashboard/MetricRegistry.js";
+import { Dashboard, WIDGET_TYPES } from "../dashboard/Dashboard.js";
+import { DayNightCycle } from "./DayNightCycle.js";
+import { AtmosphereShell, CloudShell } from "./GlobeShells.js";
+import { BodyManager } from "./BodyManager.js";
+import { FalseColorMode } from "./FalseColorMode.js";
+import { ElevationLegend } from "../interface/ElevationLegend.js";
+import { TerrainPicker } from "./TerrainPicker.js";
+import { TerrainSampler } from "../utils/TerrainSampler.js";
+import { CameraFlight } from "./CameraFlight.js";
+import { ViewPermalink } from "./ViewPermalink.js";
+import { PresetManager } from "./PresetManager.js";
+import { ControlPanel } from "../interface/ControlPanel.js";
+import { CONTROL_SCHEMA } from "../config/ControlSchema.js";
+import { ShortcutRegistry, formatKeys } from "./ShortcutRegistry.js";
+import { ShortcutOverlay } from "../interface/ShortcutOverlay.js";
+import { Notifications } from "../interface/Notifications.js";
+import { ErrorHandler } from "../utils/ErrorHandler.js";
 // Neuraal interface is imported and initialized by neuraalInterface.js
 
+// Uncaught errors, rejections and shader failures become reports; repeated failures enter safe mode
+const errorHandler = new ErrorHandler({ notifications: new Notifications(document.getElementById("notifications")) }).install();
+window.errorHandler = errorHandler;
+
 /**
  * PERFORMANCE MONITORING SYSTEM
  */
@@ -21,6 +56,7 @@ class PerformanceMonitor {
     this.frameHistory = [];
     this.memoryUsage = 0;
     this.isOptimizing = false;
+    this.reliefScale = 1.0; // Lowered by auto-optimization; the diversity setting itself is left alone
   }
   
   update() {
@@ -32,11 +68,6 @@ class PerformanceMonitor {
       this.frameCount = 0;
       this.lastFPSUpdate = now;
       
-      // UPDATE NEURAAL INTERFACE DISPLAYS
-      if (window.neuraalInterface) {
-        window.neuraalInterface.updateDataStreams();
-      }
-      
       // Auto-optimize if FPS drops below 45
       if (this.currentFPS < 45 && !this.isOptimizing) {
         this.triggerOptimization();
@@ -53,12 +84,9 @@ class PerformanceMonitor {
     console.warn(`🔧 Auto-optimization triggered: FPS ${this.currentFPS}`);
     this.isOptimizing = true;
     
-    // Reduce terrain diversity automatically
-    if (earthMesh && earthMesh.material.uniforms) {
-      const uniforms = earthMesh.material.uniforms;
-      uniforms.uTerrainDiversity.value *= 0.7;
-      console.log(`📉 Terrain diversity reduced to ${uniforms.uTerrainDiversity.value.toFixed(2)}`);
-    }
+    // Reduce terrain relief automatically
+    this.reliefScale *= 0.7;
+    console.log(`📉 Terrain relief reduced to ${Math.round(this.reliefScale * 100)}%`);
     
     // Reset optimization flag after delay
     setTimeout(() => { this.isOptimizing = false; }, 3000);
@@ -87,6 +115,23 @@ class LODManager {
       { distance: 0, vertices: 300, label: 'Close' }      // 90K vertices
     ];
     this.needsGeometryUpdate = false;
+    this.mode = 'auto'; // 'auto' follows camera distance; a vertex count pins the level
+  }
+  
+  /**
+   * Pin the level of detail or hand it back to the distance heuristic
+   * @param {string|number} mode - 'auto' or one of the lodLevels vertex counts
+   */
+  setMode(mode) {
+    if (mode !== 'auto' && !this.lodLevels.some(level => level.vertices === mode)) {
+      throw new Error(`Unknown LOD mode: ${mode}`);
+    }
+    
+    this.mode = mode;
+    if (mode !== 'auto' && mode !== this.currentLOD) {
+      this.currentLOD = mode;
+      this.needsGeometryUpdate = true;
+    }
   }
   
   calculateOptimalLOD(cameraDistance) {
@@ -99,6 +144,8 @@ class LODManager {
   }
   
   update(camera, earthPosition) {
+    if (this.mode !== 'auto') return;
+    
     const distance = camera.position.distanceTo(earthPosition);
     this.targetLOD = this.calculateOptimalLOD(distance);
     
@@ -121,61 +168,73 @@ class LODManager {
 
 /**
  * ENHANCED TERRAIN CALCULATION CACHE
+ * Least-recently-used cache of terrain samples keyed by texture coordinate.
+ * Map iteration order doubles as recency order: hits are re-inserted at the
+ * end and evictions take from the front.
  */
 class EnhancedTerrainCache {
-  constructor() {
+  constructor(maxCacheSize = 20000) {
     this.terrainCache = new Map();
-    this.cacheSize = 0;
-    this.maxCacheSize = 20000; // Reduced for better performance
-    this.cacheHitRate = 0;
-    this.totalRequests = 0;
+    this.maxCacheSize = maxCacheSize;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
   }
   
-  generateKey(u, v, terrainDiversity) {
-    const uInt = Math.floor(u * 100);
-    const vInt = Math.floor(v * 100);
-    const diversityInt = Math.floor(terrainDiversity * 10);
-    return `${uInt}_${vInt}_${diversityInt}`;
+  get cacheSize() {
+    return this.terrainCache.size;
   }
   
-  get(u, v, terrainDiversity) {
-    const key = this.generateKey(u, v, terrainDiversity);
-    this.totalRequests++;
-    
+  generateKey(u, v) {
+    // ~0.004° steps: finer than a texel of the 1k maps, so neighbours never collide
+    const uInt = Math.round(u * 100000);
+    const vInt = Math.round(v * 100000);
+    return `${uInt}_${vInt}`;
+  }
+  
+  get(u, v) {
+    const key = this.generateKey(u, v);
     const result = this.terrainCache.get(key);
-    if (result) {
-      this.cacheHitRate = (this.cacheHitRate * 0.9) + 0.1;
+    
+    if (result === undefined) {
+      this.misses++;
+      return undefined;
     }
     
+    // Refresh recency
+    this.terrainCache.delete(key);
+    this.terrainCache.set(key, result);
+    this.hits++;
     return result;
   }
   
-  set(u, v, terrainDiversity, terrainData) {
-    if (this.cacheSize >= this.maxCacheSize) {
-      // Remove oldest entries
-      const keysToDelete = Array.from(this.terrainCache.keys()).slice(0, 1000);
-      keysToDelete.forEach(key => this.terrainCache.delete(key));
-      this.cacheSize -= 1000;
-    }
-    
-    const key = this.generateKey(u, v, terrainDiversity);
+  set(u, v, terrainData) {
+    const key = this.generateKey(u, v);
+    this.terrainCache.delete(key);
     this.terrainCache.set(key, terrainData);
-    this.cacheSize++;
+    
+    while (this.terrainCache.size > this.maxCacheSize) {
+      this.terrainCache.delete(this.terrainCache.keys().next().value);
+      this.evictions++;
+    }
   }
   
   clear() {
     this.terrainCache.clear();
-    this.cacheSize = 0;
-    this.cacheHitRate = 0;
-    this.totalRequests = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
     console.log('🗑️ Enhanced terrain cache cleared');
   }
   
   getStats() {
+    const totalRequests = this.hits + this.misses;
     return {
       cacheSize: this.cacheSize,
-      hitRate: (this.cacheHitRate * 100).toFixed(1) + '%',
-      totalRequests: this.totalRequests
+      maxCacheSize: this.maxCacheSize,
+      hitRate: (totalRequests > 0 ? (this.hits / totalRequests) * 100 : 0).toFixed(1) + '%',
+      totalRequests,
+      evictions: this.evictions
     };
   }
 }
@@ -210,15 +269,24 @@ const sizes = {
 const performanceMonitor = new PerformanceMonitor();
 const lodManager = new LODManager();
 const terrainCache = new EnhancedTerrainCache();
+const terrainSampler = new TerrainSampler({ cache: terrainCache });
+const dayNightCycle = new DayNightCycle();
 
 // Creating a group
 const group = new THREE.Group();
 scene.add(group);
 
+// Overlay layers rotate with the globe group
+const layerManager = new LayerManager(group);
+const bodyManager = new BodyManager(group, layerManager);
+const streamManager = new StreamManager(layerManager);
+const falseColorMode = new FalseColorMode(new ElevationLegend(document.getElementById("elevation-legend")));
+
 // OPTIMIZED: Bulge system variables with smoother performance
 let mouse = new THREE.Vector3(0, 0, 0);
 let targetMouse = new THREE.Vector3(0, 0, 0);
 let isMouseOverEarth = false;
+let hoverPick = null; // { lat, lon, region } last picked under the cursor
 let bulgeStrength = 0.0;
 let targetBulgeStrength = 0.0;
 let bulgeRadius = 0.9;
@@ -227,8 +295,8 @@ let bulgeIntensity = 0.3; // Reduced from 0.5 for smoother effect
 // OPTIMIZED: Performance optimization with better throttling
 let lastRaycastTime = 0;
 const RAYCAST_THROTTLE = 16; // 60fps max for raycasting
-const raycaster = new THREE.Raycaster();
 const mouseNDC = new THREE.Vector2();
+let lastPick = null;
 let earthMesh = null;
 
 // Animation timing
@@ -241,50 +309,42 @@ let debugMode = false;
 /**
  * Camera and textures
  */
-// MODIFY CAMERA SETUP FOR 60% WIDTH LAYOUT
-const textureLoader = new THREE.TextureLoader();
-
-// OPTIMIZED: Texture loading with better error handling and performance
-const loadTextures = () => {
-  return new Promise((resolve, reject) => {
-    const textures = {};
-    let loadedCount = 0;
-    const totalTextures = 4;
-    let hasError = false;
-    
-    const checkAllLoaded = () => {
-      loadedCount++;
-      if (loadedCount === totalTextures && !hasError) {
-        console.log('✅ All textures loaded successfully');
-        
-        // OPTIMIZATION: Set texture parameters for better performance
-        Object.values(textures).forEach(texture => {
-          if (texture instanceof THREE.Texture) {
-            texture.wrapS = THREE.RepeatWrapping;
-            texture.wrapT = THREE.RepeatWrapping;
-            texture.minFilter = THREE.LinearMipmapLinearFilter;
-            texture.magFilter = THREE.LinearFilter;
-            texture.generateMipmaps = true;
-          }
-        });
-        
-        resolve(textures);
-      }
-    };
-    
-    const handleError = (error) => {
-      if (!hasError) {
-        hasError = true;
-        console.error('❌ Texture loading error:', error);
-        reject(error);
-      }
-    };
-    
-    textures.starTexture = textureLoader.load("/circle.png", checkAllLoaded, undefined, handleError);
-    textures.colorMap = textureLoader.load("/earthmap1k.jpg", checkAllLoaded, undefined, handleError);
-    textures.elevationMap = textureLoader.load("/earthbump1k.jpg", checkAllLoaded, undefined, handleError);
-    textures.alphaMap = textureLoader.load("/earthspec1k.jpg", checkAllLoaded, undefined, handleError);
-  });
+// Texture loading: star sprite plus the starting body's texture set.
+// Each asset falls back on its own, so this always resolves.
+const assetLoader = new AssetLoader();
+const loadingScreen = new LoadingScreen(document.getElementById("loading-screen"), assetLoader);
+
+const loadGlobeTexture = (role, url) => assetLoader.loadTexture(role, url, {
+  label: TEXTURE_ROLES[role].label,
+  fallbacks: AppConfig.assets.loading.fallbacks[role],
+  validate: (texture) => validateEquirectangular(texture.image.width, texture.image.height, { label: TEXTURE_ROLES[role].label }),
+  placeholder: () => createPlaceholderTexture(role)
+});
+
+const loadTextures = async () => {
+  const sources = bodyManager.get('earth').textures;
+  const roles = Object.keys(TEXTURE_ROLES).filter(role => sources[role]);
+  const [starTexture, ...roleTextures] = await Promise.all([
+    assetLoader.loadTexture('star', AppConfig.assets.textures.star, {
+      label: 'star sprite',
+      fallbacks: AppConfig.assets.loading.fallbacks.star,
+      placeholder: createStarSprite
+    }),
+    ...roles.map(role => loadGlobeTexture(role, sources[role]))
+  ]);
+  if (!starTexture.userData.placeholder) configureTexture(starTexture);
+
+  // Roles the body has no image for get their solid fill here
+  const bodyTextures = await loadTextureSet(Object.fromEntries(roles.map((role, index) => [role, roleTextures[index]])));
+  loadingScreen.finish();
+
+  const replaced = assetLoader.getProgress().assets.filter(asset => asset.state !== 'loaded');
+  if (replaced.length === 0) {
+    console.log('✅ All textures loaded successfully');
+  } else {
+    console.warn(`⚠️ Textures replaced: ${replaced.map(asset => `${asset.label} (${asset.state})`).join(', ')}`);
+  }
+  return { starTexture, ...bodyTextures };
 };
 
 // OPTIMIZED: Enhanced interpolation with performance focus
@@ -298,6 +358,14 @@ function smoothInterpolation(current, target, deltaTime, speed = 8.0) {
   return lerp(current, target, factor);
 }
 
+// Convert client coordinates to normalised device coordinates of the canvas
+function pointerToNDC(clientX, clientY, target = new THREE.Vector2()) {
+  const rect = canvas.getBoundingClientRect();
+  target.x = ((clientX - rect.left) / rect.width) * 2 - 1;
+  target.y = -((clientY - rect.top) / rect.height) * 2 + 1;
+  return target;
+}
+
 // OPTIMIZED: Hover tracking with better performance
 function updateHoverPosition(clientX, clientY) {
   const currentTime = performance.now();
@@ -306,38 +374,32 @@ function updateHoverPosition(clientX, clientY) {
   if (currentTime - lastRaycastTime < RAYCAST_THROTTLE) return;
   lastRaycastTime = currentTime;
   
-  if (!earthMesh) return;
-  
-  const rect = canvas.getBoundingClientRect();
-  const x = clientX - rect.left;
-  const y = clientY - rect.top;
-  
-  const canvasWidth = rect.width;
-  const canvasHeight = rect.height;
+  if (!earthMesh || contextLoss.lost) return;
   
-  mouseNDC.x = (x / canvasWidth) * 2 - 1;
-  mouseNDC.y = -(y / canvasHeight) * 2 + 1;
+  pointerToNDC(clientX, clientY, mouseNDC);
   
   camera.updateMatrixWorld();
-  raycaster.setFromCamera(mouseNDC, camera);
   
-  const intersects = raycaster.intersectObject(earthMesh);
+  // Interactive layers (markers) get first look at the pointer (they are hidden in safe mode)
+  if (!safeMode) layerManager.handlePointer('move', mouseNDC, camera);
   
-  if (intersects.length > 0) {
-    const intersectionPoint = intersects[0].point;
-    const localPoint = new THREE.Vector3();
-    localPoint.copy(intersectionPoint);
-    group.worldToLocal(localPoint);
+  // Pick against the displaced points actually on screen; a move made while
+  // the last pick is still being read back is skipped
+  const request = terrainPicker.pick(mouseNDC, camera, earthMesh);
+  if (request) request.then(applyHoverPick);
+}
+
+function applyHoverPick(pick) {
+  if (contextLoss.lost) return;
+  lastPick = pick;
+  
+  if (pick) {
+    const localPoint = pick.localPoint;
     
     targetMouse.copy(localPoint);
     targetBulgeStrength = 1.0;
     isMouseOverEarth = true;
     
-    // Enhanced terrain diversity on hover for more visible effect
-    if (earthMesh && earthMesh.material && earthMesh.material.uniforms) {
-      earthMesh.material.uniforms.uTerrainDiversity.value = 1.5; // Increase diversity on hover
-    }
-    
     // Debug: Log bulge activation
     if (debugMode) {
       console.log('🌊 Bulge activated at:', localPoint.toArray().map(n => n.toFixed(3)));
@@ -345,30 +407,18 @@ function updateHoverPosition(clientX, clientY) {
   } else {
     targetBulgeStrength = 0.0;
     isMouseOverEarth = false;
-    
-    // Reset terrain diversity when not hovering
-    if (earthMesh && earthMesh.material && earthMesh.material.uniforms) {
-      earthMesh.material.uniforms.uTerrainDiversity.value = 1.0; // Reset to normal
-    }
   }
   
-  // UPDATE REFINED CATHEDRAL COORDINATE DISPLAYS
-        if (intersects.length > 0 && window.neuraalInterface) {
-    const worldPos = intersects[0].point;
-    // Convert to lat/lon and update refined cathedral display
-    const lat = (Math.asin(worldPos.y / 2.75) * 180 / Math.PI).toFixed(4);
-    const lon = (Math.atan2(worldPos.x, worldPos.z) * 180 / Math.PI).toFixed(4);
-    
-    // Update refined cathedral coordinate displays
-    const latitudeDisplay = document.getElementById('latitude');
-    const longitudeDisplay = document.getElementById('longitude');
-    
-    if (latitudeDisplay) {
-      latitudeDisplay.textContent = lat;
-    }
-    if (longitudeDisplay) {
-      longitudeDisplay.textContent = lon;
-    }
+  // The dashboard's hover metrics read the last pick
+  if (pick) {
+    const region = layerManager.describeLocation(pick.lat, pick.lon)[0];
+    hoverPick = {
+      lat: pick.lat,
+      lon: pick.lon,
+      region: region
+        ? `${region.name}: ${Number.isFinite(region.value) ? region.value.toLocaleString() : 'n/a'}`
+        : null
+    };
   }
 }
 
@@ -390,6 +440,8 @@ function setupHoverTracking() {
   });
   
   window.addEventListener('click', (event) => {
+    if (!safeMode) layerManager.handlePointer('click', pointerToNDC(event.clientX, event.clientY), camera);
+    
     if (isMouseOverEarth && debugMode) {
       console.log('🌍 Clicked on Earth at:', targetMouse.toArray().map(n => n.toFixed(3)));
     }
@@ -402,10 +454,33 @@ const init = async () => {
     // Load textures and create scene
     const textures = await loadTextures();
     window.textures = textures;
+    layerManager.setElevationSampler(textures.elevationMap.userData.fill ? null : ImageSampler.fromTexture(textures.elevationMap));
+    const standIn = earthMesh; // Basic globe, if safe mode started while the textures loaded
     createEarthMesh();
+    layerManager.setGlobeUniforms(earthMesh.material.uniforms);
+    falseColorMode.attach(earthMesh.material.uniforms);
+    falseColorMode.loadRainbow().catch(error => console.warn('⚠️ Rainbow palette unavailable:', error.message));
+    terrainSampler.setUniforms(earthMesh.material.uniforms);
+    terrainSampler.setTextures(textures);
+    bodyManager.attach(earthMesh.material.uniforms, textures, {
+      atmosphere,
+      falseColor: falseColorMode,
+      terrain: terrainSampler,
+      maxTextureSize: renderer.capabilities.maxTextureSize
+    });
+    viewPermalink.attach(earthMesh.material.uniforms);
+    presetManager.attach(earthMesh.material.uniforms);
+    if (presetManager.autoRestore && !viewPermalink.restoredView) {
+      presetManager.restoreSession();
+    }
+    if (standIn) {
+      shaderGlobe = earthMesh;
+      group.remove(shaderGlobe);
+      earthMesh = standIn;
+    }
     console.log('🚀 Enhanced Earth visualization system initialized');
   } catch (error) {
-    console.error('❌ Initialization error:', error);
+    errorHandler.handle(error, 'Initialization');
     // Fallback to basic rendering
     createBasicEarthMesh();
   }
@@ -439,6 +514,7 @@ function createEarthMesh() {
       
       // Enhanced terrain controls
       uTerrainDiversity: { value: 1.0 }, // MAXIMUM for dramatic effects
+      uReliefScale: { value: 1.0 }, // Hover boost and auto-optimization, applied on top of uTerrainDiversity
       uTerrainAnimation: { value: 1.0 },
       uSnowLine: { value: 0.7 }, // Lower snow line for more dramatic snow coverage
       uOceanDepth: { value: 1.0 }, // Maximum ocean effects
@@ -448,7 +524,7 @@ function createEarthMesh() {
       
       // Enhanced terrain density controls
       uDetailLevel: { value: 1.0 }, // Full detail by default
-      uTerrainDensity: { value: 1.5 }, // Increased for dramatic effect
+      uTerrainDensity: { value: 1.0 }, // Feature frequency; 1.0 keeps the reference terrain scale
       
       // Lighting and brightness controls
       uAmbientLight: { value: 0.7 }, // Increased base brightness
@@ -457,9 +533,32 @@ function createEarthMesh() {
       uBrightness: { value: 1.5 }, // Increased brightness for maximum visibility
       uSaturation: { value: 1.3 }, // Increased saturation for vibrant colors
       
+      // Day/night cycle (sun direction is driven by dayNightCycle)
+      uSunDirection: { value: new THREE.Vector3(1, 1, 0.5).normalize() },
+      uNightMap: { value: window.textures.nightMap },
+      uNightBlend: { value: 1.0 }, // Full night side with city lights
+      uTerminatorWidth: { value: 0.1 }, // ~6° of twilight either side of the terminator
+      uCityLights: { value: 1.2 },
+      
       // Performance controls
       uLODLevel: { value: 1.0 }, // LOD quality multiplier
-      uSimplifyTerrain: { value: 0.0 } // Terrain simplification factor
+      uSimplifyTerrain: { value: 0.0 }, // Terrain simplification factor
+      
+      // Choropleth region tint (driven by ChoroplethLayer)
+      uRegionIdMap: { value: null },
+      uRegionPalette: { value: null },
+      uRegionPaletteSize: { value: new THREE.Vector2(1, 1) },
+      uRegionTint: { value: 0.0 },
+      
+      // False-colour elevation (driven by falseColorMode)
+      uFalseColor: { value: 0.0 },
+      uFalseColorRamp: { value: null },
+      uElevationRange: { value: new THREE.Vector2(0, 1) },
+      uFalseColorDomain: { value: new THREE.Vector2(0, 1) },
+      uFalseColorShading: { value: 0.5 },
+      
+      // Terrain probe pass (driven by terrainPicker.probe)
+      uProbeGrid: { value: 0.0 }
     },
     vertexShader: enhancedVertexShader,
     fragmentShader: enhancedFragmentShader
@@ -467,6 +566,7 @@ function createEarthMesh() {
   
   earthMesh = new THREE.Points(pointsGeometry, pointsMaterial);
   group.add(earthMesh);
+  dayNightCycle.attach(pointsMaterial.uniforms);
 
   // Setup systems
   setupHoverTracking();
@@ -489,7 +589,7 @@ function createEarthMesh() {
   console.log('🎮 Controls: T (terrain), A (animation), D (debug), H (help)');
 }
 
-// Fallback for texture loading failures
+// Fallback for texture loading failures (and the stand-in safe mode shows)
 function createBasicEarthMesh() {
   const pointsGeometry = new THREE.SphereGeometry(2.75, 200, 200); // Lower quality fallback
   const basicMaterial = new THREE.PointsMaterial({
@@ -503,6 +603,51 @@ function createBasicEarthMesh() {
   console.log('⚠️ Basic Earth mesh created (fallback mode)');
 }
 
+// Safe mode: a still basic globe with the overlay layers hidden
+let safeMode = false;
+let shaderGlobe = null; // Set aside while the basic globe stands in for it
+const basicGlobeReasons = new Set(); // Why the basic globe is up, e.g. 'safe-mode' or 'shader-error'
+
+/**
+ * Ask for the basic points globe, or withdraw a request. The shader globe
+ * only comes back once no reason for the basic one is left, so leaving
+ * safe mode does not bring back a shader that failed to compile.
+ * @param {boolean} enabled - Show the basic globe
+ * @param {string} reason - Who asks
+ */
+function setBasicGlobe(enabled, reason = 'requested') {
+  if (enabled) basicGlobeReasons.add(reason);
+  else basicGlobeReasons.delete(reason);
+
+  if (basicGlobeReasons.size > 0) {
+    if (shaderGlobe || (earthMesh && !earthMesh.material.isShaderMaterial)) return;
+    shaderGlobe = earthMesh;
+    if (shaderGlobe) group.remove(shaderGlobe);
+    createBasicEarthMesh();
+  } else if (shaderGlobe) {
+    group.remove(earthMesh);
+    earthMesh.geometry.dispose();
+    earthMesh.material.dispose();
+    earthMesh = shaderGlobe;
+    shaderGlobe = null;
+    group.add(earthMesh);
+  }
+}
+
+/**
+ * @param {boolean} enabled - Enter or leave safe mode
+ */
+function setSafeMode(enabled) {
+  safeMode = enabled;
+  setBasicGlobe(enabled, 'safe-mode');
+  layerManager.root.visible = !enabled;
+  // A loop that stopped because even safe mode failed gets another try
+  if (!enabled && animationFrame === null && !contextLoss.lost) {
+    animationFrame = window.requestAnimationFrame(animate);
+  }
+  console.log(enabled ? '🛡️ Safe mode: basic globe, no animation, no layers' : '✅ Safe mode off');
+}
+
 /**
  * OPTIMIZED: Enhanced animation and controls
  */
@@ -518,6 +663,38 @@ const renderer = new THREE.WebGLRenderer({
 renderer.setSize(400, 400); // Larger initial size
 renderer.setClearColor(0x000000, 0); // Transparent
 renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+errorHandler.watchRenderer(renderer);
+
+// A lost WebGL context pauses the frame loop behind an overlay until it is restored
+let animationFrame = null;
+const contextLoss = new ContextLossHandler(renderer, scene, {
+  overlay: document.getElementById("context-overlay"),
+  onLost: () => {
+    window.cancelAnimationFrame(animationFrame);
+    animationFrame = null;
+  },
+  onRestored: () => {
+    rebuildGlobeResources();
+    if (animationFrame === null) animationFrame = window.requestAnimationFrame(animate);
+  }
+});
+
+// GPU state the renderer cannot re-upload on its own: fresh earth geometry and layer render targets
+function rebuildGlobeResources() {
+  if (earthMesh) {
+    earthMesh.geometry.dispose();
+    earthMesh.geometry = lodManager.createGeometry();
+  }
+  layerManager.restoreContext();
+}
+
+const terrainPicker = new TerrainPicker(renderer, { context: layerManager.context });
+
+// Atmosphere and cloud shells ride on the globe group and follow the sun
+const atmosphere = new AtmosphereShell(group);
+const clouds = new CloudShell(group, { renderer });
+dayNightCycle.attach(atmosphere.uniforms);
+dayNightCycle.attach(clouds.uniforms);
 
 // REFINED CATHEDRAL RESIZE HANDLER - Globe uses full container size
 window.addEventListener("resize", () => {
@@ -544,14 +721,127 @@ controls.enableZoom = true;
 controls.zoomSpeed = 0.8; // Slightly slower for smoother feel
 controls.rotateSpeed = 0.8;
 
+// Programmatic camera flights; user input on the controls interrupts them
+const cameraFlight = new CameraFlight(camera, controls, group);
+
+// The URL hash restores and then tracks the view
+const viewPermalink = new ViewPermalink({
+  cameraFlight,
+  group,
+  lodManager,
+  layerManager,
+  shells: { atmosphere, clouds }
+});
+viewPermalink.restore();
+viewPermalink.bind(controls);
+
+// Named looks in localStorage; the last session comes back unless a link chose the view
+const presetManager = new PresetManager({ lodManager, cameraFlight });
+window.addEventListener("pagehide", () => presetManager.saveSession());
+
+// Settings panel; parameters without a uniform are these app settings
+const appSettings = {
+  bulgeRadius: { get: () => bulgeRadius, set: (value) => { bulgeRadius = value; } },
+  bulgeIntensity: { get: () => bulgeIntensity, set: (value) => { bulgeIntensity = value; } }
+};
+const controlPanel = new ControlPanel(document.getElementById("control-panel"), CONTROL_SCHEMA, {
+  read: (param) => (param.uniform
+    ? earthMesh?.material?.uniforms?.[param.uniform]?.value
+    : appSettings[param.key].get()),
+  write: (param, value) => {
+    const uniforms = earthMesh?.material?.uniforms;
+    if (!param.uniform) appSettings[param.key].set(value);
+    else if (uniforms && uniforms[param.uniform]) uniforms[param.uniform].value = value;
+  },
+  onChange: () => {
+    viewPermalink.scheduleUpdate();
+    presetManager.scheduleSessionSave();
+  }
+});
+
+// Keyboard shortcuts; features register actions in setupEnhancedControls
+const shortcuts = new ShortcutRegistry({
+  onAction: (action) => {
+    errorHandler.recordAction('shortcut', action.id);
+    // Shader and LOD changes belong in the permalink and the saved session
+    controlPanel.sync();
+    viewPermalink.scheduleUpdate();
+    presetManager.scheduleSessionSave();
+  }
+});
+const shortcutOverlay = new ShortcutOverlay(document.getElementById("shortcut-overlay"), shortcuts);
+
+// Live values the metrics panel widgets can bind to by name
+const metrics = new MetricRegistry();
+const formatDegrees = (value) => `${value.toFixed(4)}°`;
+[
+  { name: 'hover.lat', label: 'Latitude', read: () => hoverPick && hoverPick.lat, format: formatDegrees },
+  { name: 'hover.lon', label: 'Longitude', read: () => hoverPick && hoverPick.lon, format: formatDegrees },
+  { name: 'hover.region', label: 'Region', read: () => hoverPick && hoverPick.region },
+  { name: 'fps', label: 'FPS', min: 0, max: AppConfig.performance.targetFPS, read: () => performanceMonitor.currentFPS },
+  { name: 'memory', label: 'JS heap', unit: 'MB', read: () => performanceMonitor.memoryUsage || null },
+  { name: 'lod.vertices', label: 'LOD', min: 100, max: 300, read: () => lodManager.currentLOD, format: (value) => `${value}×${value}` },
+  { name: 'lod.level', label: 'LOD level', read: () => lodManager.lodLevels.find(level => level.vertices === lodManager.currentLOD)?.label },
+  {
+    name: 'cache.hitRate',
+    label: 'Cache hit rate',
+    unit: '%',
+    min: 0,
+    max: 100,
+    read: () => (terrainCache.hits + terrainCache.misses > 0 ? (terrainCache.hits / (terrainCache.hits + terrainCache.misses)) * 100 : null)
+  },
+  { name: 'cache.size', label: 'Cache entries', read: () => terrainCache.cacheSize },
+  { name: 'cache.fill', label: 'Cache fill', unit: '%', min: 0, max: 100, read: () => (terrainCache.cacheSize / terrainCache.maxCacheSize) * 100 },
+  { name: 'assets.progress', label: 'Asset loading', unit: '%', min: 0, max: 100, read: () => assetLoader.getProgress().fraction * 100 },
+  { name: 'render.calls', label: 'Draw calls', read: () => renderer.info.render.calls },
+  { name: 'render.triangles', label: 'Triangles', read: () => renderer.info.render.triangles },
+  { name: 'render.points', label: 'Points', read: () => renderer.info.render.points },
+  { name: 'render.geometries', label: 'Geometries', read: () => renderer.info.memory.geometries },
+  { name: 'render.textures', label: 'Textures', read: () => renderer.info.memory.textures },
+  { name: 'layers.count', label: 'Layers', read: () => layerManager.list().length },
+  { name: 'layers.entities', label: 'Layer entities', read: () => layerManager.list().reduce((sum, layer) => sum + layer.count, 0) },
+  { name: 'streams.entities', label: 'Stream entities', read: () => streamManager.list().reduce((sum, stream) => sum + stream.entities, 0) },
+  { name: 'streams.received', label: 'Stream messages', read: () => streamManager.list().reduce((sum, stream) => sum + stream.source.received, 0) },
+  { name: 'camera.altitude', label: 'Altitude', min: 0, max: 20, read: () => camera.position.distanceTo(group.position) - cameraFlight.getSurfaceRadius() }
+].forEach(metric => metrics.register(metric));
+const dashboard = new Dashboard(document.getElementById("dashboard"), metrics);
+
 // OPTIMIZED: Animation loop with LOD and performance monitoring
 const animate = (currentTime) => {
+  const failedInSafeMode = safeMode;
+  try {
+    if (safeMode) renderStillFrame(currentTime);
+    else renderFrame(currentTime);
+  } catch (error) {
+    errorHandler.handle(error, 'Globe Rendering');
+    if (failedInSafeMode) {
+      console.error('❌ Rendering fails even in safe mode, stopping the frame loop');
+      animationFrame = null;
+      return;
+    }
+  }
+  animationFrame = window.requestAnimationFrame(animate);
+};
+
+// Safe mode frame: camera input only, nothing animates
+function renderStillFrame(currentTime) {
+  performanceMonitor.update();
+  cameraFlight.update(currentTime);
+  controls.update();
+  renderer.render(scene, camera);
+  dashboard.update(currentTime);
+}
+
+function renderFrame(currentTime) {
   const deltaTime = Math.min((currentTime - lastTime) * 0.001, 0.016);
   lastTime = currentTime;
   
   // Performance monitoring
   performanceMonitor.update();
   
+  // Sun follows the clock unless a fixed date was set
+  dayNightCycle.update(currentTime);
+  
   // LOD system update
   lodManager.update(camera, group.position);
   
@@ -562,9 +852,11 @@ const animate = (currentTime) => {
     earthMesh.geometry = newGeometry;
   }
   
-  // Smooth Earth rotation for cosmic view
-  group.rotation.y += 0.0005; // Reduced for smoother rotation
-  group.rotation.x += 0.0001; // Reduced for gentler x rotation
+  // Smooth Earth rotation for cosmic view (held while a flight is showing a place)
+  if (!cameraFlight.isRotationHeld()) {
+    group.rotation.y += 0.0005; // Reduced for smoother rotation
+    group.rotation.x += 0.0001; // Reduced for gentler x rotation
+  }
   
   if (earthMesh && earthMesh.material && earthMesh.material.uniforms) {
     const uniforms = earthMesh.material.uniforms;
@@ -585,16 +877,36 @@ const animate = (currentTime) => {
     uniforms.uBulgeRadius.value = bulgeRadius;
     uniforms.uBulgeIntensity.value = bulgeIntensity;
     
+    // Enhanced terrain relief on hover; settings such as a restored diversity are never overwritten
+    uniforms.uReliefScale.value = (isMouseOverEarth ? 1.5 : 1.0) * performanceMonitor.reliefScale;
+    
     // Update LOD level
     if (uniforms.uLODLevel) {
       uniforms.uLODLevel.value = lodManager.currentLOD / 300; // Normalize to 0-1
     }
   }
   
+  // Clouds drift independently of the surface
+  clouds.update(deltaTime);
+  
+  // Live streams feed their marker layers before the layers update
+  streamManager.update(currentTime);
+  
+  // Overlay layers share the terrain clock
+  layerManager.update({
+    camera,
+    renderer,
+    deltaTime,
+    cameraDistance: camera.position.distanceTo(group.position), // Same distance the LOD system uses
+    time: earthMesh?.material?.uniforms?.uTime?.value ?? currentTime * 0.001
+  });
+  
+  cameraFlight.update(currentTime);
   controls.update();
+  controlPanel.update(currentTime);
   renderer.render(scene, camera);
-  window.requestAnimationFrame(animate);
-};
+  dashboard.update(currentTime); // After rendering so renderer.info describes this frame
+}
 
 // Start optimized animation
 animate(0);
@@ -604,80 +916,171 @@ animate(0);
  */
 function setupEnhancedControls(material) {
   const uniforms = material.uniforms;
+  // Diversity is a panel setting, so the shortcuts write it through the panel
+  const diversitySetting = CONTROL_SCHEMA.find(param => param.key === 'terrainDiversity');
   
-  window.addEventListener('keydown', (event) => {
-    switch(event.key.toLowerCase()) {
-      case 't': // Toggle terrain diversity
-        const diversity = uniforms.uTerrainDiversity.value;
-        uniforms.uTerrainDiversity.value = diversity > 0.5 ? 0.0 : 1.5; // Increased to 1.5 for dramatic effect
-        console.log(`🌍 Terrain Diversity: ${diversity > 0.5 ? 'OFF' : 'MAXIMUM'} (${uniforms.uTerrainDiversity.value.toFixed(1)})`);
-        break;
-        
-      case 'g': // Increase terrain diversity
-        uniforms.uTerrainDiversity.value = Math.min(1.0, uniforms.uTerrainDiversity.value + 0.1);
-        console.log(`⬆️ Terrain Diversity: ${uniforms.uTerrainDiversity.value.toFixed(1)}`);
-        break;
-        
-      case 'f': // Decrease terrain diversity
-        uniforms.uTerrainDiversity.value = Math.max(0.0, uniforms.uTerrainDiversity.value - 0.1);
-        console.log(`⬇️ Terrain Diversity: ${uniforms.uTerrainDiversity.value.toFixed(1)}`);
-        break;
-        
-      case 'b': // Brightness control
-        uniforms.uBrightness.value = Math.min(2.0, uniforms.uBrightness.value + 0.1);
-        console.log(`💡 Brightness: ${uniforms.uBrightness.value.toFixed(1)}`);
-        break;
-        
-      case 'v': // Decrease brightness
-        uniforms.uBrightness.value = Math.max(0.5, uniforms.uBrightness.value - 0.1);
-        console.log(`🔅 Brightness: ${uniforms.uBrightness.value.toFixed(1)}`);
-        break;
-        
-      case 'c': // Contrast control
-        uniforms.uContrast.value = Math.min(2.0, uniforms.uContrast.value + 0.1);
-        console.log(`📊 Contrast: ${uniforms.uContrast.value.toFixed(1)}`);
-        break;
-        
-      case 'x': // Decrease contrast
-        uniforms.uContrast.value = Math.max(0.5, uniforms.uContrast.value - 0.1);
-        console.log(`📉 Contrast: ${uniforms.uContrast.value.toFixed(1)}`);
-        break;
-        
-      case 'l': // LOD control
-        const currentLOD = lodManager.currentLOD;
-        const nextLOD = currentLOD >= 300 ? 150 : currentLOD >= 150 ? 100 : 300;
-        lodManager.currentLOD = nextLOD;
-        lodManager.needsGeometryUpdate = true;
-        console.log(`🔄 Manual LOD: ${nextLOD}×${nextLOD} vertices`);
-        break;
-        
-      case 'p': // Performance report
-        const status = performanceMonitor.getStatus();
-        const cacheStats = terrainCache.getStats();
-        console.log(`📊 Performance: ${status.fps}fps, ${status.memory}, LOD: ${lodManager.currentLOD}`);
-        console.log(`🗄️ Cache: ${cacheStats.cacheSize} entries, ${cacheStats.hitRate} hit rate`);
-        break;
-        
-      case 'r': // Reset to defaults
-        resetToEnhancedDefaults();
-        break;
-        
-      case 'h': // Help menu
-        showEnhancedHelpMenu();
-        break;
-        
-      case 'd': // Toggle debug mode
-        debugMode = !debugMode;
-        console.log(`🐛 Debug mode: ${debugMode ? 'ON' : 'OFF'}`);
-        break;
-        
-      case 'a': // Toggle terrain animation
-        const animation = uniforms.uTerrainAnimation.value;
-        uniforms.uTerrainAnimation.value = animation > 0.5 ? 0.0 : 1.0;
-        console.log(`🌊 Terrain Animation: ${animation > 0.5 ? 'OFF' : 'ON'} (${uniforms.uTerrainAnimation.value.toFixed(1)})`);
-        break;
+  // Terrain
+  shortcuts.register({
+    id: 'terrain.toggleDiversity',
+    description: 'Toggle terrain diversity',
+    group: 'Terrain',
+    keys: 't',
+    handler: () => {
+      const diversity = uniforms.uTerrainDiversity.value;
+      const value = controlPanel.set(diversitySetting, diversity > 0.5 ? 0.0 : 1.5); // Increased to 1.5 for dramatic effect
+      console.log(`🌍 Terrain Diversity: ${diversity > 0.5 ? 'OFF' : 'MAXIMUM'} (${value.toFixed(1)})`);
+    }
+  });
+  shortcuts.register({
+    id: 'terrain.moreDiversity',
+    description: 'Increase terrain diversity',
+    group: 'Terrain',
+    keys: 'g',
+    handler: () => {
+      const value = controlPanel.set(diversitySetting, uniforms.uTerrainDiversity.value + 0.1);
+      console.log(`⬆️ Terrain Diversity: ${value.toFixed(1)}`);
+    }
+  });
+  shortcuts.register({
+    id: 'terrain.lessDiversity',
+    description: 'Decrease terrain diversity',
+    group: 'Terrain',
+    keys: 'f',
+    handler: () => {
+      const value = controlPanel.set(diversitySetting, uniforms.uTerrainDiversity.value - 0.1);
+      console.log(`⬇️ Terrain Diversity: ${value.toFixed(1)}`);
+    }
+  });
+  shortcuts.register({
+    id: 'terrain.toggleAnimation',
+    description: 'Toggle terrain animation (breathing effects)',
+    group: 'Terrain',
+    keys: 'a',
+    handler: () => {
+      const animation = uniforms.uTerrainAnimation.value;
+      uniforms.uTerrainAnimation.value = animation > 0.5 ? 0.0 : 1.0;
+      console.log(`🌊 Terrain Animation: ${animation > 0.5 ? 'OFF' : 'ON'} (${uniforms.uTerrainAnimation.value.toFixed(1)})`);
+    }
+  });
+
+  // Colour
+  shortcuts.register({
+    id: 'colour.brighter',
+    description: 'Increase brightness',
+    group: 'Colour',
+    keys: 'b',
+    handler: () => {
+      uniforms.uBrightness.value = Math.min(2.0, uniforms.uBrightness.value + 0.1);
+      console.log(`💡 Brightness: ${uniforms.uBrightness.value.toFixed(1)}`);
+    }
+  });
+  shortcuts.register({
+    id: 'colour.darker',
+    description: 'Decrease brightness',
+    group: 'Colour',
+    keys: 'v',
+    handler: () => {
+      uniforms.uBrightness.value = Math.max(0.5, uniforms.uBrightness.value - 0.1);
+      console.log(`🔅 Brightness: ${uniforms.uBrightness.value.toFixed(1)}`);
+    }
+  });
+  shortcuts.register({
+    id: 'colour.moreContrast',
+    description: 'Increase contrast',
+    group: 'Colour',
+    keys: 'c',
+    handler: () => {
+      uniforms.uContrast.value = Math.min(2.0, uniforms.uContrast.value + 0.1);
+      console.log(`📊 Contrast: ${uniforms.uContrast.value.toFixed(1)}`);
+    }
+  });
+  shortcuts.register({
+    id: 'colour.lessContrast',
+    description: 'Decrease contrast',
+    group: 'Colour',
+    keys: 'x',
+    handler: () => {
+      uniforms.uContrast.value = Math.max(0.5, uniforms.uContrast.value - 0.1);
+      console.log(`📉 Contrast: ${uniforms.uContrast.value.toFixed(1)}`);
+    }
+  });
+
+  // Performance
+  shortcuts.register({
+    id: 'performance.cycleLOD',
+    description: 'Cycle manual LOD quality levels',
+    group: 'Performance',
+    keys: 'l',
+    handler: () => {
+      const currentLOD = lodManager.currentLOD;
+      const nextLOD = currentLOD >= 300 ? 150 : currentLOD >= 150 ? 100 : 300;
+      lodManager.setMode(nextLOD);
+      console.log(`🔄 Manual LOD: ${nextLOD}×${nextLOD} vertices`);
+    }
+  });
+  shortcuts.register({
+    id: 'performance.report',
+    description: 'Performance report (FPS, memory, LOD, cache)',
+    group: 'Performance',
+    keys: 'p',
+    handler: () => {
+      const status = performanceMonitor.getStatus();
+      const cacheStats = terrainCache.getStats();
+      console.log(`📊 Performance: ${status.fps}fps, ${status.memory}, LOD: ${lodManager.currentLOD}`);
+      console.log(`🗄️ Cache: ${cacheStats.cacheSize} entries, ${cacheStats.hitRate} hit rate`);
+    }
+  });
+  shortcuts.register({
+    id: 'performance.reset',
+    description: 'Reset to enhanced defaults',
+    group: 'Performance',
+    keys: 'r',
+    handler: () => resetToEnhancedDefaults()
+  });
+
+  // Camera
+  shortcuts.register({
+    id: 'camera.home',
+    description: 'Fly back to the home view',
+    group: 'Camera',
+    keys: 'shift+h',
+    handler: () => cameraFlight.home()
+  });
+  shortcuts.register({
+    id: 'camera.stop',
+    description: 'Stop the current camera flight',
+    group: 'Camera',
+    keys: 'escape',
+    handler: () => cameraFlight.cancel('cancelled')
+  });
+
+  // Interface
+  shortcuts.register({
+    id: 'interface.help',
+    description: 'Show or hide this shortcut list',
+    group: 'Interface',
+    keys: ['h', '?'],
+    handler: () => showEnhancedHelpMenu()
+  });
+  shortcuts.register({
+    id: 'interface.settings',
+    description: 'Show or hide the settings panel',
+    group: 'Interface',
+    keys: 's',
+    handler: () => controlPanel.setCollapsed(!controlPanel.collapsed)
+  });
+  shortcuts.register({
+    id: 'interface.debug',
+    description: 'Toggle debug mode (bulge logging)',
+    group: 'Interface',
+    keys: 'd',
+    handler: () => {
+      debugMode = !debugMode;
+      console.log(`🐛 Debug mode: ${debugMode ? 'ON' : 'OFF'}`);
     }
   });
+
+  shortcuts.attach(window);
   
   // Automatic performance optimization warning
   setTimeout(() => {
@@ -690,85 +1093,242 @@ function setupEnhancedControls(material) {
 
 // Reset to enhanced defaults
 function resetToEnhancedDefaults() {
-  const uniforms = earthMesh.material.uniforms;
-  
-  // DRAMATIC: Enhanced terrain defaults for maximum visual impact
-  uniforms.uTerrainDiversity.value = 1.0; // MAXIMUM for dramatic effects
-  uniforms.uDetailLevel.value = 1.0;
-  uniforms.uTerrainDensity.value = 1.5; // Increased for dramatic effect
-  
-  // DRAMATIC: Maximum terrain effects
-  uniforms.uSnowLine.value = 0.7; // Lower snow line for more dramatic snow coverage
-  uniforms.uOceanDepth.value = 1.0; // Maximum ocean effects
-  uniforms.uForestDensity.value = 1.0; // Maximum forest density
-  uniforms.uDesertDunes.value = 1.0; // Maximum desert dune effects
-  uniforms.uMountainSharpness.value = 1.0; // Maximum mountain sharpness
-  
-  // DRAMATIC: Enhanced visual defaults for maximum impact
-  uniforms.uBrightness.value = 1.5; // Increased brightness for maximum visibility
-  uniforms.uContrast.value = 1.4; // Increased contrast for dramatic effect
-  uniforms.uSaturation.value = 1.3; // Increased saturation for vibrant colors
-  uniforms.uAmbientLight.value = 0.7; // Increased base brightness
-  uniforms.uDirectionalLight.value = 1.0; // Maximum directional lighting
-  
-  // LOD reset
-  lodManager.currentLOD = 300;
-  lodManager.needsGeometryUpdate = true;
+  // DRAMATIC: look, LOD and animation come from the built-in preset
+  presetManager.load('dramatic');
   
   // Cache clear
   terrainCache.clear();
   
+  // Terrain settings (snow line, oceans, forests...) belong to the current body
+  if (bodyManager.current) {
+    bodyManager.applySettings(bodyManager.current);
+  }
+  
   console.log('🔄 Reset to DRAMATIC terrain defaults for maximum visual impact!');
 }
 
-// Enhanced help menu
+// Enhanced help menu: on-screen list generated from the shortcut registry
 function showEnhancedHelpMenu() {
-  console.log(`
-🌍 ENHANCED TERRAIN SYSTEM CONTROLS:
-
-🎨 VISUAL CONTROLS:
-T - Toggle terrain diversity MAXIMUM on/off
-G/F - Increase/decrease terrain diversity
-B/V - Increase/decrease brightness
-C/X - Increase/decrease contrast
-A - Toggle terrain animation (breathing effects)
-
-⚡ PERFORMANCE CONTROLS:
-L - Manual LOD control (cycles through quality levels)
-P - Performance report (FPS, memory, LOD, cache stats)
-R - Reset to enhanced defaults
-
-🌍 ENHANCED TERRAIN FEATURES:
-- Dramatic terrain classification with 7 types (Ocean, Mountain, Forest, Plains, Desert, Tundra, Canyon)
-- Terrain-specific Perlin noise patterns with dramatic displacement
-- Living, breathing terrain with time-based animation
-- LOD-based performance optimization
-- Advanced caching system for smooth performance
-- Auto-optimization for consistent 60fps
-
-🌊 INTERACTIVE BULGE SYSTEM:
-- Hover over globe to see terrain wiggle effect
-- Dynamic bulge displacement with mouse tracking
-- Animated bulge with time-based variation
-- Press D to toggle debug mode for bulge logging
-
-💡 Pro Tips:
-- Use G/F to control terrain complexity
-- Use L to manually control detail level
-- Press P to monitor performance
-- R resets everything to optimal settings
-  `);
+  if (shortcutOverlay.container) {
+    shortcutOverlay.toggle();
+    return;
+  }
+  
+  console.log('🌍 ENHANCED TERRAIN SYSTEM CONTROLS:');
+  shortcuts.list().forEach(({ group, description, keys }) => {
+    console.log(`[${group}] ${keys.map(formatKeys).join(', ') || 'Unbound'} - ${description}`);
+  });
 }
 
 // Export performance monitoring for external access
 window.earthPerformance = {
   getStatus: () => performanceMonitor.getStatus(),
-  getLOD: () => ({ current: lodManager.currentLOD, needsUpdate: lodManager.needsGeometryUpdate }),
+  getLOD: () => ({ current: lodManager.currentLOD, mode: lodManager.mode, needsUpdate: lodManager.needsGeometryUpdate }),
+  getLODLevels: () => lodManager.lodLevels.map(level => level.vertices),
+  setLODMode: (mode) => { lodManager.setMode(mode); viewPermalink.scheduleUpdate(); },
   clearCache: () => terrainCache.clear(),
   toggleDebug: () => { debugMode = !debugMode; console.log(`Debug: ${debugMode ? 'ON' : 'OFF'}`); },
   getEnhancedTerrainStats: () => terrainCache.getStats()
 };
 
+// Export WebGL context state and loss simulation for external access
+window.earthRenderer = {
+  getContextState: () => contextLoss.describe(),
+  // Debug hooks: drop and bring back the context through WEBGL_lose_context
+  loseContext: () => contextLoss.loseContext(),
+  restoreContext: () => contextLoss.restoreContext(),
+  // Re-upload every material, texture and geometry without waiting for a loss
+  rebuild: () => {
+    contextLoss.rebuildScene();
+    rebuildGlobeResources();
+  },
+  setBasicGlobe: (enabled, reason) => setBasicGlobe(enabled, reason),
+  isBasicGlobe: () => basicGlobeReasons.size > 0,
+  setSafeMode: (enabled) => setSafeMode(enabled),
+  isSafeMode: () => safeMode
+};
+
+// Export day/night control for external access
+window.earthSun = {
+  setDate: (date) => dayNightCycle.setDate(date),
+  getDate: () => dayNightCycle.getDate(),
+  setLive: (live = true) => dayNightCycle.setLive(live),
+  getState: () => dayNightCycle.getState()
+};
+
+// Export atmosphere and cloud shells for external access
+window.earthAtmosphere = {
+  setAtmosphere: (enabled) => { atmosphere.setEnabled(enabled); viewPermalink.scheduleUpdate(); },
+  setAtmosphereQuality: (quality) => atmosphere.setQuality(quality),
+  setAtmosphereIntensity: (intensity) => atmosphere.setIntensity(intensity),
+  setClouds: (enabled) => { clouds.setEnabled(enabled); viewPermalink.scheduleUpdate(); },
+  setCloudQuality: (quality) => clouds.setQuality(quality),
+  setCloudOpacity: (opacity) => clouds.setOpacity(opacity),
+  setCloudDrift: (speed) => clouds.setDriftSpeed(speed),
+  loadClouds: (url) => clouds.load(url),
+  getState: () => ({ atmosphere: atmosphere.getState(), clouds: clouds.getState() })
+};
+
+// Export planetary bodies for external access
+window.earthBodies = {
+  list: () => bodyManager.list(),
+  register: (preset) => bodyManager.register(preset),
+  switchTo: (id, textures = {}) => bodyManager.switchTo(id, textures),
+  loadFiles: (files, options = {}) => bodyManager.loadFiles(files, options),
+  openFilePicker: (options = {}) => bodyManager.openFilePicker(options),
+  getState: () => bodyManager.getState()
+};
+
+// Equirectangular images dropped on the globe become a custom body
+const globeDropTarget = document.querySelector(".globe-container");
+if (globeDropTarget) {
+  bodyManager.bindDropTarget(globeDropTarget);
+}
+
+// Export false-colour elevation mode for external access
+window.earthFalseColor = {
+  setEnabled: (enabled) => falseColorMode.setEnabled(enabled),
+  setPalette: (palette) => falseColorMode.setPalette(palette),
+  setDomain: (domain) => falseColorMode.setDomain(domain),
+  getState: () => falseColorMode.getState()
+};
+
+// Export terrain picking for external access
+window.earthPicking = {
+  // Promise of the pick, or null while a hover readback is in flight
+  pick: (clientX, clientY) => (earthMesh ? terrainPicker.pick(pointerToNDC(clientX, clientY), camera, earthMesh) : null),
+  getLastHover: () => lastPick
+};
+
+// Export CPU terrain queries for external access
+window.earthTerrain = {
+  queryTerrain: (lat, lon, settings = {}) => terrainSampler.queryTerrain(lat, lon, settings),
+  probeShader: (locations, overrides = {}) => (earthMesh ? terrainPicker.probe(locations, earthMesh, overrides) : null),
+  getCacheStats: () => terrainCache.getStats()
+};
+
+// Export camera flights for external access
+window.earthCamera = {
+  flyTo: (options) => cameraFlight.flyTo(options),
+  home: (options = {}) => cameraFlight.home(options),
+  cancel: () => cameraFlight.cancel(),
+  resumeRotation: () => cameraFlight.resumeRotation(),
+  setAutoRotate: (enabled) => { cameraFlight.setAutoRotate(enabled); presetManager.scheduleSessionSave(); },
+  getState: () => cameraFlight.getState()
+};
+
+// Export view permalinks for external access
+window.earthPermalink = {
+  getURL: () => viewPermalink.getURL(),
+  serialize: () => viewPermalink.serialize(),
+  restore: (hash) => viewPermalink.restore(hash, { animate: true }),
+  update: () => viewPermalink.write(),
+  hasRestoredView: () => viewPermalink.restoredCamera
+};
+
+// Export visual presets for external access
+window.earthPresets = {
+  list: () => presetManager.list(),
+  load: (name) => { const preset = presetManager.load(name); viewPermalink.scheduleUpdate(); return preset; },
+  save: (name) => presetManager.save(name),
+  remove: (name) => presetManager.remove(name),
+  exportJSON: (names) => presetManager.exportJSON(names),
+  download: (filename, names) => presetManager.download(filename, names),
+  importJSON: (text) => presetManager.importJSON(text),
+  importFile: (file) => presetManager.importFile(file),
+  setAutoRestore: (enabled) => presetManager.setAutoRestore(enabled),
+  getState: () => presetManager.getState()
+};
+
+// Export the settings panel parameters for external access
+const findSetting = (key) => {
+  const param = CONTROL_SCHEMA.find(entry => entry.key === key);
+  if (!param) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+  return param;
+};
+window.earthSettings = {
+  list: () => CONTROL_SCHEMA.map(param => ({ ...param, value: controlPanel.binding.read(param) })),
+  get: (key) => controlPanel.binding.read(findSetting(key)),
+  set: (key, value) => controlPanel.set(findSetting(key), value)
+};
+
+// Export keyboard shortcuts for external access
+window.earthShortcuts = {
+  register: (action) => shortcuts.register(action),
+  list: () => shortcuts.list(),
+  rebind: (id, keys) => shortcuts.rebind(id, keys),
+  reset: (id) => shortcuts.reset(id),
+  getConflicts: () => shortcuts.getConflicts(),
+  trigger: (id) => shortcuts.trigger(id),
+  showHelp: () => shortcutOverlay.show()
+};
+
+// Export overlay layers for external access
+window.earthLayers = {
+  add: (layer) => layerManager.add(layer),
+  remove: (id) => layerManager.remove(id),
+  get: (id) => layerManager.get(id),
+  list: () => layerManager.list(),
+  setVisible: (id, visible) => { layerManager.setVisible(id, visible); viewPermalink.scheduleUpdate(); },
+  loadGeoJSON: (id, source, options = {}) => layerManager.add(new GeoJSONLayer(id, options)).load(source),
+  addMarkerLayer: (id, options = {}) => layerManager.add(new MarkerLayer(id, options)),
+  addArcLayer: (id, options = {}) => layerManager.add(new ArcLayer(id, options)),
+  addHeatmapLayer: (id, options = {}) => layerManager.add(new HeatmapLayer(id, options)),
+  loadChoropleth: (id, source, options = {}) => layerManager.add(new ChoroplethLayer(id, options)).load(source)
+};
+
+// Export asset loading for external access
+window.earthAssets = {
+  getProgress: () => assetLoader.getProgress(),
+  onProgress: (callback) => assetLoader.onProgress(callback),
+  // Try the Earth textures that fell back again and swap in any that now load
+  reloadFallbacks: async () => {
+    const roles = assetLoader.getProgress().assets
+      .filter(asset => asset.key in TEXTURE_ROLES && asset.state !== 'loaded')
+      .map(asset => asset.key);
+    const recovered = [];
+    for (const role of roles) {
+      const texture = await assetLoader.reload(role);
+      if (texture.userData.placeholder || bodyManager.currentId !== 'earth') {
+        texture.dispose();
+        continue;
+      }
+      const previous = bodyManager.textures[role];
+      bodyManager.applyTextures({ ...bodyManager.textures, [role]: configureTexture(texture) });
+      previous.dispose();
+      recovered.push(role);
+    }
+    return recovered;
+  }
+};
+
+// Export the metrics panel for external access
+window.earthDashboard = {
+  listMetrics: () => metrics.list(),
+  registerMetric: (metric) => metrics.register(metric),
+  readMetric: (name) => metrics.read(name),
+  widgetTypes: () => Object.keys(WIDGET_TYPES),
+  getLayout: () => dashboard.getLayout(),
+  setLayout: (layout) => dashboard.setLayout(layout),
+  addWidget: (entry, index) => dashboard.addWidget(entry, index),
+  removeWidget: (id) => dashboard.removeWidget(id),
+  moveWidget: (id, index) => dashboard.moveWidget(id, index),
+  reset: () => dashboard.reset()
+};
+
+// Export live data streams for external access
+window.earthStreams = {
+  connect: (definition) => streamManager.add(definition).describe(),
+  disconnect: (id) => streamManager.remove(id),
+  get: (id) => streamManager.get(id),
+  list: () => streamManager.list(),
+  getEntities: (id) => (streamManager.get(id) ? streamManager.get(id).getEntities() : []),
+  startDemo: () => streamManager.add(AppConfig.streams.demo).describe(),
+  clear: () => streamManager.clear()
+};
+
 // CATHEDRAL INTERFACE INTEGRATION
 // Cathedral interface is initialized by cathedralInterface.js
 // This ensures proper integration with the microscopic globe
@@ -905,9 +1465,12 @@ function setupEnlargedGlobeControls() {
 
 // 7. CAMERA RESET FOR EXTREME COSMIC VIEW
 function resetCameraForCosmicView() {
+  // Ensure camera is positioned for maximum cosmic view, unless a permalink chose the view
+  if (!viewPermalink.restoredCamera) {
+    cameraFlight.home({ duration: 0 });
+  }
+  
   if (window.camera) {
-    // Ensure camera is positioned for maximum cosmic view
-    window.camera.position.set(0, 0, 14);
     window.camera.fov = 65;
     window.camera.updateProjectionMatrix();
     console.log('🌌 Camera reset for maximum cosmic view with enhanced star field');
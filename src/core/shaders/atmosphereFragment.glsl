@@ -0,0 +1,55 @@
+// ATMOSPHERE FRAGMENT SHADER
+// Rayleigh-style rim glow: optical depth through a spherical shell, lit by
+// the sun and warmed towards the terminator. Output is premultiplied so the
+// halo composites correctly over the transparent clear colour.
+
+uniform vec3 uDayColor;
+uniform vec3 uSunsetColor;
+uniform float uIntensity;
+uniform float uFalloff;
+uniform float uInnerRadius;
+uniform float uOuterRadius;
+uniform float uDiscHaze; // 0 = limb only, 1 = thin haze over the globe disc
+uniform float uMieStrength; // Forward scattering when looking towards the sun
+
+varying vec3 vViewPosition;
+varying vec3 vCenter;
+varying vec3 vSunView;
+
+void main() {
+  vec3 rayDir = normalize(vViewPosition);
+  vec3 closest = rayDir * dot(vCenter, rayDir) - vCenter; // Centre to closest approach
+  float impact2 = dot(closest, closest);
+  float inner2 = uInnerRadius * uInnerRadius;
+  float outer2 = uOuterRadius * uOuterRadius;
+  float maxDepth = sqrt(outer2 - inner2);
+
+  float depth;
+  vec3 up;
+  if (impact2 >= inner2) {
+    // Ray grazes past the globe: full chord through the shell
+    depth = sqrt(max(outer2 - impact2, 0.0)) / maxDepth;
+    up = normalize(closest);
+  } else {
+    // Ray hits the globe: shell entry down to the surface
+    float toSurface = sqrt(inner2 - impact2);
+    depth = (sqrt(outer2 - impact2) - toSurface) / maxDepth * uDiscHaze;
+    up = normalize(closest - rayDir * toSurface);
+  }
+
+  float density = pow(clamp(depth, 0.0, 1.0), uFalloff);
+
+  float sunHeight = dot(up, vSunView);
+  float daylight = smoothstep(-0.35, 0.35, sunHeight);
+  float sunset = pow(1.0 - abs(sunHeight), 6.0) * smoothstep(-0.35, 0.05, sunHeight);
+
+  float cosTheta = dot(rayDir, vSunView);
+  float rayleigh = 0.75 * (1.0 + cosTheta * cosTheta);
+  float mie = uMieStrength * pow(max(cosTheta, 0.0), 32.0) * daylight;
+
+  vec3 color = mix(uDayColor, uSunsetColor, sunset) + vec3(mie);
+  float alpha = clamp(density * (daylight * rayleigh + mie) * uIntensity, 0.0, 1.0);
+  if (alpha < 0.003) discard;
+
+  gl_FragColor = vec4(min(color, vec3(1.0)) * alpha, alpha);
+}
@@ -0,0 +1,19 @@
+// ATMOSPHERE VERTEX SHADER
+// Everything is resolved per fragment in view space; the shell only has to
+// cover the halo on screen
+
+uniform vec3 uSunDirection;
+
+varying vec3 vViewPosition;
+varying vec3 vCenter;
+varying vec3 vSunView;
+
+void main() {
+  vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+
+  vViewPosition = mvPosition.xyz;
+  vCenter = (modelViewMatrix * vec4(0.0, 0.0, 0.0, 1.0)).xyz;
+  vSunView = normalize((modelViewMatrix * vec4(uSunDirection, 0.0)).xyz);
+
+  gl_Position = projectionMatrix * mvPosition;
+}
@@ -0,0 +1,20 @@
+// CLOUD FRAGMENT SHADER
+// The cloud map drifts in longitude while lighting stays tied to geography
+
+uniform sampler2D uCloudMap;
+uniform float uOpacity;
+uniform float uDrift;
+
+varying vec2 vUv;
+varying float vSunDot;
+
+void main() {
+  float cover = texture2D(uCloudMap, vec2(vUv.x + uDrift, vUv.y)).r;
+  float alpha = smoothstep(0.15, 0.85, cover) * uOpacity;
+  if (alpha < 0.01) discard;
+
+  float daylight = smoothstep(-0.15, 0.25, vSunDot);
+  vec3 color = vec3(mix(0.06, 1.0, daylight));
+
+  gl_FragColor = vec4(color * alpha, alpha);
+}
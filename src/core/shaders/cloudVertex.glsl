@@ -0,0 +1,12 @@
+// CLOUD VERTEX SHADER
+
+uniform vec3 uSunDirection;
+
+varying vec2 vUv;
+varying float vSunDot;
+
+void main() {
+  vUv = uv;
+  vSunDot = dot(normalize(position), normalize(uSunDirection));
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
@@ -7,23 +7,42 @@ uniform sampler2D uElevationMap;
 uniform float uWaterEffect;
 uniform float uTerrainDiversity;
 uniform float uTime;
-uniform float uSnowLine;
-uniform float uOceanDepth;
-uniform float uForestDensity;
-uniform float uDesertDunes;
-uniform float uMountainSharpness;
+uniform float uSnowLine; // 0-1, default 0.7: elevation where snow starts on mountains and tundra
+uniform float uOceanDepth; // 0-2, default 1: strength of the ocean tint and wave shading
+uniform float uForestDensity; // 0-2, default 1: strength of the forest tint and canopy pattern
+uniform float uDesertDunes; // 0-2, default 1: contrast of the sand dune pattern
+uniform float uMountainSharpness; // 0-2, default 1: contrast of the rock texture
 
 // Enhanced terrain controls
 uniform float uDetailLevel;
-uniform float uTerrainDensity;
+uniform float uTerrainDensity; // 0.25-3, default 1: scale of the colour variation
 uniform float uLODLevel;
-uniform float uSimplifyTerrain;
+uniform float uSimplifyTerrain; // 0-1, default 0: fades out fine colour noise
 uniform float uAmbientLight;
 uniform float uDirectionalLight;
 uniform float uContrast;
 uniform float uBrightness;
 uniform float uSaturation;
 
+// Day/night terminator and city lights
+uniform sampler2D uNightMap;
+uniform float uNightBlend; // 0 = always day, 1 = full night side
+uniform float uTerminatorWidth; // Half-width of the twilight band in sun-cosine units
+uniform float uCityLights;
+
+// False-colour elevation (driven by FalseColorMode)
+uniform float uFalseColor; // 0 = imagery, 1 = colour ramp
+uniform sampler2D uFalseColorRamp;
+uniform vec2 uElevationRange; // Physical values at elevation 0 and 1
+uniform vec2 uFalseColorDomain; // Values at the ends of the ramp
+uniform float uFalseColorShading;
+
+// Choropleth region tint (textures written by ChoroplethLayer)
+uniform sampler2D uRegionIdMap;
+uniform sampler2D uRegionPalette;
+uniform vec2 uRegionPaletteSize; // Columns, rows
+uniform float uRegionTint;
+
 varying float vVisible;
 varying vec2 vUv;
 varying vec3 vPosition;
@@ -32,6 +51,7 @@ varying float vElevation;
 flat varying int vTerrainType;
 varying float vLighting;
 varying float vDetailLevel;
+varying float vSunDot;
 
 // Perlin noise function for fragment shader
 float perlinNoise(vec3 pos) {
@@ -69,6 +89,18 @@ float fractalNoise(vec3 pos, float frequency, float amplitude, int octaves) {
   return noise;
 }
 
+// Region colour for a texel: ids are packed into r + g * 256, 0 = no region.
+// The palette is laid out row by row, uRegionPaletteSize.x regions per row.
+vec4 getRegionColor(vec2 uv) {
+  vec4 idSample = texture2D(uRegionIdMap, uv);
+  float id = floor(idSample.r * 255.0 + 0.5) + floor(idSample.g * 255.0 + 0.5) * 256.0;
+  if (id < 0.5) return vec4(0.0);
+  float index = id - 1.0;
+  float row = floor(index / uRegionPaletteSize.x);
+  float column = index - row * uRegionPaletteSize.x;
+  return texture2D(uRegionPalette, (vec2(column, row) + 0.5) / uRegionPaletteSize);
+}
+
 // Basic color enhancement functions
 vec3 adjustContrast(vec3 color, float contrast) {
   return ((color - 0.5) * contrast) + 0.5;
@@ -83,26 +115,33 @@ vec3 adjustBrightness(vec3 color, float brightness) {
   return color * brightness;
 }
 
+// Snow cover above the snow line, full 0.2 elevation units above it
+float snowCover(float elevation) {
+  return smoothstep(uSnowLine, uSnowLine + 0.2, elevation);
+}
+
 // Dramatic terrain-specific color modification with enhanced Perlin noise
 vec3 getEnhancedTerrainColor(int terrainType, vec3 baseColor, vec2 uv) {
   vec3 color = baseColor;
   
   // Smooth Perlin noise variation based on position and time
-  vec3 noisePos = vPosition * 6.0 + uTime * 0.1; // Reduced time speed
-  float noise1 = perlinNoise(noisePos) * 0.1; // Reduced from 0.2
-  float noise2 = fractalNoise(noisePos * 2.5, 1.0, 0.6, 3) * 0.05; // Reduced from 0.1
+  float detail = 1.0 - uSimplifyTerrain;
+  vec3 position = vPosition * uTerrainDensity;
+  vec3 noisePos = position * 6.0 + uTime * 0.1; // Reduced time speed
+  float noise1 = perlinNoise(noisePos) * 0.1 * detail; // Reduced from 0.2
+  float noise2 = fractalNoise(noisePos * 2.5, 1.0, 0.6, 3) * 0.05 * detail; // Reduced from 0.1
   
   switch (terrainType) {
     case 0: // Ocean
-      // Dramatic ocean colors with wave patterns
+      // Dramatic ocean colors with wave patterns; depth sets the tint
       vec3 oceanColor = vec3(0.1, 0.4, 0.8);
       float oceanNoise = noise1 + noise2;
-      color = mix(color, oceanColor, 0.4 + oceanNoise);
+      color = mix(color, oceanColor, clamp((0.4 + oceanNoise) * uOceanDepth, 0.0, 1.0));
       
       // Smooth wave patterns with gentle time animation
-      float waveNoise1 = perlinNoise(vPosition * 8.0 + uTime * 0.15) * 0.15; // Reduced from 0.25
-      float waveNoise2 = fractalNoise(vPosition * 16.0 + uTime * 0.1, 1.0, 0.7, 2) * 0.1; // Reduced from 0.15
-      color += vec3(waveNoise1 * 0.1, waveNoise2 * 0.15, (waveNoise1 + waveNoise2) * 0.15); // Reduced amplitude
+      float waveNoise1 = perlinNoise(position * 8.0 + uTime * 0.15) * 0.15; // Reduced from 0.25
+      float waveNoise2 = fractalNoise(position * 16.0 + uTime * 0.1, 1.0, 0.7, 2) * 0.1 * detail; // Reduced from 0.15
+      color += vec3(waveNoise1 * 0.1, waveNoise2 * 0.15, (waveNoise1 + waveNoise2) * 0.15) * uOceanDepth; // Reduced amplitude
       break;
       
     case 1: // Mountain
@@ -112,25 +151,21 @@ vec3 getEnhancedTerrainColor(int terrainType, vec3 baseColor, vec2 uv) {
       color = mix(color, mountainColor, 0.5 + mountainNoise);
       
       // Snow line effect with elevation
-      if (vElevation > 0.7) {
-        vec3 snowColor = vec3(0.9, 0.9, 1.0);
-        float snowMix = smoothstep(0.7, 0.9, vElevation);
-        color = mix(color, snowColor, snowMix * 0.8);
-      }
+      color = mix(color, vec3(0.9, 0.9, 1.0), snowCover(vElevation) * 0.8);
       
-      // Rock texture variation
-      float rockNoise = fractalNoise(vPosition * 12.0 + uTime * 0.1, 1.0, 0.5, 4) * 0.2;
+      // Rock texture variation; sharper mountains show harder rock
+      float rockNoise = fractalNoise(position * 12.0 + uTime * 0.1, 1.0, 0.5, 4) * 0.2 * uMountainSharpness * detail;
       color += vec3(rockNoise * 0.1, rockNoise * 0.08, rockNoise * 0.12);
       break;
       
     case 2: // Forest
-      // Rich forest colors with vegetation variation
+      // Rich forest colors with vegetation variation; density sets the tint
       vec3 forestColor = vec3(0.2, 0.5, 0.2);
       float forestNoise = noise1 + noise2;
-      color = mix(color, forestColor, 0.4 + forestNoise);
+      color = mix(color, forestColor, clamp((0.4 + forestNoise) * uForestDensity, 0.0, 1.0));
       
       // Tree canopy variation
-      float treeNoise = perlinNoise(vPosition * 15.0 + uTime * 0.08) * 0.3;
+      float treeNoise = perlinNoise(position * 15.0 + uTime * 0.08) * 0.3 * uForestDensity * detail;
       color += vec3(treeNoise * 0.05, treeNoise * 0.15, treeNoise * 0.05);
       break;
       
@@ -141,7 +176,7 @@ vec3 getEnhancedTerrainColor(int terrainType, vec3 baseColor, vec2 uv) {
       color = mix(color, plainsColor, 0.3 + plainsNoise);
       
       // Grass variation
-      float grassNoise = fractalNoise(vPosition * 8.0 + uTime * 0.12, 1.0, 0.8, 2) * 0.15;
+      float grassNoise = fractalNoise(position * 8.0 + uTime * 0.12, 1.0, 0.8, 2) * 0.15 * detail;
       color += vec3(grassNoise * 0.08, grassNoise * 0.12, grassNoise * 0.05);
       break;
       
@@ -152,7 +187,7 @@ vec3 getEnhancedTerrainColor(int terrainType, vec3 baseColor, vec2 uv) {
       color = mix(color, desertColor, 0.5 + desertNoise);
       
       // Sand dune patterns
-      float duneNoise = fractalNoise(vPosition * 10.0 + uTime * 0.18, 1.0, 0.6, 3) * 0.25;
+      float duneNoise = fractalNoise(position * 10.0 + uTime * 0.18, 1.0, 0.6, 3) * 0.25 * uDesertDunes * detail;
       color += vec3(duneNoise * 0.15, duneNoise * 0.12, duneNoise * 0.08);
       break;
       
@@ -163,8 +198,11 @@ vec3 getEnhancedTerrainColor(int terrainType, vec3 baseColor, vec2 uv) {
       color = mix(color, tundraColor, 0.4 + tundraNoise);
       
       // Ice crystal patterns
-      float iceNoise = perlinNoise(vPosition * 20.0 + uTime * 0.05) * 0.2;
+      float iceNoise = perlinNoise(position * 20.0 + uTime * 0.05) * 0.2 * detail;
       color += vec3(iceNoise * 0.1, iceNoise * 0.12, iceNoise * 0.15);
+      
+      // Lying snow once the snow line comes down this far
+      color = mix(color, vec3(0.9, 0.9, 1.0), snowCover(vElevation) * 0.6);
       break;
       
     case 6: // Canyon
@@ -174,7 +212,7 @@ vec3 getEnhancedTerrainColor(int terrainType, vec3 baseColor, vec2 uv) {
       color = mix(color, canyonColor, 0.6 + canyonNoise);
       
       // Erosion patterns
-      float erosionNoise = fractalNoise(vPosition * 14.0 + uTime * 0.1, 1.0, 0.4, 4) * 0.3;
+      float erosionNoise = fractalNoise(position * 14.0 + uTime * 0.1, 1.0, 0.4, 4) * 0.3 * detail;
       color += vec3(erosionNoise * 0.12, erosionNoise * 0.08, erosionNoise * 0.06);
       break;
   }
@@ -237,16 +275,21 @@ void main() {
   color = adjustSaturation(color, uSaturation);
   color = adjustBrightness(color, uBrightness);
   
-  // Add smooth final Perlin noise detail for cosmic realism
-  vec3 finalNoisePos = vPosition * 12.0 + uTime * 0.1; // Reduced speed
-  float finalNoise1 = perlinNoise(finalNoisePos) * 0.03; // Reduced from 0.06
-  float finalNoise2 = fractalNoise(finalNoisePos * 1.5, 1.0, 0.6, 2) * 0.02; // Reduced from 0.04
-  float cosmicDetail = finalNoise1 + finalNoise2;
-  color += vec3(cosmicDetail * 0.015, cosmicDetail * 0.01, cosmicDetail * 0.02); // Reduced amplitude
-  
-  // Add gentle terrain-specific micro-detail
-  float microNoise = perlinNoise(vPosition * 25.0 + uTime * 0.15) * 0.01; // Reduced from 0.02
-  color += vec3(microNoise * 0.008, microNoise * 0.005, microNoise * 0.01); // Reduced amplitude
+  // Fine noise detail, skipped entirely on fully simplified terrain
+  if (uSimplifyTerrain < 1.0) {
+    float detail = 1.0 - uSimplifyTerrain;
+    
+    // Add smooth final Perlin noise detail for cosmic realism
+    vec3 finalNoisePos = vPosition * 12.0 + uTime * 0.1; // Reduced speed
+    float finalNoise1 = perlinNoise(finalNoisePos) * 0.03; // Reduced from 0.06
+    float finalNoise2 = fractalNoise(finalNoisePos * 1.5, 1.0, 0.6, 2) * 0.02; // Reduced from 0.04
+    float cosmicDetail = (finalNoise1 + finalNoise2) * detail;
+    color += vec3(cosmicDetail * 0.015, cosmicDetail * 0.01, cosmicDetail * 0.02); // Reduced amplitude
+    
+    // Add gentle terrain-specific micro-detail
+    float microNoise = perlinNoise(vPosition * 25.0 + uTime * 0.15) * 0.01 * detail; // Reduced from 0.02
+    color += vec3(microNoise * 0.008, microNoise * 0.005, microNoise * 0.01); // Reduced amplitude
+  }
   
   // LOD-based quality adjustment
   if (uLODLevel < 1.0) {
@@ -255,6 +298,28 @@ void main() {
     color = mix(simplifiedColor, color, detailReduction);
   }
   
+  // Night side fades to the city-lights texture across a soft terminator
+  if (uNightBlend > 0.0) {
+    float daylight = smoothstep(-uTerminatorWidth, uTerminatorWidth, vSunDot);
+    vec3 cityLights = texture2D(uNightMap, vUv).rgb * uCityLights;
+    vec3 nightColor = color * 0.15 + cityLights;
+    color = mix(color, mix(nightColor, color, daylight), uNightBlend);
+  }
+  
+  // False colour replaces the imagery but keeps the terrain shading
+  if (uFalseColor > 0.5) {
+    float value = mix(uElevationRange.x, uElevationRange.y, vElevation);
+    float rampPosition = clamp((value - uFalseColorDomain.x) / (uFalseColorDomain.y - uFalseColorDomain.x), 0.0, 1.0);
+    vec3 rampColor = texture2D(uFalseColorRamp, vec2(rampPosition, 0.5)).rgb;
+    color = rampColor * mix(1.0, vLighting, uFalseColorShading);
+  }
+  
+  // Region tint goes last so reported colours match the legend
+  if (uRegionTint > 0.0) {
+    vec4 regionColor = getRegionColor(vUv);
+    color = mix(color, regionColor.rgb * vLighting, regionColor.a * uRegionTint);
+  }
+  
   // Ensure colors stay in valid range
   color = clamp(color, 0.0, 1.0);
   
@@ -11,20 +11,23 @@ uniform float uBulgeStrength;
 uniform float uBulgeRadius;
 uniform float uBulgeIntensity;
 uniform float uTerrainDiversity;
+uniform float uReliefScale; // Hover boost times the auto-optimizer's reduction; scales uTerrainDiversity
 uniform float uTerrainAnimation;
-uniform float uSnowLine;
-uniform float uOceanDepth;
-uniform float uForestDensity;
-uniform float uDesertDunes;
-uniform float uMountainSharpness;
+uniform float uSnowLine; // 0-1, default 0.7: elevation where snow starts; lowers the mountain line and smooths snowy relief
+uniform float uOceanDepth; // 0-2, default 1: ocean swell height and tint strength
+uniform float uForestDensity; // 0-2, default 1: width of the forest band and canopy relief
+uniform float uDesertDunes; // 0-2, default 1: dune and wind-ripple relief in deserts
+uniform float uMountainSharpness; // 0-2, default 1: ridge and crag relief on mountains
 
 // Enhanced terrain controls
 uniform float uDetailLevel;
-uniform float uTerrainDensity;
+uniform float uTerrainDensity; // 0.25-3, default 1: frequency of terrain features and type patches
 uniform float uLODLevel;
-uniform float uSimplifyTerrain;
+uniform float uSimplifyTerrain; // 0-1, default 0: fades out fine relief and noise; 1 = base layers only
 uniform float uAmbientLight;
 uniform float uDirectionalLight;
+uniform vec3 uSunDirection; // Globe-local unit vector towards the subsolar point
+uniform float uProbeGrid; // > 0 only during TerrainPicker.probe: lay vertices out one per pixel
 
 varying float vVisible;
 varying vec2 vUv;
@@ -34,6 +37,9 @@ varying float vElevation;
 flat varying int vTerrainType;
 varying float vLighting;
 varying float vDetailLevel;
+varying float vSunDot;
+varying vec3 vDisplaced; // Final local position, read back by the picking pass
+varying float vVertexId;
 
 // Enhanced Perlin noise function for realistic terrain
 float perlinNoise(vec3 pos) {
@@ -71,21 +77,32 @@ float fractalNoise(vec3 pos, float frequency, float amplitude, int octaves) {
   return noise;
 }
 
+// Snow cover above the snow line, full 0.2 elevation units above it (as in the fragment shader)
+float snowCover(float elevation) {
+  return smoothstep(uSnowLine, uSnowLine + 0.2, elevation);
+}
+
 // Enhanced terrain classification with 7 terrain types
+// Mirrored by classifyTerrain in src/utils/TerrainSampler.js
 int classifyEnhancedTerrain(vec2 uv, vec3 worldPos, float elevation) {
   float alpha = texture2D(uAlphaMap, uv).r;
   if (alpha < 0.5) return 0; // Ocean
   
-  // Use Perlin noise to create terrain variety
-  vec3 noisePos = worldPos * 4.0;
+  // Use Perlin noise to create terrain variety; density shrinks the patches
+  vec3 noisePos = worldPos * 4.0 * uTerrainDensity;
   float terrainNoise = perlinNoise(noisePos);
-  float elevationNoise = perlinNoise(worldPos * 8.0);
+  float elevationNoise = perlinNoise(worldPos * 8.0 * uTerrainDensity) * (1.0 - uSimplifyTerrain);
   
   // Combine elevation and noise for terrain classification
   float terrainValue = elevation + terrainNoise * 0.3 + elevationNoise * 0.2;
   
-  if (terrainValue > 0.8) return 1;      // Mountain (high elevation)
-  if (terrainValue > 0.6) return 2;      // Forest (medium-high elevation)
+  // Forest density widens the forest band down into the plains (0 = no forest)
+  float forestLine = max(0.4, 0.8 - 0.2 * uForestDensity);
+  // Snow-capped peaks start just above the snow line (0.8 at the default 0.7)
+  float mountainLine = max(0.4, uSnowLine + 0.1);
+  
+  if (terrainValue > mountainLine) return 1; // Mountain (high elevation)
+  if (terrainValue > forestLine) return 2; // Forest (medium-high elevation)
   if (terrainValue > 0.4) return 3;      // Plains (medium elevation)
   if (terrainValue > 0.2) return 4;      // Desert (low-medium elevation)
   if (terrainValue > 0.0) return 5;      // Tundra (low elevation)
@@ -93,6 +110,10 @@ int classifyEnhancedTerrain(vec2 uv, vec3 worldPos, float elevation) {
 }
 
 // Dramatic terrain displacement with terrain-specific Perlin noise
+// Mirrored by terrainDisplacement in src/utils/TerrainSampler.js: the first
+// layer of each type is its base shape, later layers are detail that
+// uSimplifyTerrain fades out (snow halves it on mountains and tundra), and
+// the per-type controls scale the layers named in TERRAIN_NOISE there.
 vec3 calculateEnhancedTerrain(vec3 position, vec3 normal, vec2 uv, float elevation, int terrainType) {
   vec3 displacement = vec3(0.0);
   
@@ -100,62 +121,65 @@ vec3 calculateEnhancedTerrain(vec3 position, vec3 normal, vec2 uv, float elevati
   displacement += normal * elevation * 0.8; // Reduced from 1.2 to 0.8 for smoother look
   
   // Terrain-specific dramatic Perlin noise effects
-  if (uTerrainDiversity > 0.0) {
-    vec3 noisePos = position + uTime * 0.05; // Time-based noise movement
+  float diversity = uTerrainDiversity * uReliefScale;
+  if (diversity > 0.0) {
+    vec3 noisePos = position * uTerrainDensity + uTime * 0.05; // Time-based noise movement
+    float detail = 1.0 - uSimplifyTerrain;
+    float snowDetail = detail * (1.0 - 0.5 * snowCover(elevation)); // Snow fills in crags and ice ridges
     
     switch (terrainType) {
       case 0: // Ocean
-        // Smooth wave patterns
-        float waveNoise1 = perlinNoise(noisePos * 6.0) * 0.3; // Reduced from 0.8
-        float waveNoise2 = fractalNoise(noisePos * 12.0, 1.0, 0.6, 4) * 0.15; // Reduced from 0.4
-        displacement += normal * (waveNoise1 + waveNoise2) * uTerrainDiversity;
+        // Smooth wave patterns; ocean depth sets the swell
+        float waveNoise1 = perlinNoise(noisePos * 6.0) * 0.3 * uOceanDepth; // Reduced from 0.8
+        float waveNoise2 = fractalNoise(noisePos * 12.0, 1.0, 0.6, 4) * 0.15 * uOceanDepth * detail; // Reduced from 0.4
+        displacement += normal * (waveNoise1 + waveNoise2) * diversity;
         break;
         
       case 1: // Mountain
-        // Smooth mountain ridges
+        // Smooth mountain ridges; sharpness scales the ridges and crags
         float mountainNoise1 = perlinNoise(noisePos * 4.0) * 0.6; // Reduced from 1.5
-        float mountainNoise2 = fractalNoise(noisePos * 8.0, 1.0, 0.5, 5) * 0.3; // Reduced from 0.8
-        float ridgeNoise = perlinNoise(noisePos * 16.0) * 0.2; // Reduced from 0.6
-        displacement += normal * (mountainNoise1 + mountainNoise2 + ridgeNoise) * uTerrainDiversity;
+        float mountainNoise2 = fractalNoise(noisePos * 8.0, 1.0, 0.5, 5) * 0.3 * uMountainSharpness * snowDetail; // Reduced from 0.8
+        float ridgeNoise = perlinNoise(noisePos * 16.0) * 0.2 * uMountainSharpness * snowDetail; // Reduced from 0.6
+        displacement += normal * (mountainNoise1 + mountainNoise2 + ridgeNoise) * diversity;
         break;
         
       case 2: // Forest
-        // Smooth forest terrain
+        // Smooth forest terrain; density scales the canopy
         float forestNoise1 = perlinNoise(noisePos * 3.0) * 0.4; // Reduced from 1.0
-        float forestNoise2 = fractalNoise(noisePos * 6.0, 1.0, 0.7, 3) * 0.25; // Reduced from 0.6
-        float treeNoise = perlinNoise(noisePos * 20.0) * 0.15; // Reduced from 0.4
-        displacement += normal * (forestNoise1 + forestNoise2 + treeNoise) * uTerrainDiversity;
+        float forestNoise2 = fractalNoise(noisePos * 6.0, 1.0, 0.7, 3) * 0.25 * detail; // Reduced from 0.6
+        float treeNoise = perlinNoise(noisePos * 20.0) * 0.15 * uForestDensity * detail; // Reduced from 0.4
+        displacement += normal * (forestNoise1 + forestNoise2 + treeNoise) * diversity;
         break;
         
       case 3: // Plains
         // Very gentle rolling hills
         float plainsNoise1 = perlinNoise(noisePos * 3.0) * 0.25; // Reduced from 0.6
-        float plainsNoise2 = fractalNoise(noisePos * 4.0, 1.0, 0.8, 2) * 0.15; // Reduced from 0.3
-        displacement += normal * (plainsNoise1 + plainsNoise2) * uTerrainDiversity;
+        float plainsNoise2 = fractalNoise(noisePos * 4.0, 1.0, 0.8, 2) * 0.15 * detail; // Reduced from 0.3
+        displacement += normal * (plainsNoise1 + plainsNoise2) * diversity;
         break;
         
       case 4: // Desert
-        // Smooth sand dune patterns
+        // Smooth sand dune patterns; dunes scales the dunes and wind ripples
         float duneNoise1 = perlinNoise(noisePos * 5.0) * 0.4; // Reduced from 1.2
-        float duneNoise2 = fractalNoise(noisePos * 10.0, 1.0, 0.6, 4) * 0.25; // Reduced from 0.7
-        float windNoise = perlinNoise(noisePos * 25.0) * 0.15; // Reduced from 0.5
-        displacement += normal * (duneNoise1 + duneNoise2 + windNoise) * uTerrainDiversity;
+        float duneNoise2 = fractalNoise(noisePos * 10.0, 1.0, 0.6, 4) * 0.25 * uDesertDunes * detail; // Reduced from 0.7
+        float windNoise = perlinNoise(noisePos * 25.0) * 0.15 * uDesertDunes * detail; // Reduced from 0.5
+        displacement += normal * (duneNoise1 + duneNoise2 + windNoise) * diversity;
         break;
         
       case 5: // Tundra
         // Smooth frozen terrain
         float tundraNoise1 = perlinNoise(noisePos * 3.5) * 0.3; // Reduced from 0.8
-        float tundraNoise2 = fractalNoise(noisePos * 7.0, 1.0, 0.5, 3) * 0.2; // Reduced from 0.4
-        float iceNoise = perlinNoise(noisePos * 18.0) * 0.1; // Reduced from 0.3
-        displacement += normal * (tundraNoise1 + tundraNoise2 + iceNoise) * uTerrainDiversity;
+        float tundraNoise2 = fractalNoise(noisePos * 7.0, 1.0, 0.5, 3) * 0.2 * snowDetail; // Reduced from 0.4
+        float iceNoise = perlinNoise(noisePos * 18.0) * 0.1 * snowDetail; // Reduced from 0.3
+        displacement += normal * (tundraNoise1 + tundraNoise2 + iceNoise) * diversity;
         break;
         
       case 6: // Canyon
         // Smooth canyon formations
         float canyonNoise1 = perlinNoise(noisePos * 4.5) * 0.8; // Reduced from 2.0
-        float canyonNoise2 = fractalNoise(noisePos * 9.0, 1.0, 0.4, 5) * 0.4; // Reduced from 1.0
-        float erosionNoise = perlinNoise(noisePos * 22.0) * 0.25; // Reduced from 0.6
-        displacement += normal * (canyonNoise1 + canyonNoise2 + erosionNoise) * uTerrainDiversity;
+        float canyonNoise2 = fractalNoise(noisePos * 9.0, 1.0, 0.4, 5) * 0.4 * detail; // Reduced from 1.0
+        float erosionNoise = perlinNoise(noisePos * 22.0) * 0.25 * detail; // Reduced from 0.6
+        displacement += normal * (canyonNoise1 + canyonNoise2 + erosionNoise) * diversity;
         break;
     }
     
@@ -200,7 +224,7 @@ vec3 calculateBulgeDisplacement(vec3 worldPos, vec3 normal, vec3 mousePos,
 
 // Lighting calculation
 float calculateLighting(vec3 position, vec3 normal) {
-  vec3 lightDirection = normalize(vec3(1.0, 1.0, 0.5));
+  vec3 lightDirection = normalize(uSunDirection);
   float directional = max(0.0, dot(normal, lightDirection)) * uDirectionalLight;
   float ambient = uAmbientLight;
   return clamp(ambient + directional, 0.0, 1.0);
@@ -215,7 +239,12 @@ void main() {
   float elevation = texture2D(uElevationMap, uv).r;
   vElevation = elevation;
   
-  // Enhanced terrain classification with 7 terrain types
+  // Snow cover above the snow line, full 0.2 elevation units above it (as in the fragment shader)
+float snowCover(float elevation) {
+  return smoothstep(uSnowLine, uSnowLine + 0.2, elevation);
+}
+
+// Enhanced terrain classification with 7 terrain types
   vTerrainType = classifyEnhancedTerrain(uv, position, elevation);
   
   // Calculate detail level
@@ -237,6 +266,12 @@ void main() {
   // Pre-calculate lighting
   vLighting = calculateLighting(newPosition, normal);
   
+  // Sun elevation on the undisplaced sphere drives the day/night blend
+  vSunDot = dot(normalize(position), normalize(uSunDirection));
+  
+  vDisplaced = newPosition;
+  vVertexId = float(gl_VertexID);
+  
   // Transform to view space
   vec4 mvPosition = modelViewMatrix * vec4(newPosition, 1.0);
   
@@ -248,4 +283,12 @@ void main() {
   
   // LOD-based point size
   gl_PointSize = uSize * (0.5 + 0.5 * uLODLevel);
+  
+  // Probe pass: vertex N lands on pixel N of a uProbeGrid-wide target
+  if (uProbeGrid > 0.0) {
+    vec2 cell = vec2(mod(vVertexId, uProbeGrid), floor(vVertexId / uProbeGrid));
+    gl_Position = vec4((cell + 0.5) / uProbeGrid * 2.0 - 1.0, 0.0, 1.0);
+    gl_PointSize = 1.0;
+    vVisible = 1.0;
+  }
 }
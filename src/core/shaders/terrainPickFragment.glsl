@@ -0,0 +1,14 @@
+// TERRAIN PICK FRAGMENT SHADER
+// Writes the displaced position and an id/terrain code for each rendered
+// point into a float target: rgb = local position, a = (id + 1) * 8 + type
+
+varying float vVisible;
+varying vec3 vDisplaced;
+varying float vVertexId;
+flat varying int vTerrainType;
+
+void main() {
+  if (vVisible < 0.5) discard;
+
+  gl_FragColor = vec4(vDisplaced, (vVertexId + 1.0) * 8.0 + float(vTerrainType));
+}
@@ -0,0 +1,223 @@
+/* ========================================
+   NEURAAL INTERFACE - DASHBOARD
+   ======================================== */
+
+import { AppConfig } from '../config/AppConfig.js';
+import { readJSON, removeStored, writeJSON } from '../utils/Helpers.js';
+import { ReadoutWidget } from './ReadoutWidget.js';
+import { SparklineWidget } from './SparklineWidget.js';
+import { GaugeWidget } from './GaugeWidget.js';
+import { ProgressWidget } from './ProgressWidget.js';
+import { TableWidget } from './TableWidget.js';
+
+/**
+ * Widget classes by the `type` a layout entry names
+ */
+export const WIDGET_TYPES = {
+  readout: ReadoutWidget,
+  sparkline: SparklineWidget,
+  gauge: GaugeWidget,
+  progress: ProgressWidget,
+  table: TableWidget
+};
+
+/**
+ * The metrics panel: an ordered layout of widgets, each bound to metrics
+ * by name. Metrics are sampled every AppConfig.dashboard.interval ms, each
+ * read once however many widgets show it. Layout changes are saved to
+ * localStorage and restored on the next visit.
+ */
+export class Dashboard {
+  /**
+   * @param {HTMLElement|null} container - Panel element; without one the dashboard only keeps its layout
+   * @param {MetricRegistry} metrics - Metric sources
+   * @param {Object} options - { storage }; a Storage or its window name (see getStorage)
+   */
+  constructor(container, metrics, { storage = 'localStorage' } = {}) {
+    this.config = AppConfig.dashboard;
+    this.container = container;
+    this.metrics = metrics;
+    this.storage = storage;
+    this.widgets = [];
+    this.lastSample = -Infinity;
+
+    const stored = this.read();
+    this.layout = this.normalizeLayout(stored || this.config.layout, Boolean(stored));
+    this.build();
+  }
+
+  /**
+   * Check a layout entry and fill in its id
+   * @param {Object} entry - { id, type, metric | metrics, label, ...options }
+   * @param {Array<Object>} layout - Entries it joins, for id uniqueness
+   * @returns {Object} The entry as stored
+   */
+  normalizeEntry(entry, layout = this.layout) {
+    if (!entry || typeof entry !== 'object') {
+      throw new Error('A widget must be an object');
+    }
+    if (!Object.prototype.hasOwnProperty.call(WIDGET_TYPES, entry.type)) {
+      throw new Error(`Unknown widget type "${entry.type}" (expected ${Object.keys(WIDGET_TYPES).join(', ')})`);
+    }
+    if (entry.type === 'table') {
+      if (!Array.isArray(entry.metrics) || entry.metrics.length === 0 || entry.metrics.some(name => typeof name !== 'string')) {
+        throw new Error('A table widget needs a list of metric names');
+      }
+    } else if (typeof entry.metric !== 'string' || !entry.metric) {
+      throw new Error(`A ${entry.type} widget needs a metric name`);
+    }
+
+    const taken = new Set(layout.map(existing => existing.id));
+    let id = entry.id;
+    if (id === undefined) {
+      const base = entry.metric || entry.type;
+      id = base;
+      for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+    } else if (typeof id !== 'string' || !id) {
+      throw new Error('Widget ids must be non-empty strings');
+    } else if (taken.has(id)) {
+      throw new Error(`Widget id "${id}" is already in the layout`);
+    }
+    return { ...entry, id };
+  }
+
+  /**
+   * @param {Array<Object>} layout - Layout entries
+   * @param {boolean} lenient - Skip bad entries with a warning instead of throwing (for stored layouts)
+   * @returns {Array<Object>} Checked entries
+   */
+  normalizeLayout(layout, lenient = false) {
+    if (!Array.isArray(layout)) {
+      throw new Error('A dashboard layout must be an array of widgets');
+    }
+    const normalized = [];
+    layout.forEach((entry) => {
+      try {
+        normalized.push(this.normalizeEntry(entry, normalized));
+      } catch (error) {
+        if (!lenient) throw error;
+        console.warn('⚠️ Skipping stored widget:', error.message);
+      }
+    });
+    return normalized;
+  }
+
+  build() {
+    this.widgets.forEach(widget => widget.dispose());
+    this.widgets = this.layout.map(entry => new WIDGET_TYPES[entry.type](entry, this.metrics));
+    if (!this.container) return;
+
+    this.container.innerHTML = '';
+    this.widgets.forEach((widget) => {
+      widget.render();
+      this.container.appendChild(widget.element);
+    });
+    this.sample();
+  }
+
+  /**
+   * Per-frame update; samples at most once per AppConfig.dashboard.interval
+   * @param {number} now - Frame time in ms
+   */
+  update(now) {
+    if (now - this.lastSample < this.config.interval) return;
+    this.lastSample = now;
+    this.sample();
+  }
+
+  /**
+   * Read every bound metric once and hand the values to the widgets
+   */
+  sample() {
+    if (!this.container) return;
+    const values = new Map();
+    this.widgets.forEach((widget) => {
+      widget.bindings().forEach((name) => {
+        if (!values.has(name)) values.set(name, this.metrics.read(name));
+      });
+    });
+    this.widgets.forEach(widget => widget.update(values));
+  }
+
+  /**
+   * @returns {Array<Object>} Copy of the layout entries, in display order
+   */
+  getLayout() {
+    return this.layout.map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Replace the whole layout
+   * @param {Array<Object>} layout - Layout entries
+   */
+  setLayout(layout) {
+    this.layout = this.normalizeLayout(layout);
+    this.persist();
+    this.build();
+  }
+
+  /**
+   * @param {Object} entry - { type, metric | metrics, label?, id?, ...options }
+   * @param {number} index - Position in the layout (default: the end)
+   * @returns {Object} The entry as stored
+   */
+  addWidget(entry, index = this.layout.length) {
+    const bound = entry && (entry.type === 'table' ? entry.metrics : [entry.metric]);
+    const unknown = Array.isArray(bound) ? bound.find(name => typeof name === 'string' && !this.metrics.get(name)) : undefined;
+    if (unknown) {
+      throw new Error(`Unknown metric "${unknown}"`);
+    }
+
+    const stored = this.normalizeEntry(entry);
+    this.layout.splice(index, 0, stored);
+    this.persist();
+    this.build();
+    return { ...stored };
+  }
+
+  /**
+   * @param {string} id - Widget id
+   * @returns {boolean} Whether a widget was removed
+   */
+  removeWidget(id) {
+    const index = this.layout.findIndex(entry => entry.id === id);
+    if (index < 0) return false;
+    this.layout.splice(index, 1);
+    this.persist();
+    this.build();
+    return true;
+  }
+
+  /**
+   * @param {string} id - Widget id
+   * @param {number} index - New position
+   */
+  moveWidget(id, index) {
+    const from = this.layout.findIndex(entry => entry.id === id);
+    if (from < 0) {
+      throw new Error(`No widget "${id}" in the layout`);
+    }
+    const [entry] = this.layout.splice(from, 1);
+    this.layout.splice(Math.max(0, Math.min(index, this.layout.length)), 0, entry);
+    this.persist();
+    this.build();
+  }
+
+  /**
+   * Go back to the layout from AppConfig and forget the saved one
+   */
+  reset() {
+    removeStored(this.storage, this.config.storageKey);
+    this.layout = this.normalizeLayout(this.config.layout);
+    this.build();
+  }
+
+  read() {
+    const stored = readJSON(this.storage, this.config.storageKey);
+    return Array.isArray(stored) ? stored : null;
+  }
+
+  persist() {
+    writeJSON(this.storage, this.config.storageKey, this.layout);
+  }
+}
@@ -0,0 +1,38 @@
+/* ========================================
+   NEURAAL INTERFACE - GAUGE WIDGET
+   ======================================== */
+
+import { clamp } from '../utils/Helpers.js';
+import { Widget } from './Widget.js';
+
+// Half circle from the left end to the right, measured with pathLength so the fill is a dash length
+const ARC = 'M 6 30 A 24 24 0 0 1 54 30';
+
+/**
+ * A half-circle dial filled in proportion to where the value sits in its
+ * range, with the formatted value underneath
+ */
+export class GaugeWidget extends Widget {
+  render() {
+    this.element.innerHTML = `
+      <span class="dashboard-label"></span>
+      <svg class="dashboard-gauge-dial" viewBox="0 0 60 34" aria-hidden="true">
+        <path class="dashboard-gauge-track" d="${ARC}" pathLength="100"></path>
+        <path class="dashboard-gauge-fill" d="${ARC}" pathLength="100" stroke-dasharray="0 100"></path>
+      </svg>
+      <span class="dashboard-value">—</span>
+    `;
+    this.element.querySelector('.dashboard-label').textContent = this.labelFor();
+    this.fill = this.element.querySelector('.dashboard-gauge-fill');
+    this.value = this.element.querySelector('.dashboard-value');
+  }
+
+  update(values) {
+    const value = values.get(this.config.metric);
+    const [min, max] = this.range();
+    const percent = typeof value === 'number' ? clamp((value - min) / (max - min), 0, 1) * 100 : 0;
+
+    this.fill.setAttribute('stroke-dasharray', `${percent.toFixed(1)} 100`);
+    this.value.textContent = this.metrics.format(this.config.metric, value);
+  }
+}
@@ -0,0 +1,95 @@
+/* ========================================
+   NEURAAL INTERFACE - METRIC REGISTRY
+   ======================================== */
+
+/**
+ * @param {number} value - Number to show
+ * @returns {string} Grouped digits with at most two decimals
+ */
+function formatNumber(value) {
+  return value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+}
+
+/**
+ * Named sources of live values that dashboard widgets bind to. A metric
+ * is read on demand, so registering one costs nothing until a widget
+ * shows it.
+ *   { name, label, unit, min, max, read: () => number|string|null, format?: value => string }
+ * min and max give gauges and progress bars their range.
+ */
+export class MetricRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * Add or replace a metric
+   * @param {Object} metric - Metric definition
+   * @returns {Object} Stored metric
+   */
+  register(metric) {
+    if (typeof metric.name !== 'string' || !metric.name) {
+      throw new Error('A metric needs a name');
+    }
+    if (typeof metric.read !== 'function') {
+      throw new Error(`Metric "${metric.name}" needs a read() function`);
+    }
+
+    const stored = { label: metric.name, unit: '', min: null, max: null, format: null, ...metric };
+    this.metrics.set(metric.name, stored);
+    return stored;
+  }
+
+  /**
+   * @param {string} name - Metric name
+   * @returns {boolean} Whether a metric was removed
+   */
+  unregister(name) {
+    return this.metrics.delete(name);
+  }
+
+  /**
+   * @param {string} name - Metric name
+   * @returns {Object|undefined} Metric definition
+   */
+  get(name) {
+    return this.metrics.get(name);
+  }
+
+  /**
+   * @returns {Array<Object>} { name, label, unit, min, max } for every metric
+   */
+  list() {
+    return Array.from(this.metrics.values(), ({ name, label, unit, min, max }) => ({ name, label, unit, min, max }));
+  }
+
+  /**
+   * Current value of a metric. Unknown metrics, and metrics whose source
+   * is not ready or throws, read as null.
+   * @param {string} name - Metric name
+   * @returns {number|string|null} Value
+   */
+  read(name) {
+    const metric = this.metrics.get(name);
+    if (!metric) return null;
+    try {
+      const value = metric.read();
+      return value === undefined || (typeof value === 'number' && !Number.isFinite(value)) ? null : value;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} name - Metric name
+   * @param {number|string|null} value - Value read from it
+   * @returns {string} Display text
+   */
+  format(name, value) {
+    if (value === null) return '—';
+    const metric = this.metrics.get(name);
+    if (metric && metric.format) return metric.format(value);
+    const text = typeof value === 'number' ? formatNumber(value) : String(value);
+    return metric && metric.unit ? `${text} ${metric.unit}` : text;
+  }
+}
@@ -0,0 +1,37 @@
+/* ========================================
+   NEURAAL INTERFACE - PROGRESS WIDGET
+   ======================================== */
+
+import { clamp } from '../utils/Helpers.js';
+import { Widget } from './Widget.js';
+
+/**
+ * A label, a zero-padded percentage and a bar showing where the value
+ * sits in its range
+ */
+export class ProgressWidget extends Widget {
+  render() {
+    this.element.innerHTML = `
+      <div class="dashboard-progress-header">
+        <span class="dashboard-label"></span>
+        <span class="dashboard-value">—</span>
+      </div>
+      <div class="dashboard-progress-track"><div class="dashboard-progress-fill"></div></div>
+    `;
+    this.element.querySelector('.dashboard-label').textContent = this.labelFor();
+    this.value = this.element.querySelector('.dashboard-value');
+    this.fill = this.element.querySelector('.dashboard-progress-fill');
+  }
+
+  update(values) {
+    const value = values.get(this.config.metric);
+    const [min, max] = this.range();
+    const fraction = typeof value === 'number' ? clamp((value - min) / (max - min), 0, 1) : 0;
+
+    this.value.textContent = typeof value === 'number'
+      ? `${String(Math.round(fraction * 100)).padStart(3, '0')}%`
+      : '—';
+    this.value.title = this.metrics.format(this.config.metric, value);
+    this.fill.style.width = `${fraction * 100}%`;
+  }
+}
@@ -0,0 +1,23 @@
+/* ========================================
+   NEURAAL INTERFACE - READOUT WIDGET
+   ======================================== */
+
+import { Widget } from './Widget.js';
+
+/**
+ * A label over the formatted current value
+ */
+export class ReadoutWidget extends Widget {
+  render() {
+    this.element.innerHTML = `
+      <span class="dashboard-label"></span>
+      <span class="dashboard-value">—</span>
+    `;
+    this.element.querySelector('.dashboard-label').textContent = this.labelFor();
+    this.value = this.element.querySelector('.dashboard-value');
+  }
+
+  update(values) {
+    this.value.textContent = this.metrics.format(this.config.metric, values.get(this.config.metric));
+  }
+}
@@ -0,0 +1,56 @@
+/* ========================================
+   NEURAAL INTERFACE - SPARKLINE WIDGET
+   ======================================== */
+
+import { AppConfig } from '../config/AppConfig.js';
+import { Widget } from './Widget.js';
+
+const WIDTH = 100;
+const HEIGHT = 24;
+
+/**
+ * The recent history of a numeric metric as a line, with the current
+ * value beside the label. The vertical scale follows the samples on
+ * screen unless the layout entry fixes min and max.
+ */
+export class SparklineWidget extends Widget {
+  constructor(config, metrics) {
+    super(config, metrics);
+    this.history = [];
+    this.size = config.history || AppConfig.dashboard.historySize;
+  }
+
+  render() {
+    this.element.innerHTML = `
+      <div class="dashboard-sparkline-header">
+        <span class="dashboard-label"></span>
+        <span class="dashboard-value">—</span>
+      </div>
+      <svg class="dashboard-sparkline-plot" viewBox="0 0 ${WIDTH} ${HEIGHT}" preserveAspectRatio="none" aria-hidden="true">
+        <polyline class="dashboard-sparkline-line" points=""></polyline>
+      </svg>
+    `;
+    this.element.querySelector('.dashboard-label').textContent = this.labelFor();
+    this.value = this.element.querySelector('.dashboard-value');
+    this.line = this.element.querySelector('.dashboard-sparkline-line');
+  }
+
+  update(values) {
+    const value = values.get(this.config.metric);
+    this.value.textContent = this.metrics.format(this.config.metric, value);
+    if (typeof value !== 'number') return;
+
+    this.history.push(value);
+    if (this.history.length > this.size) this.history.shift();
+
+    const min = this.config.min ?? Math.min(...this.history);
+    const max = this.config.max ?? Math.max(...this.history);
+    const span = max - min || 1;
+    const step = WIDTH / Math.max(this.size - 1, 1);
+    const offset = WIDTH - (this.history.length - 1) * step; // Newest sample on the right edge
+
+    this.line.setAttribute('points', this.history
+      .map((sample, i) => `${(offset + i * step).toFixed(1)},${(HEIGHT - 1 - ((sample - min) / span) * (HEIGHT - 2)).toFixed(1)}`)
+      .join(' '));
+  }
+}
@@ -0,0 +1,39 @@
+/* ========================================
+   NEURAAL INTERFACE - TABLE WIDGET
+   ======================================== */
+
+import { Widget } from './Widget.js';
+
+/**
+ * Several metrics as label/value rows under one heading. Binds to
+ * `metrics` (a list of names) instead of a single `metric`.
+ */
+export class TableWidget extends Widget {
+  bindings() {
+    return this.config.metrics;
+  }
+
+  render() {
+    this.element.innerHTML = `
+      <span class="dashboard-label"></span>
+      <table class="dashboard-table"><tbody></tbody></table>
+    `;
+    this.element.querySelector('.dashboard-label').textContent = this.config.label || '';
+    const body = this.element.querySelector('tbody');
+
+    this.cells = new Map();
+    this.config.metrics.forEach((name) => {
+      const row = document.createElement('tr');
+      row.innerHTML = '<th scope="row"></th><td>—</td>';
+      row.querySelector('th').textContent = this.labelFor(name);
+      this.cells.set(name, row.querySelector('td'));
+      body.appendChild(row);
+    });
+  }
+
+  update(values) {
+    this.cells.forEach((cell, name) => {
+      cell.textContent = this.metrics.format(name, values.get(name));
+    });
+  }
+}
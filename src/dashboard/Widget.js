@@ -0,0 +1,65 @@
+/* ========================================
+   NEURAAL INTERFACE - DASHBOARD WIDGET
+   ======================================== */
+
+/**
+ * Common behaviour for metrics panel widgets. A widget is created from a
+ * plain layout entry { id, type, metric, label, ...options } and draws
+ * into `this.element`; the Dashboard reads the metrics it binds to and
+ * hands it the values on every sample.
+ */
+export class Widget {
+  /**
+   * @param {Object} config - Layout entry
+   * @param {MetricRegistry} metrics - Where bound metrics are read and formatted
+   */
+  constructor(config, metrics) {
+    this.config = config;
+    this.metrics = metrics;
+    this.element = document.createElement('div');
+    this.element.className = `dashboard-widget ${config.type}`;
+    this.element.dataset.widget = config.id;
+  }
+
+  /**
+   * @returns {Array<string>} Names of the metrics this widget shows
+   */
+  bindings() {
+    return [this.config.metric];
+  }
+
+  /**
+   * @param {string} name - Metric name
+   * @returns {string} Label from the layout entry, else the metric's own
+   */
+  labelFor(name = this.config.metric) {
+    if (name === this.config.metric && this.config.label) return this.config.label;
+    const metric = this.metrics.get(name);
+    return metric ? metric.label : name;
+  }
+
+  /**
+   * @returns {Array<number>} [min, max] from the layout entry, else the metric, else 0-100
+   */
+  range() {
+    const metric = this.metrics.get(this.config.metric) || {};
+    const min = this.config.min ?? metric.min ?? 0;
+    const max = this.config.max ?? metric.max ?? 100;
+    return [min, max > min ? max : min + 1];
+  }
+
+  /**
+   * Build the widget's DOM
+   */
+  render() {}
+
+  /**
+   * Show new values
+   * @param {Map<string, *>} values - Metric name -> value (null when unavailable)
+   */
+  update(values) {}
+
+  dispose() {
+    this.element.remove();
+  }
+}
@@ -0,0 +1,158 @@
+/* ========================================
+   NEURAAL INTERFACE - CHAT PANEL
+   ======================================== */
+
+/**
+ * @param {Object} action - Globe action
+ * @returns {string} Short label, e.g. "flyTo Paris" or "set brightness 1.4"
+ */
+function describeAction(action) {
+  const details = action.label || action.name
+    || (action.setting ? `${action.setting} ${action.value}` : '')
+    || (Number.isFinite(action.lat) ? `${action.lat.toFixed(2)}, ${action.lon.toFixed(2)}` : '');
+  return `${action.type}${details ? ` ${details}` : ''}`;
+}
+
+/**
+ * Conversation view: the message list, an input line and a small toolbar
+ * (provider, export, clear). Replies render as they stream in, and each
+ * globe action a reply carried is shown as a chip that runs it again when
+ * clicked.
+ */
+export class ChatPanel {
+  /**
+   * @param {HTMLElement|null} container - Panel element; without one the panel is a no-op
+   * @param {ChatSession} session - Conversation to show and drive
+   */
+  constructor(container, session) {
+    this.container = container;
+    this.session = session;
+    this.elements = new Map();
+    if (!container) return;
+
+    container.innerHTML = `
+      <div class="chat-thread-toolbar">
+        <span class="chat-thread-title">CHANNEL</span>
+        <select class="chat-thread-provider" aria-label="Chat provider"></select>
+        <button type="button" class="chat-thread-button" data-export="markdown">.MD</button>
+        <button type="button" class="chat-thread-button" data-export="json">.JSON</button>
+        <button type="button" class="chat-thread-button chat-thread-clear">CLEAR</button>
+      </div>
+      <div class="chat-thread-messages" role="log" aria-live="polite"></div>
+      <form class="chat-thread-form" autocomplete="off">
+        <input type="text" class="chat-thread-input" placeholder="ask the globe…" aria-label="Chat message">
+        <button type="submit" class="chat-thread-button chat-thread-send">SEND</button>
+      </form>
+    `;
+    this.messages = container.querySelector('.chat-thread-messages');
+    this.input = container.querySelector('.chat-thread-input');
+    this.sendButton = container.querySelector('.chat-thread-send');
+    this.providerSelect = container.querySelector('.chat-thread-provider');
+
+    container.querySelector('.chat-thread-form').addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.submit();
+    });
+    container.querySelectorAll('[data-export]').forEach((button) => {
+      button.addEventListener('click', () => this.session.store.download(button.dataset.export));
+    });
+    container.querySelector('.chat-thread-clear').addEventListener('click', () => {
+      this.session.cancel();
+      this.session.store.clear();
+    });
+    this.providerSelect.addEventListener('change', () => this.session.setProvider(this.providerSelect.value));
+
+    this.renderProviders();
+    this.session.store.list().forEach(message => this.renderMessage(message));
+    this.session.store.subscribe((event, message) => this.handleStoreEvent(event, message));
+  }
+
+  submit() {
+    if (this.session.isBusy() && !this.input.value.trim()) {
+      this.session.cancel();
+      return;
+    }
+
+    const text = this.input.value;
+    if (!text.trim()) return;
+    this.input.value = '';
+    this.session.send(text).catch(error => console.warn('⚠️ Chat:', error.message));
+  }
+
+  renderProviders() {
+    this.providerSelect.innerHTML = '';
+    this.session.listProviders().forEach(({ name, description, active }) => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name.toUpperCase();
+      option.title = description;
+      option.selected = active;
+      this.providerSelect.appendChild(option);
+    });
+  }
+
+  handleStoreEvent(event, message) {
+    if (event === 'clear') {
+      this.messages.innerHTML = '';
+      this.elements.clear();
+    } else if (event === 'add') {
+      this.renderMessage(message);
+    } else if (event === 'update') {
+      this.updateMessage(message);
+    }
+    this.updateSendButton();
+  }
+
+  renderMessage(message) {
+    const element = document.createElement('div');
+    element.innerHTML = `
+      <span class="chat-message-role">${message.role === 'user' ? 'YOU' : 'NEURAAL'}</span>
+      <span class="chat-message-content"></span>
+      <div class="chat-message-actions"></div>
+      <div class="chat-message-error"></div>
+    `;
+    this.elements.set(message.id, {
+      element,
+      content: element.querySelector('.chat-message-content'),
+      actions: element.querySelector('.chat-message-actions'),
+      error: element.querySelector('.chat-message-error')
+    });
+    this.messages.appendChild(element);
+    this.updateMessage(message);
+  }
+
+  updateMessage(message) {
+    const view = this.elements.get(message.id);
+    if (!view) return;
+
+    view.element.className = `chat-message ${message.role} ${message.status}`;
+    view.content.textContent = message.content;
+    view.error.textContent = message.status === 'error' ? message.error || 'Reply failed'
+      : message.status === 'cancelled' ? 'Stopped' : '';
+
+    if (view.actions.childElementCount !== message.actions.length || message.status !== 'streaming') {
+      view.actions.innerHTML = '';
+      message.actions.forEach((record, index) => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = `chat-message-action ${record.status}`;
+        chip.textContent = describeAction(record.action);
+        chip.title = `${record.message} (click to run again)`;
+        chip.addEventListener('click', () => this.session.rerunAction(message.id, index));
+        view.actions.appendChild(chip);
+      });
+    }
+
+    this.messages.scrollTop = this.messages.scrollHeight;
+  }
+
+  updateSendButton() {
+    const busy = this.session.isBusy();
+    this.sendButton.textContent = busy ? 'STOP' : 'SEND';
+    this.sendButton.classList.toggle('busy', busy);
+  }
+
+  focus() {
+    if (this.input) this.input.focus();
+  }
+}
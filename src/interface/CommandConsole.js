@@ -0,0 +1,231 @@
+/* ========================================
+   NEURAAL INTERFACE - COMMAND CONSOLE
+   ======================================== */
+
+import { AppConfig } from '../config/AppConfig.js';
+import { readJSON, writeJSON } from '../utils/Helpers.js';
+
+/**
+ * @param {Array<string>} words - Completion candidates
+ * @returns {string} Longest prefix they share
+ */
+function commonPrefix(words) {
+  return words.reduce((prefix, word) => {
+    let i = 0;
+    while (i < prefix.length && prefix[i] === word[i]) i++;
+    return prefix.slice(0, i);
+  });
+}
+
+/**
+ * @param {string} word - Completed word
+ * @returns {string} Word quoted if it contains spaces
+ */
+function quoteWord(word) {
+  return /\s/.test(word) ? `"${word.replace(/(["\\])/g, '\\$1')}"` : word;
+}
+
+/**
+ * Command line with a scrollback of results. Lines are checked against
+ * the registry while typing, Up/Down walk the history (kept in
+ * localStorage) and Tab completes command names and argument values.
+ */
+export class CommandConsole {
+  /**
+   * @param {HTMLElement|null} container - Console element; without one the console still runs commands
+   * @param {CommandRegistry} registry - Commands the console runs
+   * @param {Object} options - { storage, onRun }; storage is a Storage or its window name (see getStorage),
+   *   onRun receives each command line
+   */
+  constructor(container, registry, { storage = 'localStorage', onRun = null } = {}) {
+    this.config = AppConfig.console;
+    this.container = container;
+    this.registry = registry;
+    this.storage = storage;
+    this.onRun = onRun;
+    this.history = this.readHistory();
+    this.historyIndex = this.history.length;
+    this.draft = '';
+    if (!container) return;
+
+    container.innerHTML = `
+      <div class="command-console-output" role="log" aria-live="polite"></div>
+      <form class="command-console-form" autocomplete="off">
+        <span class="command-console-prompt">&gt;</span>
+        <input type="text" class="command-console-input" spellcheck="false" aria-label="Command"
+               placeholder="type help for commands">
+      </form>
+      <div class="command-console-hint" aria-live="polite"></div>
+    `;
+    this.output = container.querySelector('.command-console-output');
+    this.input = container.querySelector('.command-console-input');
+    this.hint = container.querySelector('.command-console-hint');
+
+    container.querySelector('.command-console-form').addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.submit();
+    });
+    this.input.addEventListener('input', () => this.updateHint());
+    this.input.addEventListener('keydown', event => this.handleKeyDown(event));
+  }
+
+  handleKeyDown(event) {
+    switch (event.key) {
+      case 'ArrowUp':
+        event.preventDefault();
+        this.browseHistory(-1);
+        break;
+      case 'ArrowDown':
+        event.preventDefault();
+        this.browseHistory(1);
+        break;
+      case 'Tab':
+        event.preventDefault();
+        this.completeInput();
+        break;
+      case 'Escape':
+        this.setInput('');
+        break;
+      default:
+    }
+  }
+
+  /**
+   * Run whatever is in the input
+   */
+  submit() {
+    const text = this.input.value;
+    this.setInput('');
+    this.run(text);
+  }
+
+  /**
+   * Echo and run a command line, printing its result
+   * @param {string} text - Command line
+   * @returns {Promise<*>} The command's result (errors are printed, not thrown)
+   */
+  async run(text) {
+    if (!text.trim()) return undefined;
+
+    this.remember(text);
+    if (this.onRun) this.onRun(text);
+    this.print(`> ${text}`, 'command');
+    try {
+      const result = await this.registry.execute(text);
+      if (result !== undefined && result !== '') this.print(String(result));
+      return result;
+    } catch (error) {
+      this.print(error.message, 'error');
+      return undefined;
+    }
+  }
+
+  /**
+   * @param {string} text - Line(s) to add to the scrollback
+   * @param {string} kind - 'result', 'command', 'error' or 'info'
+   */
+  print(text, kind = 'result') {
+    if (!this.output) {
+      console.log(`⌨️ ${text}`);
+      return;
+    }
+
+    const line = document.createElement('div');
+    line.className = `command-console-line ${kind}`;
+    line.textContent = text;
+    this.output.appendChild(line);
+    while (this.output.childElementCount > this.config.scrollback) {
+      this.output.firstElementChild.remove();
+    }
+    this.output.scrollTop = this.output.scrollHeight;
+  }
+
+  clear() {
+    if (this.output) this.output.innerHTML = '';
+  }
+
+  focus() {
+    if (this.input) this.input.focus();
+  }
+
+  setInput(text) {
+    this.input.value = text;
+    this.input.setSelectionRange(text.length, text.length);
+    this.updateHint();
+  }
+
+  /**
+   * Show the usage of the command being typed, or what is wrong with it
+   * above a copy of the line with the offending characters underlined
+   */
+  updateHint() {
+    const text = this.input.value;
+    const { valid, message, range } = text.trim() ? this.registry.validate(text) : { valid: true, message: '', range: null };
+    const usage = valid && text.trim() ? this.registry.parse(text).usage : '';
+
+    this.input.setAttribute('aria-invalid', String(!valid));
+    this.hint.classList.toggle('error', !valid);
+    this.hint.textContent = valid ? usage : message;
+    if (!valid && range) this.hint.prepend(this.markRange(text, range));
+  }
+
+  /**
+   * @param {string} text - Command line
+   * @param {Object} range - { start, end } character offsets; an empty range marks where something is missing
+   * @returns {HTMLElement} The line with the range wrapped in a mark
+   */
+  markRange(text, { start, end }) {
+    const excerpt = document.createElement('span');
+    excerpt.className = 'command-console-excerpt';
+    const mark = document.createElement('mark');
+    mark.textContent = text.slice(start, end) || '\u00a0';
+    excerpt.append(text.slice(0, start), mark, text.slice(end));
+    return excerpt;
+  }
+
+  completeInput() {
+    const text = this.input.value.slice(0, this.input.selectionStart);
+    const { start, candidates } = this.registry.complete(text);
+    if (candidates.length === 0) return;
+
+    const typed = text.slice(start);
+    if (candidates.length === 1) {
+      this.setInput(`${text.slice(0, start)}${quoteWord(candidates[0])} `);
+      return;
+    }
+
+    const prefix = commonPrefix(candidates);
+    if (prefix.length > typed.length) {
+      this.setInput(`${text.slice(0, start)}${prefix}`);
+    } else {
+      this.print(candidates.join('  '), 'info');
+    }
+  }
+
+  browseHistory(step) {
+    if (this.history.length === 0) return;
+    if (this.historyIndex === this.history.length) this.draft = this.input.value;
+
+    this.historyIndex = Math.min(this.history.length, Math.max(0, this.historyIndex + step));
+    this.setInput(this.historyIndex === this.history.length ? this.draft : this.history[this.historyIndex]);
+  }
+
+  remember(text) {
+    if (this.history[this.history.length - 1] !== text) {
+      this.history.push(text);
+      this.history.splice(0, this.history.length - this.config.historySize);
+      this.writeHistory();
+    }
+    this.historyIndex = this.history.length;
+    this.draft = '';
+  }
+
+  readHistory() {
+    const stored = readJSON(this.storage, this.config.historyKey);
+    return Array.isArray(stored) ? stored.filter(line => typeof line === 'string') : [];
+  }
+
+  writeHistory() {
+    writeJSON(this.storage, this.config.historyKey, this.history);
+  }
+}
@@ -0,0 +1,450 @@
+/* ========================================
+   NEURAAL INTERFACE - CONSOLE COMMANDS
+   ======================================== */
+
+import { formatUsage } from '../core/CommandRegistry.js';
+import { collectFeatures } from '../layers/GeoJSONLayer.js';
+import { facade } from '../utils/Helpers.js';
+
+/**
+ * Layer kinds `layer add` can build from a GeoJSON file
+ */
+const LAYER_TYPES = ['geojson', 'markers', 'heatmap', 'choropleth'];
+
+/**
+ * Transports `stream connect` accepts
+ */
+const STREAM_TYPES = ['websocket', 'sse', 'replay'];
+
+/**
+ * @param {string} source - GeoJSON URL
+ * @returns {Promise<Array<Object>>} { lat, lon, properties } for every Point in the file
+ */
+async function loadPoints(source) {
+  const response = await fetch(source);
+  if (!response.ok) {
+    throw new Error(`GeoJSON request failed: ${response.status} ${source}`);
+  }
+
+  const points = [];
+  collectFeatures(await response.json()).forEach((feature) => {
+    const geometry = feature.geometry || {};
+    const properties = feature.properties || {};
+    const coordinates = geometry.type === 'Point' ? [geometry.coordinates]
+      : geometry.type === 'MultiPoint' ? geometry.coordinates : [];
+    coordinates.forEach(([lon, lat]) => points.push({ lat, lon, properties }));
+  });
+  return points;
+}
+
+/**
+ * @param {string} source - File path or URL
+ * @returns {string} Layer id derived from the file name ("data/cities.geojson" -> "cities")
+ */
+function layerIdFrom(source) {
+  const file = source.split(/[?#]/)[0].split('/').pop();
+  return file.replace(/\.(geo)?json$/i, '') || 'layer';
+}
+
+/**
+ * @param {number} value - Number to show
+ * @returns {string} Value with at most three decimals
+ */
+function formatValue(value) {
+  return String(Number(value.toFixed(3)));
+}
+
+/**
+ * @param {number|string|null} value - Metric reading
+ * @returns {string} Reading for a console listing
+ */
+function formatMetric(value) {
+  if (value === null) return '—';
+  return typeof value === 'number' ? formatValue(value) : value;
+}
+
+/**
+ * Register the built-in console commands. They drive the globe through
+ * the public window.earth* APIs, so they work the same as scripts do.
+ * @param {CommandRegistry} registry - Registry to fill
+ * @param {Object} terminal - Console the commands print to ({ clear })
+ */
+export function registerConsoleCommands(registry, terminal) {
+  const settingKeys = () => (window.earthSettings ? window.earthSettings.list().map(setting => setting.key) : []);
+  const layerIds = () => (window.earthLayers ? window.earthLayers.list().map(layer => layer.id) : []);
+  const presetNames = () => (window.earthPresets ? window.earthPresets.list().map(preset => preset.name) : []);
+  const savedPresetNames = () => (window.earthPresets
+    ? window.earthPresets.list().filter(preset => !preset.builtIn).map(preset => preset.name)
+    : []);
+  const streamIds = () => (window.earthStreams ? window.earthStreams.list().map(stream => stream.id) : []);
+  const metricNames = () => (window.earthDashboard ? window.earthDashboard.listMetrics().map(metric => metric.name) : []);
+  const widgetTypes = () => (window.earthDashboard ? window.earthDashboard.widgetTypes() : []);
+  const widgetIds = () => (window.earthDashboard ? window.earthDashboard.getLayout().map(widget => widget.id) : []);
+  const lodModes = () => ['auto', ...(window.earthPerformance ? window.earthPerformance.getLODLevels() : [])];
+
+  registry.register({
+    name: 'help',
+    description: 'List commands, or show how to use one',
+    args: [{ name: 'command', optional: true, values: () => registry.list().map(command => command.name) }],
+    run: ({ command }) => {
+      if (!command) {
+        return registry.list().map(({ usage, description }) => `${usage.padEnd(34)} ${description}`).join('\n');
+      }
+      const spec = registry.get(command);
+      if (!spec) {
+        throw new Error(`Unknown command "${command}"`);
+      }
+      const usages = spec.subcommands
+        ? spec.subcommands.map(sub => `  ${formatUsage(sub, `${spec.name} `).padEnd(40)} ${sub.description}`)
+        : [`  usage: ${formatUsage(spec)}`];
+      return [spec.description, ...usages].join('\n');
+    }
+  });
+
+  registry.register({
+    name: 'goto',
+    description: 'Fly the camera to a latitude and longitude',
+    args: [
+      { name: 'lat', type: 'number', min: -90, max: 90 },
+      { name: 'lon', type: 'number', min: -180, max: 180 },
+      { name: 'altitude', type: 'number', min: 0, optional: true }
+    ],
+    run: async ({ lat, lon, altitude }) => {
+      const result = await facade('earthCamera').flyTo({ lat, lon, altitude });
+      return result.status === 'arrived'
+        ? `Arrived at ${lat}, ${lon}`
+        : `Flight to ${lat}, ${lon} ${result.reason}`;
+    }
+  });
+
+  registry.register({
+    name: 'home',
+    description: 'Fly back to the cosmic view',
+    run: async () => {
+      const result = await facade('earthCamera').home();
+      return result.status === 'arrived' ? 'Home' : `Flight home ${result.reason}`;
+    }
+  });
+
+  registry.register({
+    name: 'set',
+    description: 'Change a setting from the settings panel',
+    args: [
+      { name: 'setting', type: 'enum', values: settingKeys },
+      { name: 'value', type: 'number' }
+    ],
+    run: ({ setting, value }) => {
+      const applied = facade('earthSettings').set(setting, value);
+      return applied === value
+        ? `${setting} = ${formatValue(applied)}`
+        : `${setting} = ${formatValue(applied)} (clamped from ${value})`;
+    }
+  });
+
+  registry.register({
+    name: 'get',
+    description: 'Show one setting, or all of them',
+    args: [{ name: 'setting', type: 'enum', values: settingKeys, optional: true }],
+    run: ({ setting }) => {
+      const settings = facade('earthSettings').list().filter(item => !setting || item.key === setting);
+      return settings
+        .map(({ key, value, min, max }) => `${key.padEnd(18)} ${Number.isFinite(value) ? formatValue(value) : '—'}  (${min}–${max})`)
+        .join('\n');
+    }
+  });
+
+  registry.register({
+    name: 'lod',
+    description: 'Pin the mesh detail to a vertex grid, or let distance decide (auto)',
+    args: [{ name: 'mode', type: 'enum', values: lodModes }],
+    run: ({ mode }) => {
+      facade('earthPerformance').setLODMode(mode === 'auto' ? mode : Number(mode));
+      return mode === 'auto' ? 'LOD follows camera distance' : `LOD pinned to ${mode}×${mode} vertices`;
+    }
+  });
+
+  registry.register({
+    name: 'layer',
+    description: 'Add, remove, show, hide and list overlay layers',
+    subcommands: [
+      {
+        name: 'add',
+        description: 'Load a GeoJSON file as a layer',
+        args: [
+          { name: 'type', type: 'enum', values: LAYER_TYPES },
+          { name: 'source' },
+          { name: 'id', optional: true }
+        ],
+        run: async ({ type, source, id = layerIdFrom(source) }) => {
+          const layers = facade('earthLayers');
+          if (type === 'geojson') {
+            await layers.loadGeoJSON(id, source);
+          } else if (type === 'choropleth') {
+            await layers.loadChoropleth(id, source);
+          } else {
+            const points = await loadPoints(source);
+            if (type === 'markers') {
+              layers.addMarkerLayer(id, {
+                markers: points.map(({ lat, lon, properties }, i) => ({
+                  id: properties.id ?? i,
+                  lat,
+                  lon,
+                  label: properties.name,
+                  data: properties
+                }))
+              });
+            } else {
+              layers.addHeatmapLayer(id, {
+                samples: points.map(({ lat, lon, properties }) => ({ lat, lon, weight: Number(properties.weight ?? 1) }))
+              });
+            }
+          }
+          const added = layers.list().find(layer => layer.id === id);
+          return `Added ${type} layer "${id}" (${added ? added.count : 0} items)`;
+        }
+      },
+      {
+        name: 'remove',
+        description: 'Remove a layer',
+        args: [{ name: 'id', type: 'enum', values: layerIds }],
+        run: ({ id }) => {
+          facade('earthLayers').remove(id);
+          return `Removed layer "${id}"`;
+        }
+      },
+      {
+        name: 'show',
+        description: 'Show a layer',
+        args: [{ name: 'id', type: 'enum', values: layerIds }],
+        run: ({ id }) => {
+          facade('earthLayers').setVisible(id, true);
+          return `Layer "${id}" shown`;
+        }
+      },
+      {
+        name: 'hide',
+        description: 'Hide a layer',
+        args: [{ name: 'id', type: 'enum', values: layerIds }],
+        run: ({ id }) => {
+          facade('earthLayers').setVisible(id, false);
+          return `Layer "${id}" hidden`;
+        }
+      },
+      {
+        name: 'list',
+        description: 'List layers',
+        run: () => {
+          const layers = facade('earthLayers').list();
+          if (layers.length === 0) return 'No layers';
+          return layers.map(({ id, type, visible, count }) => `${id.padEnd(18)} ${type.padEnd(12)} ${String(count).padStart(6)}  ${visible ? 'visible' : 'hidden'}`).join('\n');
+        }
+      }
+    ]
+  });
+
+  registry.register({
+    name: 'stream',
+    description: 'Connect, stop and list live data streams',
+    subcommands: [
+      {
+        name: 'connect',
+        description: 'Show a feed of { id, lat, lon, value, timestamp } messages',
+        args: [
+          { name: 'type', type: 'enum', values: STREAM_TYPES },
+          { name: 'url' },
+          { name: 'id', optional: true }
+        ],
+        run: ({ type, url, id = layerIdFrom(url.replace(/\.ndjson$/i, '')) }) => {
+          facade('earthStreams').connect({ id, type, url });
+          return `Stream "${id}" connecting to ${url}`;
+        }
+      },
+      {
+        name: 'demo',
+        description: 'Replay the bundled flight recording',
+        run: () => {
+          const { id, source } = facade('earthStreams').startDemo();
+          return `Stream "${id}" replaying ${source.url}`;
+        }
+      },
+      {
+        name: 'stop',
+        description: 'Disconnect a stream and remove its markers',
+        args: [{ name: 'id', type: 'enum', values: streamIds }],
+        run: ({ id }) => {
+          facade('earthStreams').disconnect(id);
+          return `Stream "${id}" stopped`;
+        }
+      },
+      {
+        name: 'list',
+        description: 'List streams',
+        run: () => {
+          const streams = facade('earthStreams').list();
+          if (streams.length === 0) return 'No streams';
+          return streams.map(({ id, entities, rejected, source }) => `${id.padEnd(18)} ${source.type.padEnd(10)} ${source.state.padEnd(12)} ${String(entities).padStart(5)} on globe  ${source.received} received, ${source.dropped} dropped, ${rejected} rejected`).join('\n');
+        }
+      }
+    ]
+  });
+
+  registry.register({
+    name: 'widget',
+    description: 'Add, remove, move and list metrics panel widgets',
+    subcommands: [
+      {
+        name: 'add',
+        description: 'Show a metric (tables take a comma-separated list)',
+        args: [
+          { name: 'type', type: 'enum', values: widgetTypes },
+          { name: 'metric', values: metricNames },
+          { name: 'label', optional: true }
+        ],
+        run: ({ type, metric, label }) => {
+          const entry = type === 'table'
+            ? { type, metrics: metric.split(',').map(name => name.trim()).filter(Boolean) }
+            : { type, metric };
+          if (label) entry.label = label;
+          const widget = facade('earthDashboard').addWidget(entry);
+          return `Added ${type} widget "${widget.id}"`;
+        }
+      },
+      {
+        name: 'remove',
+        description: 'Remove a widget',
+        args: [{ name: 'id', type: 'enum', values: widgetIds }],
+        run: ({ id }) => {
+          facade('earthDashboard').removeWidget(id);
+          return `Removed widget "${id}"`;
+        }
+      },
+      {
+        name: 'move',
+        description: 'Move a widget to a position (0 is the top)',
+        args: [
+          { name: 'id', type: 'enum', values: widgetIds },
+          { name: 'position', type: 'integer', min: 0 }
+        ],
+        run: ({ id, position }) => {
+          facade('earthDashboard').moveWidget(id, position);
+          return `Moved widget "${id}" to ${position}`;
+        }
+      },
+      {
+        name: 'list',
+        description: 'List widgets in display order',
+        run: () => facade('earthDashboard').getLayout()
+          .map(({ id, type, metric, metrics }) => `${id.padEnd(18)} ${type.padEnd(10)} ${metric || metrics.join(', ')}`)
+          .join('\n') || 'No widgets'
+      },
+      {
+        name: 'metrics',
+        description: 'List the metrics widgets can show',
+        run: () => {
+          const dashboard = facade('earthDashboard');
+          return dashboard.listMetrics()
+            .map(({ name, label }) => `${name.padEnd(18)} ${label.padEnd(16)} ${formatMetric(dashboard.readMetric(name))}`)
+            .join('\n');
+        }
+      },
+      {
+        name: 'reset',
+        description: 'Go back to the default layout',
+        run: () => {
+          facade('earthDashboard').reset();
+          return 'Widget layout reset';
+        }
+      }
+    ]
+  });
+
+  registry.register({
+    name: 'preset',
+    description: 'Load, save, remove and list visual presets',
+    subcommands: [
+      {
+        name: 'load',
+        description: 'Apply a preset',
+        args: [{ name: 'name', type: 'enum', values: presetNames }],
+        run: ({ name }) => {
+          facade('earthPresets').load(name);
+          return `Preset "${name}" loaded`;
+        }
+      },
+      {
+        name: 'save',
+        description: 'Save the current look as a preset',
+        args: [{ name: 'name', values: savedPresetNames }],
+        run: ({ name }) => {
+          const preset = facade('earthPresets').save(name);
+          return `Preset "${preset.name}" saved`;
+        }
+      },
+      {
+        name: 'remove',
+        description: 'Delete a saved preset',
+        args: [{ name: 'name', type: 'enum', values: savedPresetNames }],
+        run: ({ name }) => {
+          facade('earthPresets').remove(name);
+          return `Preset "${name}" removed`;
+        }
+      },
+      {
+        name: 'list',
+        description: 'List presets',
+        run: () => facade('earthPresets').list()
+          .map(({ name, builtIn }) => `${name}${builtIn ? ' (built in)' : ''}`)
+          .join('\n')
+      }
+    ]
+  });
+
+  registry.register({
+    name: 'errors',
+    description: 'List error reports, download them or switch safe mode',
+    subcommands: [
+      {
+        name: 'list',
+        description: 'Show the most recent error reports',
+        run: () => {
+          const { totalErrors, isSafeMode, recentErrors } = facade('errorHandler').getErrorStats();
+          const header = `${totalErrors} errors${isSafeMode ? ', safe mode on' : ''}`;
+          return [header, ...recentErrors.map(({ timestamp, context, message }) => `${new Date(timestamp).toLocaleTimeString()}  ${context.padEnd(18)} ${message}`)].join('\n');
+        }
+      },
+      {
+        name: 'export',
+        description: 'Download every report as JSON',
+        run: () => {
+          facade('errorHandler').download();
+          return 'Error reports downloaded';
+        }
+      },
+      {
+        name: 'safe',
+        description: 'Enter or leave safe mode (still, basic globe without layers)',
+        args: [{ name: 'state', type: 'enum', values: ['on', 'off'] }],
+        run: ({ state }) => {
+          const errorHandler = facade('errorHandler');
+          if (state === 'on') errorHandler.enterSafeMode('Requested from the console');
+          else errorHandler.exitSafeMode();
+          return `Safe mode ${state}`;
+        }
+      }
+    ]
+  });
+
+  registry.register({
+    name: 'link',
+    description: 'Show a link to the current view',
+    run: () => facade('earthPermalink').getURL()
+  });
+
+  registry.register({
+    name: 'clear',
+    description: 'Clear the console',
+    run: () => {
+      terminal.clear();
+    }
+  });
+}
@@ -0,0 +1,154 @@
+/* ========================================
+   NEURAAL INTERFACE - CONTROL PANEL
+   ======================================== */
+
+import { AppConfig } from '../config/AppConfig.js';
+
+/**
+ * Collapsible settings panel generated from a parameter schema.
+ * Each parameter becomes a slider with a live readout. The panel never
+ * owns the values: it reads and writes them through the binding it is
+ * given and polls the binding from the render loop, so changes made from
+ * the keyboard or from code show up too.
+ */
+export class ControlPanel {
+  /**
+   * @param {HTMLElement|null} container - Panel element; without one the panel is a no-op
+   * @param {Array<Object>} schema - { key, label, group, min, max, step, default } per parameter
+   * @param {Object} binding - { read(param), write(param, value), onChange(param, value) }
+   */
+  constructor(container, schema, binding) {
+    this.config = AppConfig.controlPanel;
+    this.container = container;
+    this.schema = schema;
+    this.binding = binding;
+    this.rows = new Map();
+    this.lastSync = 0;
+    if (!container) return;
+
+    this.render();
+    this.setCollapsed(this.config.collapsed);
+  }
+
+  render() {
+    this.container.innerHTML = `
+      <button type="button" class="control-panel-toggle" aria-expanded="false">SETTINGS</button>
+      <div class="control-panel-body"></div>
+    `;
+    this.toggle = this.container.querySelector('.control-panel-toggle');
+    this.body = this.container.querySelector('.control-panel-body');
+    this.toggle.addEventListener('click', () => this.setCollapsed(!this.collapsed));
+
+    const groups = new Map();
+    this.schema.forEach((param) => {
+      if (!groups.has(param.group)) {
+        const section = document.createElement('details');
+        section.className = 'control-panel-group';
+        section.open = true;
+        section.innerHTML = `<summary>${param.group}</summary>`;
+        this.body.appendChild(section);
+        groups.set(param.group, section);
+      }
+      groups.get(param.group).appendChild(this.createRow(param));
+    });
+
+    const reset = document.createElement('button');
+    reset.type = 'button';
+    reset.className = 'control-panel-reset';
+    reset.textContent = 'RESET TO DEFAULTS';
+    reset.addEventListener('click', () => this.resetAll());
+    this.body.appendChild(reset);
+  }
+
+  createRow(param) {
+    const row = document.createElement('label');
+    row.className = 'control-panel-row';
+    row.title = `${param.label} (default ${param.default}); double-click to reset`;
+    row.innerHTML = `
+      <span class="control-panel-label">${param.label}</span>
+      <input type="range" min="${param.min}" max="${param.max}" step="${param.step}">
+      <output class="control-panel-value"></output>
+    `;
+
+    const input = row.querySelector('input');
+    const output = row.querySelector('output');
+    input.addEventListener('input', () => this.set(param, Number(input.value)));
+    row.addEventListener('dblclick', () => this.set(param, param.default));
+
+    this.rows.set(param.key, { param, input, output, value: null });
+    return row;
+  }
+
+  /**
+   * Write a parameter through the binding and show it
+   * @param {Object} param - Schema entry
+   * @param {number} value - New value (clamped to the schema range)
+   * @returns {number} The value written
+   */
+  set(param, value) {
+    const clamped = Math.min(param.max, Math.max(param.min, value));
+    this.binding.write(param, clamped);
+    this.show(param.key, clamped);
+    if (this.binding.onChange) this.binding.onChange(param, clamped);
+    return clamped;
+  }
+
+  /**
+   * @param {string} key - Parameter key
+   * @param {number} value - Value to display
+   */
+  show(key, value) {
+    const row = this.rows.get(key);
+    if (!row || row.value === value) return;
+
+    row.value = value;
+    row.input.value = String(value);
+    row.output.textContent = value.toFixed(decimals(row.param.step));
+  }
+
+  /**
+   * Pull every value from the binding
+   */
+  sync() {
+    this.rows.forEach(({ param }) => {
+      const value = this.binding.read(param);
+      if (Number.isFinite(value)) this.show(param.key, value);
+    });
+  }
+
+  /**
+   * Keep the readouts live; call once per frame
+   * @param {number} now - Frame timestamp in ms
+   */
+  update(now) {
+    if (!this.container || this.collapsed || now - this.lastSync < this.config.syncInterval) return;
+    this.lastSync = now;
+    this.sync();
+  }
+
+  resetAll() {
+    this.schema.forEach(param => this.set(param, param.default));
+    console.log('🎛️ Settings reset to schema defaults');
+  }
+
+  /**
+   * @param {boolean} collapsed - Hide the panel body
+   */
+  setCollapsed(collapsed) {
+    this.collapsed = Boolean(collapsed);
+    if (!this.container) return;
+
+    this.container.classList.toggle('collapsed', this.collapsed);
+    this.toggle.setAttribute('aria-expanded', String(!this.collapsed));
+    if (!this.collapsed) this.sync();
+  }
+}
+
+/**
+ * @param {number} step - Slider step
+ * @returns {number} Decimal places the step needs
+ */
+function decimals(step) {
+  const text = String(step);
+  return text.includes('.') ? text.split('.')[1].length : 0;
+}
@@ -0,0 +1,64 @@
+/* ========================================
+   NEURAAL INTERFACE - ELEVATION LEGEND
+   ======================================== */
+
+const TICK_COUNT = 5;
+
+/**
+ * On-screen key for the false-colour elevation mode: a gradient bar with
+ * evenly spaced value ticks and the units of the current body.
+ */
+export class ElevationLegend {
+  /**
+   * @param {HTMLElement|null} container - Legend element; without one the legend is a no-op
+   */
+  constructor(container) {
+    this.container = container;
+    if (!container) return;
+
+    container.innerHTML = `
+      <div class="elevation-legend-title"></div>
+      <div class="elevation-legend-bar"></div>
+      <div class="elevation-legend-ticks"></div>
+    `;
+    this.title = container.querySelector('.elevation-legend-title');
+    this.bar = container.querySelector('.elevation-legend-bar');
+    this.ticks = container.querySelector('.elevation-legend-ticks');
+    this.hide();
+  }
+
+  /**
+   * @param {Object} legend - { title, colors, domain: [min, max], units }
+   */
+  render({ title, colors, domain, units }) {
+    if (!this.container) return;
+
+    const [min, max] = domain;
+    this.title.textContent = `${title} (${units})`;
+    this.bar.style.background = `linear-gradient(to right, ${colors.join(', ')})`;
+    this.ticks.innerHTML = '';
+
+    for (let i = 0; i < TICK_COUNT; i++) {
+      const tick = document.createElement('span');
+      tick.textContent = formatValue(min + (max - min) * (i / (TICK_COUNT - 1)));
+      this.ticks.appendChild(tick);
+    }
+  }
+
+  show() {
+    if (this.container) this.container.hidden = false;
+  }
+
+  hide() {
+    if (this.container) this.container.hidden = true;
+  }
+}
+
+/**
+ * @param {number} value - Tick value
+ * @returns {string} Rounded, thousands-separated label
+ */
+function formatValue(value) {
+  const rounded = Math.abs(value) >= 100 ? Math.round(value / 10) * 10 : Math.round(value);
+  return rounded.toLocaleString('en-US');
+}
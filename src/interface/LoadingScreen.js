@@ -0,0 +1,94 @@
+/* ========================================
+   NEURAAL INTERFACE - LOADING SCREEN
+   ======================================== */
+
+import { AppConfig } from '../config/AppConfig.js';
+
+const STATE_TEXT = {
+  loading: null, // Shows the byte progress instead
+  retrying: 'RETRY',
+  loaded: 'OK',
+  fallback: 'FALLBACK',
+  placeholder: 'PLACEHOLDER',
+  failed: 'FAILED'
+};
+
+/**
+ * Covers the globe while its assets load, with an overall bar and one row
+ * per asset. When loading finishes it fades out straight away, or, if
+ * anything had to be replaced, after leaving that on screen for
+ * AppConfig.assets.loading.noticeDuration.
+ */
+export class LoadingScreen {
+  /**
+   * @param {HTMLElement|null} container - Overlay element; without one the screen is a no-op
+   * @param {AssetLoader} loader - Loader to report on
+   */
+  constructor(container, loader) {
+    this.container = container;
+    this.loader = loader;
+    this.rows = new Map();
+    if (!container) return;
+
+    container.innerHTML = `
+      <div class="loading-screen-box" role="status" aria-live="polite">
+        <div class="loading-screen-header">
+          <span class="loading-screen-title">LOADING ASSETS</span>
+          <span class="loading-screen-percent">000%</span>
+        </div>
+        <div class="loading-screen-track"><div class="loading-screen-fill"></div></div>
+        <div class="loading-screen-assets"></div>
+        <div class="loading-screen-notice"></div>
+      </div>
+    `;
+    this.percent = container.querySelector('.loading-screen-percent');
+    this.fill = container.querySelector('.loading-screen-fill');
+    this.list = container.querySelector('.loading-screen-assets');
+    this.notice = container.querySelector('.loading-screen-notice');
+    container.hidden = false;
+
+    this.unsubscribe = loader.onProgress(progress => this.render(progress));
+  }
+
+  render({ fraction, assets }) {
+    this.percent.textContent = `${String(Math.floor(fraction * 100)).padStart(3, '0')}%`;
+    this.fill.style.width = `${fraction * 100}%`;
+
+    assets.forEach((asset) => {
+      let row = this.rows.get(asset.key);
+      if (!row) {
+        row = document.createElement('div');
+        row.innerHTML = '<span class="loading-screen-label"></span><span class="loading-screen-state"></span>';
+        row.querySelector('.loading-screen-label').textContent = asset.label;
+        this.rows.set(asset.key, row);
+        this.list.appendChild(row);
+      }
+      row.className = `loading-screen-asset ${asset.state}`;
+      row.title = asset.error || asset.source;
+      row.querySelector('.loading-screen-state').textContent = STATE_TEXT[asset.state]
+        || `${Math.floor(asset.fraction * 100)}%`;
+    });
+  }
+
+  /**
+   * Everything has settled: fade out, after a notice if anything was replaced
+   */
+  finish() {
+    if (!this.container) return;
+    this.unsubscribe();
+    const progress = this.loader.getProgress();
+    this.render(progress);
+
+    const replaced = progress.assets.filter(asset => asset.state !== 'loaded');
+    let delay = 0;
+    if (replaced.length > 0) {
+      this.notice.textContent = `${replaced.map(asset => asset.label).join(', ')} unavailable; using ${replaced.length === 1 ? 'a stand-in' : 'stand-ins'}`;
+      delay = AppConfig.assets.loading.noticeDuration;
+    }
+
+    setTimeout(() => {
+      this.container.classList.add('done');
+      setTimeout(() => { this.container.hidden = true; }, AppConfig.visual.animations.slow);
+    }, delay);
+  }
+}
@@ -0,0 +1,91 @@
+/* ========================================
+   NEURAAL INTERFACE - NOTIFICATIONS
+   ======================================== */
+
+import { AppConfig } from '../config/AppConfig.js';
+
+/**
+ * Non-blocking notices stacked in a corner of the screen. Each has a
+ * title, a message, optional action buttons and a close button, and
+ * dismisses itself after a while unless told to stay. Text is set with
+ * textContent, so error messages are never parsed as markup.
+ */
+export class Notifications {
+  /**
+   * @param {HTMLElement|null} container - Stack element; without one notices only go to the console
+   */
+  constructor(container) {
+    this.container = container;
+    this.notices = new Map(); // key -> { element, timer }
+    this.nextId = 1;
+    if (container) {
+      container.setAttribute('role', 'region');
+      container.setAttribute('aria-label', 'Notifications');
+    }
+  }
+
+  /**
+   * @param {Object} notice - { title, message, level: 'info' | 'warning' | 'error', actions: [{ label, run }],
+   *   duration: ms before it goes (0 keeps it), key: replaces a visible notice with the same key }
+   * @returns {Function} Dismiss function
+   */
+  show({ title, message = '', level = 'info', actions = [], duration = AppConfig.errors.noticeDuration, key = null }) {
+    const id = key || `notice-${this.nextId++}`;
+    if (!this.container) {
+      console.log(`🔔 ${title}${message ? `: ${message}` : ''}`);
+      return () => {};
+    }
+    this.dismiss(id);
+
+    const element = document.createElement('div');
+    element.className = `notification ${level}`;
+    element.setAttribute('role', level === 'error' ? 'alert' : 'status');
+    element.innerHTML = `
+      <div class="notification-header">
+        <span class="notification-title"></span>
+        <button type="button" class="notification-close" aria-label="Dismiss">×</button>
+      </div>
+      <div class="notification-message"></div>
+      <div class="notification-actions"></div>
+    `;
+    element.querySelector('.notification-title').textContent = title;
+    element.querySelector('.notification-message').textContent = message;
+    element.querySelector('.notification-close').addEventListener('click', () => this.dismiss(id));
+
+    const buttons = element.querySelector('.notification-actions');
+    actions.forEach(({ label, run }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      button.addEventListener('click', () => {
+        this.dismiss(id);
+        try {
+          run();
+        } catch (error) {
+          console.error(`❌ Notification action "${label}" failed:`, error);
+        }
+      });
+      buttons.appendChild(button);
+    });
+
+    this.container.appendChild(element);
+    const timer = duration > 0 ? setTimeout(() => this.dismiss(id), duration) : null;
+    this.notices.set(id, { element, timer });
+    return () => this.dismiss(id);
+  }
+
+  /**
+   * @param {string} id - Notice key
+   */
+  dismiss(id) {
+    const notice = this.notices.get(id);
+    if (!notice) return;
+    clearTimeout(notice.timer);
+    notice.element.remove();
+    this.notices.delete(id);
+  }
+
+  clear() {
+    Array.from(this.notices.keys()).forEach(id => this.dismiss(id));
+  }
+}
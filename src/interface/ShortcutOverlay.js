@@ -0,0 +1,176 @@
+/* ========================================
+   NEURAAL INTERFACE - SHORTCUT OVERLAY
+   ======================================== */
+
+import { chordFromEvent, formatKeys } from '../core/ShortcutRegistry.js';
+
+/**
+ * Searchable on-screen list of every registered shortcut, generated from
+ * the registry each time it opens. Clicking a binding captures the next
+ * key press as its new keys (Escape cancels, Backspace unbinds).
+ */
+export class ShortcutOverlay {
+  /**
+   * @param {HTMLElement|null} container - Overlay element; without one the overlay is a no-op
+   * @param {ShortcutRegistry} registry - Source of the actions
+   */
+  constructor(container, registry) {
+    this.container = container;
+    this.registry = registry;
+    this.capturing = null;
+    this.visible = false;
+    if (!container) return;
+
+    container.innerHTML = `
+      <div class="shortcut-overlay-dialog" role="dialog" aria-modal="true" aria-label="Keyboard shortcuts">
+        <div class="shortcut-overlay-header">
+          <span>KEYBOARD SHORTCUTS</span>
+          <button type="button" class="shortcut-overlay-close" aria-label="Close">×</button>
+        </div>
+        <input type="search" class="shortcut-overlay-search" placeholder="Search actions or keys" aria-label="Search shortcuts">
+        <div class="shortcut-overlay-list"></div>
+        <div class="shortcut-overlay-footer">
+          <span class="shortcut-overlay-status">Click a key to rebind it</span>
+          <button type="button" class="shortcut-overlay-reset">RESET ALL</button>
+        </div>
+      </div>
+    `;
+    this.search = container.querySelector('.shortcut-overlay-search');
+    this.list = container.querySelector('.shortcut-overlay-list');
+    this.status = container.querySelector('.shortcut-overlay-status');
+
+    this.search.addEventListener('input', () => this.render());
+    container.querySelector('.shortcut-overlay-close').addEventListener('click', () => this.hide());
+    container.querySelector('.shortcut-overlay-reset').addEventListener('click', () => {
+      this.registry.reset();
+      this.setStatus('All shortcuts back on their defaults');
+      this.render();
+    });
+    // Clicking outside the dialog closes the overlay
+    container.addEventListener('click', (event) => {
+      if (event.target === container) this.hide();
+    });
+    container.addEventListener('keydown', event => this.handleKeyDown(event));
+    this.hide();
+  }
+
+  render() {
+    if (!this.container) return;
+
+    const query = this.search.value.trim().toLowerCase();
+    const groups = new Map();
+    this.registry.list()
+      .filter(action => !query || [action.description, action.group, ...action.keys.map(formatKeys)]
+        .some(text => text && text.toLowerCase().includes(query)))
+      .forEach((action) => {
+        if (!groups.has(action.group)) groups.set(action.group, []);
+        groups.get(action.group).push(action);
+      });
+
+    this.list.innerHTML = '';
+    if (groups.size === 0) {
+      this.list.innerHTML = '<p class="shortcut-overlay-empty">No matching shortcuts</p>';
+      return;
+    }
+
+    groups.forEach((actions, group) => {
+      const section = document.createElement('section');
+      section.className = 'shortcut-overlay-group';
+      const title = document.createElement('h2');
+      title.textContent = group;
+      section.appendChild(title);
+      actions.forEach(action => section.appendChild(this.createRow(action)));
+      this.list.appendChild(section);
+    });
+  }
+
+  createRow(action) {
+    const row = document.createElement('div');
+    row.className = 'shortcut-overlay-row';
+
+    const description = document.createElement('span');
+    description.textContent = action.description || action.id;
+
+    const keys = document.createElement('button');
+    keys.type = 'button';
+    keys.className = 'shortcut-overlay-keys';
+    keys.textContent = this.capturing === action.id
+      ? 'Press keys…'
+      : action.keys.map(formatKeys).join(', ') || 'Unbound';
+    keys.title = `Default: ${action.defaultKeys.map(formatKeys).join(', ') || 'none'}`;
+    keys.addEventListener('click', () => this.capture(action.id));
+
+    row.append(description, keys);
+    return row;
+  }
+
+  /**
+   * Take the next key press as the action's new binding
+   * @param {string} id - Action id
+   */
+  capture(id) {
+    this.capturing = id;
+    this.registry.setEnabled(false);
+    this.setStatus('Press the new keys (Esc cancels, Backspace unbinds)');
+    this.render();
+  }
+
+  endCapture(message) {
+    this.capturing = null;
+    this.registry.setEnabled(true);
+    this.setStatus(message);
+    this.render();
+  }
+
+  handleKeyDown(event) {
+    if (this.capturing) {
+      const chord = chordFromEvent(event);
+      if (!chord) return;
+      event.preventDefault();
+      event.stopPropagation();
+
+      if (chord === 'escape') {
+        this.endCapture('Rebinding cancelled');
+        return;
+      }
+      try {
+        this.registry.rebind(this.capturing, chord === 'backspace' ? [] : chord);
+        this.endCapture('Shortcut saved');
+      } catch (error) {
+        this.endCapture(error.message);
+      }
+      return;
+    }
+
+    if (event.key === 'Escape') {
+      event.stopPropagation();
+      this.hide();
+    }
+  }
+
+  setStatus(message) {
+    if (this.status) this.status.textContent = message;
+  }
+
+  show() {
+    if (!this.container) return;
+    this.visible = true;
+    this.container.hidden = false;
+    this.search.value = '';
+    this.setStatus('Click a key to rebind it');
+    this.render();
+    this.search.focus();
+  }
+
+  hide() {
+    if (!this.container) return;
+    if (this.capturing) this.endCapture('');
+    this.visible = false;
+    this.container.hidden = true;
+  }
+
+  toggle() {
+    if (this.visible) this.hide();
+    else this.show();
+  }
+}
@@ -1,4 +1,14 @@
 // NEURAAL_INTERFACE CONTROLLER
+import { AppConfig } from '../config/AppConfig.js';
+import { CommandRegistry } from '../core/CommandRegistry.js';
+import { CommandConsole } from './CommandConsole.js';
+import { registerConsoleCommands } from './ConsoleCommands.js';
+import { ChatStore } from '../chat/ChatStore.js';
+import { ChatSession } from '../chat/ChatSession.js';
+import { MockProvider } from '../chat/MockProvider.js';
+import { SSEProvider } from '../chat/SSEProvider.js';
+import { ChatPanel } from './ChatPanel.js';
+
 class NeuraalInterface {
   constructor() {
     this.initializeInterface();
@@ -10,11 +20,42 @@ class NeuraalInterface {
   initializeInterface() {
     console.log('🧠 NEURAAL_INTERFACE initializing...');
     
-                  // Initialize chat data streams
-              this.dataStreams = {
-                readyCommands: this.generateReadyData(),
-                efficiency: this.generateEfficiencyData()
-              };
+    // Command line in the READY FOR COMMANDS panel
+    this.commands = new CommandRegistry();
+    this.console = new CommandConsole(document.getElementById('command-console'), this.commands, {
+      // Commands join the action trail attached to error reports
+      onRun: (text) => {
+        if (window.errorHandler) window.errorHandler.recordAction('command', text);
+      }
+    });
+    registerConsoleCommands(this.commands, this.console);
+    this.console.print('READY. Type help for commands, Tab to complete.', 'info');
+    
+    window.earthConsole = {
+      run: (text) => this.console.run(text),
+      register: (command) => this.commands.register(command),
+      print: (text, kind) => this.console.print(text, kind),
+      focus: () => this.console.focus()
+    };
+    
+    // Conversation with a pluggable backend; replies can steer the globe
+    this.chat = new ChatSession(new ChatStore(), [new MockProvider(), new SSEProvider()]);
+    this.chatPanel = new ChatPanel(document.getElementById('chat-thread'), this.chat);
+    
+    window.earthChat = {
+      send: (text) => this.chat.send(text),
+      cancel: () => this.chat.cancel(),
+      registerProvider: (provider) => { this.chat.registerProvider(provider); this.chatPanel.renderProviders(); },
+      setProvider: (name) => { this.chat.setProvider(name); this.chatPanel.renderProviders(); },
+      listProviders: () => this.chat.listProviders(),
+      setAutoRunActions: (enabled) => this.chat.setAutoRunActions(enabled),
+      runAction: (action) => this.chat.execute(action),
+      getMessages: () => this.chat.store.list(),
+      exportJSON: () => this.chat.store.exportJSON(),
+      exportMarkdown: () => this.chat.store.exportMarkdown(),
+      download: (format) => this.chat.store.download(format),
+      clear: () => { this.chat.cancel(); this.chat.store.clear(); }
+    };
     
     // Start real-time updates
     this.startRealTimeUpdates();
@@ -41,9 +82,13 @@ class NeuraalInterface {
   }
   
   adjustCameraForLargerGlobe() {
+    // Zoom out camera extremely to show maximum stars and cosmic context
+    const permalinkView = window.earthPermalink && window.earthPermalink.hasRestoredView();
+    if (window.earthCamera && !permalinkView) {
+      window.earthCamera.home({ duration: 0 });
+    }
+    
     if (window.camera) {
-      // Zoom out camera extremely to show maximum stars and cosmic context
-      window.camera.position.set(0, 0, 14); // Much further back to show maximum star field
       window.camera.fov = 65; // Maximum field of view for cosmic immersion
       window.camera.updateProjectionMatrix();
       console.log('📷 Camera extremely zoomed out for maximum cosmic view with enhanced star field');
@@ -168,43 +213,23 @@ class NeuraalInterface {
     }
   }
   
-  generateReadyData() {
-    return [
-      "Ituned dolore lux primconduo sit quis faucibus nuis molus 2008 venenconlam sit tellus tellus sealum ipsum aurutmullus in tur dictu cursurabs.",
-      "Mauris placerat in nias ipsum seatine iaculis lorem quis so tellus iaculis cursuratum lorem placerat tellus tellus venen cursurante consecur in eget et lorem ipsum tellus.",
-      "Lorem diturit sit lorem tellus placerat niat tellus venenconlam sit tellus molestie ipsum aurutmullus in tur dictu cursurabs tellus lorem tellus placerat auctor amet lorem ipsum tellus."
-    ];
-  }
-  
-  generateEfficiencyData() {
-    return [
-      { label: "Lat", value: "sisitim sit bultamate liutuasse eiciladr" },
-      { label: "Long", value: "plaucum consequat sit lincidunt" },
-      { label: "Diturit tellus", value: "placerat sit cursurante" }
-    ];
-  }
-  
   startRealTimeUpdates() {
-    // Update data streams every 5 seconds
-    setInterval(() => {
-      this.updateDataStreams();
-    }, 5000);
-    
     // Update coordinate rings every 2 seconds
     setInterval(() => {
       this.updateCoordinateRings();
     }, 2000);
-    
-    // Update progress indicator
-    setInterval(() => {
-      this.updateProgressIndicator();
-    }, 3000);
   }
   
-  updateDataStreams() {
-    // Simulate data stream updates
-    const timestamp = this.getCurrentTimestamp();
-    console.log(`[${timestamp}] NEURAAL_INTERFACE: Data streams updated`);
+  startDataStreams() {
+    // Live feeds listed in the config connect straight away; others come from the console or earthStreams
+    if (!window.earthStreams) return;
+    AppConfig.streams.autoStart.forEach((definition) => {
+      try {
+        window.earthStreams.connect(definition);
+      } catch (error) {
+        console.warn(`⚠️ Could not start stream ${definition.id}:`, error.message);
+      }
+    });
   }
   
   updateCoordinateRings() {
@@ -218,15 +243,6 @@ class NeuraalInterface {
     });
   }
   
-  updateProgressIndicator() {
-    const progressValue = document.querySelector('.progress-value');
-    if (progressValue) {
-      const currentValue = parseInt(progressValue.textContent) || 0;
-      const newValue = Math.min(100, currentValue + Math.floor(Math.random() * 3));
-      progressValue.textContent = String(newValue).padStart(3, '0') + '%';
-    }
-  }
-  
   setupInteractivity() {
     // Setup chat interactions (no coordinate interactions)
     const chatSections = document.querySelectorAll('.ready-section, .efficiency-section, .additional-data-section');
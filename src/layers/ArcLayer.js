@@ -0,0 +1,324 @@
+/* ========================================
+   NEURAAL INTERFACE - ARC LAYER
+   ======================================== */
+
+import * as THREE from 'three';
+import { BaseLayer } from './BaseLayer.js';
+import { latLonToVector3 } from '../utils/Geodesy.js';
+import arcVertexShader from './shaders/arcVertex.glsl';
+import arcFragmentShader from './shaders/arcFragment.glsl';
+
+const ARC_SEGMENTS = 64;
+const INITIAL_CAPACITY = 256;
+
+const DEFAULT_ARC = {
+  color: '#00ff41',
+  endColor: null, // Same as color unless a gradient is wanted
+  width: 2, // Screen pixels
+  heightScale: 0.25, // Peak height per radian of arc, in globe radii
+  dashLength: 0.15, // Fractions of the arc
+  dashGap: 0.1,
+  speed: 0.5, // Arc fractions per unit of uTime
+  data: null
+};
+
+// Per-instance attributes and their component counts
+const INSTANCE_ATTRIBUTES = {
+  aStart: 3,
+  aEnd: 3,
+  aLift: 2,
+  aColorStart: 3,
+  aColorEnd: 3,
+  aWidth: 1,
+  aHeight: 1,
+  aDash: 4
+};
+
+let arcSequence = 0;
+
+/**
+ * Dash offset derived from the arc id, so an arc keeps its pattern however
+ * often it is rewritten and neighbouring arcs do not march in step
+ * @param {string|number} id - Arc id
+ * @returns {number} Phase in [0, 1)
+ */
+function dashPhase(id) {
+  const text = String(id);
+  let hash = 2166136261; // FNV-1a
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+  }
+  return (hash >>> 0) / 4294967296;
+}
+
+/**
+ * Animated origin-destination arcs.
+ * Every arc is one instance of a shared ribbon strip; the vertex shader
+ * bends it along the great circle, so adding, updating or removing an arc
+ * only rewrites that arc's slot in the instance buffers.
+ */
+export class ArcLayer extends BaseLayer {
+  /**
+   * @param {string} id - Unique layer id
+   * @param {Object} options - { arcs, opacity, altitude }
+   */
+  constructor(id, options = {}) {
+    super(id, 'arcs', {
+      opacity: 0.9,
+      ...options
+    });
+
+    this.arcs = new Map(); // id -> arc
+    this.slots = []; // slot index -> arc id
+    this.capacity = 0;
+    this.buffers = {};
+    this.mesh = null;
+    this.needsUpload = false;
+
+    if (options.arcs) {
+      this.setArcs(options.arcs);
+    }
+  }
+
+  /**
+   * Add or replace an arc
+   * @param {Object} arc - { id, from: {lat, lon}, to: {lat, lon}, color, endColor, width, heightScale, dashLength, dashGap, speed, data }
+   * @returns {Object} Stored arc
+   */
+  addArc(arc) {
+    const { from, to } = arc;
+    if (!from || !to || ![from.lat, from.lon, to.lat, to.lon].every(Number.isFinite)) {
+      throw new Error(`Arc needs numeric from/to lat/lon: ${JSON.stringify(arc)}`);
+    }
+
+    const id = arc.id !== undefined ? arc.id : `arc-${++arcSequence}`;
+    const existing = this.arcs.get(id);
+    const stored = {
+      ...DEFAULT_ARC,
+      ...arc,
+      id,
+      slot: existing ? existing.slot : this.slots.length
+    };
+
+    if (!existing) {
+      this.ensureCapacity(this.slots.length + 1);
+      this.slots.push(id);
+    }
+
+    this.arcs.set(id, stored);
+    this.writeSlot(stored);
+    return stored;
+  }
+
+  /**
+   * Add many arcs at once
+   * @param {Array<Object>} arcs - Arc definitions
+   */
+  addArcs(arcs) {
+    this.ensureCapacity(this.slots.length + arcs.length);
+    arcs.forEach(arc => this.addArc(arc));
+  }
+
+  /**
+   * Replace every arc
+   * @param {Array<Object>} arcs - Arc definitions
+   */
+  setArcs(arcs) {
+    this.clearArcs();
+    this.addArcs(arcs);
+  }
+
+  /**
+   * Update fields of an existing arc
+   * @param {string|number} id - Arc id
+   * @param {Object} changes - Fields to change
+   * @returns {Object|null} Updated arc
+   */
+  updateArc(id, changes) {
+    const existing = this.arcs.get(id);
+    if (!existing) return null;
+    return this.addArc({ ...existing, ...changes, id });
+  }
+
+  /**
+   * Remove an arc by moving the last arc into its slot
+   * @param {string|number} id - Arc id
+   * @returns {boolean} Whether an arc was removed
+   */
+  removeArc(id) {
+    const arc = this.arcs.get(id);
+    if (!arc) return false;
+
+    const lastId = this.slots.pop();
+    if (lastId !== id) {
+      const moved = this.arcs.get(lastId);
+      moved.slot = arc.slot;
+      this.slots[arc.slot] = lastId;
+      this.writeSlot(moved);
+    }
+
+    this.arcs.delete(id);
+    this.needsUpload = true;
+    return true;
+  }
+
+  clearArcs() {
+    this.arcs.clear();
+    this.slots = [];
+    this.needsUpload = true;
+  }
+
+  /**
+   * @param {string|number} id - Arc id
+   * @returns {Object|undefined} Arc
+   */
+  getArc(id) {
+    return this.arcs.get(id);
+  }
+
+  getEntityCount() {
+    return this.arcs.size;
+  }
+
+  /**
+   * Grow the instance buffers, keeping existing contents
+   * @param {number} required - Number of arcs that must fit
+   */
+  ensureCapacity(required) {
+    if (required <= this.capacity) return;
+
+    let capacity = Math.max(this.capacity, INITIAL_CAPACITY);
+    while (capacity < required) capacity *= 2;
+
+    Object.entries(INSTANCE_ATTRIBUTES).forEach(([name, size]) => {
+      const array = new Float32Array(capacity * size);
+      if (this.buffers[name]) {
+        array.set(this.buffers[name]);
+      }
+      this.buffers[name] = array;
+    });
+
+    this.capacity = capacity;
+    if (this.mesh) {
+      this.attachBuffers(this.mesh.geometry);
+    }
+  }
+
+  /**
+   * Write one arc into its instance slot
+   * @param {Object} arc - Stored arc
+   */
+  writeSlot(arc) {
+    const slot = arc.slot;
+    const start = latLonToVector3(arc.from.lat, arc.from.lon, 1);
+    const end = latLonToVector3(arc.to.lat, arc.to.lon, 1);
+    const startColor = new THREE.Color(arc.color);
+    const endColor = new THREE.Color(arc.endColor || arc.color);
+    const radius = this.context ? this.context.radius : 1;
+    const altitude = this.options.altitude;
+    const peak = arc.heightScale * radius * start.angleTo(end);
+
+    this.buffers.aStart.set([start.x, start.y, start.z], slot * 3);
+    this.buffers.aEnd.set([end.x, end.y, end.z], slot * 3);
+    this.buffers.aLift.set([
+      this.terrainHeight(arc.from.lat, arc.from.lon) + altitude,
+      this.terrainHeight(arc.to.lat, arc.to.lon) + altitude
+    ], slot * 2);
+    this.buffers.aColorStart.set([startColor.r, startColor.g, startColor.b], slot * 3);
+    this.buffers.aColorEnd.set([endColor.r, endColor.g, endColor.b], slot * 3);
+    this.buffers.aWidth[slot] = arc.width;
+    this.buffers.aHeight[slot] = peak;
+    this.buffers.aDash.set([arc.dashLength, arc.dashGap, arc.speed, dashPhase(arc.id)], slot * 4);
+
+    this.needsUpload = true;
+  }
+
+  /**
+   * Bind the instance arrays to a geometry
+   * @param {THREE.InstancedBufferGeometry} geometry - Arc geometry
+   */
+  attachBuffers(geometry) {
+    Object.entries(INSTANCE_ATTRIBUTES).forEach(([name, size]) => {
+      const attribute = new THREE.InstancedBufferAttribute(this.buffers[name], size);
+      attribute.setUsage(THREE.DynamicDrawUsage);
+      geometry.setAttribute(name, attribute);
+    });
+  }
+
+  /**
+   * Ribbon template: (ARC_SEGMENTS + 1) pairs of vertices along t
+   * @returns {THREE.InstancedBufferGeometry} Template geometry
+   */
+  createTemplate() {
+    const geometry = new THREE.InstancedBufferGeometry();
+    const positions = [];
+    const indices = [];
+
+    for (let i = 0; i <= ARC_SEGMENTS; i++) {
+      const t = i / ARC_SEGMENTS;
+      positions.push(t, -1, 0, t, 1, 0);
+
+      if (i < ARC_SEGMENTS) {
+        const base = i * 2;
+        indices.push(base, base + 1, base + 2, base + 1, base + 3, base + 2);
+      }
+    }
+
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+    return geometry;
+  }
+
+  rebuild() {
+    if (!this.context) return;
+
+    // Terrain lift depends on the context's elevation sampler
+    this.ensureCapacity(Math.max(this.slots.length, 1));
+    this.arcs.forEach(arc => this.writeSlot(arc));
+
+    if (!this.mesh) {
+      const geometry = this.createTemplate();
+      this.attachBuffers(geometry);
+
+      const material = new THREE.ShaderMaterial({
+        uniforms: {
+          uTime: { value: 0 },
+          uResolution: { value: new THREE.Vector2(1, 1) },
+          uRadius: { value: this.context.radius },
+          uOpacity: { value: this.options.opacity }
+        },
+        vertexShader: arcVertexShader,
+        fragmentShader: arcFragmentShader,
+        transparent: true,
+        depthWrite: false,
+        side: THREE.DoubleSide
+      });
+
+      this.mesh = new THREE.Mesh(geometry, material);
+      this.mesh.frustumCulled = false;
+      this.object.add(this.mesh);
+    }
+  }
+
+  update(frame) {
+    if (!this.mesh) return;
+
+    const uniforms = this.mesh.material.uniforms;
+    uniforms.uTime.value = frame.time;
+    uniforms.uResolution.value.copy(frame.resolution);
+
+    if (this.needsUpload) {
+      const geometry = this.mesh.geometry;
+      Object.keys(INSTANCE_ATTRIBUTES).forEach(name => {
+        geometry.getAttribute(name).needsUpdate = true;
+      });
+      geometry.instanceCount = this.slots.length;
+      this.needsUpload = false;
+    }
+  }
+
+  dispose() {
+    super.dispose();
+    this.mesh = null;
+  }
+}
@@ -0,0 +1,119 @@
+/* ========================================
+   NEURAAL INTERFACE - BASE LAYER
+   ======================================== */
+
+import * as THREE from 'three';
+import { AppConfig } from '../config/AppConfig.js';
+import { latLonToVector3 } from '../utils/Geodesy.js';
+
+/**
+ * Common behaviour for everything drawn on top of the globe.
+ * Subclasses build their meshes into `this.object`, which the LayerManager
+ * parents under the rotating globe group.
+ */
+export class BaseLayer {
+  /**
+   * @param {string} id - Unique layer id
+   * @param {string} type - Layer type name
+   * @param {Object} options - Layer options
+   */
+  constructor(id, type, options = {}) {
+    this.id = id;
+    this.type = type;
+    this.options = {
+      altitude: AppConfig.layers.altitude,
+      ...options
+    };
+    this.context = null;
+    this.object = new THREE.Group();
+    this.object.name = `layer:${id}`;
+  }
+
+  get visible() {
+    return this.object.visible;
+  }
+
+  set visible(value) {
+    this.object.visible = value;
+  }
+
+  /**
+   * Called by the LayerManager when the layer is added
+   * @param {Object} context - Shared layer context (radius, samplers)
+   */
+  attach(context) {
+    this.context = context;
+    this.rebuild();
+  }
+
+  /**
+   * Called by the LayerManager when the layer is removed
+   */
+  detach() {
+    this.dispose();
+    this.context = null;
+  }
+
+  /**
+   * Rebuild GPU resources after data or context changes
+   */
+  rebuild() {}
+
+  /**
+   * Redraw anything that lived only on the GPU after the WebGL context was restored
+   */
+  restoreContext() {}
+
+  /**
+   * Per-frame update
+   * @param {Object} frame - { camera, renderer, resolution, time, deltaTime }
+   */
+  update(frame) {}
+
+  /**
+   * Number of drawable entities in the layer
+   * @returns {number} Entity count
+   */
+  getEntityCount() {
+    return 0;
+  }
+
+  /**
+   * Height of the displaced terrain above the base sphere
+   * @param {number} lat - Latitude in degrees
+   * @param {number} lon - Longitude in degrees
+   * @returns {number} Terrain height in scene units
+   */
+  terrainHeight(lat, lon) {
+    const sampler = this.context && this.context.elevationSampler;
+    if (!sampler) return 0;
+    return sampler.sampleLatLon(lat, lon) * AppConfig.globe.elevationScale;
+  }
+
+  /**
+   * Project a latitude/longitude onto the draped surface of this layer
+   * @param {number} lat - Latitude in degrees
+   * @param {number} lon - Longitude in degrees
+   * @param {number} extra - Additional height in scene units
+   * @param {THREE.Vector3} target - Optional vector to write into
+   * @returns {THREE.Vector3} Position in the globe's local frame
+   */
+  project(lat, lon, extra = 0, target = new THREE.Vector3()) {
+    const radius = this.context.radius + this.terrainHeight(lat, lon) + this.options.altitude + extra;
+    return latLonToVector3(lat, lon, radius, target);
+  }
+
+  /**
+   * Release GPU resources owned by the layer
+   */
+  dispose() {
+    this.object.traverse(child => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) {
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach(material => material.dispose());
+      }
+    });
+    this.object.clear();
+  }
+}
@@ -0,0 +1,410 @@
+/* ========================================
+   NEURAAL INTERFACE - CHOROPLETH LAYER
+   ======================================== */
+
+import * as THREE from 'three';
+import { AppConfig } from '../config/AppConfig.js';
+import { GeoJSONLayer, collectFeatures, unwrapRing } from './GeoJSONLayer.js';
+import { densifyPath, latLonToUV, latLonToVector3 } from '../utils/Geodesy.js';
+import { createColorScale } from '../utils/ColorScale.js';
+
+const MAX_REGIONS = 65535; // Region ids are packed into two bytes
+const PALETTE_COLUMNS = 256; // Palette rows stay far below any GPU's texture size limit
+
+/**
+ * Countries or regions coloured by a numeric value.
+ * Region polygons are rasterised into an equirectangular id texture plus a
+ * colour palette laid out PALETTE_COLUMNS regions per row; the globe's point
+ * shader samples both to tint each point. Regions can optionally be extruded outwards by their value.
+ */
+export class ChoroplethLayer extends GeoJSONLayer {
+  /**
+   * @param {string} id - Unique layer id
+   * @param {Object} options - { data, values, joinProperty, valueProperty, nameProperty,
+   *   colors, domain, nullColor, tint, extrude, extrusionScale, rasterResolution, style }
+   */
+  constructor(id, options = {}) {
+    super(id, {
+      joinProperty: 'ISO_A3',
+      valueProperty: null, // Read values straight from a feature property instead of `values`
+      nameProperty: null,
+      colors: 'viridis',
+      domain: null, // Defaults to the min/max of the joined values
+      nullColor: null, // Regions without a value are left untinted
+      tint: 0.85,
+      extrude: false,
+      extrusionScale: 0.6, // Scene units at the top of the domain
+      rasterResolution: [1440, 720],
+      ...options,
+      style: {
+        strokeWidth: 1,
+        strokeOpacity: 0.6,
+        fillOpacity: 0,
+        ...options.style
+      }
+    });
+    this.type = 'choropleth';
+
+    this.regions = [];
+    this.regionsByKey = new Map();
+    this.values = new Map();
+    this.scale = null;
+    this.idTexture = null;
+    this.paletteTexture = null;
+    this.idRaster = null;
+    this.extrusion = null;
+
+    if (options.values) {
+      this.values = normalizeValues(options.values);
+    }
+  }
+
+  /**
+   * Replace the joined values and recolour without re-rasterising
+   * @param {Object|Map|Array<Object>} values - key -> value map or [{ key, value }]
+   */
+  setValues(values) {
+    this.values = normalizeValues(values);
+    this.applyValues();
+  }
+
+  /**
+   * Change the colour scale
+   * @param {Object} scale - { colors, domain, nullColor }
+   */
+  setColorScale({ colors, domain, nullColor } = {}) {
+    if (colors !== undefined) this.options.colors = colors;
+    if (domain !== undefined) this.options.domain = domain;
+    if (nullColor !== undefined) this.options.nullColor = nullColor;
+    this.applyValues();
+  }
+
+  /**
+   * Toggle extrusion of regions by value
+   * @param {boolean} extrude - Whether regions are extruded
+   */
+  setExtrude(extrude) {
+    this.options.extrude = extrude;
+    this.applyValues();
+  }
+
+  rebuild() {
+    super.rebuild();
+    this.extrusion = null;
+    if (!this.context || !this.data) return;
+
+    this.indexRegions();
+    this.rasterizeRegions();
+    this.applyValues();
+  }
+
+  /**
+   * Assign every feature a region id and join key
+   */
+  indexRegions() {
+    const { joinProperty, nameProperty } = this.options;
+    this.regions = [];
+    this.regionsByKey.clear();
+
+    collectFeatures(this.data).forEach(feature => {
+      if (!feature || !feature.geometry) return;
+      if (this.regions.length >= MAX_REGIONS) {
+        console.warn(`⚠️ Choropleth ${this.id}: more than ${MAX_REGIONS} regions, the rest are ignored`);
+        return;
+      }
+
+      const props = feature.properties || {};
+      const key = props[joinProperty] !== undefined ? props[joinProperty] : feature.id;
+      const name = (nameProperty && props[nameProperty]) || props.name || props.NAME || props.ADMIN || String(key);
+      const region = { index: this.regions.length, key, name, feature };
+
+      this.regions.push(region);
+      if (key !== undefined) this.regionsByKey.set(String(key), region);
+    });
+  }
+
+  /**
+   * Scanline-fill every region polygon into the id raster
+   */
+  rasterizeRegions() {
+    const [width, height] = this.options.rasterResolution;
+    this.idRaster = new Uint16Array(width * height);
+
+    this.regions.forEach(region => {
+      const geometry = region.feature.geometry;
+      const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+        : geometry.type === 'MultiPolygon' ? geometry.coordinates
+        : [];
+      polygons.forEach(rings => this.fillPolygon(rings, region.index + 1, width, height));
+    });
+
+    const pixels = new Uint8Array(width * height * 4);
+    for (let i = 0; i < this.idRaster.length; i++) {
+      pixels[i * 4] = this.idRaster[i] & 255;
+      pixels[i * 4 + 1] = this.idRaster[i] >> 8;
+      pixels[i * 4 + 3] = 255;
+    }
+
+    if (this.idTexture) this.idTexture.dispose();
+    this.idTexture = new THREE.DataTexture(pixels, width, height, THREE.RGBAFormat);
+    this.idTexture.magFilter = THREE.NearestFilter;
+    this.idTexture.minFilter = THREE.NearestFilter;
+    this.idTexture.wrapS = THREE.RepeatWrapping;
+    this.idTexture.needsUpdate = true;
+  }
+
+  /**
+   * Even-odd scanline fill of one polygon; row 0 is the south pole
+   */
+  fillPolygon(rings, value, width, height) {
+    if (!rings || rings.length === 0 || rings[0].length < 3) return;
+
+    const reference = rings[0][0][0];
+    const edges = [];
+    let minRow = height;
+    let maxRow = -1;
+
+    rings.forEach(ring => {
+      const points = unwrapRing(densifyPath(ring, 1), reference).map(([lon, lat]) => [
+        (lon + 180) / 360 * width,
+        (lat + 90) / 180 * height
+      ]);
+
+      for (let i = 0; i < points.length; i++) {
+        const start = points[i];
+        const end = points[(i + 1) % points.length];
+        if (start[1] === end[1]) continue;
+        edges.push([start, end]);
+        minRow = Math.min(minRow, Math.floor(Math.min(start[1], end[1])));
+        maxRow = Math.max(maxRow, Math.ceil(Math.max(start[1], end[1])));
+      }
+    });
+
+    for (let row = Math.max(0, minRow); row <= Math.min(height - 1, maxRow); row++) {
+      const y = row + 0.5;
+      const crossings = [];
+
+      edges.forEach(([start, end]) => {
+        if ((start[1] <= y) !== (end[1] <= y)) {
+          crossings.push(start[0] + (y - start[1]) * (end[0] - start[0]) / (end[1] - start[1]));
+        }
+      });
+      crossings.sort((a, b) => a - b);
+
+      for (let i = 0; i + 1 < crossings.length; i += 2) {
+        const from = Math.ceil(crossings[i] - 0.5);
+        const to = Math.floor(crossings[i + 1] - 0.5);
+        for (let x = from; x <= to; x++) {
+          const column = ((x % width) + width) % width;
+          this.idRaster[row * width + column] = value;
+        }
+      }
+    }
+  }
+
+  /**
+   * Value of a region, from `values` or the value property
+   */
+  regionValue(region) {
+    if (this.options.valueProperty) {
+      const value = (region.feature.properties || {})[this.options.valueProperty];
+      return value === undefined || value === null ? null : Number(value);
+    }
+    const value = this.values.get(String(region.key));
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Rebuild the palette texture, the globe tint and the extrusion
+   */
+  applyValues() {
+    if (!this.context || this.regions.length === 0) return;
+
+    const values = this.regions.map(region => this.regionValue(region)).filter(Number.isFinite);
+    const domain = this.options.domain || (values.length > 0
+      ? [Math.min(...values), Math.max(...values)]
+      : [0, 1]);
+    this.scale = createColorScale({ domain, colors: this.options.colors, nullColor: this.options.nullColor });
+
+    const rows = Math.ceil(this.regions.length / PALETTE_COLUMNS);
+    const palette = new Uint8Array(PALETTE_COLUMNS * rows * 4);
+    const srgb = { r: 0, g: 0, b: 0 };
+    this.regions.forEach(region => {
+      region.value = this.regionValue(region);
+      region.color = this.scale(region.value);
+      if (!region.color) return;
+
+      region.color.getRGB(srgb, THREE.SRGBColorSpace);
+      palette.set([srgb.r * 255, srgb.g * 255, srgb.b * 255, 255], region.index * 4);
+    });
+
+    if (this.paletteTexture) this.paletteTexture.dispose();
+    this.paletteTexture = new THREE.DataTexture(palette, PALETTE_COLUMNS, rows, THREE.RGBAFormat);
+    this.paletteTexture.magFilter = THREE.NearestFilter;
+    this.paletteTexture.minFilter = THREE.NearestFilter;
+    this.paletteTexture.needsUpdate = true;
+
+    this.applyGlobeTint(this.visible ? this.options.tint : 0);
+    this.buildExtrusion();
+  }
+
+  /**
+   * Point the globe shader at this layer's region textures
+   * @param {number} tint - Tint strength (0 disables)
+   */
+  applyGlobeTint(tint) {
+    const uniforms = this.context && this.context.globeUniforms;
+    if (!uniforms || !uniforms.uRegionIdMap) return;
+
+    uniforms.uRegionIdMap.value = this.idTexture;
+    uniforms.uRegionPalette.value = this.paletteTexture;
+    uniforms.uRegionPaletteSize.value.set(PALETTE_COLUMNS, this.paletteTexture.image.height);
+    uniforms.uRegionTint.value = tint;
+  }
+
+  get visible() {
+    return super.visible;
+  }
+
+  set visible(value) {
+    super.visible = value;
+    if (this.context && this.idTexture) {
+      this.applyGlobeTint(value ? this.options.tint : 0);
+    }
+  }
+
+  /**
+   * Extrude every valued region outwards proportionally to its value
+   */
+  buildExtrusion() {
+    if (this.extrusion) {
+      this.object.remove(this.extrusion);
+      this.extrusion.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+      });
+      this.extrusion = null;
+    }
+    if (!this.options.extrude) return;
+
+    const [min, max] = this.scale.domain;
+    const span = max - min || 1;
+    const base = this.context.radius + AppConfig.globe.elevationScale * 0.5 + this.options.altitude;
+    const positions = [];
+    const colors = [];
+    const corner = new THREE.Vector3();
+    const push = (lat, lon, radius, color) => {
+      latLonToVector3(lat, lon, radius, corner);
+      positions.push(corner.x, corner.y, corner.z);
+      colors.push(color.r, color.g, color.b);
+    };
+
+    this.regions.forEach(region => {
+      if (!Number.isFinite(region.value) || !region.color) return;
+
+      const top = base + Math.max(0, (region.value - min) / span) * this.options.extrusionScale;
+      const wallColor = region.color.clone().multiplyScalar(0.65);
+      const geometry = region.feature.geometry;
+      const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+        : geometry.type === 'MultiPolygon' ? geometry.coordinates
+        : [];
+
+      polygons.forEach(rings => {
+        this.triangulatePolygon(rings, ([lon, lat]) => push(lat, lon, top, region.color));
+
+        rings.forEach(ring => {
+          const path = densifyPath(ring, this.options.maxSegmentDegrees);
+          for (let i = 1; i < path.length; i++) {
+            const [lon1, lat1] = path[i - 1];
+            const [lon2, lat2] = path[i];
+            push(lat1, lon1, base, wallColor);
+            push(lat2, lon2, base, wallColor);
+            push(lat2, lon2, top, wallColor);
+            push(lat1, lon1, base, wallColor);
+            push(lat2, lon2, top, wallColor);
+            push(lat1, lon1, top, wallColor);
+          }
+        });
+      });
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+
+    this.extrusion = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+      vertexColors: true,
+      side: THREE.DoubleSide,
+      transparent: true,
+      opacity: 0.9
+    }));
+    this.extrusion.name = 'extrusion';
+    this.object.add(this.extrusion);
+  }
+
+  /**
+   * Region under a latitude/longitude
+   * @param {number} lat - Latitude in degrees
+   * @param {number} lon - Longitude in degrees
+   * @returns {Object|null} { key, name, value, feature }
+   */
+  regionAt(lat, lon) {
+    if (!this.idRaster) return null;
+
+    const [width, height] = this.options.rasterResolution;
+    const { u, v } = latLonToUV(lat, lon);
+    const x = Math.min(width - 1, Math.floor(u * width));
+    const y = Math.min(height - 1, Math.floor(v * height));
+    const id = this.idRaster[y * width + x];
+
+    return id > 0 ? this.regions[id - 1] : null;
+  }
+
+  /**
+   * Hover readout for the LayerManager
+   * @param {number} lat - Latitude in degrees
+   * @param {number} lon - Longitude in degrees
+   * @returns {Object|null} { layer, key, name, value }
+   */
+  describeLocation(lat, lon) {
+    const region = this.regionAt(lat, lon);
+    if (!region) return null;
+    return { layer: this.id, key: region.key, name: region.name, value: region.value };
+  }
+
+  dispose() {
+    super.dispose();
+    this.extrusion = null;
+  }
+
+  detach() {
+    const uniforms = this.context && this.context.globeUniforms;
+    if (uniforms && uniforms.uRegionIdMap && uniforms.uRegionIdMap.value === this.idTexture) {
+      uniforms.uRegionTint.value = 0;
+      uniforms.uRegionIdMap.value = null;
+      uniforms.uRegionPalette.value = null;
+    }
+    if (this.idTexture) this.idTexture.dispose();
+    if (this.paletteTexture) this.paletteTexture.dispose();
+    this.idTexture = null;
+    this.paletteTexture = null;
+    super.detach();
+  }
+}
+
+/**
+ * Normalise the accepted value formats into a Map keyed by string
+ * @param {Object|Map|Array<Object>} values - Values to join
+ * @returns {Map<string, number>} Normalised values
+ */
+function normalizeValues(values) {
+  const map = new Map();
+  if (values instanceof Map) {
+    values.forEach((value, key) => map.set(String(key), Number(value)));
+  } else if (Array.isArray(values)) {
+    values.forEach(({ key, value }) => map.set(String(key), Number(value)));
+  } else if (values) {
+    Object.entries(values).forEach(([key, value]) => map.set(String(key), Number(value)));
+  }
+  return map;
+}
@@ -0,0 +1,372 @@
+/* ========================================
+   NEURAAL INTERFACE - GEOJSON LAYER
+   ======================================== */
+
+import * as THREE from 'three';
+import { LineSegments2 } from 'three/examples/jsm/lines/LineSegments2.js';
+import { LineSegmentsGeometry } from 'three/examples/jsm/lines/LineSegmentsGeometry.js';
+import { LineMaterial } from 'three/examples/jsm/lines/LineMaterial.js';
+import { AppConfig } from '../config/AppConfig.js';
+import { BaseLayer } from './BaseLayer.js';
+import { densifyPath, interpolateGreatCircle, greatCircleDistance } from '../utils/Geodesy.js';
+import { radToDeg } from '../utils/Helpers.js';
+
+const DEFAULT_STYLE = {
+  stroke: '#00ff41',
+  strokeWidth: 1.5, // Screen pixels
+  strokeOpacity: 0.9,
+  fill: '#00b33c',
+  fillOpacity: 0.0, // Fills are off unless a feature asks for them
+  pointColor: '#00ff41',
+  pointSize: 4 // Screen pixels
+};
+
+// Lines sit just above fills so they never z-fight
+const STROKE_LIFT = 0.002;
+const MAX_SUBDIVISION_DEPTH = 5;
+
+/**
+ * Normalise any GeoJSON object into a list of features
+ * @param {Object} geojson - FeatureCollection, Feature or bare geometry
+ * @returns {Array<Object>} Features
+ */
+export function collectFeatures(geojson) {
+  if (!geojson || !geojson.type) return [];
+
+  switch (geojson.type) {
+    case 'FeatureCollection':
+      return geojson.features || [];
+    case 'Feature':
+      return [geojson];
+    default:
+      return [{ type: 'Feature', properties: {}, geometry: geojson }];
+  }
+}
+
+/**
+ * Shift longitudes so a ring is continuous across the antimeridian
+ * @param {Array<Array<number>>} ring - [lon, lat] positions
+ * @param {number} reference - Longitude the ring should stay near
+ * @returns {Array<Array<number>>} Unwrapped positions
+ */
+export function unwrapRing(ring, reference) {
+  let previous = reference;
+  return ring.map(([lon, lat]) => {
+    let unwrapped = lon;
+    while (unwrapped - previous > 180) unwrapped -= 360;
+    while (unwrapped - previous < -180) unwrapped += 360;
+    previous = unwrapped;
+    return [unwrapped, lat];
+  });
+}
+
+/**
+ * Arc length of a [lon, lat] edge in degrees
+ */
+function edgeArc(a, b) {
+  return radToDeg(greatCircleDistance(a[1], a[0], b[1], b[0], 1));
+}
+
+/**
+ * GeoJSON overlay draped on the globe.
+ * Supports Point, LineString, Polygon, their Multi* variants and
+ * GeometryCollection. Styling follows the simplestyle property names
+ * (stroke, stroke-width, stroke-opacity, fill, fill-opacity, marker-color,
+ * marker-size) with options.style as the defaults and an optional
+ * options.styleFunction(feature) for computed styles.
+ */
+export class GeoJSONLayer extends BaseLayer {
+  /**
+   * @param {string} id - Unique layer id
+   * @param {Object} options - { data, style, styleFunction, altitude, maxSegmentDegrees }
+   */
+  constructor(id, options = {}) {
+    super(id, 'geojson', {
+      maxSegmentDegrees: AppConfig.layers.maxSegmentDegrees,
+      ...options
+    });
+    this.style = { ...DEFAULT_STYLE, ...options.style };
+    this.data = options.data || null;
+    this.featureCount = 0;
+    this.lineMaterials = [];
+  }
+
+  /**
+   * Load GeoJSON from a URL or object
+   * @param {string|Object} source - URL or GeoJSON object
+   * @returns {Promise<GeoJSONLayer>} This layer once built
+   */
+  async load(source) {
+    if (typeof source === 'string') {
+      const response = await fetch(source);
+      if (!response.ok) {
+        throw new Error(`GeoJSON request failed: ${response.status} ${source}`);
+      }
+      this.setData(await response.json());
+    } else {
+      this.setData(source);
+    }
+    return this;
+  }
+
+  /**
+   * Replace the layer's GeoJSON and rebuild
+   * @param {Object} geojson - GeoJSON object
+   */
+  setData(geojson) {
+    this.data = geojson;
+    this.rebuild();
+  }
+
+  getEntityCount() {
+    return this.featureCount;
+  }
+
+  /**
+   * Resolve the draw style of one feature
+   * @param {Object} feature - GeoJSON feature
+   * @returns {Object} Resolved style
+   */
+  resolveStyle(feature) {
+    const props = feature.properties || {};
+    const style = { ...this.style };
+
+    if (props.stroke !== undefined) style.stroke = props.stroke;
+    if (props['stroke-width'] !== undefined) style.strokeWidth = Number(props['stroke-width']);
+    if (props['stroke-opacity'] !== undefined) style.strokeOpacity = Number(props['stroke-opacity']);
+    if (props.fill !== undefined) style.fill = props.fill;
+    if (props['fill-opacity'] !== undefined) style.fillOpacity = Number(props['fill-opacity']);
+    if (props['marker-color'] !== undefined) style.pointColor = props['marker-color'];
+    if (props['marker-size'] !== undefined) {
+      const sizes = { small: 3, medium: 5, large: 8 };
+      style.pointSize = sizes[props['marker-size']] || Number(props['marker-size']) || style.pointSize;
+    }
+
+    if (typeof this.options.styleFunction === 'function') {
+      Object.assign(style, this.options.styleFunction(feature));
+    }
+
+    return style;
+  }
+
+  rebuild() {
+    this.dispose();
+    this.lineMaterials = [];
+    this.featureCount = 0;
+    if (!this.context || !this.data) return;
+
+    const buckets = { lines: new Map(), fills: new Map(), points: new Map() };
+
+    collectFeatures(this.data).forEach(feature => {
+      if (!feature || !feature.geometry) return;
+      this.addGeometry(feature.geometry, this.resolveStyle(feature), buckets);
+      this.featureCount++;
+    });
+
+    this.buildFills(buckets.fills);
+    this.buildLines(buckets.lines);
+    this.buildPoints(buckets.points);
+  }
+
+  /**
+   * Route one geometry into the draw buckets
+   */
+  addGeometry(geometry, style, buckets) {
+    const coords = geometry.coordinates;
+
+    switch (geometry.type) {
+      case 'Point':
+        this.addPoint(coords, style, buckets.points);
+        break;
+      case 'MultiPoint':
+        coords.forEach(point => this.addPoint(point, style, buckets.points));
+        break;
+      case 'LineString':
+        this.addPath(coords, style, buckets.lines);
+        break;
+      case 'MultiLineString':
+        coords.forEach(line => this.addPath(line, style, buckets.lines));
+        break;
+      case 'Polygon':
+        this.addPolygon(coords, style, buckets);
+        break;
+      case 'MultiPolygon':
+        coords.forEach(polygon => this.addPolygon(polygon, style, buckets));
+        break;
+      case 'GeometryCollection':
+        (geometry.geometries || []).forEach(child => this.addGeometry(child, style, buckets));
+        break;
+      default:
+        console.warn(`⚠️ Unsupported GeoJSON geometry: ${geometry.type}`);
+    }
+  }
+
+  /**
+   * Get or create the draw bucket for a style key
+   */
+  bucket(map, key, style) {
+    if (!map.has(key)) {
+      map.set(key, { style, positions: [], colors: [] });
+    }
+    return map.get(key);
+  }
+
+  addPoint([lon, lat], style, points) {
+    const bucket = this.bucket(points, `${style.pointSize}|${style.strokeOpacity}`, style);
+    const position = this.project(lat, lon, STROKE_LIFT);
+    const color = new THREE.Color(style.pointColor);
+    bucket.positions.push(position.x, position.y, position.z);
+    bucket.colors.push(color.r, color.g, color.b);
+  }
+
+  addPath(coordinates, style, lines) {
+    if (!coordinates || coordinates.length < 2 || style.strokeOpacity <= 0) return;
+
+    const bucket = this.bucket(lines, `${style.strokeWidth}|${style.strokeOpacity}`, style);
+    const color = new THREE.Color(style.stroke);
+    const path = densifyPath(coordinates, this.options.maxSegmentDegrees);
+    const start = new THREE.Vector3();
+    const end = new THREE.Vector3();
+
+    for (let i = 1; i < path.length; i++) {
+      this.project(path[i - 1][1], path[i - 1][0], STROKE_LIFT, start);
+      this.project(path[i][1], path[i][0], STROKE_LIFT, end);
+      bucket.positions.push(start.x, start.y, start.z, end.x, end.y, end.z);
+      bucket.colors.push(color.r, color.g, color.b, color.r, color.g, color.b);
+    }
+  }
+
+  addPolygon(rings, style, buckets) {
+    if (!rings || rings.length === 0) return;
+
+    rings.forEach(ring => this.addPath(ring, style, buckets.lines));
+    if (style.fillOpacity <= 0) return;
+
+    const bucket = this.bucket(buckets.fills, `${style.fillOpacity}`, style);
+    const color = new THREE.Color(style.fill);
+    const position = new THREE.Vector3();
+
+    this.triangulatePolygon(rings, corner => {
+      this.project(corner[1], corner[0], 0, position);
+      bucket.positions.push(position.x, position.y, position.z);
+      bucket.colors.push(color.r, color.g, color.b);
+    });
+  }
+
+  /**
+   * Triangulate a polygon into sphere-hugging triangles
+   * @param {Array<Array<Array<number>>>} rings - Outer ring then holes, [lon, lat]
+   * @param {Function} emit - Called with each triangle corner as [lon, lat]
+   */
+  triangulatePolygon(rings, emit) {
+    const step = this.options.maxSegmentDegrees;
+    const prepared = rings.map(ring => {
+      const dense = densifyPath(ring, step);
+      const last = dense[dense.length - 1];
+      if (dense.length > 1 && last[0] === dense[0][0] && last[1] === dense[0][1]) {
+        dense.pop();
+      }
+      return dense;
+    });
+    if (prepared[0].length < 3) return;
+
+    const reference = prepared[0][0][0];
+    const [outer, ...holes] = prepared.map(ring => unwrapRing(ring, reference));
+    const contour = outer.map(([lon, lat]) => new THREE.Vector2(lon, lat));
+    const holeContours = holes.map(hole => hole.map(([lon, lat]) => new THREE.Vector2(lon, lat)));
+    const vertices = outer.concat(...holes);
+    const triangles = THREE.ShapeUtils.triangulateShape(contour, holeContours);
+
+    triangles.forEach(([a, b, c]) => {
+      this.subdivideTriangle(vertices[a], vertices[b], vertices[c], 0, emit);
+    });
+  }
+
+  /**
+   * Split a lon/lat triangle until its edges hug the sphere
+   */
+  subdivideTriangle(a, b, c, depth, emit) {
+    const step = this.options.maxSegmentDegrees;
+    const longest = Math.max(edgeArc(a, b), edgeArc(b, c), edgeArc(c, a));
+
+    if (longest <= step || depth >= MAX_SUBDIVISION_DEPTH) {
+      emit(a);
+      emit(b);
+      emit(c);
+      return;
+    }
+
+    const midpoint = (p, q) => {
+      const point = interpolateGreatCircle(p[1], p[0], q[1], q[0], 0.5);
+      return [point.lon, point.lat];
+    };
+    const ab = midpoint(a, b);
+    const bc = midpoint(b, c);
+    const ca = midpoint(c, a);
+
+    this.subdivideTriangle(a, ab, ca, depth + 1, emit);
+    this.subdivideTriangle(ab, b, bc, depth + 1, emit);
+    this.subdivideTriangle(ca, bc, c, depth + 1, emit);
+    this.subdivideTriangle(ab, bc, ca, depth + 1, emit);
+  }
+
+  buildFills(fills) {
+    fills.forEach(({ style, positions, colors }) => {
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+      geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+
+      const material = new THREE.MeshBasicMaterial({
+        vertexColors: true,
+        transparent: true,
+        opacity: style.fillOpacity,
+        side: THREE.DoubleSide,
+        depthWrite: false
+      });
+
+      this.object.add(new THREE.Mesh(geometry, material));
+    });
+  }
+
+  buildLines(lines) {
+    lines.forEach(({ style, positions, colors }) => {
+      const geometry = new LineSegmentsGeometry();
+      geometry.setPositions(positions);
+      geometry.setColors(colors);
+
+      const material = new LineMaterial({
+        linewidth: style.strokeWidth,
+        vertexColors: true,
+        transparent: style.strokeOpacity < 1,
+        opacity: style.strokeOpacity,
+        depthWrite: false
+      });
+
+      this.lineMaterials.push(material);
+      this.object.add(new LineSegments2(geometry, material));
+    });
+  }
+
+  buildPoints(points) {
+    points.forEach(({ style, positions, colors }) => {
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+      geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+
+      const material = new THREE.PointsMaterial({
+        size: style.pointSize,
+        sizeAttenuation: false,
+        vertexColors: true,
+        transparent: true,
+        opacity: style.strokeOpacity
+      });
+
+      this.object.add(new THREE.Points(geometry, material));
+    });
+  }
+
+  update(frame) {
+    // Screen-space line widths need the current drawing size
+    this.lineMaterials.forEach(material => material.resolution.copy(frame.resolution));
+  }
+}
@@ -0,0 +1,374 @@
+/* ========================================
+   NEURAAL INTERFACE - HEATMAP LAYER
+   ======================================== */
+
+import * as THREE from 'three';
+import { BaseLayer } from './BaseLayer.js';
+import { EARTH_RADIUS_KM } from '../utils/Geodesy.js';
+import heatSplatVertexShader from './shaders/heatSplatVertex.glsl';
+import heatSplatFragmentShader from './shaders/heatSplatFragment.glsl';
+import heatShellVertexShader from './shaders/heatShellVertex.glsl';
+import heatShellFragmentShader from './shaders/heatShellFragment.glsl';
+import heatReduceVertexShader from './shaders/heatReduceVertex.glsl';
+import heatReduceFragmentShader from './shaders/heatReduceFragment.glsl';
+
+const KM_PER_DEGREE = EARTH_RADIUS_KM * Math.PI / 180;
+const MAX_READBACK_INTERVAL = 250; // ms between peak-density readbacks
+const HALF_FLOAT_MAX = 65504;
+const REDUCTION_FACTOR = 4; // Matches the 4x4 block in heatReduceFragment.glsl
+
+/**
+ * Kernel-density heat surface from weighted lat/lon samples.
+ * Samples are splatted on the GPU into an equirectangular accumulation
+ * texture; appended samples are splatted on top of the existing texture so
+ * live data never forces a full rebuild. The texture is exposed through
+ * `this.texture` and shown on a transparent shell around the globe.
+ *
+ * The target is float where the GPU can blend into float targets, and
+ * half float otherwise; half floats saturate at 65504, so weights are then
+ * scaled down to keep the total under that. The peak density used for
+ * 'max' normalisation is found by max passes on the GPU and read back as
+ * a single texel without stalling the frame.
+ */
+export class HeatmapLayer extends BaseLayer {
+  /**
+   * @param {string} id - Unique layer id
+   * @param {Object} options - { samples, radiusKm, resolution, normalize, opacity, altitude }
+   */
+  constructor(id, options = {}) {
+    super(id, 'heatmap', {
+      radiusKm: 500,
+      resolution: [1024, 512],
+      normalize: 'max', // 'max', 'none' or a fixed divisor
+      opacity: 0.8,
+      ...options
+    });
+
+    this.samples = [];
+    this.pending = [];
+    this.needsFullSplat = true;
+    this.peakDensity = 1;
+    this.peakDirty = false;
+    this.lastReadback = 0;
+    this.readbackPending = false;
+    this.totalWeight = 0;
+    this.weightScale = 1; // Applied to weights as they are splatted (half float targets only)
+    this.floatTarget = null; // Decided on the first update, once the renderer is known
+
+    const [width, height] = this.options.resolution;
+    this.target = new THREE.WebGLRenderTarget(width, height, {
+      type: THREE.HalfFloatType,
+      format: THREE.RGBAFormat,
+      minFilter: THREE.LinearFilter,
+      magFilter: THREE.LinearFilter,
+      wrapS: THREE.RepeatWrapping,
+      depthBuffer: false
+    });
+    this.texture = this.target.texture;
+
+    this.splatScene = new THREE.Scene();
+    this.splatCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    this.splatMaterial = new THREE.ShaderMaterial({
+      uniforms: {
+        uRadiusDegrees: { value: 0 },
+        uRadiusKm: { value: 0 },
+        uEarthRadiusKm: { value: EARTH_RADIUS_KM },
+        uLonOffset: { value: 0 }
+      },
+      vertexShader: heatSplatVertexShader,
+      fragmentShader: heatSplatFragmentShader,
+      blending: THREE.CustomBlending,
+      blendEquation: THREE.AddEquation,
+      blendSrc: THREE.OneFactor,
+      blendDst: THREE.OneFactor,
+      depthTest: false,
+      depthWrite: false
+    });
+
+    // Max-reduction chain, each target REDUCTION_FACTOR times smaller, down to 1x1
+    this.reduction = [];
+    for (let w = width, h = height; w > 1 || h > 1;) {
+      w = Math.ceil(w / REDUCTION_FACTOR);
+      h = Math.ceil(h / REDUCTION_FACTOR);
+      this.reduction.push(new THREE.WebGLRenderTarget(w, h, {
+        type: THREE.HalfFloatType,
+        format: THREE.RGBAFormat,
+        minFilter: THREE.NearestFilter,
+        magFilter: THREE.NearestFilter,
+        depthBuffer: false
+      }));
+    }
+    this.reduceMaterial = new THREE.ShaderMaterial({
+      uniforms: {
+        uSource: { value: null },
+        uSourceSize: { value: new THREE.Vector2() }
+      },
+      vertexShader: heatReduceVertexShader,
+      fragmentShader: heatReduceFragmentShader,
+      depthTest: false,
+      depthWrite: false
+    });
+    const reduceQuad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.reduceMaterial);
+    reduceQuad.frustumCulled = false;
+    this.reduceScene = new THREE.Scene();
+    this.reduceScene.add(reduceQuad);
+
+    this.shell = null;
+
+    if (options.samples) {
+      this.setSamples(options.samples);
+    }
+  }
+
+  /**
+   * Replace every sample
+   * @param {Array<Object>} samples - { lat, lon, weight }
+   */
+  setSamples(samples) {
+    this.samples = samples.filter(isValidSample);
+    this.pending = [];
+    this.totalWeight = sumWeights(this.samples);
+    this.weightScale = 1;
+    this.needsFullSplat = true;
+  }
+
+  /**
+   * Append samples without rebuilding the accumulated density
+   * @param {Array<Object>} samples - { lat, lon, weight }
+   */
+  appendSamples(samples) {
+    const valid = samples.filter(isValidSample);
+    this.samples.push(...valid);
+    this.pending.push(...valid);
+    this.totalWeight += sumWeights(valid);
+  }
+
+  clearSamples() {
+    this.setSamples([]);
+  }
+
+  /**
+   * Change the kernel radius (re-splats every sample)
+   * @param {number} radiusKm - Kernel support radius in kilometres
+   */
+  setRadius(radiusKm) {
+    this.options.radiusKm = radiusKm;
+    this.needsFullSplat = true;
+  }
+
+  /**
+   * Change how density is normalised for display
+   * @param {string|number} normalize - 'max', 'none' or a fixed divisor
+   */
+  setNormalization(normalize) {
+    this.options.normalize = normalize;
+    this.peakDirty = true;
+  }
+
+  getEntityCount() {
+    return this.samples.length;
+  }
+
+  rebuild() {
+    if (!this.context || this.shell) return;
+
+    const geometry = new THREE.SphereGeometry(this.context.radius + this.options.altitude, 128, 64);
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        uAccumulation: { value: this.texture },
+        uNormalizer: { value: 1 },
+        uOpacity: { value: this.options.opacity }
+      },
+      vertexShader: heatShellVertexShader,
+      fragmentShader: heatShellFragmentShader,
+      transparent: true,
+      depthWrite: false
+    });
+
+    this.shell = new THREE.Mesh(geometry, material);
+    this.object.add(this.shell);
+  }
+
+  /**
+   * Pick the target precision and filtering; only possible before the target
+   * is first drawn to. WebGL2 filters half floats linearly as standard, but
+   * 32-bit floats need OES_texture_float_linear; without it the density is
+   * sampled nearest rather than coming back black.
+   * @param {THREE.WebGLRenderer} renderer - Active renderer
+   */
+  chooseTargetType(renderer) {
+    this.floatTarget = renderer.extensions.has('EXT_color_buffer_float') && renderer.extensions.has('EXT_float_blend');
+    if (!this.floatTarget) return;
+    this.target.texture.type = THREE.FloatType;
+    this.reduction.forEach((target) => { target.texture.type = THREE.FloatType; });
+    if (!renderer.extensions.has('OES_texture_float_linear')) {
+      this.target.texture.minFilter = THREE.NearestFilter;
+      this.target.texture.magFilter = THREE.NearestFilter;
+      console.warn('⚠️ Float textures cannot be filtered here; heatmap sampled without smoothing');
+    }
+  }
+
+  /**
+   * Density never exceeds the total weight, so scaling weights by it keeps a
+   * half float target from saturating. Leaves headroom so appends rarely
+   * force a full re-splat.
+   */
+  fitWeightScale() {
+    if (this.floatTarget || this.totalWeight * this.weightScale <= HALF_FLOAT_MAX) return;
+    this.weightScale = HALF_FLOAT_MAX / (this.totalWeight * 2);
+    this.needsFullSplat = true;
+  }
+
+  /**
+   * Splat a batch of samples into the accumulation target
+   * @param {THREE.WebGLRenderer} renderer - Active renderer
+   * @param {Array<Object>} samples - Samples to splat
+   * @param {boolean} clear - Clear the target first
+   */
+  splat(renderer, samples, clear) {
+    const previousTarget = renderer.getRenderTarget();
+    const previousAutoClear = renderer.autoClear;
+    const previousClearColor = renderer.getClearColor(new THREE.Color());
+    const previousClearAlpha = renderer.getClearAlpha();
+
+    renderer.setRenderTarget(this.target);
+    renderer.autoClear = false;
+    if (clear) {
+      renderer.setClearColor(0x000000, 0);
+      renderer.clear(true, false, false);
+    }
+
+    if (samples.length > 0) {
+      const uniforms = this.splatMaterial.uniforms;
+      uniforms.uRadiusKm.value = this.options.radiusKm;
+      uniforms.uRadiusDegrees.value = this.options.radiusKm / KM_PER_DEGREE;
+
+      const geometry = new THREE.InstancedBufferGeometry();
+      geometry.setAttribute('position', new THREE.Float32BufferAttribute([-1, -1, 0, 1, -1, 0, 1, 1, 0, -1, 1, 0], 3));
+      geometry.setIndex([0, 1, 2, 0, 2, 3]);
+
+      const data = new Float32Array(samples.length * 3);
+      samples.forEach((sample, index) => {
+        data[index * 3] = sample.lat;
+        data[index * 3 + 1] = sample.lon;
+        data[index * 3 + 2] = (sample.weight !== undefined ? sample.weight : 1) * this.weightScale;
+      });
+      geometry.setAttribute('aSample', new THREE.InstancedBufferAttribute(data, 3));
+      geometry.instanceCount = samples.length;
+
+      const mesh = new THREE.Mesh(geometry, this.splatMaterial);
+      mesh.frustumCulled = false;
+      this.splatScene.add(mesh);
+
+      // Kernels that cross the antimeridian are drawn again one world over
+      [-360, 0, 360].forEach(offset => {
+        uniforms.uLonOffset.value = offset;
+        renderer.render(this.splatScene, this.splatCamera);
+      });
+
+      this.splatScene.remove(mesh);
+      geometry.dispose();
+    }
+
+    renderer.setRenderTarget(previousTarget);
+    renderer.autoClear = previousAutoClear;
+    renderer.setClearColor(previousClearColor, previousClearAlpha);
+    this.peakDirty = true;
+  }
+
+  /**
+   * Reduce the accumulation target to its maximum on the GPU, then read that
+   * one texel back asynchronously
+   * @param {THREE.WebGLRenderer} renderer - Active renderer
+   */
+  readPeakDensity(renderer) {
+    const previousTarget = renderer.getRenderTarget();
+    const uniforms = this.reduceMaterial.uniforms;
+    let source = this.target;
+    this.reduction.forEach((target) => {
+      uniforms.uSource.value = source.texture;
+      uniforms.uSourceSize.value.set(source.width, source.height);
+      renderer.setRenderTarget(target);
+      renderer.render(this.reduceScene, this.splatCamera);
+      source = target;
+    });
+    renderer.setRenderTarget(previousTarget);
+
+    const buffer = this.floatTarget ? new Float32Array(4) : new Uint16Array(4);
+    this.readbackPending = true;
+    renderer.readRenderTargetPixelsAsync(source, 0, 0, 1, 1, buffer)
+      .then(() => {
+        const peak = this.floatTarget ? buffer[0] : THREE.DataUtils.fromHalfFloat(buffer[0]);
+        this.peakDensity = peak || 1;
+      })
+      .catch(error => console.warn('⚠️ Heatmap peak readback failed:', error.message))
+      .finally(() => { this.readbackPending = false; });
+  }
+
+  update(frame) {
+    const renderer = frame.renderer;
+    if (!this.shell || !renderer) return;
+
+    if (this.floatTarget === null) this.chooseTargetType(renderer);
+    this.fitWeightScale();
+    if (this.needsFullSplat) {
+      this.splat(renderer, this.samples, true);
+      this.pending = [];
+      this.needsFullSplat = false;
+    } else if (this.pending.length > 0) {
+      this.splat(renderer, this.pending, false);
+      this.pending = [];
+    }
+
+    const normalize = this.options.normalize;
+    const now = performance.now();
+    if (normalize === 'max' && this.peakDirty && !this.readbackPending && now - this.lastReadback > MAX_READBACK_INTERVAL) {
+      this.readPeakDensity(renderer);
+      this.lastReadback = now;
+      this.peakDirty = false;
+    }
+
+    const uniforms = this.shell.material.uniforms;
+    // The peak is measured in scaled units; fixed divisors apply to the unscaled density
+    uniforms.uNormalizer.value = normalize === 'max' ? this.peakDensity
+      : (typeof normalize === 'number' ? normalize : 1) * this.weightScale;
+    uniforms.uOpacity.value = this.options.opacity;
+  }
+
+  restoreContext() {
+    // The accumulation target came back empty
+    this.needsFullSplat = true;
+    this.peakDirty = true;
+  }
+
+  detach() {
+    super.detach();
+    this.target.dispose();
+    this.splatMaterial.dispose();
+    this.reduction.forEach(target => target.dispose());
+    this.reduceMaterial.dispose();
+  }
+
+  dispose() {
+    super.dispose();
+    this.shell = null;
+    this.needsFullSplat = true;
+  }
+}
+
+/**
+ * @param {Array<Object>} samples - { weight } (default 1)
+ * @returns {number} Sum of the absolute weights
+ */
+function sumWeights(samples) {
+  return samples.reduce((sum, sample) => sum + Math.abs(sample.weight !== undefined ? sample.weight : 1), 0);
+}
+
+/**
+ * @param {Object} sample - { lat, lon, weight }
+ * @returns {boolean} Whether the sample can be splatted
+ */
+function isValidSample(sample) {
+  return sample && Number.isFinite(sample.lat) && Number.isFinite(sample.lon) &&
+    (sample.weight === undefined || Number.isFinite(sample.weight));
+}
@@ -0,0 +1,203 @@
+/* ========================================
+   NEURAAL INTERFACE - LAYER MANAGER
+   ======================================== */
+
+import * as THREE from 'three';
+import { AppConfig } from '../config/AppConfig.js';
+import { GLOBE_RADIUS } from '../utils/Geodesy.js';
+
+const OFFSCREEN = new THREE.Vector2(Infinity, Infinity);
+
+/**
+ * Owns every overlay layer drawn on the globe.
+ * Layers are parented under the globe group so they rotate with it, and a
+ * depth-only occluder sphere hides whatever lies on the far side.
+ */
+export class LayerManager {
+  /**
+   * @param {THREE.Object3D} parent - Rotating globe group
+   * @param {Object} options - { radius }
+   */
+  constructor(parent, { radius = GLOBE_RADIUS } = {}) {
+    this.layers = new Map();
+    this.pendingVisibility = new Map(); // Set before the layer was added (e.g. from a permalink)
+    this.context = {
+      radius,
+      elevationSampler: null,
+      globeUniforms: null
+    };
+
+    this.root = new THREE.Group();
+    this.root.name = 'layers';
+    parent.add(this.root);
+
+    this.occluder = new THREE.Mesh(
+      new THREE.SphereGeometry(radius * AppConfig.layers.occluderScale, 64, 32),
+      new THREE.MeshBasicMaterial({ colorWrite: false })
+    );
+    this.occluder.name = 'layerOccluder';
+    this.occluder.renderOrder = -1;
+    this.root.add(this.occluder);
+
+    this.resolution = new THREE.Vector2(1, 1);
+  }
+
+  /**
+   * Provide the elevation image so layers can drape over the terrain
+   * @param {ImageSampler|null} sampler - Elevation sampler
+   */
+  setElevationSampler(sampler) {
+    this.context.elevationSampler = sampler;
+    this.layers.forEach(layer => layer.rebuild());
+  }
+
+  /**
+   * Share the globe material's uniforms with layers that tint the globe
+   * @param {Object|null} uniforms - Earth ShaderMaterial uniforms
+   */
+  setGlobeUniforms(uniforms) {
+    this.context.globeUniforms = uniforms;
+    this.layers.forEach(layer => layer.rebuild());
+  }
+
+  /**
+   * Add a layer, replacing any existing layer with the same id
+   * @param {BaseLayer} layer - Layer instance
+   * @returns {BaseLayer} The added layer
+   */
+  add(layer) {
+    if (this.layers.has(layer.id)) {
+      this.remove(layer.id);
+    }
+
+    this.layers.set(layer.id, layer);
+    if (this.pendingVisibility.has(layer.id)) {
+      layer.visible = this.pendingVisibility.get(layer.id);
+      this.pendingVisibility.delete(layer.id);
+    }
+    this.root.add(layer.object);
+    layer.attach(this.context);
+
+    console.log(`🗺️ Layer added: ${layer.id} (${layer.type})`);
+    return layer;
+  }
+
+  /**
+   * Remove a layer and free its resources
+   * @param {string} id - Layer id
+   * @returns {boolean} Whether a layer was removed
+   */
+  remove(id) {
+    const layer = this.layers.get(id);
+    if (!layer) return false;
+
+    this.root.remove(layer.object);
+    layer.detach();
+    this.layers.delete(id);
+    return true;
+  }
+
+  /**
+   * @param {string} id - Layer id
+   * @returns {BaseLayer|undefined} Layer instance
+   */
+  get(id) {
+    return this.layers.get(id);
+  }
+
+  /**
+   * Show or hide a layer. For an id that is not loaded yet the visibility
+   * is remembered and applied when the layer is added.
+   * @param {string} id - Layer id
+   * @param {boolean} visible - Visibility
+   */
+  setVisible(id, visible) {
+    const layer = this.layers.get(id);
+    if (layer) {
+      layer.visible = visible;
+    } else {
+      this.pendingVisibility.set(id, visible);
+    }
+  }
+
+  /**
+   * Summary of every layer
+   * @returns {Array<Object>} { id, type, visible, count }
+   */
+  list() {
+    return Array.from(this.layers.values()).map(layer => ({
+      id: layer.id,
+      type: layer.type,
+      visible: layer.visible,
+      count: layer.getEntityCount()
+    }));
+  }
+
+  /**
+   * Forward a pointer event to interactive layers, topmost first
+   * @param {string} type - 'move' or 'click'
+   * @param {THREE.Vector2} ndc - Pointer in normalised device coordinates
+   * @param {THREE.Camera} camera - Active camera
+   * @returns {boolean} Whether any layer was hit
+   */
+  handlePointer(type, ndc, camera) {
+    const pointer = { ndc, camera, resolution: this.resolution };
+    let hit = false;
+
+    Array.from(this.layers.values()).reverse().forEach(layer => {
+      if (!layer.visible || typeof layer.handlePointer !== 'function') return;
+      // Layers below a hit still get a miss so they can clear their hover state
+      const layerHit = layer.handlePointer(type, hit ? { ...pointer, ndc: OFFSCREEN } : pointer);
+      hit = hit || layerHit;
+    });
+
+    return hit;
+  }
+
+  /**
+   * Describe what visible layers show at a location, for the hover readout
+   * @param {number} lat - Latitude in degrees
+   * @param {number} lon - Longitude in degrees
+   * @returns {Array<Object>} Descriptions from every layer that has one
+   */
+  describeLocation(lat, lon) {
+    const descriptions = [];
+    this.layers.forEach(layer => {
+      if (!layer.visible || typeof layer.describeLocation !== 'function') return;
+      const description = layer.describeLocation(lat, lon);
+      if (description) descriptions.push(description);
+    });
+    return descriptions;
+  }
+
+  /**
+   * Per-frame update for visible layers
+   * @param {Object} frame - { camera, renderer, cameraDistance, time, deltaTime }
+   */
+  update(frame) {
+    if (frame.renderer) {
+      frame.renderer.getSize(this.resolution);
+    }
+    frame.resolution = this.resolution;
+
+    this.layers.forEach(layer => {
+      if (layer.visible) {
+        layer.update(frame);
+      }
+    });
+  }
+
+  /**
+   * Let every layer redraw its GPU-only state after a WebGL context restore
+   */
+  restoreContext() {
+    this.layers.forEach(layer => layer.restoreContext());
+  }
+
+  /**
+   * Remove every layer
+   */
+  clear() {
+    Array.from(this.layers.keys()).forEach(id => this.remove(id));
+  }
+}
@@ -0,0 +1,391 @@
+/* ========================================
+   NEURAAL INTERFACE - MARKER LAYER
+   ======================================== */
+
+import * as THREE from 'three';
+import { AppConfig } from '../config/AppConfig.js';
+import { BaseLayer } from './BaseLayer.js';
+import { latLonToVector3, vector3ToLatLon } from '../utils/Geodesy.js';
+import markerVertexShader from './shaders/markerVertex.glsl';
+import markerFragmentShader from './shaders/markerFragment.glsl';
+
+const DEFAULT_MARKER = {
+  label: '',
+  color: '#00ff41',
+  size: 8, // Screen pixels
+  data: null
+};
+
+const PICK_TOLERANCE = 4; // Extra pixels around a marker that still count as a hit
+const RECLUSTER_THRESHOLD = 0.01; // Relative camera distance change
+
+let markerSequence = 0;
+
+/**
+ * Point-of-interest markers with screen-space clustering.
+ * Clustering is recomputed from the camera distance to the globe (the same
+ * distance the LODManager uses), converting the cluster radius in pixels to
+ * an angle on the sphere so the result does not flicker while the globe spins.
+ */
+export class MarkerLayer extends BaseLayer {
+  /**
+   * @param {string} id - Unique layer id
+   * @param {Object} options - { markers, cluster, clusterRadius, clusterColor, opacity, altitude }
+   */
+  constructor(id, options = {}) {
+    super(id, 'markers', {
+      cluster: true,
+      clusterRadius: 28, // Screen pixels
+      clusterColor: null, // Defaults to the first member's colour
+      opacity: 1.0,
+      ...options
+    });
+
+    this.markers = new Map();
+    this.items = []; // Rendered markers and clusters
+    this.listeners = { hover: new Set(), click: new Set() };
+    this.hovered = null;
+    this.dirty = true;
+    this.lastClusterDistance = 0;
+    this.lastClusterAngle = 0;
+    this.points = null;
+
+    if (options.markers) {
+      this.setMarkers(options.markers);
+    }
+  }
+
+  /**
+   * Add or replace a marker
+   * @param {Object} marker - { lat, lon, id, label, color, size, data }
+   * @returns {Object} Stored marker
+   */
+  addMarker(marker) {
+    if (!Number.isFinite(marker.lat) || !Number.isFinite(marker.lon)) {
+      throw new Error(`Marker needs numeric lat/lon: ${JSON.stringify(marker)}`);
+    }
+
+    const stored = {
+      ...DEFAULT_MARKER,
+      ...marker,
+      id: marker.id !== undefined ? marker.id : `marker-${++markerSequence}`
+    };
+    stored.normal = latLonToVector3(stored.lat, stored.lon, 1);
+
+    this.markers.set(stored.id, stored);
+    this.dirty = true;
+    return stored;
+  }
+
+  /**
+   * Remove a marker
+   * @param {string|number} id - Marker id
+   * @returns {boolean} Whether a marker was removed
+   */
+  removeMarker(id) {
+    const removed = this.markers.delete(id);
+    if (removed) this.dirty = true;
+    return removed;
+  }
+
+  /**
+   * Update fields of an existing marker
+   * @param {string|number} id - Marker id
+   * @param {Object} changes - Fields to change
+   * @returns {Object|null} Updated marker
+   */
+  updateMarker(id, changes) {
+    const existing = this.markers.get(id);
+    if (!existing) return null;
+    return this.addMarker({ ...existing, ...changes, id });
+  }
+
+  /**
+   * Replace every marker at once
+   * @param {Array<Object>} markers - Marker definitions
+   */
+  setMarkers(markers) {
+    this.markers.clear();
+    markers.forEach(marker => this.addMarker(marker));
+  }
+
+  /**
+   * @param {string|number} id - Marker id
+   * @returns {Object|undefined} Marker
+   */
+  getMarker(id) {
+    return this.markers.get(id);
+  }
+
+  clearMarkers() {
+    this.markers.clear();
+    this.dirty = true;
+  }
+
+  getEntityCount() {
+    return this.markers.size;
+  }
+
+  /**
+   * Subscribe to marker events
+   * @param {string} event - 'hover' or 'click'
+   * @param {Function} callback - Receives the picked item or null
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) {
+      throw new Error(`Unknown marker event: ${event}`);
+    }
+    this.listeners[event].add(callback);
+    return () => this.listeners[event].delete(callback);
+  }
+
+  emit(event, payload) {
+    this.listeners[event].forEach(callback => {
+      try {
+        callback(payload);
+      } catch (error) {
+        console.error(`❌ Marker ${event} handler failed:`, error);
+      }
+    });
+  }
+
+  rebuild() {
+    this.dirty = true;
+  }
+
+  /**
+   * Angular cluster radius for the current view
+   * @param {Object} frame - Frame with camera, cameraDistance and resolution
+   * @returns {number} Angle in radians
+   */
+  clusterAngle(frame) {
+    if (!this.options.cluster || this.options.clusterRadius <= 0) return 0;
+
+    const radius = this.context.radius;
+    const height = Math.max(frame.cameraDistance - radius, 0.01);
+    const fov = THREE.MathUtils.degToRad(frame.camera.fov);
+    const pixelsPerRadian = radius * frame.resolution.y / (2 * height * Math.tan(fov / 2));
+
+    return this.options.clusterRadius / pixelsPerRadian;
+  }
+
+  /**
+   * Group markers that fall into the same cell of an angular grid
+   * @param {number} angle - Cluster angle in radians
+   */
+  cluster(angle) {
+    const markers = Array.from(this.markers.values());
+
+    if (angle <= 0) {
+      this.items = markers.map(marker => this.markerItem(marker));
+      return;
+    }
+
+    const cells = new Map();
+    markers.forEach(marker => {
+      const { x, y, z } = marker.normal;
+      const key = `${Math.floor(x / angle)}|${Math.floor(y / angle)}|${Math.floor(z / angle)}`;
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(marker);
+    });
+
+    this.items = [];
+    cells.forEach(members => {
+      if (members.length === 1) {
+        this.items.push(this.markerItem(members[0]));
+        return;
+      }
+
+      const center = new THREE.Vector3();
+      members.forEach(member => center.add(member.normal));
+      const { lat, lon } = vector3ToLatLon(center.normalize(), 1);
+      const size = Math.min(
+        Math.max(...members.map(member => member.size)) * (1 + Math.log2(members.length) * 0.35),
+        48
+      );
+
+      this.items.push({
+        type: 'cluster',
+        lat,
+        lon,
+        color: this.options.clusterColor || members[0].color,
+        size,
+        markers: members
+      });
+    });
+  }
+
+  markerItem(marker) {
+    return {
+      type: 'marker',
+      lat: marker.lat,
+      lon: marker.lon,
+      color: marker.color,
+      size: marker.size,
+      marker,
+      markers: [marker]
+    };
+  }
+
+  /**
+   * Upload the current items to the GPU
+   */
+  buildPoints() {
+    const count = this.items.length;
+    const positions = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+    const sizes = new Float32Array(count);
+    const highlights = new Float32Array(count);
+    const position = new THREE.Vector3();
+    const color = new THREE.Color();
+
+    this.items.forEach((item, index) => {
+      item.position = this.project(item.lat, item.lon).clone();
+      position.copy(item.position);
+      color.set(item.color);
+      positions.set([position.x, position.y, position.z], index * 3);
+      colors.set([color.r, color.g, color.b], index * 3);
+      sizes[index] = item.size;
+      highlights[index] = item === this.hovered ? 1 : 0;
+    });
+
+    if (!this.points) {
+      const material = new THREE.ShaderMaterial({
+        uniforms: {
+          uPixelRatio: { value: 1 },
+          uOpacity: { value: this.options.opacity }
+        },
+        vertexShader: markerVertexShader,
+        fragmentShader: markerFragmentShader,
+        transparent: true,
+        depthWrite: false
+      });
+      this.points = new THREE.Points(new THREE.BufferGeometry(), material);
+      this.points.frustumCulled = false;
+      this.object.add(this.points);
+    }
+
+    const geometry = this.points.geometry;
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+    geometry.setAttribute('highlight', new THREE.BufferAttribute(highlights, 1));
+    geometry.setDrawRange(0, count);
+  }
+
+  update(frame) {
+    if (!this.context) return;
+
+    const distanceChanged = Math.abs(frame.cameraDistance - this.lastClusterDistance) >
+      this.lastClusterDistance * RECLUSTER_THRESHOLD;
+
+    if (this.dirty || distanceChanged) {
+      const angle = this.clusterAngle(frame);
+      if (this.dirty || angle !== this.lastClusterAngle) {
+        this.hovered = null;
+        this.cluster(angle);
+        this.buildPoints();
+        this.lastClusterAngle = angle;
+      }
+      this.lastClusterDistance = frame.cameraDistance;
+      this.dirty = false;
+    }
+
+    if (this.points && frame.renderer) {
+      this.points.material.uniforms.uPixelRatio.value = frame.renderer.getPixelRatio();
+    }
+  }
+
+  /**
+   * Find the rendered item under a pointer
+   * @param {Object} pointer - { ndc, camera, resolution }
+   * @returns {Object|null} Picked item with screen position
+   */
+  pick({ ndc, camera, resolution }) {
+    if (!this.visible || this.items.length === 0 || !this.items[0].position) return null;
+
+    const matrix = this.object.matrixWorld;
+    const center = new THREE.Vector3().setFromMatrixPosition(matrix);
+    const world = new THREE.Vector3();
+    const toCamera = new THREE.Vector3();
+    const projected = new THREE.Vector3();
+    let best = null;
+    let bestDistance = Infinity;
+
+    this.items.forEach(item => {
+      world.copy(item.position).applyMatrix4(matrix);
+
+      // Skip anything beyond the horizon
+      toCamera.subVectors(camera.position, world);
+      if (toCamera.dot(world.clone().sub(center)) <= 0) return;
+
+      projected.copy(world).project(camera);
+      const dx = (projected.x - ndc.x) * resolution.x / 2;
+      const dy = (projected.y - ndc.y) * resolution.y / 2;
+      const distance = Math.hypot(dx, dy);
+
+      if (distance <= item.size / 2 + PICK_TOLERANCE && distance < bestDistance) {
+        best = item;
+        bestDistance = distance;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Handle pointer events forwarded by the LayerManager
+   * @param {string} type - 'move' or 'click'
+   * @param {Object} pointer - { ndc, camera, resolution }
+   * @returns {boolean} Whether a marker was hit
+   */
+  handlePointer(type, pointer) {
+    const item = this.pick(pointer);
+
+    if (type === 'click') {
+      if (item) this.emit('click', this.describe(item));
+      return !!item;
+    }
+
+    if (item !== this.hovered) {
+      this.setHighlight(this.hovered, 0);
+      this.hovered = item;
+      this.setHighlight(item, 1);
+      this.emit('hover', item ? this.describe(item) : null);
+    }
+    return !!item;
+  }
+
+  setHighlight(item, value) {
+    if (!item || !this.points) return;
+    const index = this.items.indexOf(item);
+    const attribute = this.points.geometry.getAttribute('highlight');
+    if (index >= 0 && attribute) {
+      attribute.setX(index, value);
+      attribute.needsUpdate = true;
+    }
+  }
+
+  /**
+   * Public description of a picked item
+   */
+  describe(item) {
+    const strip = ({ normal, ...marker }) => marker;
+    return {
+      layer: this.id,
+      type: item.type,
+      lat: item.lat,
+      lon: item.lon,
+      count: item.markers.length,
+      marker: item.marker ? strip(item.marker) : null,
+      markers: item.markers.map(strip)
+    };
+  }
+
+  dispose() {
+    super.dispose();
+    this.points = null;
+    this.hovered = null;
+  }
+}
@@ -0,0 +1,29 @@
+// ARC FRAGMENT SHADER
+// Dashes travel from origin to destination on the shared terrain clock
+
+uniform float uTime;
+uniform float uOpacity;
+
+varying vec3 vColor;
+varying float vT;
+varying float vSide;
+varying vec4 vDash; // dash length, gap length, speed, phase offset (all in arc fractions)
+
+void main() {
+  vec3 color = vColor;
+  float alpha = 1.0;
+
+  if (vDash.y > 0.0) {
+    float phase = mod(vT - uTime * vDash.z + vDash.w, vDash.x + vDash.y);
+    alpha = smoothstep(0.0, 0.005, phase) * (1.0 - smoothstep(vDash.x - 0.005, vDash.x, phase));
+
+    // Brighter leading edge gives each dash a pulse
+    color *= mix(0.6, 1.4, clamp(phase / vDash.x, 0.0, 1.0));
+  }
+
+  // Soft ribbon edges
+  alpha *= 1.0 - smoothstep(0.5, 1.0, abs(vSide));
+
+  if (alpha < 0.01) discard;
+  gl_FragColor = vec4(color, alpha * uOpacity);
+}
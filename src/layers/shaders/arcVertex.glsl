@@ -0,0 +1,62 @@
+// ARC VERTEX SHADER
+// Instanced ribbons along great circles with a parabolic height profile.
+// Each instance is one arc; the template strip supplies t (0-1) and side (-1/1).
+
+uniform vec2 uResolution;
+uniform float uRadius;
+
+attribute vec3 aStart;
+attribute vec3 aEnd;
+attribute vec2 aLift;
+attribute vec3 aColorStart;
+attribute vec3 aColorEnd;
+attribute float aWidth;
+attribute float aHeight;
+attribute vec4 aDash;
+
+varying vec3 vColor;
+varying float vT;
+varying float vSide;
+varying vec4 vDash;
+
+// Point on the raised arc at parameter t
+vec3 arcPoint(float t) {
+  float cosAngle = clamp(dot(aStart, aEnd), -1.0, 1.0);
+  float angle = acos(cosAngle);
+  vec3 direction;
+
+  if (angle < 0.0001) {
+    direction = aStart;
+  } else {
+    float sinAngle = sin(angle);
+    direction = (sin((1.0 - t) * angle) * aStart + sin(t * angle) * aEnd) / sinAngle;
+  }
+
+  float lift = mix(aLift.x, aLift.y, t);
+  float height = aHeight * 4.0 * t * (1.0 - t);
+  return normalize(direction) * (uRadius + lift + height);
+}
+
+void main() {
+  float t = position.x;
+  float side = position.y;
+
+  // Neighbouring point gives the screen-space direction of the ribbon
+  float neighbourT = t < 0.999 ? t + 0.001 : t - 0.001;
+  vec4 clipCurrent = projectionMatrix * modelViewMatrix * vec4(arcPoint(t), 1.0);
+  vec4 clipNeighbour = projectionMatrix * modelViewMatrix * vec4(arcPoint(neighbourT), 1.0);
+
+  vec2 screenCurrent = clipCurrent.xy / clipCurrent.w * uResolution;
+  vec2 screenNeighbour = clipNeighbour.xy / clipNeighbour.w * uResolution;
+  vec2 direction = normalize(screenNeighbour - screenCurrent) * sign(neighbourT - t);
+  vec2 offset = vec2(-direction.y, direction.x) * side * aWidth / uResolution;
+
+  clipCurrent.xy += offset * clipCurrent.w;
+
+  vColor = mix(aColorStart, aColorEnd, t);
+  vT = t;
+  vSide = side;
+  vDash = aDash;
+
+  gl_Position = clipCurrent;
+}
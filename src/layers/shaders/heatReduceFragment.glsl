@@ -0,0 +1,21 @@
+// HEAT REDUCE FRAGMENT SHADER
+// Each output texel keeps the largest density of a 4x4 block of the source
+
+uniform sampler2D uSource;
+uniform vec2 uSourceSize;
+
+void main() {
+  vec2 origin = floor(gl_FragCoord.xy) * 4.0;
+  float peak = 0.0;
+
+  for (int y = 0; y < 4; y++) {
+    for (int x = 0; x < 4; x++) {
+      vec2 texel = origin + vec2(float(x), float(y));
+      if (texel.x < uSourceSize.x && texel.y < uSourceSize.y) {
+        peak = max(peak, texture2D(uSource, (texel + 0.5) / uSourceSize).r);
+      }
+    }
+  }
+
+  gl_FragColor = vec4(peak, 0.0, 0.0, 1.0);
+}
@@ -0,0 +1,6 @@
+// HEAT REDUCE VERTEX SHADER
+// Full-target quad; the plane already spans clip space
+
+void main() {
+  gl_Position = vec4(position.xy, 0.0, 1.0);
+}
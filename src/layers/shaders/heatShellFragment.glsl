@@ -0,0 +1,28 @@
+// HEAT SHELL FRAGMENT SHADER
+// Maps normalised density onto a transparent-to-hot colour ramp
+
+uniform sampler2D uAccumulation;
+uniform float uNormalizer;
+uniform float uOpacity;
+
+varying vec2 vUv;
+
+vec3 heatRamp(float value) {
+  vec3 cold = vec3(0.0, 0.25, 0.9);
+  vec3 mid = vec3(0.0, 0.9, 0.35);
+  vec3 warm = vec3(1.0, 0.9, 0.0);
+  vec3 hot = vec3(1.0, 0.15, 0.05);
+
+  if (value < 0.33) return mix(cold, mid, value / 0.33);
+  if (value < 0.66) return mix(mid, warm, (value - 0.33) / 0.33);
+  return mix(warm, hot, (value - 0.66) / 0.34);
+}
+
+void main() {
+  float density = texture2D(uAccumulation, vUv).r / max(uNormalizer, 1e-6);
+  float value = clamp(density, 0.0, 1.0);
+  if (value < 0.005) discard;
+
+  float alpha = smoothstep(0.0, 0.15, value) * uOpacity;
+  gl_FragColor = vec4(heatRamp(value), alpha);
+}
@@ -0,0 +1,26 @@
+// HEAT SPLAT FRAGMENT SHADER
+// Biweight kernel on great-circle distance, accumulated additively
+
+uniform float uRadiusKm;
+uniform float uEarthRadiusKm;
+uniform float uLonOffset;
+
+varying vec2 vLonLat;
+varying vec3 vSample;
+
+void main() {
+  vec2 pointRad = radians(vec2(vLonLat.x - uLonOffset, vLonLat.y));
+  vec2 centerRad = radians(vec2(vSample.y, vSample.x));
+
+  // Haversine distance in kilometres
+  vec2 delta = pointRad - centerRad;
+  float a = pow(sin(delta.y * 0.5), 2.0) +
+    cos(centerRad.y) * cos(pointRad.y) * pow(sin(delta.x * 0.5), 2.0);
+  float distanceKm = 2.0 * uEarthRadiusKm * asin(min(1.0, sqrt(a)));
+
+  float normalized = distanceKm / uRadiusKm;
+  if (normalized >= 1.0) discard;
+
+  float kernel = pow(1.0 - normalized * normalized, 2.0);
+  gl_FragColor = vec4(kernel * vSample.z, 0.0, 0.0, 1.0);
+}
@@ -0,0 +1,27 @@
+// HEAT SPLAT VERTEX SHADER
+// Draws one quad per sample into an equirectangular accumulation target.
+// Quads widen towards the poles so the kilometre radius stays round on the sphere.
+
+uniform float uRadiusDegrees;
+uniform float uLonOffset;
+
+attribute vec3 aSample; // lat, lon, weight
+
+varying vec2 vLonLat;
+varying vec3 vSample;
+
+void main() {
+  float lat = aSample.x;
+  float lon = aSample.y;
+
+  float extremeLat = min(abs(lat) + uRadiusDegrees, 89.9);
+  float halfWidth = min(uRadiusDegrees / cos(radians(extremeLat)), 180.0);
+
+  vLonLat = vec2(
+    lon + position.x * halfWidth + uLonOffset,
+    clamp(lat + position.y * uRadiusDegrees, -90.0, 90.0)
+  );
+  vSample = aSample;
+
+  gl_Position = vec4(vLonLat.x / 180.0, vLonLat.y / 90.0, 0.0, 1.0);
+}
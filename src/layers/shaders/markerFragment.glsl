@@ -0,0 +1,21 @@
+// MARKER FRAGMENT SHADER
+// Round marker with a bright core and a soft rim
+
+uniform float uOpacity;
+
+varying vec3 vColor;
+varying float vVisible;
+varying float vHighlight;
+
+void main() {
+  if (vVisible < 0.5) discard;
+
+  float distanceToCenter = length(gl_PointCoord - 0.5);
+  if (distanceToCenter > 0.5) discard;
+
+  float rim = smoothstep(0.5, 0.4, distanceToCenter);
+  float core = smoothstep(0.32, 0.22, distanceToCenter);
+  vec3 color = mix(vColor * 0.55, vColor, core) + vHighlight * 0.25;
+
+  gl_FragColor = vec4(color, rim * uOpacity);
+}
@@ -0,0 +1,26 @@
+// MARKER VERTEX SHADER
+// Screen-sized points that hide themselves on the far side of the globe
+
+uniform float uPixelRatio;
+
+attribute vec3 color;
+attribute float size;
+attribute float highlight;
+
+varying vec3 vColor;
+varying float vVisible;
+varying float vHighlight;
+
+void main() {
+  vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+
+  // Horizon culling: the outward normal must face the camera
+  vec3 viewNormal = normalize(normalMatrix * normalize(position));
+  vVisible = step(0.0, dot(viewNormal, -normalize(mvPosition.xyz)));
+
+  vColor = color;
+  vHighlight = highlight;
+
+  gl_Position = projectionMatrix * mvPosition;
+  gl_PointSize = size * uPixelRatio * (1.0 + highlight * 0.4);
+}
@@ -0,0 +1,150 @@
+/* ========================================
+   NEURAAL INTERFACE - DATA STREAM
+   ======================================== */
+
+import { AppConfig } from '../config/AppConfig.js';
+import { createColorScale } from '../utils/ColorScale.js';
+import { interpolateGreatCircle } from '../utils/Geodesy.js';
+import { clamp } from '../utils/Helpers.js';
+
+/**
+ * One live feed on the globe: a source, the schema that turns its messages
+ * into entities and the marker layer that shows them. Each frame applies
+ * a bounded number of buffered messages, glides moved entities along the
+ * great circle to their new position and drops entities that have not
+ * been heard from within the ttl. Entity timers run on the frame clock, so
+ * replayed history expires like live data.
+ */
+export class DataStream {
+  /**
+   * @param {Object} options - { id, source, schema, layer, ttl, maxPerFrame, moveDuration, marker: { size, domain, palette } }
+   */
+  constructor({ id, source, schema, layer, ...options }) {
+    this.id = id;
+    this.source = source;
+    this.schema = schema;
+    this.layer = layer;
+    this.options = {
+      ttl: AppConfig.streams.ttl,
+      maxPerFrame: AppConfig.streams.maxPerFrame,
+      moveDuration: AppConfig.streams.moveDuration,
+      ...options,
+      marker: { ...AppConfig.streams.marker, ...options.marker }
+    };
+    this.colorScale = createColorScale({
+      domain: this.options.marker.domain,
+      colors: this.options.marker.palette,
+      nullColor: AppConfig.visual.colors.accent
+    });
+
+    this.entities = new Map(); // id -> { entity, from, moveStart, lastSeen }
+    this.applied = 0;
+    this.rejected = 0;
+    this.lastRejection = null;
+    this.expired = 0;
+  }
+
+  start() {
+    this.source.start();
+  }
+
+  stop() {
+    this.source.stop();
+  }
+
+  /**
+   * Per-frame update
+   * @param {number} now - Frame time in ms
+   */
+  update(now) {
+    this.source.drain(this.options.maxPerFrame).forEach((message) => {
+      let entity;
+      try {
+        entity = this.schema.map(message);
+      } catch (error) {
+        this.rejected++;
+        this.lastRejection = error.message;
+        return;
+      }
+      this.upsert(entity, now);
+    });
+
+    this.entities.forEach((tracked, id) => {
+      if (now - tracked.lastSeen > this.options.ttl) {
+        this.layer.removeMarker(id);
+        this.entities.delete(id);
+        this.expired++;
+        return;
+      }
+      if (tracked.from) this.glide(tracked, now);
+    });
+  }
+
+  /**
+   * Show a new entity or move an existing one
+   * @param {Object} entity - Mapped entity
+   * @param {number} now - Frame time in ms
+   */
+  upsert(entity, now) {
+    this.applied++;
+    const tracked = this.entities.get(entity.id);
+    const marker = {
+      id: entity.id,
+      label: entity.value === null ? entity.id : `${entity.id} · ${Number(entity.value.toFixed(2))}`,
+      color: `#${this.colorScale(entity.value).getHexString()}`,
+      size: this.options.marker.size,
+      data: entity
+    };
+
+    if (!tracked) {
+      this.entities.set(entity.id, { entity, from: null, moveStart: now, lastSeen: now });
+      this.layer.addMarker({ ...marker, lat: entity.lat, lon: entity.lon });
+      return;
+    }
+
+    // Glide from wherever the marker is drawn now, which may be mid-move
+    const shown = this.layer.getMarker(entity.id);
+    const moved = !shown || shown.lat !== entity.lat || shown.lon !== entity.lon;
+    tracked.from = moved && this.options.moveDuration > 0 && shown ? { lat: shown.lat, lon: shown.lon } : null;
+    tracked.entity = entity;
+    tracked.moveStart = now;
+    tracked.lastSeen = now;
+    this.layer.addMarker({
+      ...marker,
+      lat: tracked.from ? tracked.from.lat : entity.lat,
+      lon: tracked.from ? tracked.from.lon : entity.lon
+    });
+  }
+
+  glide(tracked, now) {
+    const { entity, from } = tracked;
+    const fraction = clamp((now - tracked.moveStart) / this.options.moveDuration, 0, 1);
+    const position = fraction < 1
+      ? interpolateGreatCircle(from.lat, from.lon, entity.lat, entity.lon, fraction)
+      : entity;
+    if (fraction >= 1) tracked.from = null;
+    this.layer.updateMarker(entity.id, { lat: position.lat, lon: position.lon });
+  }
+
+  /**
+   * @returns {Array<Object>} Entities on the globe, at their latest reported position
+   */
+  getEntities() {
+    return Array.from(this.entities.values(), tracked => tracked.entity);
+  }
+
+  /**
+   * @returns {Object} { id, entities, applied, rejected, expired, lastRejection, source }
+   */
+  describe() {
+    return {
+      id: this.id,
+      entities: this.entities.size,
+      applied: this.applied,
+      rejected: this.rejected,
+      expired: this.expired,
+      lastRejection: this.lastRejection,
+      source: this.source.describe()
+    };
+  }
+}
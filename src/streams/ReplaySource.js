@@ -0,0 +1,148 @@
+/* ========================================
+   NEURAAL INTERFACE - REPLAY STREAM SOURCE
+   ======================================== */
+
+import { AppConfig } from '../config/AppConfig.js';
+import { StreamSource } from './StreamSource.js';
+import { readPath, parseTimestamp } from './StreamSchema.js';
+
+/**
+ * Plays back a recorded feed from an NDJSON file (one JSON message per
+ * line) at the pace its timestamps describe, sped up by `speed`. Lines
+ * without a readable timestamp follow the line before them immediately.
+ * With `loop` the file starts over when it runs out; otherwise the source
+ * ends. Useful for demos and for testing without a live service.
+ */
+export class ReplaySource extends StreamSource {
+  /**
+   * @param {Object} options - { url, timestamp: path or function (default 'timestamp'), speed, loop, bufferSize, reconnect }
+   */
+  constructor(options = {}) {
+    super('replay', { timestamp: 'timestamp', speed: 1, loop: false, ...options });
+    if (!(this.options.speed > 0)) {
+      throw new Error(`Replay speed must be positive, got ${this.options.speed}`);
+    }
+
+    this.records = null; // [{ message, time }] once loaded
+    this.index = 0;
+    this.clockStart = 0; // Wall time of the first record in this pass
+    this.timeStart = 0; // Recorded time of the first record
+    this.timer = null;
+    this.controller = null;
+  }
+
+  open() {
+    if (this.records) {
+      this.play();
+      return;
+    }
+
+    const controller = new AbortController();
+    this.controller = controller;
+    this.load(controller.signal)
+      .then((records) => {
+        if (controller.signal.aborted) return;
+        this.controller = null;
+        this.records = records;
+        this.play();
+      })
+      .catch((error) => {
+        if (!controller.signal.aborted) this.handleClose(error);
+      });
+  }
+
+  /**
+   * @param {AbortSignal} signal - Cancels the request
+   * @returns {Promise<Array<Object>>} Parsed records
+   */
+  async load(signal) {
+    const response = await fetch(this.options.url, { signal });
+    if (!response.ok) {
+      throw new Error(`Replay request failed: ${response.status} ${this.options.url}`);
+    }
+
+    const records = [];
+    let lastTime = NaN;
+    (await response.text()).split(/\r?\n/).forEach((line) => {
+      if (!line.trim()) return;
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        this.malformed++;
+        return;
+      }
+      const time = parseTimestamp(readPath(message, this.options.timestamp));
+      lastTime = Number.isFinite(time) ? time : lastTime;
+      records.push({ message, time: lastTime });
+    });
+
+    if (records.length === 0) {
+      throw new Error(`Replay file has no records: ${this.options.url}`);
+    }
+    return records;
+  }
+
+  play() {
+    this.handleOpen();
+    this.rewind();
+    this.timer = setInterval(() => this.tick(), AppConfig.streams.replayTick);
+  }
+
+  rewind() {
+    this.index = 0;
+    this.clockStart = Date.now();
+    const first = this.records.find(record => Number.isFinite(record.time));
+    this.timeStart = first ? first.time : 0;
+  }
+
+  /**
+   * Release every record whose recorded time the replay clock has reached
+   */
+  tick() {
+    const elapsed = (Date.now() - this.clockStart) * this.options.speed;
+    while (this.index < this.records.length) {
+      const { message, time } = this.records[this.index];
+      if (Number.isFinite(time) && time - this.timeStart > elapsed) return;
+      this.push(message);
+      this.index++;
+    }
+
+    if (this.options.loop) {
+      this.rewind();
+    } else {
+      this.handleEnd();
+    }
+  }
+
+  /**
+   * Change the playback rate without jumping
+   * @param {number} speed - Recorded seconds per wall-clock second
+   */
+  setSpeed(speed) {
+    if (!(speed > 0)) {
+      throw new Error(`Replay speed must be positive, got ${speed}`);
+    }
+    const elapsed = (Date.now() - this.clockStart) * this.options.speed;
+    this.options.speed = speed;
+    this.clockStart = Date.now() - elapsed / speed;
+  }
+
+  close() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.controller) {
+      this.controller.abort();
+      this.controller = null;
+    }
+  }
+
+  describe() {
+    return {
+      ...super.describe(),
+      speed: this.options.speed,
+      loop: this.options.loop,
+      position: this.records ? `${this.index}/${this.records.length}` : 'loading'
+    };
+  }
+}
@@ -0,0 +1,39 @@
+/* ========================================
+   NEURAAL INTERFACE - SSE STREAM SOURCE
+   ======================================== */
+
+import { StreamSource } from './StreamSource.js';
+
+/**
+ * Reads JSON messages from a server-sent event stream. Each event's data
+ * holds one message or an array of them. EventSource would reconnect on
+ * its own at a fixed interval; the source closes it on error instead so
+ * every transport shares the same backoff.
+ */
+export class SSESource extends StreamSource {
+  /**
+   * @param {Object} options - { url, event: event name to read (default 'message'), withCredentials, bufferSize, reconnect }
+   */
+  constructor(options = {}) {
+    super('sse', { event: 'message', withCredentials: false, ...options });
+    this.eventSource = null;
+    this.onEvent = event => this.handleData(event.data);
+  }
+
+  open() {
+    const eventSource = new EventSource(this.options.url, { withCredentials: this.options.withCredentials });
+    eventSource.onopen = () => this.handleOpen();
+    eventSource.onerror = () => this.handleClose(new Error('event stream error'));
+    eventSource.addEventListener(this.options.event, this.onEvent);
+    this.eventSource = eventSource;
+  }
+
+  close() {
+    if (!this.eventSource) return;
+    const eventSource = this.eventSource;
+    this.eventSource = null;
+    eventSource.onopen = eventSource.onerror = null;
+    eventSource.removeEventListener(this.options.event, this.onEvent);
+    eventSource.close();
+  }
+}
@@ -0,0 +1,126 @@
+/* ========================================
+   NEURAAL INTERFACE - STREAM MANAGER
+   ======================================== */
+
+import { MarkerLayer } from '../layers/MarkerLayer.js';
+import { DataStream } from './DataStream.js';
+import { StreamSchema } from './StreamSchema.js';
+import { WebSocketSource } from './WebSocketSource.js';
+import { SSESource } from './SSESource.js';
+import { ReplaySource } from './ReplaySource.js';
+
+/**
+ * Source classes by the `type` a stream definition names
+ */
+export const SOURCE_TYPES = {
+  websocket: WebSocketSource,
+  sse: SSESource,
+  replay: ReplaySource
+};
+
+/**
+ * Owns the live streams and the marker layer each one draws into
+ */
+export class StreamManager {
+  /**
+   * @param {LayerManager} layerManager - Where stream layers are added
+   */
+  constructor(layerManager) {
+    this.layerManager = layerManager;
+    this.streams = new Map();
+  }
+
+  /**
+   * Connect a stream and show its entities in a marker layer of the same id
+   * @param {Object} definition - { id, type: 'websocket'|'sse'|'replay', url, schema: field mapping,
+   *   ttl, maxPerFrame, moveDuration, marker: { size, domain, palette }, layer: MarkerLayer options,
+   *   plus source options (bufferSize, reconnect, protocols, event, speed, loop, timestamp) }
+   * @returns {DataStream} The running stream
+   */
+  add(definition) {
+    const { id, type, schema = {}, layer = {}, ttl, maxPerFrame, moveDuration, marker, ...sourceOptions } = definition;
+    if (typeof id !== 'string' || !id) {
+      throw new Error('A stream needs an id');
+    }
+    if (this.streams.has(id)) {
+      throw new Error(`Stream "${id}" already exists`);
+    }
+    const Source = Object.prototype.hasOwnProperty.call(SOURCE_TYPES, type) ? SOURCE_TYPES[type] : null;
+    if (!Source) {
+      throw new Error(`Unknown stream type "${type}" (expected ${Object.keys(SOURCE_TYPES).join(', ')})`);
+    }
+
+    // A replay paces itself by the same timestamp field the schema reads
+    if (type === 'replay' && schema.timestamp && !sourceOptions.timestamp) {
+      sourceOptions.timestamp = schema.timestamp;
+    }
+
+    const stream = new DataStream({
+      id,
+      source: new Source(sourceOptions),
+      schema: new StreamSchema(schema),
+      layer: new MarkerLayer(id, { cluster: false, ...layer }),
+      ...(ttl !== undefined && { ttl }),
+      ...(maxPerFrame !== undefined && { maxPerFrame }),
+      ...(moveDuration !== undefined && { moveDuration }),
+      marker
+    });
+
+    this.layerManager.add(stream.layer);
+    this.streams.set(id, stream);
+    stream.start();
+    console.log(`📡 Stream added: ${id} (${type} ${sourceOptions.url})`);
+    return stream;
+  }
+
+  /**
+   * Disconnect a stream and remove its layer
+   * @param {string} id - Stream id
+   * @returns {boolean} Whether a stream was removed
+   */
+  remove(id) {
+    const stream = this.streams.get(id);
+    if (!stream) return false;
+
+    stream.stop();
+    this.streams.delete(id);
+    if (this.layerManager.get(id) === stream.layer) {
+      this.layerManager.remove(id);
+    }
+    return true;
+  }
+
+  /**
+   * @param {string} id - Stream id
+   * @returns {DataStream|undefined} Stream
+   */
+  get(id) {
+    return this.streams.get(id);
+  }
+
+  /**
+   * @returns {Array<Object>} Status of every stream
+   */
+  list() {
+    return Array.from(this.streams.values(), stream => stream.describe());
+  }
+
+  /**
+   * Per-frame update. A stream whose layer was removed or replaced from
+   * elsewhere has nothing left to draw into, so it is disconnected.
+   * @param {number} now - Frame time in ms
+   */
+  update(now) {
+    this.streams.forEach((stream, id) => {
+      if (this.layerManager.get(id) !== stream.layer) {
+        this.remove(id);
+        return;
+      }
+      stream.update(now);
+    });
+  }
+
+  clear() {
+    Array.from(this.streams.keys()).forEach(id => this.remove(id));
+  }
+}
@@ -0,0 +1,112 @@
+/* ========================================
+   NEURAAL INTERFACE - STREAM SCHEMA
+   ======================================== */
+
+import { normalizeLongitude } from '../utils/Geodesy.js';
+
+/**
+ * Entity fields and where they are read from when a stream names no mapping
+ */
+export const DEFAULT_MAPPING = {
+  id: 'id',
+  lat: 'lat',
+  lon: 'lon',
+  value: 'value',
+  timestamp: 'timestamp'
+};
+
+/**
+ * Read a field from a message
+ * @param {Object} record - Parsed message
+ * @param {string|Function} path - Dotted path ("position.lat", "coords.0") or record => value
+ * @returns {*} The value, or undefined when the path is missing
+ */
+export function readPath(record, path) {
+  if (typeof path === 'function') return path(record);
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), record);
+}
+
+/**
+ * @param {*} value - Field value
+ * @returns {number} The value as a number when it is a finite number or a non-empty numeric
+ *   string, otherwise NaN (so null, '', booleans and arrays never read as 0 or 1)
+ */
+export function parseCoordinate(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim()) return Number(value);
+  return NaN;
+}
+
+/**
+ * @param {number|string} value - Epoch seconds, epoch milliseconds or a date string
+ * @returns {number} Epoch milliseconds, or NaN when the value is not a time
+ */
+export function parseTimestamp(value) {
+  if (typeof value === 'number') {
+    return value < 1e11 ? value * 1000 : value; // Seconds until the year 5138
+  }
+  if (typeof value === 'string' && value.trim()) {
+    const numeric = Number(value);
+    return Number.isFinite(numeric) ? parseTimestamp(numeric) : Date.parse(value);
+  }
+  return NaN;
+}
+
+/**
+ * Maps incoming messages onto globe entities { id, lat, lon, value,
+ * timestamp, data }. Each field is read through a dotted path or a
+ * function, so one schema class covers flat JSON, nested payloads and
+ * anything a function can reach. id, lat and lon are required; value may
+ * be missing, and the timestamp falls back to the time of arrival.
+ */
+export class StreamSchema {
+  /**
+   * @param {Object} mapping - Field paths or functions, merged over DEFAULT_MAPPING
+   */
+  constructor(mapping = {}) {
+    this.mapping = { ...DEFAULT_MAPPING, ...mapping };
+    Object.entries(this.mapping).forEach(([field, path]) => {
+      if (!(field in DEFAULT_MAPPING)) {
+        throw new Error(`Unknown stream schema field "${field}" (expected ${Object.keys(DEFAULT_MAPPING).join(', ')})`);
+      }
+      if (typeof path !== 'function' && (typeof path !== 'string' || !path)) {
+        throw new Error(`Stream schema field "${field}" needs a path or a function`);
+      }
+    });
+  }
+
+  /**
+   * @param {Object} record - Parsed message
+   * @param {number} receivedAt - Epoch ms the message arrived, used when it carries no timestamp
+   * @returns {Object} Entity
+   */
+  map(record, receivedAt = Date.now()) {
+    if (!record || typeof record !== 'object') {
+      throw new Error(`Stream message must be an object, got ${JSON.stringify(record)}`);
+    }
+
+    const id = readPath(record, this.mapping.id);
+    if (id === undefined || id === null || id === '') {
+      throw new Error(`Stream message has no id at "${this.mapping.id}"`);
+    }
+
+    const lat = parseCoordinate(readPath(record, this.mapping.lat));
+    const lon = parseCoordinate(readPath(record, this.mapping.lon));
+    if (!Number.isFinite(lat) || lat < -90 || lat > 90 || !Number.isFinite(lon)) {
+      throw new Error(`Stream message ${id} has no usable position (lat ${lat}, lon ${lon})`);
+    }
+
+    const rawValue = readPath(record, this.mapping.value);
+    const value = rawValue === undefined || rawValue === null || rawValue === '' ? null : Number(rawValue);
+    const timestamp = parseTimestamp(readPath(record, this.mapping.timestamp));
+
+    return {
+      id: String(id),
+      lat,
+      lon: normalizeLongitude(lon),
+      value: Number.isFinite(value) ? value : null,
+      timestamp: Number.isFinite(timestamp) ? timestamp : receivedAt,
+      data: record
+    };
+  }
+}
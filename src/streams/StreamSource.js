@@ -0,0 +1,197 @@
+/* ========================================
+   NEURAAL INTERFACE - STREAM SOURCE
+   ======================================== */
+
+import { AppConfig } from '../config/AppConfig.js';
+import { backoffDelay } from '../utils/Helpers.js';
+
+/**
+ * Transport-independent half of a live feed. A source connects, collects
+ * parsed messages in a bounded buffer until the DataStream drains them and
+ * reconnects with backoff when the connection drops. Subclasses implement
+ * open() and close() and report back through handleOpen, handleData,
+ * handleClose and handleEnd.
+ *
+ * States: idle -> connecting -> open -> (reconnecting -> connecting ...)
+ * and finally ended (a finite source ran out) or closed (stopped, or out
+ * of attempts).
+ */
+export class StreamSource {
+  /**
+   * @param {string} type - Source type name
+   * @param {Object} options - { url, bufferSize, reconnect }, plus type-specific options
+   */
+  constructor(type, options = {}) {
+    if (typeof options.url !== 'string' || !options.url) {
+      throw new Error(`A ${type} stream source needs a url`);
+    }
+
+    this.type = type;
+    this.options = {
+      bufferSize: AppConfig.streams.bufferSize,
+      ...options,
+      reconnect: { ...AppConfig.streams.reconnect, ...options.reconnect }
+    };
+    this.state = 'idle';
+    this.buffer = [];
+    this.received = 0;
+    this.dropped = 0;
+    this.malformed = 0;
+    this.attempt = 0;
+    this.lastError = null;
+    this.retryTimer = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Connect, unless already connected or connecting
+   */
+  start() {
+    if (['connecting', 'open', 'reconnecting'].includes(this.state)) return;
+    this.attempt = 0;
+    this.connect();
+  }
+
+  /**
+   * Disconnect for good; buffered messages are kept until drained
+   */
+  stop() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.close();
+    this.setState('closed');
+  }
+
+  connect() {
+    this.retryTimer = null;
+    this.setState('connecting');
+    try {
+      this.open();
+    } catch (error) {
+      this.handleClose(error);
+    }
+  }
+
+  /**
+   * Open the transport (subclasses)
+   */
+  open() {
+    throw new Error(`${this.type} stream source does not implement open()`);
+  }
+
+  /**
+   * Close the transport and detach its handlers (subclasses)
+   */
+  close() {}
+
+  handleOpen() {
+    this.attempt = 0;
+    this.lastError = null;
+    this.setState('open');
+  }
+
+  /**
+   * Parse a text frame: a JSON object, or an array of them
+   * @param {string} text - Raw frame
+   */
+  handleData(text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      this.malformed++;
+      return;
+    }
+    (Array.isArray(parsed) ? parsed : [parsed]).forEach(message => this.push(message));
+  }
+
+  /**
+   * Queue a parsed message, dropping the oldest when the buffer is full
+   * @param {Object} message - Parsed message
+   */
+  push(message) {
+    this.received++;
+    this.buffer.push(message);
+    if (this.buffer.length > this.options.bufferSize) {
+      this.buffer.shift();
+      this.dropped++;
+    }
+  }
+
+  /**
+   * The connection dropped or could not be made; retry after a backoff
+   * @param {Error} error - Reason
+   */
+  handleClose(error) {
+    if (this.state === 'closed' || this.state === 'reconnecting') return;
+    this.close();
+    this.lastError = error ? error.message : null;
+
+    const { maxAttempts } = this.options.reconnect;
+    if (this.attempt >= maxAttempts) {
+      console.warn(`⚠️ Stream ${this.options.url} gave up after ${this.attempt} attempts: ${this.lastError}`);
+      this.setState('closed');
+      return;
+    }
+
+    const delay = backoffDelay(this.attempt++, this.options.reconnect);
+    console.warn(`⚠️ Stream ${this.options.url} disconnected (${this.lastError}), retrying in ${delay}ms`);
+    this.setState('reconnecting');
+    this.retryTimer = setTimeout(() => this.connect(), delay);
+  }
+
+  /**
+   * A finite source delivered everything it had
+   */
+  handleEnd() {
+    this.close();
+    this.setState('ended');
+  }
+
+  /**
+   * @param {number} max - Most messages to take
+   * @returns {Array<Object>} Oldest buffered messages, removed from the buffer
+   */
+  drain(max = Infinity) {
+    return this.buffer.splice(0, max);
+  }
+
+  setState(state) {
+    if (state === this.state) return;
+    const previous = this.state;
+    this.state = state;
+    this.listeners.forEach((callback) => {
+      try {
+        callback(state, previous);
+      } catch (error) {
+        console.error('❌ Stream state listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * @param {Function} callback - Receives (state, previousState)
+   * @returns {Function} Unsubscribe function
+   */
+  onStateChange(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  /**
+   * @returns {Object} { type, url, state, received, buffered, dropped, malformed, attempt, error }
+   */
+  describe() {
+    return {
+      type: this.type,
+      url: this.options.url,
+      state: this.state,
+      received: this.received,
+      buffered: this.buffer.length,
+      dropped: this.dropped,
+      malformed: this.malformed,
+      attempt: this.attempt,
+      error: this.lastError
+    };
+  }
+}
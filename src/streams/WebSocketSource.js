@@ -0,0 +1,38 @@
+/* ========================================
+   NEURAAL INTERFACE - WEBSOCKET STREAM SOURCE
+   ======================================== */
+
+import { StreamSource } from './StreamSource.js';
+
+/**
+ * Reads JSON messages from a WebSocket. Each text frame holds one message
+ * or an array of them; binary frames are ignored.
+ */
+export class WebSocketSource extends StreamSource {
+  /**
+   * @param {Object} options - { url, protocols, bufferSize, reconnect }
+   */
+  constructor(options = {}) {
+    super('websocket', options);
+    this.socket = null;
+  }
+
+  open() {
+    const socket = new WebSocket(this.options.url, this.options.protocols);
+    socket.onopen = () => this.handleOpen();
+    socket.onmessage = (event) => {
+      if (typeof event.data === 'string') this.handleData(event.data);
+    };
+    // An error is always followed by a close event, which carries the code
+    socket.onclose = (event) => this.handleClose(new Error(`socket closed (${event.code}${event.reason ? ` ${event.reason}` : ''})`));
+    this.socket = socket;
+  }
+
+  close() {
+    if (!this.socket) return;
+    const socket = this.socket;
+    this.socket = null;
+    socket.onopen = socket.onmessage = socket.onclose = null;
+    if (socket.readyState <= 1) socket.close(); // CONNECTING or OPEN
+  }
+}
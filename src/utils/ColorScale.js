@@ -0,0 +1,121 @@
+/* ========================================
+   NEURAAL INTERFACE - COLOR SCALES
+   ======================================== */
+
+import * as THREE from 'three';
+import { clamp } from './Helpers.js';
+import { ImageSampler } from './ImageSampler.js';
+
+/**
+ * Named colour ramps, listed from the low to the high end
+ */
+export const PALETTES = {
+  viridis: ['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725'],
+  rainbow: ['#6e40aa', '#4c6edb', '#23abd8', '#1ddfa3', '#52f667', '#aff05b', '#e2b72f', '#ff7847', '#fe4b83', '#be3caf'],
+  greens: ['#f7fcf5', '#c7e9c0', '#74c476', '#31a354', '#006d2c', '#00441b'],
+  heat: ['#0040e6', '#00e659', '#ffe600', '#ff2600'],
+  terrain: ['#00a600', '#3fc000', '#8fd400', '#e6e600', '#e9bd3a', '#ecb176', '#efc2b3', '#f2f2f2'],
+  diverging: ['#053061', '#2166ac', '#4393c3', '#92c5de', '#f7f7f7', '#f4a582', '#d6604d', '#b2182b', '#67001f']
+};
+
+/**
+ * Resolve a palette name or colour list
+ * @param {string|Array<string>} palette - Palette name or list of CSS colours
+ * @returns {Array<THREE.Color>} Palette colours
+ */
+export function resolvePalette(palette) {
+  const colors = typeof palette === 'string' ? PALETTES[palette] : palette;
+  if (!Array.isArray(colors) || colors.length === 0) {
+    throw new Error(`Unknown colour palette: ${palette}`);
+  }
+  return colors.map(color => new THREE.Color(color));
+}
+
+/**
+ * Create a linear colour scale over a numeric domain
+ * @param {Object} options - { domain: [min, max], colors, nullColor }
+ * @returns {Function} value => THREE.Color (nullColor for missing values)
+ */
+export function createColorScale({ domain = [0, 1], colors = 'viridis', nullColor = null } = {}) {
+  const stops = resolvePalette(colors);
+  const [min, max] = domain;
+  const span = max - min || 1;
+  const missing = nullColor !== null ? new THREE.Color(nullColor) : null;
+
+  const scale = (value) => {
+    if (value === null || value === undefined || !Number.isFinite(Number(value))) {
+      return missing ? missing.clone() : null;
+    }
+
+    if (stops.length === 1) return stops[0].clone();
+
+    const position = clamp((Number(value) - min) / span, 0, 1) * (stops.length - 1);
+    const index = Math.min(Math.floor(position), stops.length - 2);
+
+    return new THREE.Color().lerpColors(stops[index], stops[index + 1], position - index);
+  };
+
+  scale.domain = [min, max];
+  scale.colors = stops;
+  return scale;
+}
+
+/**
+ * Bake a colour ramp into a one-row texture for shader lookups.
+ * Texels hold sRGB bytes to match the unconverted colour maps the globe
+ * shader samples.
+ * @param {string|Array<string>} colors - Palette name or list of CSS colours
+ * @param {number} size - Ramp resolution
+ * @returns {THREE.DataTexture} Ramp texture, u = 0 at the low end
+ */
+export function createRampTexture(colors, size = 256) {
+  const scale = createColorScale({ domain: [0, size - 1], colors });
+  const data = new Uint8Array(size * 4);
+  const srgb = {};
+
+  for (let i = 0; i < size; i++) {
+    scale(i).getRGB(srgb, THREE.SRGBColorSpace);
+    data.set([srgb.r * 255, srgb.g * 255, srgb.b * 255, 255], i * 4);
+  }
+
+  const texture = new THREE.DataTexture(data, size, 1, THREE.RGBAFormat);
+  texture.minFilter = THREE.LinearFilter;
+  texture.magFilter = THREE.LinearFilter;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+/**
+ * Read a palette out of a horizontal gradient image by averaging vertical
+ * bands between two horizontal positions
+ * @param {HTMLImageElement|ImageData} image - Gradient image
+ * @param {Object} options - { stops, from, to } with from/to as 0-1 fractions of the width
+ * @returns {Array<string>} CSS colours from the low to the high end
+ */
+export function paletteFromImage(image, { stops = 16, from = 0, to = 1 } = {}) {
+  const sampler = new ImageSampler(image);
+  const colors = [];
+  const rowStep = Math.max(1, Math.floor(sampler.height / 64));
+
+  for (let stop = 0; stop < stops; stop++) {
+    const start = from + (to - from) * (stop / stops);
+    const end = from + (to - from) * ((stop + 1) / stops);
+    const x0 = Math.floor(Math.min(start, end) * (sampler.width - 1));
+    const x1 = Math.max(x0 + 1, Math.floor(Math.max(start, end) * (sampler.width - 1)));
+
+    const sum = [0, 0, 0];
+    let count = 0;
+    for (let x = x0; x < x1; x++) {
+      for (let y = 0; y < sampler.height; y += rowStep) {
+        sum[0] += sampler.texel(x, y, 0);
+        sum[1] += sampler.texel(x, y, 1);
+        sum[2] += sampler.texel(x, y, 2);
+        count++;
+      }
+    }
+
+    colors.push('#' + new THREE.Color().setRGB(sum[0] / count, sum[1] / count, sum[2] / count, THREE.SRGBColorSpace).getHexString());
+  }
+
+  return colors;
+}
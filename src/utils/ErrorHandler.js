@@ -2,54 +2,243 @@
    NEURAAL INTERFACE - ERROR HANDLER
    ======================================== */
 
+import { AppConfig } from '../config/AppConfig.js';
+import { downloadText } from './Helpers.js';
+
+/**
+ * Short description of a clicked element for the action trail; input
+ * values are never recorded
+ * @param {Element} element - Click target
+ * @returns {string|null} e.g. 'button#export "EXPORT"', or null for clicks on nothing interactive
+ */
+function describeElement(element) {
+  const target = element && element.closest
+    ? element.closest('button, a, input, select, textarea, summary, canvas, [data-widget]')
+    : null;
+  if (!target) return null;
+
+  let description = target.tagName.toLowerCase();
+  if (target.id) description += `#${target.id}`;
+  else if (target.classList.length > 0) description += `.${target.classList[0]}`;
+  const isField = ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName);
+  const label = isField ? target.getAttribute('aria-label') : (target.getAttribute('aria-label') || target.textContent);
+  if (label && label.trim()) description += ` "${label.trim().slice(0, 40)}"`;
+  return description;
+}
+
 export class ErrorHandler {
-  constructor() {
+  /**
+   * @param {Object} options - { notifications }, plus overrides for AppConfig.errors;
+   *   without notifications, notices only go to the console
+   */
+  constructor({ notifications = null, ...options } = {}) {
+    this.config = { ...AppConfig.errors, ...options };
+    this.notifications = notifications;
     this.errorCount = 0;
-    this.maxErrors = 5;
-    this.errorLog = [];
+    this.maxErrors = this.config.maxErrors;
+    this.errorLog = []; // Structured reports, oldest first
+    this.actions = []; // Recent user actions, oldest first
     this.isSafeMode = false;
+    this.gpu = null;
+    this.handling = false;
+    this.refreshSuggested = false;
+    this.target = null;
+
+    this.handleWindowError = this.handleWindowError.bind(this);
+    this.handleRejection = this.handleRejection.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+  }
+
+  /**
+   * Capture uncaught errors (what window.onerror sees), failed <img>,
+   * <script> and <link> loads, unhandled promise rejections and clicks for
+   * the action trail. Resource errors do not bubble, so 'error' is heard in
+   * the capture phase.
+   * @param {EventTarget} target - Where to listen (defaults to window)
+   * @returns {ErrorHandler} this, for chaining
+   */
+  install(target = window) {
+    this.uninstall();
+    this.target = target;
+    target.addEventListener('error', this.handleWindowError, true);
+    target.addEventListener('unhandledrejection', this.handleRejection);
+    target.addEventListener('click', this.handleClick, true);
+    return this;
+  }
+
+  uninstall() {
+    if (!this.target) return;
+    this.target.removeEventListener('error', this.handleWindowError, true);
+    this.target.removeEventListener('unhandledrejection', this.handleRejection);
+    this.target.removeEventListener('click', this.handleClick, true);
+    this.target = null;
+  }
+
+  /**
+   * Report shader compile and link failures and note the GPU for reports
+   * @param {THREE.WebGLRenderer} renderer - Active renderer
+   */
+  watchRenderer(renderer) {
+    const gl = renderer.getContext();
+    this.gpu = this.readGPUInfo(gl);
+
+    renderer.debug.checkShaderErrors = true;
+    renderer.debug.onShaderError = (context, program, vertexShader, fragmentShader) => {
+      const logs = {
+        program: context.getProgramInfoLog(program).trim(),
+        vertex: context.getShaderInfoLog(vertexShader).trim(),
+        fragment: context.getShaderInfoLog(fragmentShader).trim()
+      };
+      const failed = Object.keys(logs).filter(stage => logs[stage]);
+      failed.forEach(stage => console.error(`❌ ${stage} shader log:\n${logs[stage]}`));
+      const error = new Error(`Shader program failed to build (${failed.join(', ') || 'no log'})`);
+      this.handle(error, 'Shader Compilation', { source: 'shader', details: logs });
+    };
+  }
+
+  /**
+   * @param {WebGLRenderingContext} gl - Context to describe
+   * @returns {Object} { vendor, renderer, version, shadingLanguage }
+   */
+  readGPUInfo(gl) {
+    try {
+      const info = {
+        vendor: gl.getParameter(gl.VENDOR),
+        renderer: gl.getParameter(gl.RENDERER),
+        version: gl.getParameter(gl.VERSION),
+        shadingLanguage: gl.getParameter(gl.SHADING_LANGUAGE_VERSION)
+      };
+      // The unmasked names identify the actual GPU where the browser allows it
+      const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+      if (debugInfo) {
+        info.vendor = gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL);
+        info.renderer = gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL);
+      }
+      return info;
+    } catch (error) {
+      console.warn('⚠️ Could not read GPU info:', error.message);
+      return null;
+    }
+  }
+
+  handleWindowError(event) {
+    const element = event.target;
+    if (element && element.tagName) {
+      this.recordResourceFailure(element);
+      return;
+    }
+
+    const error = event.error instanceof Error ? event.error : new Error(event.message || 'Unknown error');
+    this.handle(error, 'Window', {
+      source: 'error',
+      location: event.filename ? { file: event.filename, line: event.lineno, column: event.colno } : null
+    });
+  }
+
+  /**
+   * A missing image or stylesheet is worth a report but says nothing about
+   * the globe's health, so it neither counts towards safe mode nor triggers
+   * a recovery
+   * @param {Element} element - Element whose resource failed to load
+   */
+  recordResourceFailure(element) {
+    const tag = element.tagName.toLowerCase();
+    const url = element.currentSrc || element.src || element.href || null;
+    console.warn(`⚠️ Could not load ${tag}${url ? ` from ${url}` : ''}`);
+    this.logError(new Error(`Failed to load ${tag}${url ? ` ${url}` : ''}`), 'Resource Loading', {
+      source: 'resource',
+      details: { element: describeElement(element) || tag, url }
+    });
+  }
+
+  handleRejection(event) {
+    const reason = event.reason;
+    const error = reason instanceof Error ? reason : new Error(`Unhandled rejection: ${String(reason)}`);
+    this.handle(error, 'Promise', { source: 'unhandledrejection' });
+  }
+
+  handleClick(event) {
+    const description = describeElement(event.target);
+    if (description) this.recordAction('click', description);
+  }
+
+  /**
+   * Remember a user action so reports show what led up to an error
+   * @param {string} type - e.g. 'click', 'command', 'shortcut'
+   * @param {string} detail - What was done
+   */
+  recordAction(type, detail) {
+    this.actions.push({ timestamp: Date.now(), type, detail });
+    if (this.actions.length > this.config.maxActions) {
+      this.actions.shift();
+    }
   }
 
   /**
    * Handle errors with context and recovery attempts
    * @param {Error} error - Error object
    * @param {string} context - Context where error occurred
+   * @param {Object} extra - { source, location, details } for the report
+   * @returns {Object|null} The report, or null when called from inside a recovery
    */
-  handle(error, context = 'Unknown') {
+  handle(error, context = 'Unknown', extra = {}) {
+    // An error thrown while recovering is logged but not recovered from again
+    if (this.handling) {
+      console.error(`[${context}] Error during recovery:`, error);
+      return null;
+    }
+    this.handling = true;
     console.error(`[${context}] Error:`, error);
-    
-    // Track error frequency
-    this.errorCount++;
-    this.logError(error, context);
-    
-    // Implement circuit breaker pattern
-    if (this.errorCount > this.maxErrors) {
-      console.warn('High error frequency detected, entering safe mode');
-      this.enterSafeMode();
+
+    try {
+      // Track error frequency
+      this.errorCount++;
+      const report = this.logError(error, context, extra);
+
+      // Implement circuit breaker pattern
+      if (this.errorCount > this.maxErrors && !this.isSafeMode) {
+        console.warn('High error frequency detected, entering safe mode');
+        this.enterSafeMode(`${this.errorCount} errors, the last in ${context}`);
+      }
+
+      // Attempt recovery
+      this.attemptRecovery(error, context);
+      return report;
+    } finally {
+      this.handling = false;
     }
-    
-    // Attempt recovery
-    this.attemptRecovery(error, context);
   }
 
   /**
-   * Log error for debugging
+   * Record a structured report
    * @param {Error} error - Error object
    * @param {string} context - Error context
+   * @param {Object} extra - { source, location, details }
+   * @returns {Object} The report
    */
-  logError(error, context) {
-    this.errorLog.push({
+  logError(error, context, { source = 'handled', location = null, details = null } = {}) {
+    const report = {
       timestamp: Date.now(),
       context,
+      source,
       message: error.message,
-      stack: error.stack,
-      count: this.errorCount
-    });
+      stack: error.stack || null,
+      location,
+      details,
+      count: this.errorCount,
+      safeMode: this.isSafeMode,
+      url: window.location.href,
+      userAgent: navigator.userAgent,
+      gpu: this.gpu,
+      actions: this.actions.map(action => ({ ...action }))
+    };
+    this.errorLog.push(report);
 
-    // Keep only last 50 errors
-    if (this.errorLog.length > 50) {
+    // Keep only the most recent reports
+    if (this.errorLog.length > this.config.maxReports) {
       this.errorLog.shift();
     }
+    return report;
   }
 
   /**
@@ -62,6 +251,9 @@ export class ErrorHandler {
       case 'Globe Rendering':
         this.recoverGlobeRendering();
         break;
+      case 'Shader Compilation':
+        this.fallbackToBasicGlobe();
+        break;
       case 'Chat Interface':
         this.recoverChatInterface();
         break;
@@ -77,14 +269,18 @@ export class ErrorHandler {
    * Recover globe rendering
    */
   recoverGlobeRendering() {
-    if (window.renderer && window.scene && window.camera) {
-      try {
-        window.renderer.render(window.scene, window.camera);
-        console.log('✅ Globe rendering recovered');
-      } catch (recoveryError) {
-        console.error('❌ Globe recovery failed:', recoveryError);
-        this.fallbackToBasicGlobe();
-      }
+    if (!window.earthRenderer) return;
+    // A lost context is restored by the browser; the globe resumes on its own
+    if (window.earthRenderer.getContextState().lost) {
+      console.log('🔄 WebGL context lost, waiting for it to be restored');
+      return;
+    }
+    try {
+      window.earthRenderer.rebuild();
+      console.log('✅ Globe rendering recovered');
+    } catch (recoveryError) {
+      console.error('❌ Globe recovery failed:', recoveryError);
+      this.fallbackToBasicGlobe();
     }
   }
 
@@ -107,14 +303,15 @@ export class ErrorHandler {
    * Recover texture loading
    */
   recoverTextureLoading() {
-    try {
-      // Attempt to reload textures
-      if (window.textureLoader) {
-        console.log('✅ Texture loading recovered');
-      }
-    } catch (recoveryError) {
-      console.error('❌ Texture loading recovery failed:', recoveryError);
-    }
+    // Reload the textures that fell back to stand-ins
+    if (!window.earthAssets) return;
+    window.earthAssets.reloadFallbacks()
+      .then((recovered) => {
+        if (recovered.length > 0) {
+          console.log(`✅ Texture loading recovered: ${recovered.join(', ')}`);
+        }
+      })
+      .catch(recoveryError => console.error('❌ Texture loading recovery failed:', recoveryError));
   }
 
   /**
@@ -122,8 +319,8 @@ export class ErrorHandler {
    */
   genericRecovery() {
     try {
-      // Attempt to refresh the page if too many errors
-      if (this.errorCount > 10) {
+      // Suggest refreshing the page if too many errors
+      if (this.errorCount > this.config.refreshThreshold && !this.refreshSuggested) {
         console.warn('Too many errors, suggesting page refresh');
         this.suggestPageRefresh();
       }
@@ -133,69 +330,119 @@ export class ErrorHandler {
   }
 
   /**
-   * Fallback to basic globe
+   * Swap the shader globe for the basic points globe
    */
   fallbackToBasicGlobe() {
     try {
       console.log('🔄 Attempting fallback to basic globe');
-      // Implement basic globe fallback
-      this.isSafeMode = true;
+      if (!window.earthRenderer) return;
+      window.earthRenderer.setBasicGlobe(true, 'shader-error');
+      this.notify({
+        key: 'basic-globe',
+        level: 'warning',
+        title: 'Basic globe',
+        message: 'The globe shader failed, so a simplified globe is shown.',
+        actions: [{ label: 'Export report', run: () => this.download() }]
+      });
     } catch (fallbackError) {
       console.error('❌ Fallback failed:', fallbackError);
     }
   }
 
   /**
-   * Enter safe mode
+   * Enter safe mode: basic globe, no animation, no layers
+   * @param {string} reason - Shown in the notification
    */
-  enterSafeMode() {
+  enterSafeMode(reason = 'Repeated errors') {
+    if (this.isSafeMode) return;
     this.isSafeMode = true;
     console.log('🛡️ Entering safe mode - reduced functionality');
-    
+
     // Disable complex features
-    if (window.performanceMonitor) {
-      window.performanceMonitor.disable();
+    if (window.earthRenderer) {
+      try {
+        window.earthRenderer.setSafeMode(true);
+      } catch (safeModeError) {
+        console.error('❌ Could not switch the globe to safe mode:', safeModeError);
+      }
     }
+    this.notify({
+      key: 'safe-mode',
+      level: 'error',
+      title: 'Safe mode',
+      message: `${reason}. Showing a still, basic globe without layers.`,
+      duration: 0,
+      actions: [
+        { label: 'Exit safe mode', run: () => this.exitSafeMode() },
+        { label: 'Export report', run: () => this.download() }
+      ]
+    });
   }
 
   /**
    * Exit safe mode
    */
   exitSafeMode() {
+    if (!this.isSafeMode) return;
     this.isSafeMode = false;
     this.errorCount = 0;
-    console.log('✅ Exiting safe mode - full functionality restored');
+    this.refreshSuggested = false;
+    if (window.earthRenderer) {
+      // The basic globe stays up if a shader failure also asked for it
+      window.earthRenderer.setSafeMode(false);
+    }
+    const basic = window.earthRenderer && window.earthRenderer.isBasicGlobe();
+    console.log(basic ? '✅ Exiting safe mode - basic globe kept after a shader failure' : '✅ Exiting safe mode - full functionality restored');
   }
 
   /**
    * Suggest page refresh
    */
   suggestPageRefresh() {
-    const message = document.createElement('div');
-    message.style.cssText = `
-      position: fixed;
-      top: 20px;
-      right: 20px;
-      background: rgba(255, 0, 0, 0.9);
-      color: white;
-      padding: 15px;
-      border-radius: 5px;
-      z-index: 10000;
-      font-family: monospace;
-    `;
-    message.innerHTML = `
-      <strong>System Error</strong><br>
-      Too many errors detected.<br>
-      <button onclick="location.reload()" style="margin-top: 10px; padding: 5px 10px;">Refresh Page</button>
-    `;
-    document.body.appendChild(message);
-    
-    // Auto-remove after 10 seconds
-    setTimeout(() => {
-      if (message.parentNode) {
-        message.parentNode.removeChild(message);
-      }
-    }, 10000);
+    this.refreshSuggested = true;
+    this.notify({
+      key: 'refresh',
+      level: 'error',
+      title: 'System error',
+      message: 'Too many errors detected. Refreshing the page should help.',
+      duration: 0,
+      actions: [
+        { label: 'Refresh page', run: () => window.location.reload() },
+        { label: 'Export report', run: () => this.download() }
+      ]
+    });
+  }
+
+  notify(notice) {
+    if (this.notifications) {
+      this.notifications.show(notice);
+    } else {
+      console.warn(`⚠️ ${notice.title}: ${notice.message}`);
+    }
+  }
+
+  /**
+   * @returns {string} Every report plus the environment, as pretty-printed JSON
+   */
+  exportJSON() {
+    return JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      url: window.location.href,
+      userAgent: navigator.userAgent,
+      gpu: this.gpu,
+      safeMode: this.isSafeMode,
+      errorCount: this.errorCount,
+      actions: this.actions,
+      reports: this.errorLog
+    }, null, 2);
+  }
+
+  /**
+   * Offer the reports as a file download
+   */
+  download() {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    downloadText(this.exportJSON(), `neuraal-errors-${stamp}.json`, 'application/json');
   }
 
   /**
@@ -217,7 +464,8 @@ export class ErrorHandler {
   reset() {
     this.errorCount = 0;
     this.errorLog = [];
-    this.isSafeMode = false;
+    this.refreshSuggested = false;
+    this.exitSafeMode();
     console.log('✅ Error handler reset');
   }
 }
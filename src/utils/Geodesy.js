@@ -0,0 +1,266 @@
+/* ========================================
+   NEURAAL INTERFACE - GEODESY
+   ======================================== */
+
+import * as THREE from 'three';
+import { AppConfig } from '../config/AppConfig.js';
+import { degToRad, radToDeg, clamp } from './Helpers.js';
+
+/**
+ * Mean Earth radius used for surface distances
+ */
+export const EARTH_RADIUS_KM = 6371.0088;
+
+/**
+ * Radius of the rendered globe in scene units
+ */
+export const GLOBE_RADIUS = AppConfig.globe.radius;
+
+// All globe-space helpers below work in the earth mesh's LOCAL frame and
+// follow the vertex layout of THREE.SphereGeometry with default phi/theta:
+//   uv.x = 0 at lon -180, 0.5 at Greenwich, 1 at lon +180 (the texture seam)
+//   uv.y = 1 at the north pole, 0 at the south pole
+// which puts lon 0 on +X, lon +90 on -Z and the north pole on +Y.
+
+/**
+ * Wrap a longitude into the [-180, 180) range
+ * @param {number} lon - Longitude in degrees
+ * @returns {number} Normalised longitude; values already in range come back unchanged
+ */
+export function normalizeLongitude(lon) {
+  if (lon >= -180 && lon < 180) return lon; // The modulo arithmetic would round them
+  return ((((lon + 180) % 360) + 360) % 360) - 180;
+}
+
+/**
+ * Convert latitude/longitude to a position on (or above) the globe
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {number} radius - Sphere radius in scene units
+ * @param {THREE.Vector3} target - Optional vector to write into
+ * @returns {THREE.Vector3} Position in the globe's local frame
+ */
+export function latLonToVector3(lat, lon, radius = GLOBE_RADIUS, target = new THREE.Vector3()) {
+  const latRad = degToRad(lat);
+  const lonRad = degToRad(lon);
+  const cosLat = Math.cos(latRad);
+
+  return target.set(
+    radius * cosLat * Math.cos(lonRad),
+    radius * Math.sin(latRad),
+    -radius * cosLat * Math.sin(lonRad)
+  );
+}
+
+/**
+ * Convert a position in the globe's local frame to latitude/longitude
+ * @param {THREE.Vector3} vector - Local position
+ * @param {number} radius - Sphere radius in scene units
+ * @returns {Object} { lat, lon, altitude } with altitude in scene units
+ */
+export function vector3ToLatLon(vector, radius = GLOBE_RADIUS) {
+  const length = vector.length();
+  if (length === 0) {
+    return { lat: 0, lon: 0, altitude: -radius };
+  }
+
+  return {
+    lat: radToDeg(Math.asin(clamp(vector.y / length, -1, 1))),
+    lon: radToDeg(Math.atan2(-vector.z, vector.x)),
+    altitude: length - radius
+  };
+}
+
+/**
+ * Convert a world-space point to latitude/longitude on a rotated globe
+ * @param {THREE.Vector3} worldPoint - Point in world space
+ * @param {THREE.Object3D} globe - Object whose local frame is the globe frame
+ * @param {number} radius - Sphere radius in scene units
+ * @returns {Object} { lat, lon, altitude }
+ */
+export function worldToLatLon(worldPoint, globe, radius = GLOBE_RADIUS) {
+  globe.updateWorldMatrix(true, false);
+  const local = globe.worldToLocal(worldPoint.clone());
+  return vector3ToLatLon(local, radius);
+}
+
+/**
+ * Convert latitude/longitude to texture coordinates of the globe
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @returns {Object} { u, v } in the SphereGeometry uv convention
+ */
+export function latLonToUV(lat, lon) {
+  return {
+    u: (normalizeLongitude(lon) + 180) / 360,
+    v: (clamp(lat, -90, 90) + 90) / 180
+  };
+}
+
+/**
+ * Convert globe texture coordinates to latitude/longitude
+ * @param {number} u - Horizontal texture coordinate (0-1)
+ * @param {number} v - Vertical texture coordinate (0-1)
+ * @returns {Object} { lat, lon }
+ */
+export function uvToLatLon(u, v) {
+  return {
+    lat: v * 180 - 90,
+    lon: normalizeLongitude(u * 360 - 180)
+  };
+}
+
+/**
+ * Convert latitude/longitude to a pixel of an equirectangular image
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {Object} { x, y } with y counted from the top row
+ */
+export function latLonToTexel(lat, lon, width, height) {
+  const { u, v } = latLonToUV(lat, lon);
+  return {
+    x: Math.min(width - 1, Math.floor(u * width)),
+    y: Math.min(height - 1, Math.floor((1 - v) * height))
+  };
+}
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @param {number} lat1 - Start latitude in degrees
+ * @param {number} lon1 - Start longitude in degrees
+ * @param {number} lat2 - End latitude in degrees
+ * @param {number} lon2 - End longitude in degrees
+ * @param {number} radius - Sphere radius, kilometres by default
+ * @returns {number} Distance in the units of radius
+ */
+export function greatCircleDistance(lat1, lon1, lat2, lon2, radius = EARTH_RADIUS_KM) {
+  const phi1 = degToRad(lat1);
+  const phi2 = degToRad(lat2);
+  const deltaPhi = phi2 - phi1;
+  const deltaLambda = degToRad(lon2 - lon1);
+
+  const a = Math.sin(deltaPhi / 2) ** 2 +
+    Math.cos(phi1) * Math.cos(phi2) * Math.sin(deltaLambda / 2) ** 2;
+
+  return 2 * radius * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Initial bearing from one point towards another
+ * @param {number} lat1 - Start latitude in degrees
+ * @param {number} lon1 - Start longitude in degrees
+ * @param {number} lat2 - End latitude in degrees
+ * @param {number} lon2 - End longitude in degrees
+ * @returns {number} Bearing in degrees clockwise from north (0-360)
+ */
+export function initialBearing(lat1, lon1, lat2, lon2) {
+  const phi1 = degToRad(lat1);
+  const phi2 = degToRad(lat2);
+  const deltaLambda = degToRad(lon2 - lon1);
+
+  const y = Math.sin(deltaLambda) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) -
+    Math.sin(phi1) * Math.cos(phi2) * Math.cos(deltaLambda);
+
+  return (radToDeg(Math.atan2(y, x)) + 360) % 360;
+}
+
+/**
+ * Point reached by travelling a distance along a bearing
+ * @param {number} lat - Start latitude in degrees
+ * @param {number} lon - Start longitude in degrees
+ * @param {number} bearing - Bearing in degrees clockwise from north
+ * @param {number} distance - Distance travelled, in the units of radius
+ * @param {number} radius - Sphere radius, kilometres by default
+ * @returns {Object} { lat, lon }
+ */
+export function destinationPoint(lat, lon, bearing, distance, radius = EARTH_RADIUS_KM) {
+  const delta = distance / radius;
+  const theta = degToRad(bearing);
+  const phi1 = degToRad(lat);
+  const lambda1 = degToRad(lon);
+
+  const sinPhi2 = Math.sin(phi1) * Math.cos(delta) +
+    Math.cos(phi1) * Math.sin(delta) * Math.cos(theta);
+  const phi2 = Math.asin(clamp(sinPhi2, -1, 1));
+  const lambda2 = lambda1 + Math.atan2(
+    Math.sin(theta) * Math.sin(delta) * Math.cos(phi1),
+    Math.cos(delta) - Math.sin(phi1) * sinPhi2
+  );
+
+  return {
+    lat: radToDeg(phi2),
+    lon: normalizeLongitude(radToDeg(lambda2))
+  };
+}
+
+/**
+ * Intermediate point a fraction of the way along a great circle
+ * @param {number} lat1 - Start latitude in degrees
+ * @param {number} lon1 - Start longitude in degrees
+ * @param {number} lat2 - End latitude in degrees
+ * @param {number} lon2 - End longitude in degrees
+ * @param {number} fraction - Position along the path (0-1)
+ * @returns {Object} { lat, lon }
+ */
+export function interpolateGreatCircle(lat1, lon1, lat2, lon2, fraction) {
+  const delta = greatCircleDistance(lat1, lon1, lat2, lon2, 1);
+  if (delta < 1e-12) {
+    return { lat: lat1, lon: lon1 };
+  }
+
+  const phi1 = degToRad(lat1);
+  const phi2 = degToRad(lat2);
+  const lambda1 = degToRad(lon1);
+  const lambda2 = degToRad(lon2);
+  const a = Math.sin((1 - fraction) * delta) / Math.sin(delta);
+  const b = Math.sin(fraction * delta) / Math.sin(delta);
+
+  const x = a * Math.cos(phi1) * Math.cos(lambda1) + b * Math.cos(phi2) * Math.cos(lambda2);
+  const y = a * Math.cos(phi1) * Math.sin(lambda1) + b * Math.cos(phi2) * Math.sin(lambda2);
+  const z = a * Math.sin(phi1) + b * Math.sin(phi2);
+
+  return {
+    lat: radToDeg(Math.atan2(z, Math.sqrt(x * x + y * y))),
+    lon: radToDeg(Math.atan2(y, x))
+  };
+}
+
+/**
+ * Densify a [lon, lat] path so no segment spans more than maxStep degrees
+ * @param {Array<Array<number>>} coordinates - GeoJSON-ordered positions
+ * @param {number} maxStep - Maximum arc per segment in degrees
+ * @returns {Array<Array<number>>} Densified [lon, lat] positions
+ */
+export function densifyPath(coordinates, maxStep = 2) {
+  const result = [];
+
+  for (let i = 0; i < coordinates.length; i++) {
+    const [lon2, lat2] = coordinates[i];
+    if (i > 0) {
+      const [lon1, lat1] = coordinates[i - 1];
+      const arc = radToDeg(greatCircleDistance(lat1, lon1, lat2, lon2, 1));
+      const steps = Math.ceil(arc / maxStep);
+      for (let step = 1; step < steps; step++) {
+        const point = interpolateGreatCircle(lat1, lon1, lat2, lon2, step / steps);
+        result.push([point.lon, point.lat]);
+      }
+    }
+    result.push([lon2, lat2]);
+  }
+
+  return result;
+}
+
+/**
+ * Outward unit normal of the sphere at a latitude/longitude
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {THREE.Vector3} target - Optional vector to write into
+ * @returns {THREE.Vector3} Unit normal in the globe's local frame
+ */
+export function surfaceNormal(lat, lon, target = new THREE.Vector3()) {
+  return latLonToVector3(lat, lon, 1, target);
+}
@@ -52,6 +52,19 @@ export function updateGlobeDimensions(containerSelector = '.globe-container') {
   return { width: rect.width, height: rect.height };
 }
 
+/**
+ * Look up a globe facade that script.js puts on window once the scene is ready
+ * @param {string} name - Facade on window (earthCamera, earthLayers...)
+ * @returns {Object} The facade
+ */
+export function facade(name) {
+  const api = window[name];
+  if (!api) {
+    throw new Error(`The globe is still loading (${name} unavailable)`);
+  }
+  return api;
+}
+
 /**
  * Throttle function execution
  * @param {Function} func - Function to throttle
@@ -131,3 +144,134 @@ export function randomRange(min, max) {
 export function randomInt(min, max) {
   return Math.floor(Math.random() * (max - min + 1)) + min;
 }
+
+/**
+ * Delay before a retry: exponential growth capped at maxDelay, plus
+ * random jitter so many clients do not retry in step
+ * @param {number} attempt - Attempts already made (0 for the first retry)
+ * @param {Object} options - { baseDelay, maxDelay, factor, jitter }
+ * @param {Function} random - Source of numbers in [0, 1)
+ * @returns {number} Delay in ms
+ */
+export function backoffDelay(attempt, { baseDelay, maxDelay, factor, jitter }, random = Math.random) {
+  const delay = Math.min(maxDelay, baseDelay * Math.pow(factor, attempt));
+  return Math.round(delay * (1 + jitter * random()));
+}
+
+/**
+ * Easing curves mapping progress (0-1) to eased progress (0-1)
+ */
+export const EASINGS = {
+  linear: (t) => t,
+  easeInQuad: (t) => t * t,
+  easeOutQuad: (t) => t * (2 - t),
+  easeInOutQuad: (t) => (t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2),
+  easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2),
+  easeInOutSine: (t) => -(Math.cos(Math.PI * t) - 1) / 2
+};
+
+/**
+ * Resolve an easing by name or pass a custom curve through
+ * @param {string|Function} easing - Key of EASINGS or a function of progress
+ * @returns {Function} Easing function
+ */
+export function resolveEasing(easing) {
+  if (typeof easing === 'function') return easing;
+  if (!EASINGS[easing]) {
+    throw new Error(`Unknown easing: ${easing}`);
+  }
+  return EASINGS[easing];
+}
+
+const memoryStorage = new Map(); // Storage name -> in-memory stand-in
+
+/**
+ * Look up a Web Storage area when it is needed. Merely reading
+ * window.localStorage throws a SecurityError where the browser blocks
+ * storage, so the lookup sits inside try and falls back to a map that
+ * lasts as long as the page.
+ * @param {Storage|string} storage - Storage object, or 'localStorage' / 'sessionStorage'
+ * @returns {Object} Object with getItem, setItem and removeItem
+ */
+export function getStorage(storage = 'localStorage') {
+  if (typeof storage !== 'string') return storage;
+  let reason = 'not supported';
+  try {
+    if (window[storage]) return window[storage];
+  } catch (error) {
+    reason = error.message;
+  }
+
+  if (!memoryStorage.has(storage)) {
+    console.warn(`⚠️ ${storage} is unavailable (${reason}), keeping data in memory for this page`);
+    const items = new Map();
+    memoryStorage.set(storage, {
+      getItem: key => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => { items.set(key, String(value)); },
+      removeItem: (key) => { items.delete(key); }
+    });
+  }
+  return memoryStorage.get(storage);
+}
+
+/**
+ * Read a JSON value from storage
+ * @param {Storage|string} storage - Storage object or name (see getStorage)
+ * @param {string} key - Storage key
+ * @param {*} fallback - Returned when the key is missing or unreadable
+ * @returns {*} Parsed value
+ */
+export function readJSON(storage, key, fallback = null) {
+  try {
+    const text = getStorage(storage).getItem(key);
+    return text === null ? fallback : JSON.parse(text);
+  } catch (error) {
+    console.warn(`⚠️ Could not read ${key} from storage:`, error.message);
+    return fallback;
+  }
+}
+
+/**
+ * Write a value to storage as JSON
+ * @param {Storage|string} storage - Storage object or name (see getStorage)
+ * @param {string} key - Storage key
+ * @param {*} value - JSON-serialisable value
+ * @returns {boolean} Whether the write succeeded
+ */
+export function writeJSON(storage, key, value) {
+  try {
+    getStorage(storage).setItem(key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    console.warn(`⚠️ Could not write ${key} to storage:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Remove a key from storage
+ * @param {Storage|string} storage - Storage object or name (see getStorage)
+ * @param {string} key - Storage key
+ */
+export function removeStored(storage, key) {
+  try {
+    getStorage(storage).removeItem(key);
+  } catch (error) {
+    console.warn(`⚠️ Could not write ${key} to storage:`, error.message);
+  }
+}
+
+/**
+ * Offer text as a file download
+ * @param {string} text - File contents
+ * @param {string} filename - Download name
+ * @param {string} type - MIME type
+ */
+export function downloadText(text, filename, type = 'text/plain') {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
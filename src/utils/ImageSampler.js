@@ -0,0 +1,98 @@
+/* ========================================
+   NEURAAL INTERFACE - IMAGE SAMPLER
+   ======================================== */
+
+import { latLonToUV } from './Geodesy.js';
+
+/**
+ * CPU-side reader for equirectangular texture images.
+ * Sampling mirrors the GPU: bilinear filtering on texel centres, repeat
+ * wrapping horizontally and flipY so that v = 1 is the top image row.
+ */
+export class ImageSampler {
+  /**
+   * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap|ImageData} image - Source image
+   */
+  constructor(image) {
+    if (typeof ImageData !== 'undefined' && image instanceof ImageData) {
+      this.data = image.data;
+      this.width = image.width;
+      this.height = image.height;
+      return;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(image, 0, 0);
+
+    this.data = context.getImageData(0, 0, canvas.width, canvas.height).data;
+    this.width = canvas.width;
+    this.height = canvas.height;
+  }
+
+  /**
+   * Create a sampler from a loaded THREE.Texture
+   * @param {THREE.Texture} texture - Texture with a decoded image
+   * @returns {ImageSampler|null} Sampler or null if the image is unavailable
+   */
+  static fromTexture(texture) {
+    if (!texture || !texture.image || !texture.image.width) {
+      return null;
+    }
+
+    try {
+      return new ImageSampler(texture.image);
+    } catch (error) {
+      console.warn('⚠️ Image sampler unavailable:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Read one texel channel
+   * @param {number} x - Column (wrapped)
+   * @param {number} y - Row from the top (clamped)
+   * @param {number} channel - 0 = r, 1 = g, 2 = b, 3 = a
+   * @returns {number} Channel value (0-1)
+   */
+  texel(x, y, channel = 0) {
+    const column = ((x % this.width) + this.width) % this.width;
+    const row = Math.min(this.height - 1, Math.max(0, y));
+    return this.data[(row * this.width + column) * 4 + channel] / 255;
+  }
+
+  /**
+   * Bilinear sample at texture coordinates
+   * @param {number} u - Horizontal texture coordinate (0-1)
+   * @param {number} v - Vertical texture coordinate (0-1, 1 = top)
+   * @param {number} channel - 0 = r, 1 = g, 2 = b, 3 = a
+   * @returns {number} Filtered channel value (0-1)
+   */
+  sample(u, v, channel = 0) {
+    const x = u * this.width - 0.5;
+    const y = (1 - v) * this.height - 0.5;
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const fx = x - x0;
+    const fy = y - y0;
+
+    const top = this.texel(x0, y0, channel) * (1 - fx) + this.texel(x0 + 1, y0, channel) * fx;
+    const bottom = this.texel(x0, y0 + 1, channel) * (1 - fx) + this.texel(x0 + 1, y0 + 1, channel) * fx;
+
+    return top * (1 - fy) + bottom * fy;
+  }
+
+  /**
+   * Bilinear sample at a latitude/longitude
+   * @param {number} lat - Latitude in degrees
+   * @param {number} lon - Longitude in degrees
+   * @param {number} channel - 0 = r, 1 = g, 2 = b, 3 = a
+   * @returns {number} Filtered channel value (0-1)
+   */
+  sampleLatLon(lat, lon, channel = 0) {
+    const { u, v } = latLonToUV(lat, lon);
+    return this.sample(u, v, channel);
+  }
+}
@@ -2,6 +2,53 @@
    NEURAAL INTERFACE - QUALITY ASSURANCE
    ======================================== */
 
+import {
+  latLonToVector3,
+  vector3ToLatLon,
+  latLonToTexel,
+  greatCircleDistance,
+  initialBearing,
+  destinationPoint
+} from './Geodesy.js';
+import { normalizeKeys } from '../core/ShortcutRegistry.js';
+
+// Known cities pinned to texels of the 1000x500 equirectangular earth maps
+const GEODESY_FIXTURES = [
+  { name: 'London', lat: 51.5074, lon: -0.1278, texel: { x: 499, y: 106 } },
+  { name: 'New York', lat: 40.7128, lon: -74.0060, texel: { x: 294, y: 136 } },
+  { name: 'Rio de Janeiro', lat: -22.9068, lon: -43.1729, texel: { x: 380, y: 313 } },
+  { name: 'Tokyo', lat: 35.6762, lon: 139.6503, texel: { x: 887, y: 150 } },
+  { name: 'Sydney', lat: -33.8688, lon: 151.2093, texel: { x: 920, y: 344 } },
+  { name: 'Null Island', lat: 0, lon: 0, texel: { x: 500, y: 250 } }
+];
+
+// CPU terrain replica vs shader: the maps alone must match exactly; with noise
+// on, float sin() differences between GPUs allow a small disagreement
+const TERRAIN_TOLERANCE = {
+  elevationOnly: 1e-3, // Displacement units, noise off
+  displacement: 0.05, // Median absolute difference, noise on
+  typeAgreement: 0.9 // Fraction of probes classified identically
+};
+
+/**
+ * Evenly spaced probe locations covering the globe
+ * @returns {Array<Object>} { lat, lon } locations
+ */
+function terrainProbeLocations() {
+  const locations = [];
+  for (let lat = -75; lat <= 75; lat += 10) {
+    for (let lon = -180; lon < 180; lon += 12) {
+      locations.push({ lat, lon });
+    }
+  }
+  return locations;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted.length === 0 ? 0 : sorted[Math.floor(sorted.length / 2)];
+}
+
 export class QualityAssurance {
   constructor() {
     this.testResults = {};
@@ -27,7 +74,9 @@ export class QualityAssurance {
       interaction: await this.testInteraction(),
       responsive: await this.testResponsive(),
       memory: await this.testMemoryUsage(),
-      stability: await this.testStability()
+      stability: await this.testStability(),
+      geodesy: await this.testGeodesy(),
+      terrain: await this.testTerrainAgreement()
     };
 
     this.testResults = results;
@@ -214,6 +263,120 @@ export class QualityAssurance {
     }
   }
 
+  /**
+   * Test lat/lon conversions against pinned city texels
+   * @returns {Object} Geodesy test results
+   */
+  async testGeodesy() {
+    try {
+      const failures = [];
+
+      for (const city of GEODESY_FIXTURES) {
+        const texel = latLonToTexel(city.lat, city.lon, 1000, 500);
+        if (texel.x !== city.texel.x || texel.y !== city.texel.y) {
+          failures.push(`${city.name} texel ${texel.x},${texel.y}`);
+        }
+
+        const roundTrip = vector3ToLatLon(latLonToVector3(city.lat, city.lon));
+        if (Math.abs(roundTrip.lat - city.lat) > 1e-6 || Math.abs(roundTrip.lon - city.lon) > 1e-6) {
+          failures.push(`${city.name} round trip`);
+        }
+      }
+
+      // London -> New York is ~5570 km on a bearing of ~288 degrees
+      const distance = greatCircleDistance(51.5074, -0.1278, 40.7128, -74.0060);
+      const bearing = initialBearing(51.5074, -0.1278, 40.7128, -74.0060);
+      const arrival = destinationPoint(51.5074, -0.1278, bearing, distance);
+
+      if (Math.abs(distance - 5570) > 5) failures.push(`distance ${distance.toFixed(1)}km`);
+      if (Math.abs(bearing - 288.33) > 0.05) failures.push(`bearing ${bearing.toFixed(2)}`);
+      if (Math.abs(arrival.lat - 40.7128) > 1e-6 || Math.abs(arrival.lon + 74.0060) > 1e-6) {
+        failures.push('destination point');
+      }
+
+      return {
+        status: failures.length === 0 ? 'PASS' : 'FAIL',
+        checked: GEODESY_FIXTURES.length,
+        failures
+      };
+    } catch (error) {
+      return { status: 'FAIL', reason: error.message };
+    }
+  }
+
+  /**
+   * Compare CPU terrain queries with what the vertex shader computes
+   * @returns {Object} Terrain agreement results
+   */
+  async testTerrainAgreement() {
+    try {
+      const terrain = window.earthTerrain;
+      if (!terrain) {
+        return { status: 'FAIL', reason: 'Terrain API not available' };
+      }
+
+      const locations = terrainProbeLocations();
+
+      // Noise off: both sides reduce to elevation map x elevation scale
+      const flat = terrain.probeShader(locations, { uTerrainDiversity: 0 });
+      if (!flat) {
+        return { status: 'WARN', reason: 'Float render targets unavailable; shader probes skipped' };
+      }
+
+      // Noise on, with whatever time and terrain settings are live right now
+      const shaped = terrain.probeShader(locations);
+
+      const failures = [];
+      const flatErrors = [];
+      const shapedErrors = [];
+      let typeMatches = 0;
+      let compared = 0;
+
+      locations.forEach(({ lat, lon }, i) => {
+        if (!flat[i] || !shaped[i]) {
+          failures.push(`no shader sample at ${lat},${lon}`);
+          return;
+        }
+
+        const flatQuery = terrain.queryTerrain(lat, lon, { terrainDiversity: 0 });
+        flatErrors.push(Math.abs(flatQuery.displacement - flat[i].displacement));
+
+        const query = terrain.queryTerrain(lat, lon);
+        shapedErrors.push(Math.abs(query.displacement - shaped[i].displacement));
+        if (query.terrainType === shaped[i].terrainType) typeMatches++;
+        compared++;
+      });
+
+      const maxFlatError = Math.max(0, ...flatErrors);
+      const medianShapedError = median(shapedErrors);
+      const typeAgreement = compared > 0 ? typeMatches / compared : 0;
+
+      if (maxFlatError > TERRAIN_TOLERANCE.elevationOnly) failures.push(`elevation-only error ${maxFlatError.toFixed(4)}`);
+      if (medianShapedError > TERRAIN_TOLERANCE.displacement) failures.push(`median displacement error ${medianShapedError.toFixed(4)}`);
+      if (typeAgreement < TERRAIN_TOLERANCE.typeAgreement) failures.push(`terrain type agreement ${(typeAgreement * 100).toFixed(1)}%`);
+
+      // Repeat lookups must be served from the LRU cache
+      const before = terrain.getCacheStats().totalRequests;
+      terrain.queryTerrain(locations[0].lat, locations[0].lon);
+      const after = terrain.getCacheStats();
+      if (after.totalRequests !== before + 1 || after.cacheSize === 0) failures.push('terrain cache not consulted');
+
+      return {
+        status: failures.length === 0 ? 'PASS' : 'FAIL',
+        details: {
+          probes: locations.length,
+          maxElevationOnlyError: Number(maxFlatError.toFixed(5)),
+          medianDisplacementError: Number(medianShapedError.toFixed(5)),
+          typeAgreement: `${(typeAgreement * 100).toFixed(1)}%`,
+          cache: after
+        },
+        failures
+      };
+    } catch (error) {
+      return { status: 'FAIL', reason: error.message };
+    }
+  }
+
   /**
    * Test specific breakpoint
    * @param {Object} breakpoint - Breakpoint configuration
@@ -282,10 +445,25 @@ export class QualityAssurance {
    */
   testKeyboardControls() {
     try {
-      // Test if keydown events are handled
-      const keyEvent = new KeyboardEvent('keydown', { key: 't' });
-      document.dispatchEvent(keyEvent);
-      return true;
+      // The plus key parses on its own and after modifiers; malformed chords are refused
+      const plusKey = normalizeKeys('+') === '+' && normalizeKeys('Ctrl++') === 'ctrl++';
+      // Shift only binds letters and named keys; a shifted symbol is bound as itself
+      const shiftKeys = normalizeKeys('Shift+H') === 'shift+h' && normalizeKeys('shift+ArrowUp') === 'shift+arrowup' && normalizeKeys('?') === '?';
+      const malformed = ['ctrl+shift', 'hyper+k', 'ctrl++k', 'k+ctrl', 'shift+/', 'shift+1', 'shift+'].every((keys) => {
+        try {
+          normalizeKeys(keys);
+          return false;
+        } catch (error) {
+          return true;
+        }
+      });
+      if (!plusKey || !shiftKeys || !malformed) return false;
+
+      // Shortcuts are registered and nothing was left unbound by a clash
+      const shortcuts = window.earthShortcuts;
+      if (!shortcuts) return false;
+      const actions = shortcuts.list();
+      return actions.length > 0 && actions.some(action => action.keys.includes('h')) && shortcuts.getConflicts().length === 0;
     } catch (error) {
       console.warn('Keyboard controls test failed:', error);
       return false;
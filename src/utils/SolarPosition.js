@@ -0,0 +1,88 @@
+/* ========================================
+   NEURAAL INTERFACE - SOLAR POSITION
+   ======================================== */
+
+import * as THREE from 'three';
+import { latLonToVector3, normalizeLongitude } from './Geodesy.js';
+import { radToDeg } from './Helpers.js';
+
+// NOAA general solar position approximation; good to a fraction of a
+// degree, which is far below what the terminator band can show.
+
+/**
+ * Fractional year angle for a UTC date
+ * @param {Date} date - Moment in time
+ * @returns {number} Angle in radians
+ */
+function fractionalYear(date) {
+  const year = date.getUTCFullYear();
+  const startOfYear = Date.UTC(year, 0, 1);
+  const isLeap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+  const dayOfYear = Math.floor((date.getTime() - startOfYear) / 86400000) + 1;
+  const hours = date.getUTCHours() + date.getUTCMinutes() / 60 + date.getUTCSeconds() / 3600;
+
+  return (2 * Math.PI / (isLeap ? 366 : 365)) * (dayOfYear - 1 + (hours - 12) / 24);
+}
+
+/**
+ * Solar declination
+ * @param {Date} date - Moment in time
+ * @returns {number} Declination in degrees
+ */
+export function solarDeclination(date) {
+  const g = fractionalYear(date);
+  return radToDeg(
+    0.006918 - 0.399912 * Math.cos(g) + 0.070257 * Math.sin(g) -
+    0.006758 * Math.cos(2 * g) + 0.000907 * Math.sin(2 * g) -
+    0.002697 * Math.cos(3 * g) + 0.00148 * Math.sin(3 * g)
+  );
+}
+
+/**
+ * Equation of time (apparent minus mean solar time)
+ * @param {Date} date - Moment in time
+ * @returns {number} Minutes
+ */
+export function equationOfTime(date) {
+  const g = fractionalYear(date);
+  return 229.18 * (
+    0.000075 + 0.001868 * Math.cos(g) - 0.032077 * Math.sin(g) -
+    0.014615 * Math.cos(2 * g) - 0.040849 * Math.sin(2 * g)
+  );
+}
+
+/**
+ * Point on Earth where the sun is directly overhead
+ * @param {Date} date - Moment in time
+ * @returns {Object} { lat, lon } in degrees
+ */
+export function subsolarPoint(date) {
+  const hours = date.getUTCHours() + date.getUTCMinutes() / 60 +
+    date.getUTCSeconds() / 3600 + date.getUTCMilliseconds() / 3600000;
+
+  return {
+    lat: solarDeclination(date),
+    lon: normalizeLongitude(-15 * (hours - 12 + equationOfTime(date) / 60))
+  };
+}
+
+/**
+ * Local hour angle of the sun at a longitude
+ * @param {Date} date - Moment in time
+ * @param {number} lon - Longitude in degrees
+ * @returns {number} Hour angle in degrees, 0 at local solar noon
+ */
+export function hourAngle(date, lon) {
+  return normalizeLongitude(lon - subsolarPoint(date).lon);
+}
+
+/**
+ * Unit vector towards the sun in the globe's local frame
+ * @param {Date} date - Moment in time
+ * @param {THREE.Vector3} target - Optional vector to write into
+ * @returns {THREE.Vector3} Sun direction
+ */
+export function sunDirection(date, target = new THREE.Vector3()) {
+  const { lat, lon } = subsolarPoint(date);
+  return latLonToVector3(lat, lon, 1, target);
+}
@@ -0,0 +1,323 @@
+/* ========================================
+   NEURAAL INTERFACE - TERRAIN SAMPLER
+   ======================================== */
+
+import { AppConfig } from '../config/AppConfig.js';
+import { latLonToUV, latLonToVector3 } from './Geodesy.js';
+import { ImageSampler } from './ImageSampler.js';
+import { TEXTURE_ROLES } from './TextureSets.js';
+
+// CPU replica of classifyEnhancedTerrain / calculateEnhancedTerrain in
+// enhancedVertex.glsl. Keep the two in step: any change to the shader's
+// noise, thresholds or amplitudes has to be mirrored here.
+
+const f32 = Math.fround;
+const HASH_SCALE = f32(43758.5453);
+
+/**
+ * fract(sin(n) * 43758.5453) evaluated at float precision like the GPU.
+ * The large multiplier amplifies sin() rounding, so individual values can
+ * differ from a given GPU by a few percent; the agreement check in
+ * QualityAssurance measures how often that changes the outcome.
+ */
+function hash(n) {
+  const x = f32(f32(Math.sin(n)) * HASH_SCALE);
+  return f32(x - Math.floor(x));
+}
+
+function mix(a, b, t) {
+  return a + (b - a) * t;
+}
+
+/**
+ * Value noise matching the shader's perlinNoise
+ * @param {number} x - Position x
+ * @param {number} y - Position y
+ * @param {number} z - Position z
+ * @returns {number} Noise in [0, 1]
+ */
+export function perlinNoise(x, y, z) {
+  const ix = Math.floor(f32(x));
+  const iy = Math.floor(f32(y));
+  const iz = Math.floor(f32(z));
+  const fx = f32(x) - ix;
+  const fy = f32(y) - iy;
+  const fz = f32(z) - iz;
+  const ux = fx * fx * (3 - 2 * fx);
+  const uy = fy * fy * (3 - 2 * fy);
+  const uz = fz * fz * (3 - 2 * fz);
+
+  const corner = (dx, dy, dz) => hash((ix + dx) + 57 * (iy + dy) + 21 * (iz + dz));
+
+  return mix(
+    mix(mix(corner(0, 0, 0), corner(1, 0, 0), ux), mix(corner(0, 1, 0), corner(1, 1, 0), ux), uy),
+    mix(mix(corner(0, 0, 1), corner(1, 0, 1), ux), mix(corner(0, 1, 1), corner(1, 1, 1), ux), uy),
+    uz
+  );
+}
+
+/**
+ * Octave sum matching the shader's fractalNoise
+ */
+export function fractalNoise(x, y, z, frequency, amplitude, octaves) {
+  let noise = 0;
+  let amp = 1;
+  let freq = frequency;
+
+  for (let i = 0; i < octaves; i++) {
+    noise += perlinNoise(x * freq, y * freq, z * freq) * amp;
+    amp *= amplitude;
+    freq *= 2;
+  }
+
+  return noise;
+}
+
+/**
+ * Terrain types whose detail layers snow smooths over
+ */
+const SNOWY_TYPES = [1, 5];
+
+/**
+ * Per-type noise layers. The first layer is the base shape; later layers
+ * are detail that simplifyTerrain fades out. `control` names the setting
+ * that scales a layer. Layers without octaves are single perlin lookups.
+ */
+const TERRAIN_NOISE = [
+  [ // Ocean: swell follows oceanDepth
+    { scale: 6, amplitude: 0.3, control: 'oceanDepth' },
+    { scale: 12, amplitude: 0.15, falloff: 0.6, octaves: 4, control: 'oceanDepth' }
+  ],
+  [ // Mountain: ridges and crags follow mountainSharpness
+    { scale: 4, amplitude: 0.6 },
+    { scale: 8, amplitude: 0.3, falloff: 0.5, octaves: 5, control: 'mountainSharpness' },
+    { scale: 16, amplitude: 0.2, control: 'mountainSharpness' }
+  ],
+  [ // Forest: canopy follows forestDensity
+    { scale: 3, amplitude: 0.4 },
+    { scale: 6, amplitude: 0.25, falloff: 0.7, octaves: 3 },
+    { scale: 20, amplitude: 0.15, control: 'forestDensity' }
+  ],
+  [ // Plains
+    { scale: 3, amplitude: 0.25 },
+    { scale: 4, amplitude: 0.15, falloff: 0.8, octaves: 2 }
+  ],
+  [ // Desert: dunes and wind ripples follow desertDunes
+    { scale: 5, amplitude: 0.4 },
+    { scale: 10, amplitude: 0.25, falloff: 0.6, octaves: 4, control: 'desertDunes' },
+    { scale: 25, amplitude: 0.15, control: 'desertDunes' }
+  ],
+  [ // Tundra
+    { scale: 3.5, amplitude: 0.3 },
+    { scale: 7, amplitude: 0.2, falloff: 0.5, octaves: 3 },
+    { scale: 18, amplitude: 0.1 }
+  ],
+  [ // Canyon
+    { scale: 4.5, amplitude: 0.8 },
+    { scale: 9, amplitude: 0.4, falloff: 0.4, octaves: 5 },
+    { scale: 22, amplitude: 0.25 }
+  ]
+];
+
+/**
+ * Terrain settings and the uniforms they mirror, with the defaults used
+ * when a uniform is missing
+ */
+const SETTING_UNIFORMS = {
+  terrainDiversity: ['uTerrainDiversity', 1],
+  reliefScale: ['uReliefScale', 1],
+  terrainAnimation: ['uTerrainAnimation', 1],
+  time: ['uTime', 0],
+  terrainDensity: ['uTerrainDensity', 1],
+  snowLine: ['uSnowLine', 0.7],
+  simplifyTerrain: ['uSimplifyTerrain', 0],
+  oceanDepth: ['uOceanDepth', 1],
+  forestDensity: ['uForestDensity', 1],
+  desertDunes: ['uDesertDunes', 1],
+  mountainSharpness: ['uMountainSharpness', 1]
+};
+
+const DEFAULT_SETTINGS = Object.fromEntries(
+  Object.entries(SETTING_UNIFORMS).map(([setting, [, fallback]]) => [setting, fallback])
+);
+
+function noiseLayer(x, y, z, { scale, amplitude, falloff, octaves }) {
+  if (octaves === undefined) {
+    return perlinNoise(x * scale, y * scale, z * scale) * amplitude;
+  }
+  return fractalNoise(x * scale, y * scale, z * scale, 1, falloff, octaves) * amplitude;
+}
+
+/**
+ * Snow cover matching the shader's snowCover
+ * @param {number} elevation - Elevation map value (0-1)
+ * @param {number} snowLine - Elevation where snow starts
+ * @returns {number} Cover from 0 (none) to 1 (full)
+ */
+export function snowCover(elevation, snowLine) {
+  const t = Math.min(1, Math.max(0, (elevation - snowLine) / 0.2));
+  return t * t * (3 - 2 * t);
+}
+
+/**
+ * Terrain type for an undisplaced surface position
+ * @param {number} elevation - Elevation map value (0-1)
+ * @param {number} oceanMask - Ocean mask value (below 0.5 = water)
+ * @param {THREE.Vector3} position - Local sphere position
+ * @param {Object} settings - { terrainDensity, simplifyTerrain, forestDensity, snowLine }
+ * @returns {number} Index into AppConfig.globe.terrainTypes
+ */
+export function classifyTerrain(elevation, oceanMask, position, settings = DEFAULT_SETTINGS) {
+  if (oceanMask < 0.5) return 0;
+
+  const { terrainDensity, simplifyTerrain, forestDensity, snowLine } = { ...DEFAULT_SETTINGS, ...settings };
+  const { x, y, z } = position;
+  const terrainNoise = perlinNoise(x * 4 * terrainDensity, y * 4 * terrainDensity, z * 4 * terrainDensity);
+  const elevationNoise = perlinNoise(x * 8 * terrainDensity, y * 8 * terrainDensity, z * 8 * terrainDensity) * (1 - simplifyTerrain);
+  const terrainValue = elevation + terrainNoise * 0.3 + elevationNoise * 0.2;
+  const forestLine = Math.max(0.4, 0.8 - 0.2 * forestDensity);
+  const mountainLine = Math.max(0.4, snowLine + 0.1);
+
+  if (terrainValue > mountainLine) return 1;
+  if (terrainValue > forestLine) return 2;
+  if (terrainValue > 0.4) return 3;
+  if (terrainValue > 0.2) return 4;
+  if (terrainValue > 0.0) return 5;
+  return 6;
+}
+
+/**
+ * Radial displacement the vertex shader applies (bulge excluded)
+ * @param {number} elevation - Elevation map value (0-1)
+ * @param {number} terrainType - Terrain type index
+ * @param {THREE.Vector3} position - Local sphere position
+ * @param {Object} settings - Any of the SETTING_UNIFORMS keys; missing ones use the defaults
+ * @returns {number} Displacement along the surface normal
+ */
+export function terrainDisplacement(elevation, terrainType, position, settings = DEFAULT_SETTINGS) {
+  const current = { ...DEFAULT_SETTINGS, ...settings };
+  const { terrainAnimation, time, terrainDensity } = current;
+  const diversity = current.terrainDiversity * current.reliefScale;
+  let displacement = elevation * AppConfig.globe.elevationScale;
+  if (diversity <= 0) return displacement;
+
+  const shift = time * 0.05;
+  const x = position.x * terrainDensity + shift;
+  const y = position.y * terrainDensity + shift;
+  const z = position.z * terrainDensity + shift;
+  const detail = (1 - current.simplifyTerrain)
+    * (SNOWY_TYPES.includes(terrainType) ? 1 - 0.5 * snowCover(elevation, current.snowLine) : 1);
+
+  const typeNoise = TERRAIN_NOISE[terrainType].reduce((sum, layer, index) => {
+    const control = layer.control ? current[layer.control] : 1;
+    return sum + noiseLayer(x, y, z, layer) * control * (index > 0 ? detail : 1);
+  }, 0);
+  displacement += typeNoise * diversity;
+
+  if (terrainAnimation > 0) {
+    const breathing = perlinNoise(x * 1.5 + time * 0.1, y * 1.5 + time * 0.1, z * 1.5 + time * 0.1) * 0.15;
+    const atmospheric = fractalNoise(
+      x * 2.5 + time * 0.08, y * 2.5 + time * 0.08, z * 2.5 + time * 0.08, 1, 0.6, 2
+    ) * 0.1;
+    displacement += (breathing + atmospheric) * terrainAnimation;
+  }
+
+  return displacement;
+}
+
+/**
+ * Answers "what terrain is at this lat/lon" the way the globe shader sees it.
+ * The map samples are cached per location; terrain type and displacement
+ * depend on the terrain settings and animated uniforms and are recomputed
+ * on every query.
+ */
+export class TerrainSampler {
+  /**
+   * @param {Object} options - { cache, uniforms, radius }
+   */
+  constructor({ cache = null, uniforms = null, radius = AppConfig.globe.radius } = {}) {
+    this.cache = cache;
+    this.uniforms = uniforms;
+    this.radius = radius;
+    this.elevation = { sampler: null, fill: 0 };
+    this.oceanMask = { sampler: null, fill: 1 };
+  }
+
+  /**
+   * @param {Object} uniforms - Earth ShaderMaterial uniforms (time and terrain settings)
+   */
+  setUniforms(uniforms) {
+    this.uniforms = uniforms;
+  }
+
+  /**
+   * Sample the same images the shader samples
+   * @param {Object} textures - { elevationMap, alphaMap }
+   */
+  setTextures({ elevationMap, alphaMap }) {
+    this.elevation = this.createSource(elevationMap, 'elevationMap');
+    this.oceanMask = this.createSource(alphaMap, 'alphaMap');
+    if (this.cache) this.cache.clear();
+  }
+
+  createSource(texture, role) {
+    const fill = TEXTURE_ROLES[role].fill[0] / 255;
+    if (!texture || texture.userData.fill) {
+      return { sampler: null, fill };
+    }
+    return { sampler: ImageSampler.fromTexture(texture), fill };
+  }
+
+  /**
+   * @returns {Object} Current terrain settings read from the uniforms (see SETTING_UNIFORMS)
+   */
+  getSettings() {
+    const uniforms = this.uniforms || {};
+    const settings = {};
+    Object.entries(SETTING_UNIFORMS).forEach(([setting, [uniform, fallback]]) => {
+      settings[setting] = uniforms[uniform] ? uniforms[uniform].value : fallback;
+    });
+    return settings;
+  }
+
+  /**
+   * Map samples for a texture coordinate
+   */
+  sampleStatic(u, v) {
+    const cached = this.cache ? this.cache.get(u, v) : undefined;
+    if (cached) return cached;
+
+    const result = {
+      elevation: this.elevation.sampler ? this.elevation.sampler.sample(u, v) : this.elevation.fill,
+      oceanMask: this.oceanMask.sampler ? this.oceanMask.sampler.sample(u, v) : this.oceanMask.fill
+    };
+
+    if (this.cache) this.cache.set(u, v, result);
+    return result;
+  }
+
+  /**
+   * Query the terrain at a location
+   * @param {number} lat - Latitude in degrees
+   * @param {number} lon - Longitude in degrees
+   * @param {Object} settings - Optional overrides of getSettings(), e.g. { terrainDiversity: 0 }
+   * @returns {Object} { lat, lon, elevation, terrainType, terrainName, displacement, isOcean }
+   */
+  queryTerrain(lat, lon, settings = {}) {
+    const { u, v } = latLonToUV(lat, lon);
+    const position = latLonToVector3(lat, lon, this.radius);
+    const { elevation, oceanMask } = this.sampleStatic(u, v);
+    const current = { ...this.getSettings(), ...settings };
+    const terrainType = classifyTerrain(elevation, oceanMask, position, current);
+
+    return {
+      lat,
+      lon,
+      elevation,
+      terrainType,
+      terrainName: AppConfig.globe.terrainTypes[terrainType],
+      displacement: terrainDisplacement(elevation, terrainType, position, current),
+      isOcean: oceanMask < 0.5
+    };
+  }
+}
@@ -0,0 +1,216 @@
+/* ========================================
+   NEURAAL INTERFACE - TEXTURE SETS
+   ======================================== */
+
+import * as THREE from 'three';
+
+/**
+ * Texture roles a body can supply, with the fill used when one is missing.
+ * alphaMap is the ocean mask (below 0.5 = water), so a missing mask means
+ * "all land".
+ */
+export const TEXTURE_ROLES = {
+  colorMap: { label: 'colour map', required: true, fill: [128, 128, 128, 255] },
+  elevationMap: { label: 'elevation map', required: false, fill: [0, 0, 0, 255] },
+  alphaMap: { label: 'ocean mask', required: false, fill: [255, 255, 255, 255] },
+  nightMap: { label: 'night lights', required: false, fill: [0, 0, 0, 255] }
+};
+
+const ASPECT_TOLERANCE = 0.01; // Allow 1024x512 as well as 1000x500 style sizes
+const MIN_WIDTH = 64;
+const PLACEHOLDER_WIDTH = 256;
+
+// Filename hints used to sort dropped files into roles
+const ROLE_PATTERNS = [
+  ['elevationMap', /bump|elev|height|dem|topo|relief|displace/i],
+  ['alphaMap', /spec|ocean|water|mask|alpha/i],
+  ['nightMap', /night|lights/i]
+];
+
+const textureLoader = new THREE.TextureLoader();
+
+/**
+ * Check that an image can be draped over the globe
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Object} options - { label, maxSize }
+ * @throws {Error} If the image is not a usable equirectangular projection
+ */
+export function validateEquirectangular(width, height, { label = 'texture', maxSize = 16384 } = {}) {
+  if (!width || !height) {
+    throw new Error(`${label} has no pixel data`);
+  }
+
+  const aspect = width / height;
+  if (Math.abs(aspect - 2) > 2 * ASPECT_TOLERANCE) {
+    throw new Error(`${label} must be equirectangular (2:1), got ${width}×${height}`);
+  }
+
+  if (width < MIN_WIDTH) {
+    throw new Error(`${label} is too small (${width}×${height}, minimum ${MIN_WIDTH}×${MIN_WIDTH / 2})`);
+  }
+
+  if (width > maxSize || height > maxSize) {
+    throw new Error(`${label} exceeds the GPU texture limit (${width}×${height}, maximum ${maxSize})`);
+  }
+}
+
+/**
+ * Guess a texture role from a filename
+ * @param {string} name - Filename
+ * @returns {string} Role key; anything unrecognised is treated as the colour map
+ */
+export function classifyTextureFile(name) {
+  const match = ROLE_PATTERNS.find(([, pattern]) => pattern.test(name));
+  return match ? match[0] : 'colorMap';
+}
+
+/**
+ * Apply the sampling parameters every globe texture uses
+ * @param {THREE.Texture} texture - Texture to configure
+ * @returns {THREE.Texture} The same texture
+ */
+export function configureTexture(texture) {
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.RepeatWrapping;
+  texture.minFilter = THREE.LinearMipmapLinearFilter;
+  texture.magFilter = THREE.LinearFilter;
+  texture.generateMipmaps = true;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+/**
+ * Single-texel texture standing in for a missing role
+ * @param {string} role - Role key
+ * @returns {THREE.DataTexture} Solid texture
+ */
+function createFillTexture(role) {
+  const texture = new THREE.DataTexture(new Uint8Array(TEXTURE_ROLES[role].fill), 1, 1);
+  texture.userData.fill = true;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+/**
+ * Generated stand-in for a role whose image could not be loaded. The colour
+ * map gets a dark graticule so the globe still reads as a globe; the other
+ * roles get their solid fill.
+ * @param {string} role - Role key
+ * @returns {THREE.Texture} Texture flagged with userData.placeholder
+ */
+export function createPlaceholderTexture(role) {
+  if (role !== 'colorMap') {
+    const texture = createFillTexture(role);
+    texture.userData.placeholder = true;
+    return texture;
+  }
+
+  const width = PLACEHOLDER_WIDTH;
+  const height = PLACEHOLDER_WIDTH / 2;
+  const cell = width / 12; // 30° graticule
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const line = x % cell === 0 || y % cell === 0;
+      data.set(line ? [0, 102, 34, 255] : [8, 28, 24, 255], (y * width + x) * 4);
+    }
+  }
+
+  const texture = configureTexture(new THREE.DataTexture(data, width, height));
+  texture.userData.placeholder = true;
+  return texture;
+}
+
+/**
+ * Generated round star sprite, used when the sprite image is unavailable
+ * @returns {THREE.DataTexture} Soft white disc on transparent texels
+ */
+export function createStarSprite() {
+  const size = 32;
+  const data = new Uint8Array(size * size * 4);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const distance = Math.hypot(x + 0.5 - size / 2, y + 0.5 - size / 2) / (size / 2);
+      const alpha = Math.max(0, 1 - distance) ** 1.5;
+      data.set([255, 255, 255, Math.round(alpha * 255)], (y * size + x) * 4);
+    }
+  }
+
+  const texture = new THREE.DataTexture(data, size, size);
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearFilter;
+  texture.userData.placeholder = true;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+/**
+ * Load one texture from a URL, File/Blob or already-loaded texture
+ * @param {string|Blob|THREE.Texture} source - Texture source
+ * @returns {Promise<THREE.Texture>} Loaded texture
+ */
+export function loadTexture(source) {
+  if (source instanceof THREE.Texture) {
+    return Promise.resolve(source);
+  }
+
+  const isBlob = typeof Blob !== 'undefined' && source instanceof Blob;
+  if (isBlob && !source.type.startsWith('image/')) {
+    return Promise.reject(new Error(`${source.name || 'File'} is not an image (${source.type || 'unknown type'})`));
+  }
+
+  const url = isBlob ? URL.createObjectURL(source) : source;
+
+  return new Promise((resolve, reject) => {
+    textureLoader.load(
+      url,
+      (texture) => {
+        if (isBlob) URL.revokeObjectURL(url);
+        resolve(texture);
+      },
+      undefined,
+      () => {
+        if (isBlob) URL.revokeObjectURL(url);
+        reject(new Error(`Failed to load ${isBlob ? source.name || 'image' : url}`));
+      }
+    );
+  });
+}
+
+/**
+ * Load and validate every role of a texture set
+ * @param {Object} sources - { colorMap, elevationMap, alphaMap, nightMap } sources
+ * @param {Object} options - { maxSize }
+ * @returns {Promise<Object>} Textures keyed by role; missing roles get solid fills
+ */
+export async function loadTextureSet(sources, { maxSize } = {}) {
+  const roles = Object.keys(TEXTURE_ROLES);
+
+  const missing = roles.filter(role => TEXTURE_ROLES[role].required && !sources[role]);
+  if (missing.length > 0) {
+    throw new Error(`Texture set is missing a ${missing.map(role => TEXTURE_ROLES[role].label).join(', ')}`);
+  }
+
+  const loaded = await Promise.all(roles.map(role => (
+    sources[role] ? loadTexture(sources[role]) : Promise.resolve(createFillTexture(role))
+  )));
+
+  const textures = {};
+  try {
+    roles.forEach((role, index) => {
+      const texture = loaded[index];
+      if (!texture.userData.fill && !texture.userData.placeholder) {
+        const { width, height } = texture.image;
+        validateEquirectangular(width, height, { label: TEXTURE_ROLES[role].label, maxSize });
+        configureTexture(texture);
+      }
+      textures[role] = texture;
+    });
+  } catch (error) {
+    loaded.forEach(texture => texture.dispose());
+    throw error;
+  }
+
+  return textures;
+}
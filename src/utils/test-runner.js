@@ -7,7 +7,7 @@ import { ErrorHandler } from './ErrorHandler.js';
 
 // Initialize testing framework
 const qa = new QualityAssurance();
-const errorHandler = new ErrorHandler();
+const errorHandler = window.errorHandler || new ErrorHandler(); // script.js installs the shared one
 
 // Test runner function
 async function runTests() {